@@ -3,6 +3,7 @@ import MainLayout from './layouts/MainLayout'
 import HomePage from './pages/HomePage'
 import ProjectPage from './pages/ProjectPage'
 import DocumentPage from './pages/DocumentPage'
+import GraphPage from './pages/GraphPage'
 import LoginPage from './pages/LoginPage'
 import SettingsPage from './pages/SettingsPage'
 import ProtectedRoute from './components/ProtectedRoute'
@@ -16,6 +17,7 @@ function App() {
         <Route element={<MainLayout />}>
           <Route path="/" element={<HomePage />} />
           <Route path="/:projectId" element={<ProjectPage />} />
+          <Route path="/:projectId/graph" element={<GraphPage />} />
           <Route path="/:projectId/:docId" element={<DocumentPage />} />
         </Route>
       </Route>
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Box, Group, Text, Collapse, Loader, Badge, UnstyledButton } from '@mantine/core'
+import { IconChevronDown, IconChevronUp, IconFile, IconBrush, IconArrowBackUp } from '@tabler/icons-react'
+import { getBacklinks } from '../lib/api'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import { isDrawing } from '../lib/documentType'
+import './Sidebar.css'
+
+const STORAGE_KEY = 'thinkpost_backlinks_open'
+
+// Collapsible list of documents linking to the current one
+export default function BacklinksPanel({ document }) {
+  const navigate = useNavigate()
+  const [opened, setOpened] = useState(() => localStorage.getItem(STORAGE_KEY) === 'true')
+  const [backlinks, setBacklinks] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, String(opened))
+  }, [opened])
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    getBacklinks(document.id)
+      .then((data) => {
+        if (!cancelled) setBacklinks(data)
+      })
+      .catch((err) => {
+        console.error('BacklinksPanel: Failed to load backlinks:', err)
+        if (!cancelled) setBacklinks([])
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [document.id])
+
+  function handleNavigate(source) {
+    setLastVisitedDocumentNumber(source.project_id, source.document_number)
+    navigate(`/${source.project_id}/${source.document_number}`)
+  }
+
+  return (
+    <Box
+      style={{
+        flexShrink: 0,
+        borderTop: '1px solid var(--mantine-color-default-border)',
+        background: 'var(--mantine-color-body)',
+      }}
+    >
+      <UnstyledButton onClick={() => setOpened((o) => !o)} px="md" py={6} style={{ width: '100%' }}>
+        <Group justify="space-between" wrap="nowrap">
+          <Group gap="xs" wrap="nowrap">
+            <IconArrowBackUp size={14} color="var(--mantine-color-gray-6)" />
+            <Text size="xs" fw={500} c="dimmed">Backlinks</Text>
+            {loading ? (
+              <Loader size={10} />
+            ) : (
+              <Badge size="xs" variant="light" color={backlinks.length > 0 ? 'blue' : 'gray'}>{backlinks.length}</Badge>
+            )}
+          </Group>
+          {opened ? <IconChevronDown size={14} /> : <IconChevronUp size={14} />}
+        </Group>
+      </UnstyledButton>
+      <Collapse in={opened}>
+        <Box px="sm" pb="sm" style={{ maxHeight: '30vh', overflowY: 'auto' }}>
+          {!loading && backlinks.length === 0 ? (
+            <Text size="xs" c="dimmed" px="xs">No documents link here yet</Text>
+          ) : (
+            <div className="sidebar-documents-grid">
+              {backlinks.map((source) => (
+                <Box
+                  key={source.id}
+                  p="xs"
+                  className="sidebar-item"
+                  onClick={() => handleNavigate(source)}
+                >
+                  <Group gap="xs" wrap="nowrap">
+                    {isDrawing(source) ? (
+                      <IconBrush size={16} color="var(--mantine-color-blue-6)" style={{ flexShrink: 0 }} />
+                    ) : (
+                      <IconFile size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
+                    )}
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <Text size="sm" truncate>{source.title || 'Untitled'}</Text>
+                      <Text size="xs" c="dimmed" truncate>
+                        {source.project_name}
+                        {source.link_count > 1 ? ` · ${source.link_count} links` : ''}
+                      </Text>
+                    </div>
+                  </Group>
+                </Box>
+              ))}
+            </div>
+          )}
+        </Box>
+      </Collapse>
+    </Box>
+  )
+}
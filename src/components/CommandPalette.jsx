@@ -0,0 +1,223 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Modal, Stack, Group, Text, TextInput, Box, Loader, Center, Kbd } from '@mantine/core'
+import { IconClock, IconCommand } from '@tabler/icons-react'
+import { useProjectContext } from '../context/ProjectContext'
+import { getProjects, getDocumentTitles } from '../lib/api'
+import { getRecentDocuments, setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import DocumentTypeIcon from './DocumentTypeIcon'
+import { fuzzyFilter } from '../lib/fuzzy'
+import './Sidebar.css'
+
+const MAX_RECENT = 8
+const MAX_DOCUMENT_RESULTS = 20
+// Recently visited documents get a small boost so they win close calls
+const RECENT_BOOST = 0.5
+
+// indices are code point positions, as fuzzyMatch() reports them
+function HighlightedText({ text, indices, ...props }) {
+  if (!indices || indices.length === 0) {
+    return <Text size="sm" truncate {...props}>{text}</Text>
+  }
+  const matched = new Set(indices)
+  return (
+    <Text size="sm" truncate {...props}>
+      {Array.from(text).map((char, index) => (
+        matched.has(index) ? <Text key={index} span size="sm" fw={700} c="blue">{char}</Text> : char
+      ))}
+    </Text>
+  )
+}
+
+function SectionLabel({ children }) {
+  return (
+    <Text size="xs" c="dimmed" fw={500} tt="uppercase" px="xs" pt="xs">
+      {children}
+    </Text>
+  )
+}
+
+export default function CommandPalette({ opened, onClose, commands, onRunCommand }) {
+  const { project, switchProject } = useProjectContext()
+  const navigate = useNavigate()
+  const [query, setQuery] = useState('')
+  const [allDocuments, setAllDocuments] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+
+  // Documents are loaded once per opening and filtered locally while typing
+  useEffect(() => {
+    if (!opened) return
+    setQuery('')
+    setActiveIndex(0)
+    setLoading(true)
+    let cancelled = false
+    loadDocuments().then((documents) => {
+      if (cancelled) return
+      setAllDocuments(documents)
+      setLoading(false)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [opened])
+
+  // Titles of every document in every project the user can open
+  async function loadDocuments() {
+    try {
+      const projects = await getProjects()
+      const projectNames = new Map(projects.map(p => [p.id, p.name]))
+      const documents = await getDocumentTitles(projects.map(p => p.id))
+      return documents.map(doc => ({ ...doc, project_name: projectNames.get(doc.project_id) }))
+    } catch (err) {
+      console.error('CommandPalette: Failed to load documents:', err)
+      return []
+    }
+  }
+
+  const items = useMemo(() => {
+    const recent = getRecentDocuments()
+    const recentRank = (doc) => recent.findIndex(r => r.projectId === doc.project_id && r.documentNumber === doc.document_number)
+
+    let documentItems
+    if (!query.trim()) {
+      // No query: recently visited documents, most recent first
+      documentItems = recent
+        .map(r => allDocuments.find(d => d.project_id === r.projectId && d.document_number === r.documentNumber))
+        .filter(Boolean)
+        .slice(0, MAX_RECENT)
+        .map(doc => ({ type: 'document', key: `doc-${doc.id}`, doc, recent: true, indices: [] }))
+    } else {
+      documentItems = fuzzyFilter(allDocuments, query, doc => doc.title || 'Untitled')
+        .map(match => {
+          const rank = recentRank(match.item)
+          const boost = rank === -1 ? 0 : RECENT_BOOST * (MAX_RECENT - Math.min(rank, MAX_RECENT))
+          return { ...match, score: match.score + boost, recent: rank !== -1 }
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_DOCUMENT_RESULTS)
+        .map(match => ({ type: 'document', key: `doc-${match.item.id}`, doc: match.item, recent: match.recent, indices: match.indices }))
+    }
+
+    const commandItems = fuzzyFilter(commands, query, command => [command.label, ...(command.keywords || [])].join(' '))
+      .map(match => ({
+        type: 'command',
+        key: `cmd-${match.item.id}`,
+        command: match.item,
+        // Only highlight when the match fell inside the label itself
+        indices: match.indices.every(i => i < Array.from(match.item.label).length) ? match.indices : [],
+      }))
+
+    return [...documentItems, ...commandItems]
+  }, [query, allDocuments, commands])
+
+  useEffect(() => {
+    setActiveIndex(0)
+  }, [query])
+
+  async function handleSelect(item) {
+    if (!item) return
+    onClose()
+    if (item.type === 'command') {
+      await onRunCommand(item.command.id)
+      return
+    }
+    const { doc } = item
+    setLastVisitedDocumentNumber(doc.project_id, doc.document_number)
+    navigate(`/${doc.project_id}/${doc.document_number}`)
+    if (doc.project_id !== project?.id) {
+      await switchProject(doc.project_id)
+    }
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(i => Math.min(i + 1, items.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(i => Math.max(i - 1, 0))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      handleSelect(items[activeIndex])
+    }
+  }
+
+  const firstCommandIndex = items.findIndex(item => item.type === 'command')
+  const hasDocuments = items.length > 0 && items[0].type === 'document'
+
+  return (
+    <Modal
+      opened={opened}
+      onClose={onClose}
+      withCloseButton={false}
+      size="lg"
+      yOffset="10vh"
+      padding="sm"
+    >
+      <Stack gap="xs">
+        <TextInput
+          placeholder="Jump to a document or run a command"
+          leftSection={<IconCommand size={16} />}
+          rightSection={loading ? <Loader size="xs" /> : null}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          data-autofocus
+        />
+
+        <Box style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+          {items.length === 0 ? (
+            <Center py="xl">
+              <Text size="sm" c="dimmed">{loading ? 'Loading documents…' : 'No matches'}</Text>
+            </Center>
+          ) : (
+            <Stack gap={2}>
+              {items.map((item, index) => (
+                <div key={item.key}>
+                  {index === 0 && hasDocuments && (
+                    <SectionLabel>{query.trim() ? 'Documents' : 'Recent'}</SectionLabel>
+                  )}
+                  {index === firstCommandIndex && <SectionLabel>Commands</SectionLabel>}
+                  <Box
+                    p="xs"
+                    className="sidebar-item"
+                    data-active={index === activeIndex}
+                    onClick={() => handleSelect(item)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                  >
+                    {item.type === 'document' ? (
+                      <Group gap="xs" wrap="nowrap">
+                        <DocumentTypeIcon document={item.doc} />
+                        <HighlightedText text={item.doc.title || 'Untitled'} indices={item.indices} style={{ flex: 1, minWidth: 0 }} />
+                        {item.recent && query.trim() && (
+                          <IconClock size={12} color="var(--mantine-color-gray-5)" style={{ flexShrink: 0 }} />
+                        )}
+                        <Text size="xs" c="dimmed" truncate style={{ flexShrink: 0, maxWidth: '35%' }}>
+                          {item.doc.project_name}
+                        </Text>
+                      </Group>
+                    ) : (
+                      <Group gap="xs" wrap="nowrap">
+                        <item.command.icon size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
+                        <HighlightedText text={item.command.label} indices={item.indices} style={{ flex: 1, minWidth: 0 }} />
+                        {item.command.shortcut && <Kbd size="xs" style={{ flexShrink: 0 }}>{item.command.shortcut}</Kbd>}
+                        <Text size="xs" c="dimmed" style={{ flexShrink: 0 }}>{item.command.section}</Text>
+                      </Group>
+                    )}
+                  </Box>
+                </div>
+              ))}
+            </Stack>
+          )}
+        </Box>
+
+        <Group gap="md" justify="flex-end">
+          <Text size="xs" c="dimmed"><Kbd size="xs">↑</Kbd> <Kbd size="xs">↓</Kbd> to move</Text>
+          <Text size="xs" c="dimmed"><Kbd size="xs">Enter</Kbd> to open</Text>
+          <Text size="xs" c="dimmed"><Kbd size="xs">Esc</Kbd> to close</Text>
+        </Group>
+      </Stack>
+    </Modal>
+  )
+}
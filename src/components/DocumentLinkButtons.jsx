@@ -1,4 +1,4 @@
-import { useState, useMemo, useEffect } from 'react'
+import { useState, useMemo, useEffect, useRef } from 'react'
 
 // Hook to detect mobile viewport
 function useIsMobile() {
@@ -16,32 +16,79 @@ function useIsMobile() {
 
   return isMobile
 }
-import { IconFile, IconBrush, IconTrash, IconArrowRight } from '@tabler/icons-react'
+import { IconFile, IconBrush, IconTrash, IconArrowRight, IconLinkOff, IconTool } from '@tabler/icons-react'
 import { Menu, useMantineTheme } from '@mantine/core'
 import { useTheme } from '../context/ThemeContext'
 import { useNavigate, useParams } from 'react-router-dom'
 import { useProjectContext } from '../context/ProjectContext'
 import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import { getLinkPath } from '../lib/anchors'
+import { LINK_STATUS, isBrokenLink, getLinkStatusLabel } from '../lib/linkStatus'
+import { resolveLinkY } from '../lib/linkPlacement'
+import LinkPreviewCard from './LinkPreviewCard'
+
+const PREVIEW_HOVER_DELAY = 400 // ms before the preview card opens on hover
+const PREVIEW_LONG_PRESS = 500 // ms of touch before the preview card opens
 
 // Individual link button component
-function LinkButton({ link, containerRef, onDelete, index }) {
+// status comes from validateDocumentLinks() - broken links get a warning look and a repair entry
+function LinkButton({ link, status, containerRef, onDelete, onRepair, index, readOnly }) {
   const { colorScheme } = useTheme()
   const mantineTheme = useMantineTheme()
   const [isHovered, setIsHovered] = useState(false)
   const navigate = useNavigate()
   const { project } = useProjectContext()
   const isMobile = useIsMobile()
+  const [menuOpened, setMenuOpened] = useState(false)
+  const [previewRect, setPreviewRect] = useState(null) // Button rect while the preview card is open
+  const previewTimer = useRef(null)
+  const longPressed = useRef(false) // Swallow the click that ends a long press
+  
+  useEffect(() => () => clearTimeout(previewTimer.current), [])
+  
+  // A long-press preview stays open until the next touch anywhere
+  useEffect(() => {
+    if (!previewRect || !longPressed.current) return
+    const close = () => setPreviewRect(null)
+    const timer = setTimeout(() => document.addEventListener('pointerdown', close), 0)
+    return () => {
+      clearTimeout(timer)
+      document.removeEventListener('pointerdown', close)
+    }
+  }, [previewRect])
+  
+  const schedulePreview = (element, delay) => {
+    clearTimeout(previewTimer.current)
+    previewTimer.current = setTimeout(() => {
+      setPreviewRect(element.getBoundingClientRect())
+    }, delay)
+  }
+  
+  const cancelPreview = () => {
+    clearTimeout(previewTimer.current)
+  }
+  
+  const handleMenuChange = (opened) => {
+    if (opened && longPressed.current) {
+      longPressed.current = false
+      return
+    }
+    cancelPreview()
+    setPreviewRect(null)
+    setMenuOpened(opened)
+  }
   
   const handleNavigate = () => {
     // Use targetProjectId from link, or fallback to current project
     const targetProjectId = link.targetProjectId || project?.id
-    if (!targetProjectId || !link.targetDocumentNumber) return
+    const path = getLinkPath(link, project?.id)
+    if (!path) return
     
     // Store document number for the target project
     setLastVisitedDocumentNumber(targetProjectId, link.targetDocumentNumber)
     
-    // Navigate to linked document (may be in different project)
-    navigate(`/${targetProjectId}/${link.targetDocumentNumber}`)
+    // Navigate to linked document (may be in different project), at the linked heading if any
+    navigate(path)
   }
   
   const handleDelete = () => {
@@ -61,8 +108,13 @@ function LinkButton({ link, containerRef, onDelete, index }) {
   const buttonLeft = gap // Position inside, hugging the left border
   const buttonTop = link.y + adjustedY - buttonSize / 2 // Position relative to container top
 
-  const primaryColor = mantineTheme.colors[mantineTheme.primaryColor][6] // Main primary color
-  const primaryColorHover = mantineTheme.colors[mantineTheme.primaryColor][7] // Darker for hover
+  const broken = isBrokenLink(status)
+  // Trashed targets are orange (still reachable), missing ones red
+  const colorName = broken
+    ? (status === LINK_STATUS.TRASHED ? 'orange' : 'red')
+    : mantineTheme.primaryColor
+  const primaryColor = mantineTheme.colors[colorName][6] // Main primary color
+  const primaryColorHover = mantineTheme.colors[colorName][7] // Darker for hover
   const primaryColorLight = mantineTheme.colors[mantineTheme.primaryColor][4] // Lighter variant
 
   const buttonStyle = {
@@ -76,7 +128,7 @@ function LinkButton({ link, containerRef, onDelete, index }) {
     alignItems: 'center',
     justifyContent: 'center',
     borderRadius: '6px',
-    border: `1px solid ${isHovered ? primaryColorHover : primaryColor}`,
+    border: `1px ${broken ? 'dashed' : 'solid'} ${isHovered ? primaryColorHover : primaryColor}`,
     background: isHovered
       ? primaryColorHover
       : primaryColor,
@@ -95,54 +147,106 @@ function LinkButton({ link, containerRef, onDelete, index }) {
 
   // For backward compatibility, allow links without targetProjectId (they'll use current project)
   const isInvalid = !link.targetDocumentId || !link.targetDocumentNumber
+    || status === LINK_STATUS.MISSING || status === LINK_STATUS.INVALID
+  const statusLabel = getLinkStatusLabel(status)
 
   return (
-    <Menu shadow="md" position="right-start" withArrow>
-      <Menu.Target>
-        <button
-          style={buttonStyle}
-          onMouseEnter={() => setIsHovered(true)}
-          onMouseLeave={() => setIsHovered(false)}
-          onClick={(e) => {
-            e.preventDefault()
-            e.stopPropagation()
-          }}
-          title={link.type === 'document' ? `Document: ${link.title || 'Untitled'}` : `Drawing: ${link.title || 'Untitled'}`}
-          data-link-button-id={link.id}
-        >
-          {link.type === 'document' ? (
-            <IconFile size={iconSize} color={iconColor} />
-          ) : (
-            <IconBrush size={iconSize} color={iconColor} />
-          )}
-        </button>
-      </Menu.Target>
-      <Menu.Dropdown>
-        <Menu.Label>
-          {link.type === 'document' ? (
-            <IconFile size={14} style={{ display: 'inline', marginRight: '4px' }} />
-          ) : (
-            <IconBrush size={14} style={{ display: 'inline', marginRight: '4px' }} />
+    <>
+      <Menu shadow="md" position="right-start" withArrow opened={menuOpened} onChange={handleMenuChange}>
+        <Menu.Target>
+          <button
+            style={buttonStyle}
+            onPointerEnter={(e) => {
+              setIsHovered(true)
+              // Touch gets its preview from a long press instead
+              if (e.pointerType === 'mouse' && !menuOpened) schedulePreview(e.currentTarget, PREVIEW_HOVER_DELAY)
+            }}
+            onPointerLeave={() => {
+              setIsHovered(false)
+              cancelPreview()
+              if (!longPressed.current) setPreviewRect(null)
+            }}
+            onPointerDown={(e) => {
+              if (e.pointerType !== 'touch') return
+              longPressed.current = false
+              const element = e.currentTarget
+              clearTimeout(previewTimer.current)
+              previewTimer.current = setTimeout(() => {
+                longPressed.current = true
+                setPreviewRect(element.getBoundingClientRect())
+              }, PREVIEW_LONG_PRESS)
+            }}
+            onPointerUp={cancelPreview}
+            onPointerCancel={cancelPreview}
+            onContextMenu={(e) => {
+              // Long press on touch devices would otherwise open the browser menu
+              if (longPressed.current) e.preventDefault()
+            }}
+            onClick={(e) => {
+              e.preventDefault()
+              e.stopPropagation()
+            }}
+            aria-label={`${link.type === 'document' ? 'Document' : 'Drawing'}: ${link.title || 'Untitled'}${link.targetBlockLabel ? ` → ${link.targetBlockLabel}` : ''}${statusLabel ? ` (${statusLabel})` : ''}`}
+            data-link-button-id={link.id}
+            data-link-status={status || undefined}
+          >
+            {broken ? (
+              <IconLinkOff size={iconSize} color={iconColor} />
+            ) : link.type === 'document' ? (
+              <IconFile size={iconSize} color={iconColor} />
+            ) : (
+              <IconBrush size={iconSize} color={iconColor} />
+            )}
+          </button>
+        </Menu.Target>
+        <Menu.Dropdown>
+          <Menu.Label>
+            {link.type === 'document' ? (
+              <IconFile size={14} style={{ display: 'inline', marginRight: '4px' }} />
+            ) : (
+              <IconBrush size={14} style={{ display: 'inline', marginRight: '4px' }} />
+            )}
+            {link.title || 'Untitled'}
+            {link.targetBlockLabel && (
+              <span style={{ display: 'block' }}>→ {link.targetBlockLabel}</span>
+            )}
+            {statusLabel && (
+              <span style={{ display: 'block', color: primaryColor }}>{statusLabel}</span>
+            )}
+          </Menu.Label>
+          <Menu.Item
+            leftSection={<IconArrowRight size={14} />}
+            onClick={handleNavigate}
+            disabled={isInvalid}
+          >
+            Go to document
+          </Menu.Item>
+          {!readOnly && (
+            <>
+              {broken && onRepair && (
+                <Menu.Item
+                  leftSection={<IconTool size={14} />}
+                  onClick={() => onRepair(link)}
+                >
+                  Repair link
+                </Menu.Item>
+              )}
+              <Menu.Divider />
+              <Menu.Item
+                leftSection={<IconTrash size={14} />}
+                color="red"
+                onClick={handleDelete}
+              >
+                Delete link
+              </Menu.Item>
+            </>
           )}
-          {link.title || 'Untitled'}
-        </Menu.Label>
-        <Menu.Item
-          leftSection={<IconArrowRight size={14} />}
-          onClick={handleNavigate}
-          disabled={isInvalid}
-        >
-          Go to document
-        </Menu.Item>
-        <Menu.Divider />
-        <Menu.Item
-          leftSection={<IconTrash size={14} />}
-          color="red"
-          onClick={handleDelete}
-        >
-          Delete link
-        </Menu.Item>
-      </Menu.Dropdown>
-    </Menu>
+        </Menu.Dropdown>
+      </Menu>
+      {previewRect && !menuOpened && (
+        <LinkPreviewCard link={link} status={status} anchorRect={previewRect} />
+      )}
+    </>
   )
 }
 
@@ -200,14 +304,31 @@ export function findNearestNonOverlappingY(y, existingLinks, buttonSize, spacing
   return bestAdjustment
 }
 
+// Resolve each link's y from its block, then push overlapping buttons apart top to bottom
+// Returns copies of the links with the current y and adjustedY
+export function placeLinks(links, container, buttonSize, spacing) {
+  const resolved = links
+    .map(link => ({ ...link, y: resolveLinkY(link, container) }))
+    .sort((a, b) => a.y - b.y)
+  const placed = []
+  for (const link of resolved) {
+    const adjustment = findNearestNonOverlappingY(link.y, placed, buttonSize, spacing)
+    placed.push({ ...link, adjustedY: adjustment ?? (link.adjustedY || 0) })
+  }
+  return placed
+}
+
 // Main component to manage all document/drawing link buttons
-export default function DocumentLinkButtons({ containerRef, links, onAddLink, onDeleteLink }) {
+// readOnly hides link management (viewers can still follow links)
+// linkStatuses: linkId -> { status } from validateDocumentLinks(), empty until validated
+export default function DocumentLinkButtons({ containerRef, links, linkStatuses = {}, onAddLink, onDeleteLink, onRepairLink, readOnly = false }) {
   const { colorScheme } = useTheme()
   const isMobile = useIsMobile()
   const buttonSize = isMobile ? 28 : 32
   const spacing = 4 // Spacing between buttons
 
   const [isContainerReady, setIsContainerReady] = useState(false)
+  const [layoutVersion, setLayoutVersion] = useState(0) // Bumped when the editor reflows
 
   // Wait for container to be ready
   useEffect(() => {
@@ -218,18 +339,34 @@ export default function DocumentLinkButtons({ containerRef, links, onAddLink, on
     }
   }, [containerRef])
 
-  // Simply use links as-is (they should already be positioned correctly)
-  // No automatic repositioning - buttons are added only if they don't overlap
+  // Re-place buttons when blocks move: typing, pasting, resizing, collaborators' edits
+  useEffect(() => {
+    const container = containerRef?.current
+    if (!isContainerReady || !container) return
+    let frame = null
+    const schedule = () => {
+      if (frame) return
+      frame = requestAnimationFrame(() => {
+        frame = null
+        setLayoutVersion(v => v + 1)
+      })
+    }
+    const resizeObserver = new ResizeObserver(schedule)
+    resizeObserver.observe(container)
+    const mutationObserver = new MutationObserver(schedule)
+    mutationObserver.observe(container, { childList: true, subtree: true, characterData: true })
+    return () => {
+      resizeObserver.disconnect()
+      mutationObserver.disconnect()
+      if (frame) cancelAnimationFrame(frame)
+    }
+  }, [containerRef, isContainerReady])
+
+  // Buttons follow their blocks; legacy links without one keep their stored y
   const positionedLinks = useMemo(() => {
-    if (!links || links.length === 0) return []
-    
-    // Sort by Y position for consistent rendering
-    return [...links].sort((a, b) => {
-      const aY = a.y + (a.adjustedY || 0)
-      const bY = b.y + (b.adjustedY || 0)
-      return aY - bY
-    })
-  }, [links])
+    if (!links || links.length === 0 || !containerRef?.current) return []
+    return placeLinks(links, containerRef.current, buttonSize, spacing)
+  }, [links, layoutVersion, buttonSize, isContainerReady])
 
   if (!isContainerReady || !links || links.length === 0) return null
 
@@ -241,9 +378,12 @@ export default function DocumentLinkButtons({ containerRef, links, onAddLink, on
           <LinkButton
             key={link.id}
             link={link}
+            status={linkStatuses[link.id]?.status}
             containerRef={containerRef}
             onDelete={onDeleteLink}
+            onRepair={onRepairLink}
             index={index}
+            readOnly={readOnly}
           />
         )
       })}
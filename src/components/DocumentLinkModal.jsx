@@ -1,10 +1,11 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { Modal, Stack, Group, Text, ActionIcon, TextInput, Box, Loader, Center } from '@mantine/core'
-import { IconFolder, IconFile, IconBrush, IconChevronLeft } from '@tabler/icons-react'
+import { IconFolder, IconFile, IconBrush, IconChevronLeft, IconHash, IconArrowBarToUp } from '@tabler/icons-react'
 import { useProjectContext } from '../context/ProjectContext'
-import { getProjects, getDocuments } from '../lib/api'
+import { getProjects, getDocuments, getDocumentContent } from '../lib/api'
 import { isDrawing } from '../lib/documentType'
+import { getHeadingAnchors } from '../lib/anchors'
 import './Sidebar.css'
 
 function formatDate(dateString) {
@@ -29,6 +30,10 @@ export default function DocumentLinkModal({ opened, onClose, onSelectDocument, c
   const [selectedProject, setSelectedProject] = useState(null)
   const [documents, setDocuments] = useState([])
   const [documentsLoading, setDocumentsLoading] = useState(false)
+  // Third step for text documents: pick the point to link to
+  const [selectedDocument, setSelectedDocument] = useState(null)
+  const [anchors, setAnchors] = useState([])
+  const [anchorsLoading, setAnchorsLoading] = useState(false)
 
   useEffect(() => {
     if (opened) {
@@ -36,6 +41,7 @@ export default function DocumentLinkModal({ opened, onClose, onSelectDocument, c
       // Start with projects view (don't auto-select current project)
       setSelectedProject(null)
       setDocuments([])
+      setSelectedDocument(null)
     }
   }, [opened])
 
@@ -74,16 +80,45 @@ export default function DocumentLinkModal({ opened, onClose, onSelectDocument, c
     setSelectedProject(p)
   }
 
-  function handleSelectDocument(doc) {
+  async function handleSelectDocument(doc) {
     if (!selectedProject) return
     
-    // Call callback with selected document and project
+    // Drawings have no headings - link to the drawing itself
+    if (isDrawing(doc)) {
+      handleSelectAnchor(doc, null)
+      return
+    }
+    
+    setSelectedDocument(doc)
+    setAnchorsLoading(true)
+    try {
+      const content = await getDocumentContent(doc.id)
+      setAnchors(getHeadingAnchors(content?.notes_content))
+    } catch (err) {
+      console.error('DocumentLinkModal: Failed to load headings:', err)
+      setAnchors([])
+    } finally {
+      setAnchorsLoading(false)
+    }
+  }
+
+  // anchor is { blockId, label } of a heading, or null for the document start
+  function handleSelectAnchor(doc, anchor) {
+    // Call callback with selected document, project and anchor
     if (onSelectDocument) {
-      onSelectDocument(doc, selectedProject)
+      onSelectDocument(doc, selectedProject, anchor)
     }
     onClose()
   }
 
+  function handleBack() {
+    if (selectedDocument) {
+      setSelectedDocument(null)
+    } else {
+      setSelectedProject(null)
+    }
+  }
+
   // Filter out current document
   const filteredDocuments = currentDocumentId
     ? documents.filter(doc => String(doc.id) !== String(currentDocumentId))
@@ -105,11 +140,13 @@ export default function DocumentLinkModal({ opened, onClose, onSelectDocument, c
                 variant="subtle" 
                 color="gray" 
                 size="sm"
-                onClick={() => setSelectedProject(null)}
+                onClick={handleBack}
               >
                 <IconChevronLeft size={16} />
               </ActionIcon>
-              <Text fw={500} size="sm">Select document to link</Text>
+              <Text fw={500} size="sm">
+                {selectedDocument ? `Link to a point in "${selectedDocument.title || 'Untitled'}"` : 'Select document to link'}
+              </Text>
             </Group>
           ) : (
             <Text fw={500} size="sm">Select Project</Text>
@@ -136,7 +173,46 @@ export default function DocumentLinkModal({ opened, onClose, onSelectDocument, c
         },
       }}
     >
-      {selectedProject ? (
+      {selectedProject && selectedDocument ? (
+        // Anchors view
+        <Box style={{ flex: 1, overflowY: 'auto', padding: '12px', height: 0 }}>
+          {anchorsLoading ? (
+            <Center py="xl">
+              <Loader size="sm" />
+            </Center>
+          ) : (
+            <Stack gap={4}>
+              <Box
+                onClick={() => handleSelectAnchor(selectedDocument, null)}
+                p="xs"
+                className="sidebar-item"
+              >
+                <Group gap="xs" wrap="nowrap">
+                  <IconArrowBarToUp size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
+                  <Text size="sm" fw={500}>Document start</Text>
+                </Group>
+              </Box>
+              {anchors.map((anchor) => (
+                <Box
+                  key={anchor.blockId}
+                  onClick={() => handleSelectAnchor(selectedDocument, { blockId: anchor.blockId, label: anchor.label })}
+                  p="xs"
+                  className="sidebar-item"
+                  style={{ paddingLeft: `calc(var(--mantine-spacing-xs) + ${(anchor.level - 1) * 16}px)` }}
+                >
+                  <Group gap="xs" wrap="nowrap">
+                    <IconHash size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
+                    <Text size="sm" truncate>{anchor.label}</Text>
+                  </Group>
+                </Box>
+              ))}
+              {anchors.length === 0 && (
+                <Text size="xs" c="dimmed" px="xs" pt="xs">This document has no headings yet</Text>
+              )}
+            </Stack>
+          )}
+        </Box>
+      ) : selectedProject ? (
         // Documents view
         <Box style={{ flex: 1, overflowY: 'auto', padding: '12px', height: 0 }}>
           {documentsLoading ? (
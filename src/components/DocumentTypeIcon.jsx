@@ -0,0 +1,9 @@
+import { IconFile, IconBrush } from '@tabler/icons-react'
+import { isDrawing, getDocumentTypeStyle } from '../lib/documentType'
+
+// Icon for a document in lists, in the color the link graph uses for its type
+export default function DocumentTypeIcon({ document, size = 16 }) {
+  const Icon = isDrawing(document) ? IconBrush : IconFile
+  const { color } = getDocumentTypeStyle(document)
+  return <Icon size={size} color={`var(--mantine-color-${color}-6)`} style={{ flexShrink: 0 }} />
+}
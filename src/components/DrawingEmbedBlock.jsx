@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Paper, Group, Text, Button, Select, Loader, Box, Badge } from '@mantine/core'
+import { createReactBlockSpec } from '@blocknote/react'
+import { insertOrUpdateBlockForSlashMenu } from '@blocknote/core/extensions'
+import { IconBrush, IconExternalLink } from '@tabler/icons-react'
+import { getDocumentPreview, subscribeToDocumentChanges } from '../lib/api'
+import { renderDrawingSvg } from '../lib/linkPreview'
+import { isDrawing } from '../lib/documentType'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import { useProjectContext } from '../context/ProjectContext'
+
+export const DRAWING_EMBED_TYPE = 'drawingEmbed'
+
+// Saves of the drawing arrive in bursts while someone is drawing
+const REFRESH_DELAY = 1000
+
+// Picker shown in a freshly inserted embed, listing drawings of the current project
+function DrawingPicker({ block, editor }) {
+  const { documents = [] } = useProjectContext()
+  const drawings = documents.filter(doc => isDrawing(doc))
+
+  if (!editor.isEditable) {
+    return <Text size="sm" c="dimmed">No drawing selected</Text>
+  }
+
+  function handleChange(value) {
+    const doc = drawings.find(d => String(d.id) === value)
+    if (!doc) return
+    editor.updateBlock(block, {
+      props: {
+        documentId: doc.id,
+        projectId: doc.project_id,
+        documentNumber: doc.document_number,
+        title: doc.title || 'Untitled',
+      },
+    })
+  }
+
+  return (
+    <Select
+      size="sm"
+      placeholder={drawings.length > 0 ? 'Choose a drawing to embed' : 'No drawings in this project'}
+      data={drawings.map(doc => ({ value: String(doc.id), label: doc.title || 'Untitled' }))}
+      onChange={handleChange}
+      disabled={drawings.length === 0}
+      searchable
+      comboboxProps={{ withinPortal: true }}
+    />
+  )
+}
+
+// Read-only preview of the embedded drawing, re-rendered whenever the drawing is saved
+function DrawingEmbed({ block, editor }) {
+  const { documentId, projectId, documentNumber, title } = block.props
+  const navigate = useNavigate()
+  const [drawing, setDrawing] = useState(undefined) // undefined while loading, null when missing
+  const [svg, setSvg] = useState(null)
+
+  useEffect(() => {
+    if (!documentId) return
+    let cancelled = false
+    let timer = null
+
+    async function load() {
+      try {
+        const doc = await getDocumentPreview(documentId)
+        const markup = doc ? await renderDrawingSvg(doc.drawing_content, doc.drawing_files, doc.project_id) : null
+        if (cancelled) return
+        setDrawing(doc)
+        setSvg(markup)
+      } catch (err) {
+        console.error('DrawingEmbed: Failed to load drawing:', err)
+        if (!cancelled) setDrawing(prev => prev ?? null)
+      }
+    }
+
+    load()
+    const unsubscribe = subscribeToDocumentChanges(documentId, () => {
+      clearTimeout(timer)
+      timer = setTimeout(load, REFRESH_DELAY)
+    })
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+      unsubscribe()
+    }
+  }, [documentId])
+
+  function handleOpen() {
+    const targetProjectId = drawing?.project_id || projectId
+    setLastVisitedDocumentNumber(targetProjectId, documentNumber)
+    navigate(`/${targetProjectId}/${documentNumber}`)
+  }
+
+  return (
+    <Paper withBorder radius="md" p="sm" contentEditable={false} style={{ width: '100%' }}>
+      {!documentId ? (
+        <DrawingPicker block={block} editor={editor} />
+      ) : (
+        <>
+          <Group gap="xs" wrap="nowrap" mb="xs">
+            <IconBrush size={16} color="var(--mantine-color-blue-6)" style={{ flexShrink: 0 }} />
+            <Text size="sm" fw={500} truncate style={{ flex: 1 }}>
+              {drawing?.title || title || 'Untitled'}
+            </Text>
+            {drawing?.deleted_at && <Badge size="xs" color="orange" variant="light">Trash</Badge>}
+            {drawing !== null && (
+              <Button
+                size="compact-xs"
+                variant="subtle"
+                leftSection={<IconExternalLink size={14} />}
+                onClick={handleOpen}
+              >
+                Open drawing
+              </Button>
+            )}
+          </Group>
+          {drawing === undefined ? (
+            <Group justify="center" py="md"><Loader size="sm" /></Group>
+          ) : drawing === null ? (
+            <Text size="sm" c="red">Embedded drawing was deleted or is no longer accessible</Text>
+          ) : svg ? (
+            <Box
+              style={{ maxHeight: 480, overflow: 'hidden', borderRadius: 4 }}
+              dangerouslySetInnerHTML={{ __html: svg }}
+            />
+          ) : (
+            <Text size="sm" c="dimmed">Empty drawing</Text>
+          )}
+        </>
+      )}
+    </Paper>
+  )
+}
+
+// Exports (copy, markdown) get a plain link to the drawing
+function DrawingEmbedExport({ block }) {
+  const { projectId, documentNumber, title } = block.props
+  if (!block.props.documentId) return <p />
+  return <p><a href={`/${projectId}/${documentNumber}`}>Drawing: {title || 'Untitled'}</a></p>
+}
+
+const createDrawingEmbed = createReactBlockSpec(
+  {
+    type: DRAWING_EMBED_TYPE,
+    propSchema: {
+      documentId: { default: 0 }, // 0 until a drawing is picked
+      projectId: { default: '' },
+      documentNumber: { default: 0 },
+      title: { default: '' }, // Title when embedded; the header shows the current one
+    },
+    content: 'none',
+  },
+  {
+    render: DrawingEmbed,
+    toExternalHTML: DrawingEmbedExport,
+  }
+)
+
+export const drawingEmbedSpec = createDrawingEmbed()
+
+// Slash menu entry that inserts an empty embed, which then asks for a drawing
+export function getDrawingEmbedSlashItem(editor) {
+  return {
+    title: 'Drawing',
+    subtext: 'Embed a live preview of a drawing',
+    aliases: ['drawing', 'embed', 'sketch', 'excalidraw'],
+    group: 'Embeds',
+    icon: <IconBrush size={18} />,
+    onItemClick: () => {
+      insertOrUpdateBlockForSlashMenu(editor, { type: DRAWING_EMBED_TYPE })
+    },
+  }
+}
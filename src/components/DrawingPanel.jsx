@@ -1,13 +1,22 @@
-import { Excalidraw } from '@excalidraw/excalidraw'
+import { Excalidraw, CaptureUpdateAction } from '@excalidraw/excalidraw'
 import '@excalidraw/excalidraw/index.css'
 import { useState, useEffect, useRef } from 'react'
-import { getDocumentContent, updateDocumentContent } from '../lib/api'
+import { useNavigate } from 'react-router-dom'
+import { getDocumentContent, saveDrawingScene, updateDocumentLinks, getUserProfile } from '../lib/api'
+import { connectDrawingCollaboration, reconcileElements } from '../lib/drawingCollaboration'
+import { isFileReference, loadDrawingFiles, storeDrawingFiles } from '../lib/drawingFiles'
+import { buildDrawingLinkUrl, parseDrawingLinkUrl, syncDrawingLinks } from '../lib/drawingLinks'
+import { getLinkPath } from '../lib/anchors'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import { isDrawing } from '../lib/documentType'
 import { useTheme } from '../context/ThemeContext'
 import { useSync } from '../context/SyncContext'
 import { useAuth } from '../context/AuthContext'
-import { Loader, Center } from '@mantine/core'
+import { Loader, Center, Button } from '@mantine/core'
+import { IconLink } from '@tabler/icons-react'
+import DocumentLinkModal from './DocumentLinkModal'
 
-export default function DrawingPanel({ docId }) {
+export default function DrawingPanel({ docId, readOnly = false }) {
   const [initialData, setInitialData] = useState(null)
   const [viewportState, setViewportState] = useState({
     scrollX: 0,
@@ -26,6 +35,14 @@ export default function DrawingPanel({ docId }) {
   const loadedDocIdRef = useRef(null)
   const loadedUserIdRef = useRef(null)
   const filesVerifiedRef = useRef(false) // Track if we've already verified files
+  const collabRef = useRef(null) // Live session with other editors of this drawing
+  const lastPointerBroadcastRef = useRef(0)
+  const documentLinksRef = useRef([]) // Stored document_links, updated with the element links on save
+  const projectIdRef = useRef(null) // Images are stored per project (see lib/drawingFiles)
+  const fileRefsRef = useRef({}) // Saved images that are fetched after the scene shows
+  const [linkModalOpened, setLinkModalOpened] = useState(false)
+  const navigate = useNavigate()
+  const hasInitialData = initialData !== null
 
   // Log component lifecycle
   useEffect(() => {
@@ -50,6 +67,37 @@ export default function DrawingPanel({ docId }) {
     loadContent(loadId)
   }, [docId, user?.id]) // Use user?.id instead of user to avoid reloads on object reference changes
 
+  // Join the drawing's realtime session once the scene is loaded (signed-in users only)
+  useEffect(() => {
+    if (!docId || !user || !hasInitialData) return
+
+    const session = connectDrawingCollaboration(docId, {
+      user,
+      projectId: projectIdRef.current,
+      canEdit: !readOnly,
+      getElements: () => excalidrawAPIRef.current?.getSceneElementsIncludingDeleted() || [],
+      // Images still being fetched are shared by their reference
+      getFiles: () => ({ ...fileRefsRef.current, ...excalidrawAPIRef.current?.getFiles() }),
+      onRemoteElements: handleRemoteElements,
+      onRemoteFiles: handleRemoteFiles,
+      onCollaboratorsChange: (collaborators) => {
+        excalidrawAPIRef.current?.updateScene({ collaborators })
+      },
+    })
+    collabRef.current = session
+
+    getUserProfile()
+      .then((profile) => session.setUsername(profile?.display_name))
+      .catch((err) => {
+        console.error('Failed to load profile for collaboration pointer:', err)
+      })
+
+    return () => {
+      session.disconnect()
+      collabRef.current = null
+    }
+  }, [docId, user?.id, hasInitialData, readOnly])
+
   useEffect(() => {
     // Cleanup viewport timeout on unmount
     return () => {
@@ -132,6 +180,9 @@ export default function DrawingPanel({ docId }) {
     const userId = user?.id || null
     try {
       const content = await getDocumentContent(docId)
+      documentLinksRef.current = Array.isArray(content?.document_links) ? content.document_links : []
+      projectIdRef.current = content?.project_id || null
+      fileRefsRef.current = {}
       
       if (content?.drawing_content && Object.keys(content.drawing_content).length > 0) {
         // Ensure appState has proper structure for backward compatibility
@@ -147,7 +198,12 @@ export default function DrawingPanel({ docId }) {
         // Merge files: prioritize drawing_content.files, but use drawing_files column as fallback
         const mergedFiles = { ...filesFromColumn, ...filesFromContent }
         
-        // Normalize and validate merged files
+        // Stored images are only referenced; they're fetched once Excalidraw is up
+        fileRefsRef.current = Object.fromEntries(
+          Object.entries(mergedFiles).filter(([, file]) => isFileReference(file))
+        )
+        
+        // Normalize and validate merged files (legacy scenes keep their data URLs inline)
         const normalizedFiles = normalizeFiles(mergedFiles)
         
         // Set normalized files back to drawingContent
@@ -206,8 +262,21 @@ export default function DrawingPanel({ docId }) {
     }
   }
 
+  // Fetch the images the saved scene only references; they appear batch by batch
+  function loadReferencedFiles(api) {
+    const refs = fileRefsRef.current
+    if (!projectIdRef.current || Object.keys(refs).length === 0) return
+    loadDrawingFiles(projectIdRef.current, refs, (files) => {
+      if (excalidrawAPIRef.current === api) api.addFiles(files)
+    }).catch((err) => {
+      console.error('DrawingPanel: Failed to load drawing images:', err)
+    })
+  }
+
   function handleExcalidrawAPI(api) {
+    const isNewApi = api !== excalidrawAPIRef.current
     excalidrawAPIRef.current = api
+    if (api && isNewApi) loadReferencedFiles(api)
     
     // After API is ready, explicitly load files if we have them in initialData
     if (api && initialData && initialData.files && Object.keys(initialData.files).length > 0) {
@@ -283,7 +352,50 @@ export default function DrawingPanel({ docId }) {
     }
   }
 
+  // Merge element-level changes from a collaborator into the local scene
+  function handleRemoteElements(remoteElements) {
+    const api = excalidrawAPIRef.current
+    if (!api) return
+    
+    api.updateScene({
+      elements: reconcileElements(api.getSceneElementsIncludingDeleted(), remoteElements),
+      captureUpdate: CaptureUpdateAction.NEVER, // Remote edits must not enter our undo stack
+    })
+  }
+
+  // Images a collaborator added arrive as references to stored images
+  function handleRemoteFiles(remoteFiles) {
+    const api = excalidrawAPIRef.current
+    if (!api) return
+    const refs = Object.fromEntries(Object.entries(remoteFiles).filter(([, file]) => isFileReference(file)))
+    const known = api.getFiles() || {}
+    const missing = Object.fromEntries(Object.entries(refs).filter(([fileId]) => !known[fileId]))
+    if (Object.keys(missing).length === 0) return
+    // Saved as references until they're loaded
+    fileRefsRef.current = { ...fileRefsRef.current, ...missing }
+    loadDrawingFiles(projectIdRef.current, missing, (files) => {
+      if (excalidrawAPIRef.current === api) api.addFiles(files)
+    }).catch((err) => {
+      console.error('DrawingPanel: Failed to load shared images:', err)
+    })
+  }
+
+  function handlePointerUpdate({ pointer, button }) {
+    if (!collabRef.current) return
+    // Throttle pointer broadcasts to ~20 per second
+    const now = Date.now()
+    if (now - lastPointerBroadcastRef.current < 50) return
+    lastPointerBroadcastRef.current = now
+    const selectedElementIds = excalidrawAPIRef.current?.getAppState().selectedElementIds
+    collabRef.current.broadcastPointer(pointer, button, selectedElementIds)
+  }
+
   function handleChange(elements, appState) {
+    // Viewers follow remote changes but never broadcast or save
+    if (readOnly) return
+    // Versions only change for edited elements, so this is cheap for scroll/selection changes
+    collabRef.current?.broadcastElements(elements)
+    
     if (saveTimeout.current) clearTimeout(saveTimeout.current)
     saveTimeout.current = setTimeout(() => {
       saveContent(elements, appState)
@@ -294,6 +406,9 @@ export default function DrawingPanel({ docId }) {
     // Update local state immediately for UI responsiveness
     setViewportState({ scrollX, scrollY, zoom })
     
+    // Viewers keep their viewport locally only
+    if (readOnly) return
+    
     // Debounce save to database
     if (viewportSaveTimeout.current) clearTimeout(viewportSaveTimeout.current)
     viewportSaveTimeout.current = setTimeout(() => {
@@ -304,13 +419,9 @@ export default function DrawingPanel({ docId }) {
   async function saveViewportState(scrollX, scrollY, zoom) {
     if (!docId) return
     
-    // Get current content to merge viewport state
-    const content = await getDocumentContent(docId)
-    const currentContent = content?.drawing_content || { elements: [], files: {}, appState: {} }
-    
-    // Merge viewport state with existing appState
-    const updatedAppState = {
-      ...currentContent.appState,
+    // Only the viewport keys are sent; the server merges them into the stored
+    // appState and leaves elements and files as they are
+    const viewport = {
       scrollX: scrollX ?? 0,
       scrollY: scrollY ?? 0,
       zoom: zoom ? {
@@ -320,33 +431,9 @@ export default function DrawingPanel({ docId }) {
       } : { value: 1.0, offsetX: 0, offsetY: 0 }
     }
     
-    // Preserve files when saving viewport state (critical!)
-    const newContent = {
-      elements: currentContent.elements || [],
-      files: currentContent.files || {},
-      appState: updatedAppState
-    }
-    
-    const contentString = JSON.stringify(newContent)
-    if (contentString === lastSavedContent.current) return
-    
     try {
-      // Get current files to save separately
-      let files = currentContent.files || {}
-      if (excalidrawAPIRef.current) {
-        try {
-          files = excalidrawAPIRef.current.getFiles() || files
-        } catch (err) {
-          // Failed to get files in saveViewportState
-        }
-      }
       setIsSyncing(true)
-      // Save files separately for backup/recovery
-      await updateDocumentContent(docId, { 
-        drawing_content: newContent,
-        drawing_files: files
-      })
-      lastSavedContent.current = contentString
+      await saveDrawingScene(docId, { appState: viewport })
     } catch (err) {
       // Failed to save viewport state
     } finally {
@@ -372,7 +459,17 @@ export default function DrawingPanel({ docId }) {
       }
     }
     
-    // Merge elements, files, background color, and viewport state
+    // Store new images and save references only. Images still being fetched keep
+    // their stored reference. If storing fails the scene isn't saved, so it never
+    // points at missing data; the next change retries.
+    try {
+      files = { ...fileRefsRef.current, ...await storeDrawingFiles(projectIdRef.current, files) }
+    } catch (err) {
+      console.error('DrawingPanel: Failed to store drawing images:', err)
+      return
+    }
+    
+    // Elements, files, background color, and viewport state
     const newContent = {
       elements,
       files, // MUST include files for images to render correctly
@@ -392,15 +489,17 @@ export default function DrawingPanel({ docId }) {
     try {
       setIsSyncing(true)
       
-      // Save files to BOTH places:
-      // 1. In drawing_content.files (as part of the JSON)
-      // 2. In drawing_files column (separate column for backup/recovery)
-      await updateDocumentContent(docId, { 
-        drawing_content: newContent,
-        drawing_files: files  // Save files separately for recovery
-      })
-      
+      // Merged with the stored scene on the server, so a collaborator's elements
+      // that reached the database first are kept
+      const saved = await saveDrawingScene(docId, newContent)
       lastSavedContent.current = currentContent
+      
+      // Element links to documents are mirrored in document_links for backlinks and link checks
+      const syncedLinks = syncDrawingLinks(documentLinksRef.current, saved?.elements || elements)
+      if (syncedLinks !== documentLinksRef.current) {
+        await updateDocumentLinks(docId, syncedLinks)
+        documentLinksRef.current = syncedLinks
+      }
     } catch (err) {
       // Failed to save drawing
     } finally {
@@ -408,6 +507,62 @@ export default function DrawingPanel({ docId }) {
     }
   }
 
+  // Document links open inside the app; other links keep Excalidraw's default handling
+  function handleLinkOpen(element, event) {
+    const target = parseDrawingLinkUrl(element.link)
+    if (!target) return
+    event.preventDefault()
+    const path = getLinkPath(target)
+    if (!path) return
+    setLastVisitedDocumentNumber(target.targetProjectId, target.targetDocumentNumber)
+    navigate(path)
+  }
+  
+  // Point the selected elements at the chosen document
+  function handleLinkSelected(selectedDocument, selectedProject, anchor) {
+    setLinkModalOpened(false)
+    const api = excalidrawAPIRef.current
+    if (!api || !selectedProject) return
+    const selectedIds = api.getAppState().selectedElementIds || {}
+    const link = buildDrawingLinkUrl({ ...selectedDocument, project_id: selectedProject.id }, anchor)
+    // Deleted elements are kept, so updateScene doesn't drop the tombstones that
+    // collaborators and the stored scene reconcile with
+    const elements = api.getSceneElementsIncludingDeleted().map((element) => {
+      if (!selectedIds[element.id] || element.isDeleted) return element
+      return {
+        ...element,
+        link,
+        customData: {
+          ...element.customData,
+          linkTitle: selectedDocument.title || 'Untitled',
+          linkType: isDrawing(selectedDocument) ? 'drawing' : 'document',
+        },
+        // Bump the version so collaborators and the stored scene take the change
+        version: element.version + 1,
+        versionNonce: Math.floor(Math.random() * 2 ** 31),
+        updated: Date.now(),
+      }
+    })
+    api.updateScene({ elements, captureUpdate: CaptureUpdateAction.IMMEDIATELY })
+  }
+  
+  function renderTopRightUI(isMobile, appState) {
+    if (readOnly) return null
+    const hasSelection = Object.keys(appState.selectedElementIds || {}).length > 0
+    return (
+      <Button
+        size="xs"
+        variant="default"
+        leftSection={<IconLink size={14} />}
+        disabled={!hasSelection}
+        onClick={() => setLinkModalOpened(true)}
+        title="Link the selected elements to a document"
+      >
+        {isMobile ? null : 'Link to document'}
+      </Button>
+    )
+  }
+
   if (!initialData) {
     return (
       <Center style={{ height: '100%' }}>
@@ -428,10 +583,21 @@ export default function DrawingPanel({ docId }) {
           scrollToContent: false  // Prevent auto-scroll, use saved scroll position
         }}
         zenModeEnabled={false}
+        viewModeEnabled={readOnly}
+        isCollaborating={!!user}
         onChange={handleChange}  // Handles elements and background color
+        onPointerUpdate={handlePointerUpdate}  // Broadcasts our pointer to collaborators
         onScrollChange={handleScrollChange}  // Handles viewport state (scroll/zoom)
+        onLinkOpen={handleLinkOpen}  // Follows links to documents inside the app
+        renderTopRightUI={renderTopRightUI}
         theme={colorScheme}
       />
+      <DocumentLinkModal
+        opened={linkModalOpened}
+        onClose={() => setLinkModalOpened(false)}
+        onSelectDocument={handleLinkSelected}
+        currentDocumentId={docId}
+      />
     </div>
   )
 }
@@ -1,5 +1,5 @@
-import { Group, ActionIcon, Loader, Text, TextInput, Menu, Button, Switch } from '@mantine/core'
-import { IconSun, IconMoon, IconUser, IconCloud, IconSettings, IconLogout, IconLogin, IconFolder, IconHelp, IconFileImport, IconLink } from '@tabler/icons-react'
+import { Group, ActionIcon, Loader, Text, TextInput, Menu, Button, Switch, SegmentedControl } from '@mantine/core'
+import { IconSun, IconMoon, IconUser, IconCloud, IconSettings, IconLogout, IconLogin, IconFolder, IconHelp, IconFileImport, IconLink, IconHistory, IconGitCompare, IconSearch, IconCommand, IconChartDots3, IconLayoutColumns } from '@tabler/icons-react'
 import { useTheme } from '../context/ThemeContext'
 import { useSync } from '../context/SyncContext'
 import { useProjectContext } from '../context/ProjectContext'
@@ -9,11 +9,20 @@ import { useShowLinks } from '../context/ShowLinksContext'
 import { useState, useEffect, useRef } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
 import { supabase } from '../lib/supabase'
+import { createDocumentVersion } from '../lib/api'
 import LoginModal from './LoginModal'
 import ProjectsModal from './ProjectsModal'
 import HelpModal from './HelpModal'
 import MarkdownImportModal from './MarkdownImportModal'
+import VersionDiffModal from './VersionDiffModal'
+import SearchModal from './SearchModal'
+import CommandPalette from './CommandPalette'
+import LinkReportModal from './LinkReportModal'
+import PairDocumentModal from './PairDocumentModal'
+import { useCommands } from '../hooks/useCommands'
+import { getShortcutCommand, runCommand } from '../lib/commands'
 import { isText } from '../lib/documentType'
+import { getLayoutModeOptions } from '../lib/documentLayout'
 
 // Hook to detect mobile viewport
 function useIsMobile() {
@@ -33,12 +42,12 @@ function useIsMobile() {
 }
 
 export default function Header() {
-  const { colorScheme, toggleColorScheme } = useTheme()
+  const { colorScheme } = useTheme()
   const { isSyncing } = useSync()
   const { project, documents, refreshDocuments } = useProjectContext()
   const { user, signOut } = useAuth()
   const { editor } = useEditor()
-  const [showLinks, setShowLinks] = useShowLinks()
+  const [showLinks] = useShowLinks()
   const navigate = useNavigate()
   const { projectId, docId } = useParams()
   const [editing, setEditing] = useState(false)
@@ -47,7 +56,49 @@ export default function Header() {
   const [showProjectsModal, setShowProjectsModal] = useState(false)
   const [showHelpModal, setShowHelpModal] = useState(false)
   const [showImportModal, setShowImportModal] = useState(false)
+  const [showDiffModal, setShowDiffModal] = useState(false)
+  const [showSearchModal, setShowSearchModal] = useState(false)
+  const [showCommandPalette, setShowCommandPalette] = useState(false)
+  const [showLinkReport, setShowLinkReport] = useState(false)
+  const [showPairModal, setShowPairModal] = useState(false)
   const isMobile = useIsMobile()
+  const { ctx, commands, isAvailable, run } = useCommands({
+    openSearch: () => setShowSearchModal(true),
+    openProjects: () => setShowProjectsModal(true),
+    openImport: () => setShowImportModal(true),
+    openCompare: () => setShowDiffModal(true),
+    openHelp: () => setShowHelpModal(true),
+    openLinkReport: () => setShowLinkReport(true),
+    openPairDocument: () => setShowPairModal(true),
+  })
+  const layoutCommands = ['document.attachCanvas', 'document.pair', 'document.unpair'].filter(isAvailable)
+
+  // The keydown listener below is registered once, so it reads the latest context here
+  const commandContextRef = useRef(ctx)
+  useEffect(() => {
+    commandContextRef.current = ctx
+  })
+
+  // Ctrl/Cmd+K opens the command palette and command shortcuts run from anywhere,
+  // including inside the editors
+  useEffect(() => {
+    function handleGlobalKeyDown(e) {
+      if ((e.metaKey || e.ctrlKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault()
+        e.stopPropagation()
+        setShowCommandPalette((open) => !open)
+        return
+      }
+      const command = getShortcutCommand(e, commandContextRef.current)
+      if (command) {
+        e.preventDefault()
+        e.stopPropagation()
+        runCommand(command.id, commandContextRef.current)
+      }
+    }
+    window.addEventListener('keydown', handleGlobalKeyDown, true)
+    return () => window.removeEventListener('keydown', handleGlobalKeyDown, true)
+  }, [])
 
   // Find current document from documents list
   // Only match if the project context matches the URL's projectId
@@ -56,6 +107,10 @@ export default function Header() {
     ? documents.find(d => d.document_number === parseInt(docId, 10))
     : null
   
+  const pairedDocument = ctx.layout?.pairedDocumentId
+    ? documents.find(d => d.id === ctx.layout.pairedDocumentId) || null
+    : null
+
   // Track last synced project to avoid redundant refreshes
   const lastSyncedProjectRef = useRef(null)
   
@@ -112,6 +167,20 @@ export default function Header() {
       }
       
       if (mode === 'replace') {
+        // Keep the current content recoverable from version history
+        if (currentDocument) {
+          try {
+            await createDocumentVersion(currentDocument.id, {
+              reason: 'before_import',
+              notes_content: editor.document,
+            })
+          } catch (err) {
+            console.error('Failed to snapshot document before import:', err)
+            if (!window.confirm('Could not save a backup version. Replace the document anyway?')) {
+              return
+            }
+          }
+        }
         // Replace all existing content
         editor.replaceBlocks(editor.document, blocks)
       } else {
@@ -235,7 +304,7 @@ export default function Header() {
             <ActionIcon 
               variant="transparent" 
               size="sm" 
-              onClick={() => setShowProjectsModal(true)}
+              onClick={() => run('projects.open')}
               sx={{
                 flexShrink: 0,
                 '@media (max-width: 768px)': {
@@ -255,7 +324,7 @@ export default function Header() {
           <>
             <Switch
               checked={showLinks}
-              onChange={(e) => setShowLinks(e.currentTarget.checked)}
+              onChange={() => run('view.toggleLinks')}
               size="sm"
               label="Show links"
               labelPosition="left"
@@ -267,28 +336,107 @@ export default function Header() {
                 },
               }}
             />
-            <Button
-              variant="subtle"
-              onClick={() => setShowImportModal(true)}
-              size="xs"
-              leftSection={<IconFileImport size={16} />}
-              styles={{
-                root: {
-                  height: '36px',
-                  paddingLeft: '12px',
-                  paddingRight: '12px',
-                  fontWeight: 500,
-                  color: colorScheme === 'dark' ? '#9ca3af' : '#6b7280',
-                  '&:hover': {
-                    backgroundColor: colorScheme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.05)',
+            {isAvailable('document.importMarkdown') && (
+              <Button
+                variant="subtle"
+                onClick={() => run('document.importMarkdown')}
+                size="xs"
+                leftSection={<IconFileImport size={16} />}
+                styles={{
+                  root: {
+                    height: '36px',
+                    paddingLeft: '12px',
+                    paddingRight: '12px',
+                    fontWeight: 500,
+                    color: colorScheme === 'dark' ? '#9ca3af' : '#6b7280',
+                    '&:hover': {
+                      backgroundColor: colorScheme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.05)',
+                    },
                   },
-                },
-              }}
-            >
-              md
-            </Button>
+                }}
+              >
+                md
+              </Button>
+            )}
           </>
         )}
+        {pairedDocument && (
+          <SegmentedControl
+            size="xs"
+            value={ctx.layout.mode}
+            onChange={(mode) => ctx.updateLayout({ mode })}
+            data={getLayoutModeOptions(currentDocument, pairedDocument)}
+            styles={{ label: { maxWidth: 120, overflow: 'hidden', textOverflow: 'ellipsis' } }}
+          />
+        )}
+        {layoutCommands.length > 0 && !isMobile && (
+          <Menu shadow="md" width={240}>
+            <Menu.Target>
+              <ActionIcon variant="transparent" size="lg" title="Layout">
+                <IconLayoutColumns size={20} color={colorScheme === 'dark' ? '#9ca3af' : '#6b7280'} />
+              </ActionIcon>
+            </Menu.Target>
+            <Menu.Dropdown>
+              {layoutCommands.map((id) => {
+                const command = commands.find(c => c.id === id)
+                const Icon = command.icon
+                return (
+                  <Menu.Item key={id} leftSection={<Icon size={14} />} onClick={() => run(id)}>
+                    {command.label}
+                  </Menu.Item>
+                )
+              })}
+            </Menu.Dropdown>
+          </Menu>
+        )}
+        <ActionIcon
+          variant="transparent"
+          size="lg"
+          onClick={() => setShowCommandPalette(true)}
+          title="Command palette (Ctrl+K)"
+        >
+          <IconCommand size={20} color={colorScheme === 'dark' ? '#9ca3af' : '#6b7280'} />
+        </ActionIcon>
+        {isAvailable('search.open') && (
+          <ActionIcon
+            variant="transparent"
+            size="lg"
+            onClick={() => run('search.open')}
+            title="Search"
+          >
+            <IconSearch size={20} color={colorScheme === 'dark' ? '#9ca3af' : '#6b7280'} />
+          </ActionIcon>
+        )}
+        {isAvailable('projects.graph') && !isMobile && (
+          <ActionIcon
+            variant="transparent"
+            size="lg"
+            onClick={() => run('projects.graph')}
+            title="Link graph"
+          >
+            <IconChartDots3 size={20} color={colorScheme === 'dark' ? '#9ca3af' : '#6b7280'} />
+          </ActionIcon>
+        )}
+        {isAvailable('document.compareVersions') && (
+          <ActionIcon
+            variant="transparent"
+            size="lg"
+            onClick={() => run('document.compareVersions')}
+            title="Compare versions (Alt+Shift+D)"
+          >
+            <IconGitCompare size={20} color={colorScheme === 'dark' ? '#9ca3af' : '#6b7280'} />
+          </ActionIcon>
+        )}
+        {isAvailable('document.history') && (
+          <ActionIcon
+            variant="transparent"
+            size="lg"
+            onClick={() => run('document.history')}
+            title="Version history"
+          >
+            <IconHistory size={20} color={colorScheme === 'dark' ? '#9ca3af' : '#6b7280'} />
+          </ActionIcon>
+        )}
         <ActionIcon variant="transparent" size="lg" style={{ cursor: 'default' }}>
           {isSyncing ? (
             <Loader size={18} color={colorScheme === 'dark' ? '#9ca3af' : '#6b7280'} />
@@ -298,7 +446,7 @@ export default function Header() {
         </ActionIcon>
         <ActionIcon 
           variant="transparent" 
-          onClick={toggleColorScheme} 
+          onClick={() => run('view.toggleTheme')} 
           size="lg"
         >
           {colorScheme === 'dark' ? <IconSun size={20} color="#fbbf24" /> : <IconMoon size={20} color="#6b7280" />}
@@ -312,10 +460,10 @@ export default function Header() {
           <Menu.Dropdown>
             {user ? (
               <>
-                <Menu.Item leftSection={<IconSettings size={14} />} onClick={() => navigate('/settings')}>
+                <Menu.Item leftSection={<IconSettings size={14} />} onClick={() => run('app.settings')}>
                   Settings
                 </Menu.Item>
-                <Menu.Item leftSection={<IconHelp size={14} />} onClick={() => setShowHelpModal(true)}>
+                <Menu.Item leftSection={<IconHelp size={14} />} onClick={() => run('app.help')}>
                   Help
                 </Menu.Item>
                 <Menu.Divider />
@@ -335,7 +483,7 @@ export default function Header() {
                 <Menu.Item leftSection={<IconLogin size={14} />} onClick={() => setShowLoginModal(true)}>
                   Sign in
                 </Menu.Item>
-                <Menu.Item leftSection={<IconHelp size={14} />} onClick={() => setShowHelpModal(true)}>
+                <Menu.Item leftSection={<IconHelp size={14} />} onClick={() => run('app.help')}>
                   Help
                 </Menu.Item>
               </>
@@ -350,6 +498,25 @@ export default function Header() {
           onImport={handleMarkdownImport}
           editor={editor}
         />
+        <SearchModal opened={showSearchModal} onClose={() => setShowSearchModal(false)} />
+        <LinkReportModal opened={showLinkReport} onClose={() => setShowLinkReport(false)} />
+        <PairDocumentModal
+          opened={showPairModal}
+          onClose={() => setShowPairModal(false)}
+          onSelect={(doc) => ctx.updateLayout({ pairedDocumentId: doc.id })}
+          currentDocumentId={currentDocument?.id}
+        />
+        <CommandPalette
+          opened={showCommandPalette}
+          onClose={() => setShowCommandPalette(false)}
+          commands={commands}
+          onRunCommand={run}
+        />
+        <VersionDiffModal
+          opened={showDiffModal}
+          onClose={() => setShowDiffModal(false)}
+          document={currentDocument}
+        />
       </Group>
     </Group>
   )
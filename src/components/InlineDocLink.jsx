@@ -0,0 +1,168 @@
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { createReactInlineContentSpec, SuggestionMenuController } from '@blocknote/react'
+import { SuggestionMenu } from '@blocknote/core/extensions'
+import { IconFile, IconBrush } from '@tabler/icons-react'
+import { getProjects, getDocuments } from '../lib/api'
+import { isDrawing } from '../lib/documentType'
+import { fuzzyFilter } from '../lib/fuzzy'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import { DOC_LINK_TYPE, INLINE_LINK_TRIGGER, getInlineLinkTarget } from '../lib/inlineLinks'
+
+const MAX_SUGGESTIONS = 15
+
+// Clickable chip for an inline link, labelled with the target's current title
+function DocLinkChip({ inlineContent }) {
+  const { documentId, projectId, documentNumber, title, documentType } = inlineContent.props
+  const navigate = useNavigate()
+  const [target, setTarget] = useState(undefined) // undefined while loading, null when missing
+
+  useEffect(() => {
+    let cancelled = false
+    getInlineLinkTarget(documentId)
+      .then((data) => {
+        if (!cancelled) setTarget(data)
+      })
+      .catch((err) => {
+        console.error('DocLinkChip: Failed to load link target:', err)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [documentId])
+
+  const missing = target === null
+  const trashed = !!(target?.deleted_at || target?.project_deleted_at)
+  const label = target?.title || title || 'Untitled'
+  const Icon = (target ? isDrawing(target) : documentType === 'drawing') ? IconBrush : IconFile
+
+  function handleClick(e) {
+    e.preventDefault()
+    e.stopPropagation()
+    if (missing) return
+    const targetProjectId = target?.project_id || projectId
+    const targetNumber = target?.document_number || documentNumber
+    setLastVisitedDocumentNumber(targetProjectId, targetNumber)
+    navigate(`/${targetProjectId}/${targetNumber}`)
+  }
+
+  return (
+    <span
+      className={`doc-link-chip${missing ? ' doc-link-chip--missing' : ''}${trashed ? ' doc-link-chip--trashed' : ''}`}
+      onClick={handleClick}
+      title={missing ? 'Linked document was deleted or is no longer accessible' : trashed ? 'Linked document is in the trash' : label}
+    >
+      <Icon size={14} />
+      {label}
+    </span>
+  )
+}
+
+// Exports (copy, markdown) get a plain link that doesn't need the router
+function DocLinkExport({ inlineContent }) {
+  const { projectId, documentNumber, title } = inlineContent.props
+  return <a href={`/${projectId}/${documentNumber}`}>{title || 'Untitled'}</a>
+}
+
+export const docLinkSpec = createReactInlineContentSpec(
+  {
+    type: DOC_LINK_TYPE,
+    propSchema: {
+      documentId: { default: 0 },
+      projectId: { default: '' },
+      documentNumber: { default: 0 },
+      title: { default: '' }, // Title when linked; the chip shows the current one
+      documentType: { default: 'text' },
+    },
+    content: 'none',
+  },
+  {
+    render: DocLinkChip,
+    toExternalHTML: DocLinkExport,
+  }
+)
+
+// [[ autocomplete over documents in every project the user can open
+export function InlineLinkMenu({ editor, currentDocumentId }) {
+  const documentsRef = useRef(null) // Promise of all documents, loaded on first use
+
+  // The suggestion menu only matches single trigger characters as they're typed,
+  // so open it by hand once the second [ is in
+  useEffect(() => {
+    const suggestionMenu = editor.getExtension(SuggestionMenu)
+    let timer = null
+    const unsubscribe = editor.onChange(() => {
+      // Let the current transaction finish before replacing the typed brackets
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        if (!editor.isEditable || !editor.isFocused() || suggestionMenu.shown()) return
+        if (editor.getTextCursorPosition().block.type === 'codeBlock') return
+        const length = INLINE_LINK_TRIGGER.length
+        const before = editor.transact((tr) => (
+          tr.selection.empty ? tr.doc.textBetween(Math.max(0, tr.selection.from - length), tr.selection.from) : ''
+        ))
+        if (before !== INLINE_LINK_TRIGGER) return
+        editor.transact((tr) => tr.delete(tr.selection.from - length, tr.selection.from))
+        suggestionMenu.openSuggestionMenu(INLINE_LINK_TRIGGER, { deleteTriggerCharacter: true, ignoreQueryLength: true })
+      }, 0)
+    }, false)
+    return () => {
+      clearTimeout(timer)
+      unsubscribe()
+    }
+  }, [editor])
+
+  function loadDocuments() {
+    if (!documentsRef.current) {
+      documentsRef.current = (async () => {
+        const projects = await getProjects()
+        const perProject = await Promise.all(projects.map(async (p) => {
+          try {
+            const docs = await getDocuments(p.id)
+            return docs.map(doc => ({ ...doc, project_name: p.name }))
+          } catch (err) {
+            console.error('InlineLinkMenu: Failed to load documents for project:', p.id, err)
+            return []
+          }
+        }))
+        return perProject.flat().filter(doc => doc.id !== currentDocumentId)
+      })().catch((err) => {
+        documentsRef.current = null
+        throw err
+      })
+    }
+    return documentsRef.current
+  }
+
+  async function getItems(query) {
+    let documents = []
+    try {
+      documents = await loadDocuments()
+    } catch (err) {
+      console.error('InlineLinkMenu: Failed to load projects:', err)
+    }
+    const matches = fuzzyFilter(documents, query.trim(), doc => doc.title || 'Untitled')
+    return matches.slice(0, MAX_SUGGESTIONS).map(({ item: doc }) => ({
+      title: doc.title || 'Untitled',
+      subtext: doc.project_name,
+      icon: isDrawing(doc) ? <IconBrush size={18} /> : <IconFile size={18} />,
+      onItemClick: () => {
+        editor.insertInlineContent([
+          {
+            type: DOC_LINK_TYPE,
+            props: {
+              documentId: doc.id,
+              projectId: doc.project_id,
+              documentNumber: doc.document_number,
+              title: doc.title || 'Untitled',
+              documentType: isDrawing(doc) ? 'drawing' : 'text',
+            },
+          },
+          ' ',
+        ])
+      },
+    }))
+  }
+
+  return <SuggestionMenuController triggerCharacter={INLINE_LINK_TRIGGER} getItems={getItems} />
+}
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react'
+import { Portal, Paper, Stack, Group, Text, Loader, Box, Badge } from '@mantine/core'
+import { IconFile, IconBrush } from '@tabler/icons-react'
+import { getLinkPreview } from '../lib/linkPreview'
+import { isBrokenLink, getLinkStatusLabel, LINK_STATUS } from '../lib/linkStatus'
+
+const CARD_WIDTH = 280
+
+function formatDate(dateString) {
+  if (!dateString) return ''
+  const date = new Date(dateString)
+  const now = new Date()
+  const diff = now - date
+
+  if (diff < 60000) return 'Just now'
+  if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`
+  if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`
+  if (diff < 604800000) return `${Math.floor(diff / 86400000)}d ago`
+
+  return date.toLocaleDateString()
+}
+
+// Floating preview of a link target, shown next to the button at anchorRect
+// Missing targets aren't fetched - the card just says why the link is broken
+export default function LinkPreviewCard({ link, status, anchorRect }) {
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const unreachable = isBrokenLink(status) && status !== LINK_STATUS.TRASHED
+
+  useEffect(() => {
+    if (unreachable || !link.targetDocumentId) {
+      setLoading(false)
+      return
+    }
+    let cancelled = false
+    setLoading(true)
+    getLinkPreview(link.targetDocumentId)
+      .then((data) => {
+        if (!cancelled) setPreview(data)
+      })
+      .catch((err) => {
+        console.error('LinkPreviewCard: Failed to load preview:', err)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [link.targetDocumentId, unreachable])
+
+  // Right of the button, flipped to the left when there's no room
+  const left = anchorRect.right + 8 + CARD_WIDTH > window.innerWidth
+    ? Math.max(8, anchorRect.left - 8 - CARD_WIDTH)
+    : anchorRect.right + 8
+  const top = Math.max(8, Math.min(anchorRect.top - 8, window.innerHeight - 320))
+  const drawing = link.type === 'drawing'
+
+  return (
+    <Portal>
+      <Paper
+        shadow="md"
+        radius="md"
+        p="sm"
+        withBorder
+        style={{ position: 'fixed', left, top, width: CARD_WIDTH, zIndex: 300, pointerEvents: 'none' }}
+      >
+        <Stack gap="xs">
+          <Group gap="xs" wrap="nowrap">
+            {drawing ? (
+              <IconBrush size={16} color="var(--mantine-color-blue-6)" style={{ flexShrink: 0 }} />
+            ) : (
+              <IconFile size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
+            )}
+            <Text size="sm" fw={500} truncate style={{ flex: 1 }}>
+              {preview?.title || link.title || 'Untitled'}
+            </Text>
+            {preview?.trashed && <Badge size="xs" color="orange" variant="light">Trash</Badge>}
+          </Group>
+          {link.targetBlockLabel && (
+            <Text size="xs" c="dimmed" truncate>→ {link.targetBlockLabel}</Text>
+          )}
+          {loading ? (
+            <Group justify="center" py="xs"><Loader size="xs" /></Group>
+          ) : unreachable || !preview ? (
+            <Text size="xs" c="red">{getLinkStatusLabel(status) || getLinkStatusLabel(LINK_STATUS.MISSING)}</Text>
+          ) : (
+            <>
+              <Text size="xs" c="dimmed">Updated {formatDate(preview.updatedAt)}</Text>
+              {drawing ? (
+                preview.thumbnail ? (
+                  <Box
+                    style={{ maxHeight: 180, overflow: 'hidden', borderRadius: 4, border: '1px solid var(--mantine-color-default-border)' }}
+                    dangerouslySetInnerHTML={{ __html: preview.thumbnail }}
+                  />
+                ) : (
+                  <Text size="xs" c="dimmed">Empty drawing</Text>
+                )
+              ) : preview.blocks.length > 0 ? (
+                <Stack gap={4}>
+                  {preview.blocks.map((block) => (
+                    <Text
+                      key={block.id}
+                      size={block.type === 'heading' ? 'sm' : 'xs'}
+                      fw={block.type === 'heading' ? 600 : 400}
+                      lineClamp={2}
+                    >
+                      {block.text}
+                    </Text>
+                  ))}
+                </Stack>
+              ) : (
+                <Text size="xs" c="dimmed">Empty document</Text>
+              )}
+            </>
+          )}
+        </Stack>
+      </Paper>
+    </Portal>
+  )
+}
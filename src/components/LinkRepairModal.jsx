@@ -0,0 +1,42 @@
+import { Modal, Stack, Group, Text, Button, Alert } from '@mantine/core'
+import { IconAlertTriangle, IconReplace, IconTrash, IconArrowRight } from '@tabler/icons-react'
+import { LINK_STATUS, getLinkStatusLabel } from '../lib/linkStatus'
+
+// Explains why a link is broken and offers to point it elsewhere or drop it
+// Trashed targets can still be opened (and restored from there)
+export default function LinkRepairModal({ opened, onClose, link, status, onRetarget, onRemove, onOpen }) {
+  if (!link) return null
+
+  return (
+    <Modal opened={opened} onClose={onClose} title="Repair link" centered size="sm">
+      <Stack gap="md">
+        <Alert
+          color={status === LINK_STATUS.TRASHED ? 'orange' : 'red'}
+          variant="light"
+          icon={<IconAlertTriangle size={16} />}
+        >
+          {getLinkStatusLabel(status)}
+        </Alert>
+        <div>
+          <Text size="sm" fw={500}>{link.title || 'Untitled'}</Text>
+          {link.targetBlockLabel && (
+            <Text size="xs" c="dimmed">→ {link.targetBlockLabel}</Text>
+          )}
+        </div>
+        <Group justify="flex-end" gap="xs">
+          {status === LINK_STATUS.TRASHED && (
+            <Button variant="default" leftSection={<IconArrowRight size={16} />} onClick={onOpen}>
+              Open anyway
+            </Button>
+          )}
+          <Button variant="light" color="red" leftSection={<IconTrash size={16} />} onClick={onRemove}>
+            Remove link
+          </Button>
+          <Button leftSection={<IconReplace size={16} />} onClick={onRetarget}>
+            Choose new target
+          </Button>
+        </Group>
+      </Stack>
+    </Modal>
+  )
+}
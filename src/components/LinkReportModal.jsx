@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Modal, Stack, Group, Text, Badge, Button, Loader, Center, ActionIcon, Tooltip, Box } from '@mantine/core'
+import { IconFile, IconBrush, IconTrash, IconArrowRight, IconCircleCheck } from '@tabler/icons-react'
+import { useProjectContext } from '../context/ProjectContext'
+import { checkProjectLinks, updateDocumentLinks } from '../lib/api'
+import { LINK_STATUS, getLinkStatusLabel } from '../lib/linkStatus'
+import { canEdit } from '../lib/permissions'
+import { isDrawing } from '../lib/documentType'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import { isMirroredLink, getLinkSourceLabel } from '../lib/mirroredLinks'
+
+// Group report rows by the document the links live in
+function groupBySource(rows) {
+  const groups = new Map()
+  for (const row of rows) {
+    if (!groups.has(row.source.id)) {
+      groups.set(row.source.id, { source: row.source, rows: [] })
+    }
+    groups.get(row.source.id).rows.push(row)
+  }
+  return [...groups.values()]
+}
+
+// Project-wide list of links whose target is trashed, deleted or out of reach
+export default function LinkReportModal({ opened, onClose }) {
+  const { project } = useProjectContext()
+  const navigate = useNavigate()
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [removingId, setRemovingId] = useState(null)
+  const editable = canEdit(project?.role)
+
+  useEffect(() => {
+    if (opened && project?.id) {
+      loadReport()
+    }
+  }, [opened, project?.id])
+
+  async function loadReport() {
+    setLoading(true)
+    try {
+      setRows(await checkProjectLinks(project.id))
+    } catch (err) {
+      console.error('LinkReportModal: Failed to check links:', err)
+      setRows([])
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  function handleOpenSource(source) {
+    setLastVisitedDocumentNumber(project.id, source.document_number)
+    navigate(`/${project.id}/${source.document_number}`)
+    onClose()
+  }
+
+  async function handleRemove(row) {
+    const key = `${row.source.id}:${row.link.id}`
+    setRemovingId(key)
+    try {
+      // Other broken rows of the same document see the trimmed list for their own removal
+      const remaining = (row.source.document_links || []).filter(link => link.id !== row.link.id)
+      await updateDocumentLinks(row.source.id, remaining)
+      setRows(current => current
+        .filter(r => !(r.source.id === row.source.id && r.link.id === row.link.id))
+        .map(r => r.source.id === row.source.id ? { ...r, source: { ...r.source, document_links: remaining } } : r))
+    } catch (err) {
+      console.error('LinkReportModal: Failed to remove link:', err)
+      alert(err.message || 'Failed to remove link')
+    } finally {
+      setRemovingId(null)
+    }
+  }
+
+  const groups = groupBySource(rows)
+
+  return (
+    <Modal opened={opened} onClose={onClose} title="Check links" centered size="lg">
+      {loading ? (
+        <Center py="xl"><Loader size="sm" /></Center>
+      ) : groups.length === 0 ? (
+        <Center py="xl">
+          <Group gap="xs">
+            <IconCircleCheck size={18} color="var(--mantine-color-green-6)" />
+            <Text size="sm" c="dimmed">All links in {project?.name || 'this project'} work</Text>
+          </Group>
+        </Center>
+      ) : (
+        <Stack gap="md">
+          <Text size="sm" c="dimmed">
+            {rows.length} broken {rows.length === 1 ? 'link' : 'links'} in {groups.length} {groups.length === 1 ? 'document' : 'documents'}.
+            Open a document to retarget its links.
+          </Text>
+          {groups.map(({ source, rows: sourceRows }) => (
+            <Box key={source.id}>
+              <Group justify="space-between" wrap="nowrap" mb={4}>
+                <Group gap="xs" wrap="nowrap" style={{ minWidth: 0 }}>
+                  {isDrawing(source) ? (
+                    <IconBrush size={16} color="var(--mantine-color-blue-6)" style={{ flexShrink: 0 }} />
+                  ) : (
+                    <IconFile size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
+                  )}
+                  <Text size="sm" fw={500} truncate>{source.title || 'Untitled'}</Text>
+                </Group>
+                <Button size="compact-xs" variant="subtle" rightSection={<IconArrowRight size={12} />} onClick={() => handleOpenSource(source)}>
+                  Open
+                </Button>
+              </Group>
+              <Stack gap={4} pl="lg">
+                {sourceRows.map((row) => (
+                  <Group key={row.link.id} justify="space-between" wrap="nowrap">
+                    <div style={{ minWidth: 0 }}>
+                      <Text size="sm" truncate>
+                        {row.link.title || 'Untitled'}
+                        {row.link.targetBlockLabel ? ` → ${row.link.targetBlockLabel}` : ''}
+                      </Text>
+                      <Text size="xs" c="dimmed">
+                        {getLinkStatusLabel(row.status)}
+                        {isMirroredLink(row.link) ? ` · ${getLinkSourceLabel(row.link)}` : ''}
+                      </Text>
+                    </div>
+                    <Group gap="xs" wrap="nowrap">
+                      <Badge size="xs" variant="light" color={row.status === LINK_STATUS.TRASHED ? 'orange' : 'red'}>
+                        {row.status}
+                      </Badge>
+                      {/* Inline and drawing links live in the content - they're fixed by editing the document */}
+                      {editable && !isMirroredLink(row.link) && (
+                        <Tooltip label="Remove link">
+                          <ActionIcon
+                            size="sm"
+                            variant="subtle"
+                            color="red"
+                            loading={removingId === `${row.source.id}:${row.link.id}`}
+                            onClick={() => handleRemove(row)}
+                          >
+                            <IconTrash size={14} />
+                          </ActionIcon>
+                        </Tooltip>
+                      )}
+                    </Group>
+                  </Group>
+                ))}
+              </Stack>
+            </Box>
+          ))}
+        </Stack>
+      )}
+    </Modal>
+  )
+}
@@ -1,6 +1,7 @@
 import { Modal, Button, FileButton, Radio, Group, Stack, Text, Tabs, Textarea, Progress, CopyButton } from '@mantine/core'
 import { IconFileUpload, IconClipboard, IconFileExport, IconCopy, IconCheck } from '@tabler/icons-react'
 import { useState, useEffect } from 'react'
+import { resolveMarkdownFileUrls } from '../lib/fileStorage'
 
 export default function MarkdownImportModal({ opened, onClose, onImport, editor }) {
   const [file, setFile] = useState(null)
@@ -74,7 +75,8 @@ export default function MarkdownImportModal({ opened, onClose, onImport, editor
       // Generate markdown asynchronously
       const generateMarkdown = async () => {
         try {
-          const markdown = await editor.blocksToMarkdownLossy(editor.document)
+          // Uploaded files get links that open outside the app
+          const markdown = await resolveMarkdownFileUrls(await editor.blocksToMarkdownLossy(editor.document))
           clearInterval(progressInterval)
           setExportProgress(100)
           setExportMarkdown(markdown)
@@ -0,0 +1,25 @@
+import { highlightMarkdown } from '../lib/markdownHighlight'
+
+// Markdown textarea over a highlighted copy of its text
+// Both sit in the same grid cell, so the copy sets the height and the textarea
+// never scrolls on its own
+export default function MarkdownSourceEditor({ value, onChange, onFocus, onBlur, readOnly = false }) {
+  // A trailing newline only takes up a line in the copy if something follows it
+  const highlighted = highlightMarkdown(value) + (value.endsWith('\n') ? ' ' : '')
+
+  return (
+    <div className="markdown-source">
+      <pre className="markdown-source__highlight" aria-hidden="true" dangerouslySetInnerHTML={{ __html: highlighted }} />
+      <textarea
+        className="markdown-source__input"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onFocus={onFocus}
+        onBlur={onBlur}
+        readOnly={readOnly}
+        spellCheck={false}
+        aria-label="Markdown source"
+      />
+    </div>
+  )
+}
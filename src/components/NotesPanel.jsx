@@ -1,22 +1,37 @@
-import { Box, Loader, Center } from '@mantine/core'
-import { IconCopy } from '@tabler/icons-react'
-import { BlockNoteSchema, defaultBlockSpecs } from '@blocknote/core'
-import { useCreateBlockNote } from '@blocknote/react'
+import { Box, Loader, Center, Alert, SegmentedControl, Modal, Stack, Text, List, Group, Button } from '@mantine/core'
+import { IconCopy, IconAlertTriangle } from '@tabler/icons-react'
+import { BlockNoteSchema, defaultBlockSpecs, defaultInlineContentSpecs } from '@blocknote/core'
+import { blocksToYXmlFragment } from '@blocknote/core/yjs'
+import { filterSuggestionItems } from '@blocknote/core/extensions'
+import { useCreateBlockNote, SuggestionMenuController, getDefaultReactSlashMenuItems } from '@blocknote/react'
 import { BlockNoteView } from '@blocknote/mantine'
 import '@blocknote/mantine/style.css'
 import './NotesPanel.css'
 import { useState, useEffect, useRef, useMemo } from 'react'
-import { getDocumentContent, updateDocumentContent, updateDocumentLinks } from '../lib/api'
+import { useSearchParams, useNavigate } from 'react-router-dom'
+import { getDocumentContent, updateDocumentContent, updateDocumentLinks, getUserProfile, validateDocumentLinks, getDocumentSummaries } from '../lib/api'
+import { uploadDocumentFile, resolveFileUrl } from '../lib/fileStorage'
+import { createCollaborationDoc, connectCollaboration, destroyCollaborationDoc, seedCollaborationDoc, getCursorColor } from '../lib/collaboration'
 import { useTheme } from '../context/ThemeContext'
 import { useSync } from '../context/SyncContext'
 import { useAuth } from '../context/AuthContext'
 import { useEditor } from '../context/EditorContext'
 import FloatingLinkButton from './FloatingLinkButton'
-import DocumentLinkButtons, { checkOverlap, findNearestNonOverlappingY } from './DocumentLinkButtons'
+import DocumentLinkButtons, { checkOverlap, findNearestNonOverlappingY, placeLinks } from './DocumentLinkButtons'
 import DocumentLinkModal from './DocumentLinkModal'
+import LinkRepairModal from './LinkRepairModal'
+import { docLinkSpec, InlineLinkMenu } from './InlineDocLink'
+import { DRAWING_EMBED_TYPE, drawingEmbedSpec, getDrawingEmbedSlashItem } from './DrawingEmbedBlock'
+import MarkdownSourceEditor from './MarkdownSourceEditor'
 import { useProjectContext } from '../context/ProjectContext'
 import { useShowLinks } from '../context/ShowLinksContext'
 import { isDrawing } from '../lib/documentType'
+import { ANCHOR_PARAM, getLinkPath } from '../lib/anchors'
+import { getBlockAnchorAt } from '../lib/linkPlacement'
+import { DOC_LINK_TYPE, syncInlineLinks } from '../lib/inlineLinks'
+import { isMirroredLink } from '../lib/mirroredLinks'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import { TEXT_MODES, getMarkdownLosses, getMarkdownEditRange } from '../lib/markdownMode'
 
 // Hook to detect mobile viewport
 function useIsMobile() {
@@ -52,19 +67,22 @@ function useIsTablet() {
   return isTablet
 }
 
-// Only keep markdown-compatible block types
-const { 
-  audio, video, file, image, // remove media blocks
-  ...markdownBlocks 
-} = defaultBlockSpecs
-
+// Media blocks (image, video, audio, file) upload to storage, see lib/fileStorage.js
 const schema = BlockNoteSchema.create({
-  blockSpecs: markdownBlocks,
+  blockSpecs: {
+    ...defaultBlockSpecs,
+    [DRAWING_EMBED_TYPE]: drawingEmbedSpec, // Live preview of a drawing document
+  },
+  inlineContentSpecs: {
+    ...defaultInlineContentSpecs,
+    [DOC_LINK_TYPE]: docLinkSpec, // Inline [[links]] to other documents
+  },
 })
 
+// Fixed ids keep the collaboration seed of a new document identical on every client
 const defaultBlocks = [
-  { type: 'heading', props: { level: 2 }, content: 'Untitled' },
-  { type: 'paragraph', content: '' },
+  { id: 'initial-heading', type: 'heading', props: { level: 2 }, content: 'Untitled' },
+  { id: 'initial-paragraph', type: 'paragraph', content: '' },
 ]
 
 // Helper to check if a block is empty
@@ -802,17 +820,47 @@ function FloatingCopyButton({ editor }) {
   )
 }
 
-export default function NotesPanel({ docId }) {
+// registerEditor: whether this panel is the page's editor (EditorContext). A
+// document shown side by side with another must leave that to the primary panel.
+export default function NotesPanel({ docId, readOnly = false, registerEditor = true }) {
   const isMobile = useIsMobile()
   const isTablet = useIsTablet()
   const [loading, setLoading] = useState(true)
-  const editor = useCreateBlockNote({ schema, initialContent: defaultBlocks })
+  // Load content when docId changes or when auth state changes (user logs in/out)
+  const { user } = useAuth()
+  // One shared Yjs document per open document; the editor is rebuilt around it
+  const collab = useMemo(() => createCollaborationDoc(), [docId])
+  const editor = useCreateBlockNote({
+    schema,
+    // Files go into the document's folder; the block type (when known) sets the limits
+    uploadFile: async (file, blockId) => {
+      const summaries = await getDocumentSummaries([docId])
+      const projectId = summaries.get(docId)?.project_id
+      if (!projectId) throw new Error('Document not found or access denied')
+      const blockType = blockId ? editor.getBlock(blockId)?.type : undefined
+      return uploadDocumentFile(projectId, docId, file, blockType)
+    },
+    resolveFileUrl,
+    collaboration: {
+      fragment: collab.fragment,
+      provider: { awareness: collab.awareness },
+      user: { name: user?.email || 'Guest', color: getCursorColor(user?.id) },
+      showCursorLabels: 'activity',
+    },
+  }, [collab])
   const saveTimeout = useRef(null)
   const lastSavedContent = useRef(null)
   const whiteBackgroundRef = useRef(null)
   const [links, setLinks] = useState([]) // Store document/drawing links
+  const linksRef = useRef(links) // Latest links for the debounced content save
+  linksRef.current = links
+  // Inline [[links]] are mirrored in document_links but have no margin button
+  const marginLinks = useMemo(() => links.filter(link => !isMirroredLink(link)), [links])
   const [linkModalOpened, setLinkModalOpened] = useState(false)
   const [pendingLinkPosition, setPendingLinkPosition] = useState(null)
+  const [linkStatuses, setLinkStatuses] = useState({}) // linkId -> { status, target }
+  const [repairingLink, setRepairingLink] = useState(null) // Link shown in the repair dialog
+  const [retargetLinkId, setRetargetLinkId] = useState(null) // Set while picking a new target for a link
   const linkIdCounter = useRef(0) // Counter for generating unique link IDs
   const isAddingLinkRef = useRef(false) // Prevent multiple button creation
   const { colorScheme } = useTheme()
@@ -820,27 +868,154 @@ export default function NotesPanel({ docId }) {
   const { setEditor } = useEditor()
   const { project } = useProjectContext()
   const [showLinks] = useShowLinks()
-
-  // Load content when docId changes or when auth state changes (user logs in/out)
-  const { user } = useAuth()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const anchorBlockId = searchParams.get(ANCHOR_PARAM)
+  const [anchorNotice, setAnchorNotice] = useState(null)
+  const [textMode, setTextMode] = useState(TEXT_MODES.TEXT) // text_mode: rich text or Markdown source
+  const [markdown, setMarkdown] = useState(null) // Source shown in Markdown mode
+  const [markdownLosses, setMarkdownLosses] = useState([]) // What the next Markdown edit removes
+  const [pendingLosses, setPendingLosses] = useState(null) // Shown before switching to Markdown
+  const markdownTimer = useRef(null)
+  const applyingMarkdownRef = useRef(false) // Set while our own parsed blocks go into the editor
+  const markdownKeysRef = useRef(null) // Markdown of each block as the source was last shown or applied
+  const markdownFocusedRef = useRef(false)
 
   // Provide editor to context
   useEffect(() => {
+    if (!registerEditor) return
     if (editor) {
       setEditor(editor)
     }
     return () => {
       setEditor(null)
     }
-  }, [editor, setEditor])
+  }, [editor, setEditor, registerEditor])
   
+  // Free the previous document's Y.Doc and awareness. Deferred so that
+  // StrictMode's immediate re-run of the effect keeps using them.
+  const activeCollabRef = useRef(null)
+  useEffect(() => {
+    activeCollabRef.current = collab
+    return () => {
+      activeCollabRef.current = null
+      setTimeout(() => {
+        if (activeCollabRef.current !== collab) destroyCollaborationDoc(collab)
+      }, 0)
+    }
+  }, [collab])
+
   useEffect(() => {
     if (!docId) return
+    // Guests edit solo; signed-in users join the document's realtime channel
+    const connection = user ? connectCollaboration(collab, docId) : null
     setLoading(true)
-    loadContent()
-  }, [docId, user]) // Reload when docId or user (auth state) changes
+    loadContent(connection)
+    return () => {
+      connection?.disconnect()
+    }
+  }, [collab, user]) // Reload when docId (new collab doc) or user (auth state) changes
+
+  // Label our remote cursor with the profile display name
+  useEffect(() => {
+    if (!user) return
+    let cancelled = false
+    getUserProfile()
+      .then((profile) => {
+        if (cancelled) return
+        collab.awareness.setLocalStateField('user', {
+          name: profile?.display_name || user.email || 'Anonymous',
+          color: getCursorColor(user.id),
+        })
+      })
+      .catch((err) => {
+        console.error('Failed to load profile for collaboration cursor:', err)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [collab, user])
 
-  async function loadContent() {
+  // Follow ?anchor=<blockId> from heading links once the content is in the editor
+  useEffect(() => {
+    if (loading || !anchorBlockId) return
+    const timer = setTimeout(() => {
+      const blockElement = editor.getBlock(anchorBlockId)
+        ? whiteBackgroundRef.current?.querySelector(`[data-id="${CSS.escape(anchorBlockId)}"]`)
+        : null
+      if (blockElement) {
+        blockElement.scrollIntoView({ behavior: 'smooth', block: 'start' })
+        blockElement.classList.add('anchor-highlight')
+        setTimeout(() => blockElement.classList.remove('anchor-highlight'), 2000)
+      } else {
+        whiteBackgroundRef.current?.parentElement?.scrollTo({ top: 0 })
+        setAnchorNotice('The linked heading no longer exists, showing the start of the document')
+      }
+      // Drop the parameter so a reload doesn't jump again
+      setSearchParams((params) => {
+        params.delete(ANCHOR_PARAM)
+        return params
+      }, { replace: true })
+    }, 150)
+    return () => clearTimeout(timer)
+  }, [loading, anchorBlockId, editor])
+
+  // Markdown mode shows the blocks as source. Remote edits are followed while
+  // the user isn't typing in it.
+  useEffect(() => {
+    if (loading || textMode !== TEXT_MODES.MARKDOWN) return
+    let cancelled = false
+    async function refresh() {
+      try {
+        const source = await editor.blocksToMarkdownLossy(editor.document)
+        if (cancelled) return
+        markdownKeysRef.current = getBlockMarkdownKeys(editor.document)
+        setMarkdown(source)
+        setMarkdownLosses(getMarkdownLosses(editor.document))
+      } catch (err) {
+        console.error('NotesPanel: Failed to convert to markdown:', err)
+      }
+    }
+    refresh()
+    const unsubscribe = editor.onChange(() => {
+      if (applyingMarkdownRef.current || markdownFocusedRef.current) return
+      refresh()
+    })
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [loading, textMode, editor])
+
+  useEffect(() => () => clearTimeout(markdownTimer.current), [])
+
+  useEffect(() => {
+    if (!anchorNotice) return
+    const timer = setTimeout(() => setAnchorNotice(null), 6000)
+    return () => clearTimeout(timer)
+  }, [anchorNotice])
+
+  // Check link targets whenever the set of targets changes (not on every reposition)
+  const linkTargetsKey = links.map(link => `${link.id}:${link.targetDocumentId}`).join(',')
+  useEffect(() => {
+    if (links.length === 0) {
+      setLinkStatuses({})
+      return
+    }
+    let cancelled = false
+    validateDocumentLinks(links)
+      .then((statuses) => {
+        if (!cancelled) setLinkStatuses(statuses)
+      })
+      .catch((err) => {
+        console.error('NotesPanel: Failed to validate links:', err)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [linkTargetsKey])
+
+  async function loadContent(connection) {
     try {
       const content = await getDocumentContent(docId)
       if (!content) {
@@ -848,26 +1023,24 @@ export default function NotesPanel({ docId }) {
         return
       }
       
+      // Wait for peers that already have the document open - their state wins
+      if (connection) {
+        await connection.synced
+      }
+      
       // Load notes content
-      // Check if notes_content exists and is a valid array
-      if (content.notes_content !== null && content.notes_content !== undefined) {
-        if (Array.isArray(content.notes_content) && content.notes_content.length > 0) {
-          editor.replaceBlocks(editor.document, content.notes_content)
-          lastSavedContent.current = JSON.stringify(content.notes_content)
-        } else if (Array.isArray(content.notes_content) && content.notes_content.length === 0) {
-          // Empty array - set default blocks
-          editor.replaceBlocks(editor.document, defaultBlocks)
-          lastSavedContent.current = JSON.stringify(defaultBlocks)
-        } else {
-          // Invalid format - set default blocks
-          editor.replaceBlocks(editor.document, defaultBlocks)
-          lastSavedContent.current = JSON.stringify(defaultBlocks)
-        }
-      } else {
-        // No notes_content - set default blocks
-        editor.replaceBlocks(editor.document, defaultBlocks)
-        lastSavedContent.current = JSON.stringify(defaultBlocks)
+      // Only seed the shared document when nobody else has filled it yet. Clients
+      // that seed at the same time write identical items, so the blocks aren't
+      // duplicated once the peers merge (see seedCollaborationDoc).
+      let initialBlocks = defaultBlocks
+      if (Array.isArray(content.notes_content) && content.notes_content.length > 0) {
+        initialBlocks = content.notes_content
       }
+      const seedKey = JSON.stringify(initialBlocks)
+      if (seedCollaborationDoc(collab, seedKey, fragment => blocksToYXmlFragment(editor, initialBlocks, fragment))) {
+        lastSavedContent.current = seedKey
+      }
+      setTextMode(content.text_mode === TEXT_MODES.MARKDOWN ? TEXT_MODES.MARKDOWN : TEXT_MODES.TEXT)
       
       // Load document links
       if (content.document_links && Array.isArray(content.document_links)) {
@@ -890,6 +1063,8 @@ export default function NotesPanel({ docId }) {
       
       // Focus on second block
       setTimeout(() => {
+        // Heading links scroll to their target instead
+        if (readOnly || new URLSearchParams(window.location.search).has(ANCHOR_PARAM)) return
         const blocks = editor.document
         if (blocks.length > 1) {
           editor.setTextCursorPosition(blocks[1].id, 'start')
@@ -928,36 +1103,51 @@ export default function NotesPanel({ docId }) {
     }
   }
   
-  function handleLinkSelected(selectedDocument, selectedProject) {
+  function handleLinkSelected(selectedDocument, selectedProject, anchor) {
+    if (retargetLinkId && selectedProject) {
+      retargetLink(retargetLinkId, selectedDocument, selectedProject, anchor)
+      setRetargetLinkId(null)
+      setLinkModalOpened(false)
+      return
+    }
     if (!pendingLinkPosition || !selectedProject) return
     
     const buttonSize = 32
     const spacing = 4
     const position = pendingLinkPosition
+    // Compare against where the buttons are now, not where they were created
+    const placedLinks = placeLinks(marginLinks, whiteBackgroundRef.current, buttonSize, spacing)
     
     // Check if position would overlap
-    if (checkOverlap(position.y, links, buttonSize, spacing)) {
-      const adjustment = findNearestNonOverlappingY(position.y, links, buttonSize, spacing)
+    if (checkOverlap(position.y, placedLinks, buttonSize, spacing)) {
+      const adjustment = findNearestNonOverlappingY(position.y, placedLinks, buttonSize, spacing)
       if (adjustment !== null && Math.abs(adjustment) < buttonSize * 10) {
-        createLink(selectedDocument, selectedProject, position, adjustment)
+        createLink(selectedDocument, selectedProject, position, adjustment, anchor)
       }
     } else {
-      createLink(selectedDocument, selectedProject, position, 0)
+      createLink(selectedDocument, selectedProject, position, 0, anchor)
     }
     
     setPendingLinkPosition(null)
     setLinkModalOpened(false)
   }
   
-  async function createLink(selectedDocument, selectedProject, position, adjustment) {
+  async function createLink(selectedDocument, selectedProject, position, adjustment, anchor) {
     const linkType = isDrawing(selectedDocument) ? 'drawing' : 'document'
+    // Attach to the block next to the click so the button follows it; y stays as the fallback
+    const blockAnchor = getBlockAnchorAt(whiteBackgroundRef.current, position.y)
     const newLink = {
       id: `link-${linkIdCounter.current++}`,
       targetDocumentId: selectedDocument.id,
       targetDocumentNumber: selectedDocument.document_number,
       targetProjectId: selectedProject.id,
+      // Heading the link points at; null means the start of the document
+      targetBlockId: anchor?.blockId || null,
+      targetBlockLabel: anchor?.label || null,
       type: linkType,
       title: selectedDocument.title || (linkType === 'document' ? 'Untitled' : 'Untitled drawing'),
+      sourceBlockId: blockAnchor?.blockId || null,
+      sourceBlockOffset: blockAnchor?.blockOffset || 0,
       x: position.x,
       y: position.y,
       adjustedY: adjustment,
@@ -974,6 +1164,48 @@ export default function NotesPanel({ docId }) {
     }
   }
   
+  // Point an existing link at a new target, keeping its place in the document
+  async function retargetLink(linkId, selectedDocument, selectedProject, anchor) {
+    const linkType = isDrawing(selectedDocument) ? 'drawing' : 'document'
+    const updatedLinks = links.map(link => link.id === linkId
+      ? {
+          ...link,
+          targetDocumentId: selectedDocument.id,
+          targetDocumentNumber: selectedDocument.document_number,
+          targetProjectId: selectedProject.id,
+          targetBlockId: anchor?.blockId || null,
+          targetBlockLabel: anchor?.label || null,
+          type: linkType,
+          title: selectedDocument.title || (linkType === 'document' ? 'Untitled' : 'Untitled drawing'),
+        }
+      : link)
+    setLinks(updatedLinks)
+    const result = await saveLinks(updatedLinks)
+    
+    if (result && result.document_links_skipped) {
+      setLinks(links) // Revert to previous state
+    }
+  }
+  
+  function handleRepairRetarget() {
+    setRetargetLinkId(repairingLink.id)
+    setRepairingLink(null)
+    setLinkModalOpened(true)
+  }
+  
+  function handleRepairRemove() {
+    handleDeleteLink(repairingLink.id)
+    setRepairingLink(null)
+  }
+  
+  function handleRepairOpen() {
+    const path = getLinkPath(repairingLink, project?.id)
+    setRepairingLink(null)
+    if (!path) return
+    setLastVisitedDocumentNumber(repairingLink.targetProjectId || project?.id, repairingLink.targetDocumentNumber)
+    navigate(path)
+  }
+  
   async function handleDeleteLink(linkId) {
     const updatedLinks = links.filter(link => link.id !== linkId)
     setLinks(updatedLinks)
@@ -986,20 +1218,108 @@ export default function NotesPanel({ docId }) {
   }
 
   function handleChange() {
+    // Viewers still receive remote edits, but never write them back
+    if (readOnly) return
     if (saveTimeout.current) clearTimeout(saveTimeout.current)
     saveTimeout.current = setTimeout(() => {
       saveContent()
     }, 1000)
   }
 
+  function handleMarkdownChange(value) {
+    setMarkdown(value)
+    if (readOnly) return
+    clearTimeout(markdownTimer.current)
+    markdownTimer.current = setTimeout(() => applyMarkdown(value), 600)
+  }
+
+  function getBlockMarkdownKeys(blocks) {
+    return blocks.map(block => editor.blocksToMarkdownLossy([block]))
+  }
+
+  // Put the parsed source into the editor; the editor's onChange then saves it.
+  // Only the changed blocks are touched, and those are updated in place where
+  // possible, so they keep their ids.
+  async function applyMarkdown(source) {
+    clearTimeout(markdownTimer.current)
+    markdownTimer.current = null
+    try {
+      const parsed = await editor.tryParseMarkdownToBlocks(source)
+      const blocks = parsed.length > 0 ? parsed : [{ type: 'paragraph' }]
+      const current = editor.document
+      const currentKeys = getBlockMarkdownKeys(current)
+      const newKeys = getBlockMarkdownKeys(blocks)
+      const { from, to, newFrom, newTo } = getMarkdownEditRange(currentKeys, newKeys, markdownKeysRef.current)
+      const paired = Math.min(to - from, newTo - newFrom)
+      applyingMarkdownRef.current = true
+      try {
+        editor.transact(() => {
+          for (let i = 0; i < paired; i++) {
+            if (currentKeys[from + i] === newKeys[newFrom + i]) continue
+            const { id, ...update } = blocks[newFrom + i]
+            editor.updateBlock(current[from + i], update)
+          }
+          const added = blocks.slice(newFrom + paired, newTo)
+          const removed = current.slice(from + paired, to)
+          if (added.length > 0) {
+            const after = from + paired > 0
+            editor.insertBlocks(added, after ? current[from + paired - 1] : current[to], after ? 'after' : 'before')
+          }
+          if (removed.length > 0) {
+            editor.removeBlocks(removed)
+          }
+        })
+      } finally {
+        applyingMarkdownRef.current = false
+      }
+      markdownKeysRef.current = newKeys
+      setMarkdownLosses([])
+    } catch (err) {
+      console.error('NotesPanel: Failed to parse markdown:', err)
+    }
+  }
+
+  async function handleTextModeChange(mode) {
+    if (mode === textMode) return
+    if (mode === TEXT_MODES.MARKDOWN) {
+      const losses = getMarkdownLosses(editor.document)
+      if (losses.length > 0 && !readOnly) {
+        setPendingLosses(losses)
+        return
+      }
+    } else if (markdownTimer.current) {
+      await applyMarkdown(markdown)
+    }
+    switchTextMode(mode)
+  }
+
+  function switchTextMode(mode) {
+    setPendingLosses(null)
+    setTextMode(mode)
+    if (mode === TEXT_MODES.TEXT) setMarkdown(null)
+    if (readOnly) return
+    updateDocumentContent(docId, { text_mode: mode }).catch((err) => {
+      console.error('Failed to save text mode:', err)
+    })
+  }
+
   async function saveContent() {
     if (!docId) return
     const currentContent = JSON.stringify(editor.document)
     if (currentContent === lastSavedContent.current) return
     
+    // Keep the inline entries of document_links in step with the [[links]] in the text
+    const currentLinks = linksRef.current
+    const syncedLinks = syncInlineLinks(currentLinks, editor.document)
+    const updates = { notes_content: editor.document }
+    if (syncedLinks !== currentLinks) {
+      updates.document_links = syncedLinks
+      setLinks(syncedLinks)
+    }
+    
     try {
       setIsSyncing(true)
-      await updateDocumentContent(docId, { notes_content: editor.document })
+      await updateDocumentContent(docId, updates)
       lastSavedContent.current = currentContent
     } catch (err) {
       console.error('Failed to save notes:', err)
@@ -1056,6 +1376,34 @@ export default function NotesPanel({ docId }) {
           },
         }}
       >
+        <SegmentedControl
+          size="xs"
+          value={textMode}
+          onChange={handleTextModeChange}
+          data={[
+            { value: TEXT_MODES.TEXT, label: 'Text' },
+            { value: TEXT_MODES.MARKDOWN, label: 'Markdown' },
+          ]}
+          style={{ position: 'absolute', top: '0.5rem', right: isMobile ? '0.5rem' : '1rem', zIndex: 10 }}
+        />
+        {anchorNotice && (
+          <Alert
+            color="yellow"
+            withCloseButton
+            onClose={() => setAnchorNotice(null)}
+            py="xs"
+            style={{
+              position: 'absolute',
+              top: '0.5rem',
+              left: '50%',
+              transform: 'translateX(-50%)',
+              zIndex: 20,
+              maxWidth: 'calc(100% - 2rem)',
+            }}
+          >
+            {anchorNotice}
+          </Alert>
+        )}
         <Box
           ref={whiteBackgroundRef}
           style={{
@@ -1073,8 +1421,29 @@ export default function NotesPanel({ docId }) {
             boxSizing: 'border-box',
           }}
         >
+          {textMode === TEXT_MODES.MARKDOWN && (
+            <>
+              {markdownLosses.length > 0 && !readOnly && (
+                <Alert color="yellow" icon={<IconAlertTriangle size={16} />} py="xs" mb="xs">
+                  Editing as Markdown will remove: {markdownLosses.join(', ')}
+                </Alert>
+              )}
+              {markdown === null ? (
+                <Center py="xl"><Loader size="sm" /></Center>
+              ) : (
+                <MarkdownSourceEditor
+                  value={markdown}
+                  onChange={handleMarkdownChange}
+                  onFocus={() => { markdownFocusedRef.current = true }}
+                  onBlur={() => { markdownFocusedRef.current = false }}
+                  readOnly={readOnly}
+                />
+              )}
+            </>
+          )}
           <Box
             style={{
+              display: textMode === TEXT_MODES.MARKDOWN ? 'none' : 'block', // Kept mounted for collaboration and saving
               paddingLeft: isMobile ? '0' : '2.25rem', // No left padding on mobile to hug buttons
               paddingRight: isMobile ? '0' : '0', // No right padding on mobile
               width: '100%',
@@ -1089,19 +1458,31 @@ export default function NotesPanel({ docId }) {
               minWidth: 0,
               boxSizing: 'border-box',
             }}>
-              <BlockNoteView editor={editor} theme={colorScheme} onChange={handleChange} />
+              <BlockNoteView editor={editor} theme={colorScheme} editable={!readOnly} onChange={handleChange} slashMenu={false}>
+                <SuggestionMenuController
+                  triggerCharacter="/"
+                  getItems={async (query) => filterSuggestionItems(
+                    [...getDefaultReactSlashMenuItems(editor), getDrawingEmbedSlashItem(editor)],
+                    query
+                  )}
+                />
+                {!readOnly && <InlineLinkMenu editor={editor} currentDocumentId={docId} />}
+              </BlockNoteView>
             </div>
           </Box>
-          {showLinks && links.length > 0 && (
+          {showLinks && textMode === TEXT_MODES.TEXT && marginLinks.length > 0 && (
             <DocumentLinkButtons
               containerRef={whiteBackgroundRef}
-              links={links}
+              links={marginLinks}
+              linkStatuses={linkStatuses}
               onDeleteLink={handleDeleteLink}
+              onRepairLink={setRepairingLink}
+              readOnly={readOnly}
             />
           )}
         </Box>
-        <FloatingCopyButton editor={editor} />
-        {showLinks && (
+        {textMode === TEXT_MODES.TEXT && <FloatingCopyButton editor={editor} />}
+        {showLinks && !readOnly && textMode === TEXT_MODES.TEXT && (
           <FloatingLinkButton
             containerRef={whiteBackgroundRef}
             onLinkClick={(position) => {
@@ -1125,10 +1506,37 @@ export default function NotesPanel({ docId }) {
           onClose={() => {
             setLinkModalOpened(false)
             setPendingLinkPosition(null)
+            setRetargetLinkId(null)
           }}
           onSelectDocument={handleLinkSelected}
           currentDocumentId={docId ? docId : null}
         />
+        <Modal
+          opened={!!pendingLosses}
+          onClose={() => setPendingLosses(null)}
+          title="Switch to Markdown?"
+        >
+          <Stack gap="sm">
+            <Text size="sm">Markdown can't represent everything in this document. Editing it as Markdown will remove:</Text>
+            <List size="sm">
+              {(pendingLosses || []).map(loss => <List.Item key={loss}>{loss}</List.Item>)}
+            </List>
+            <Text size="sm" c="dimmed">Nothing changes until you edit the Markdown.</Text>
+            <Group justify="flex-end">
+              <Button variant="default" onClick={() => setPendingLosses(null)}>Cancel</Button>
+              <Button color="orange" onClick={() => switchTextMode(TEXT_MODES.MARKDOWN)}>Switch to Markdown</Button>
+            </Group>
+          </Stack>
+        </Modal>
+        <LinkRepairModal
+          opened={!!repairingLink}
+          onClose={() => setRepairingLink(null)}
+          link={repairingLink}
+          status={repairingLink ? linkStatuses[repairingLink.id]?.status : null}
+          onRetarget={handleRepairRetarget}
+          onRemove={handleRepairRemove}
+          onOpen={handleRepairOpen}
+        />
       </Box>
     </Box>
   )
@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react'
+import { Modal, Stack, Group, Text, TextInput, Box, Center } from '@mantine/core'
+import { IconFile, IconBrush, IconSearch } from '@tabler/icons-react'
+import { useProjectContext } from '../context/ProjectContext'
+import { isDrawing } from '../lib/documentType'
+import { fuzzyFilter } from '../lib/fuzzy'
+import './Sidebar.css'
+
+// Pick a document of the current project to show next to the open one
+export default function PairDocumentModal({ opened, onClose, onSelect, currentDocumentId }) {
+  const { documents = [] } = useProjectContext()
+  const [query, setQuery] = useState('')
+
+  useEffect(() => {
+    if (opened) setQuery('')
+  }, [opened])
+
+  const candidates = documents.filter(doc => doc.id !== currentDocumentId)
+  const matches = fuzzyFilter(candidates, query.trim(), doc => doc.title || 'Untitled')
+
+  function handleSelect(doc) {
+    onSelect(doc)
+    onClose()
+  }
+
+  return (
+    <Modal opened={opened} onClose={onClose} title="Show document side by side" size="md">
+      <Stack gap="sm">
+        <TextInput
+          placeholder="Search documents..."
+          leftSection={<IconSearch size={16} />}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          data-autofocus
+        />
+        <Box style={{ maxHeight: 360, overflowY: 'auto' }}>
+          {matches.length === 0 ? (
+            <Center py="xl">
+              <Text size="sm" c="dimmed">
+                {candidates.length === 0 ? 'No other documents in this project' : 'No matching documents'}
+              </Text>
+            </Center>
+          ) : (
+            <Stack gap={4}>
+              {matches.map(({ item: doc }) => (
+                <Box key={doc.id} onClick={() => handleSelect(doc)} p="xs" className="sidebar-item">
+                  <Group gap="xs" wrap="nowrap">
+                    {isDrawing(doc) ? (
+                      <IconBrush size={16} color="var(--mantine-color-blue-6)" style={{ flexShrink: 0 }} />
+                    ) : (
+                      <IconFile size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
+                    )}
+                    <Text size="sm" truncate>{doc.title || 'Untitled'}</Text>
+                  </Group>
+                </Box>
+              ))}
+            </Stack>
+          )}
+        </Box>
+      </Stack>
+    </Modal>
+  )
+}
@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react'
+import { Stack, Group, Text, TextInput, Button, Select, ActionIcon, Alert, Loader, Center, Badge } from '@mantine/core'
+import { IconTrash, IconUserPlus } from '@tabler/icons-react'
+import { useAuth } from '../context/AuthContext'
+import { getProjectMembers, inviteProjectMember, updateProjectMemberRole, removeProjectMember } from '../lib/api'
+import { ROLES, MEMBER_ROLES, canManage } from '../lib/permissions'
+
+const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Owner',
+  [ROLES.EDITOR]: 'Editor',
+  [ROLES.VIEWER]: 'Viewer',
+}
+
+const ROLE_OPTIONS = MEMBER_ROLES.map(role => ({ value: role, label: ROLE_LABELS[role] }))
+
+export default function ProjectMembersPanel({ project }) {
+  const { user } = useAuth()
+  const [members, setMembers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState(ROLES.EDITOR)
+  const [inviting, setInviting] = useState(false)
+  const [error, setError] = useState('')
+  const isManager = canManage(project.role)
+
+  useEffect(() => {
+    loadMembers()
+  }, [project.id])
+
+  async function loadMembers() {
+    setLoading(true)
+    try {
+      const data = await getProjectMembers(project.id)
+      setMembers(data || [])
+    } catch (err) {
+      console.error('ProjectMembersPanel: Failed to load members:', err)
+      setMembers([])
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handleInvite(e) {
+    e.preventDefault()
+    if (!email.trim()) return
+    setError('')
+    setInviting(true)
+    try {
+      await inviteProjectMember(project.id, email, role)
+      setEmail('')
+      await loadMembers()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setInviting(false)
+    }
+  }
+
+  async function handleRoleChange(member, newRole) {
+    if (!newRole || newRole === member.role) return
+    setError('')
+    try {
+      await updateProjectMemberRole(project.id, member.user_id, newRole)
+      setMembers(prev => prev.map(m => m.user_id === member.user_id ? { ...m, role: newRole } : m))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function handleRemove(member) {
+    setError('')
+    try {
+      await removeProjectMember(project.id, member.user_id)
+      setMembers(prev => prev.filter(m => m.user_id !== member.user_id))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <Stack gap="sm">
+      {error && <Alert color="red">{error}</Alert>}
+
+      {isManager && (
+        <form onSubmit={handleInvite}>
+          <Group gap="xs" wrap="nowrap" align="flex-end">
+            <TextInput
+              placeholder="Invite by email"
+              type="email"
+              size="xs"
+              value={email}
+              onChange={(e) => {
+                if (e.target.value.length <= 254) {
+                  setEmail(e.target.value)
+                }
+              }}
+              style={{ flex: 1 }}
+            />
+            <Select
+              size="xs"
+              data={ROLE_OPTIONS}
+              value={role}
+              onChange={(value) => value && setRole(value)}
+              allowDeselect={false}
+              style={{ width: 100 }}
+            />
+            <Button
+              type="submit"
+              size="xs"
+              variant="outline"
+              leftSection={<IconUserPlus size={14} />}
+              loading={inviting}
+            >
+              Invite
+            </Button>
+          </Group>
+        </form>
+      )}
+
+      {loading ? (
+        <Center py="xl">
+          <Loader size="sm" />
+        </Center>
+      ) : (
+        <Stack gap={4}>
+          {members.map((member) => {
+            const isOwner = member.role === ROLES.OWNER
+            const isSelf = member.user_id === user?.id
+            return (
+              <Group key={member.user_id} gap="xs" p="xs" wrap="nowrap" className="sidebar-item">
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <Text size="sm" truncate>
+                    {member.display_name || member.email || 'Unknown user'}
+                    {isSelf && <Text span size="xs" c="dimmed"> (you)</Text>}
+                  </Text>
+                  {member.display_name && member.email && (
+                    <Text size="xs" c="dimmed" truncate>{member.email}</Text>
+                  )}
+                </div>
+                {isManager && !isOwner ? (
+                  <>
+                    <Select
+                      size="xs"
+                      data={ROLE_OPTIONS}
+                      value={member.role}
+                      onChange={(value) => handleRoleChange(member, value)}
+                      allowDeselect={false}
+                      style={{ width: 100 }}
+                    />
+                    <ActionIcon
+                      variant="subtle"
+                      size="sm"
+                      color="gray"
+                      onClick={() => handleRemove(member)}
+                    >
+                      <IconTrash size={14} />
+                    </ActionIcon>
+                  </>
+                ) : (
+                  <Badge size="sm" variant="light" color={isOwner ? 'blue' : 'gray'}>
+                    {ROLE_LABELS[member.role] || member.role}
+                  </Badge>
+                )}
+              </Group>
+            )
+          })}
+        </Stack>
+      )}
+    </Stack>
+  )
+}
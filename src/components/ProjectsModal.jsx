@@ -1,11 +1,16 @@
 import { useState, useEffect, useRef } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
-import { Modal, Stack, Group, Text, ActionIcon, TextInput, Box, Loader, Center, Menu, Button } from '@mantine/core'
-import { IconFolder, IconPlus, IconCheck, IconX, IconFile, IconBrush, IconTrash, IconChevronLeft, IconPencil } from '@tabler/icons-react'
+import { Modal, Stack, Group, Text, ActionIcon, TextInput, Box, Loader, Center, Menu, Button, Tabs, Badge } from '@mantine/core'
+import { IconFolder, IconPlus, IconCheck, IconX, IconFile, IconBrush, IconTrash, IconChevronLeft, IconPencil, IconUsers, IconFileZip } from '@tabler/icons-react'
 import { useProjectContext } from '../context/ProjectContext'
-import { getProjects, createProject, getDocuments, updateDocument, deleteDocument, createDocument } from '../lib/api'
+import { useAuth } from '../context/AuthContext'
+import { getProjects, createProject, getDocuments, updateDocument, deleteDocument, createDocument, deleteProject } from '../lib/api'
 import { getLastDocumentNumberForProject, setLastVisitedDocumentNumber } from '../lib/lastVisited'
 import { isDrawing } from '../lib/documentType'
+import { ROLES } from '../lib/permissions'
+import { exportProject, getExportFileName } from '../lib/projectExport'
+import ProjectMembersPanel from './ProjectMembersPanel'
+import TrashPanel from './TrashPanel'
 import './Sidebar.css'
 
 // Hook to detect mobile viewport
@@ -41,6 +46,7 @@ function formatDate(dateString) {
 
 export default function ProjectsModal({ opened, onClose }) {
   const { project, switchProject, refreshDocuments } = useProjectContext()
+  const { user } = useAuth()
   const navigate = useNavigate()
   const { docId } = useParams()
   const [projects, setProjects] = useState([])
@@ -53,11 +59,16 @@ export default function ProjectsModal({ opened, onClose }) {
   const [editingId, setEditingId] = useState(null)
   const [editingTitle, setEditingTitle] = useState('')
   const [deleteConfirm, setDeleteConfirm] = useState(null)
+  const [activeTab, setActiveTab] = useState('documents')
+  const [showTrash, setShowTrash] = useState(false)
+  const [projectDeleteConfirm, setProjectDeleteConfirm] = useState(null)
+  const [exportProgress, setExportProgress] = useState(null) // null when no export is running
   const isMobile = useIsMobile()
 
   useEffect(() => {
     if (opened) {
       loadProjects()
+      setShowTrash(false)
       // If there's a current project, show its documents by default
       if (project) {
         setSelectedProject(project)
@@ -69,6 +80,7 @@ export default function ProjectsModal({ opened, onClose }) {
   }, [opened, project])
 
   useEffect(() => {
+    setActiveTab('documents')
     if (selectedProject) {
       loadDocuments(selectedProject.id)
     }
@@ -206,6 +218,47 @@ export default function ProjectsModal({ opened, onClose }) {
     }
   }
 
+  async function handleDeleteProject() {
+    if (!projectDeleteConfirm) return
+    try {
+      await deleteProject(projectDeleteConfirm.id)
+      setProjects(prev => prev.filter(p => p.id !== projectDeleteConfirm.id))
+    } catch (err) {
+      console.error('Failed to delete project:', err)
+    }
+    setProjectDeleteConfirm(null)
+  }
+
+  // Download the whole project as a ZIP (Markdown, Excalidraw files, uploads, manifest)
+  async function handleExportProject() {
+    if (!selectedProject || exportProgress !== null) return
+    setExportProgress(0)
+    try {
+      const archive = await exportProject(selectedProject, { onProgress: setExportProgress })
+      const url = URL.createObjectURL(archive)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = getExportFileName(selectedProject)
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+    } catch (err) {
+      console.error('ProjectsModal: Failed to export project:', err)
+      alert('Failed to export project. Please try again.')
+    } finally {
+      setExportProgress(null)
+    }
+  }
+
+  async function handleRestored({ document }) {
+    await loadProjects()
+    if (document && document.project_id === project?.id && refreshDocuments) {
+      await refreshDocuments()
+    }
+  }
+
+  // Viewers of a shared project can open documents but not change them
+  const readOnly = selectedProject?.role === ROLES.VIEWER
+
   const sortedDocuments = [...documents].sort((a, b) => 
     new Date(b.updated_at) - new Date(a.updated_at)
   )
@@ -240,68 +293,105 @@ export default function ProjectsModal({ opened, onClose }) {
                 {selectedProject.name}
               </Text>
             </Group>
+          ) : showTrash ? (
+            <Group gap="xs" wrap="nowrap" style={{ minWidth: 0, flex: 1 }}>
+              <ActionIcon 
+                variant="subtle" 
+                color="gray" 
+                size="sm"
+                onClick={() => setShowTrash(false)}
+                style={{ flexShrink: 0 }}
+              >
+                <IconChevronLeft size={16} />
+              </ActionIcon>
+              <Text fw={500} size="sm">Trash</Text>
+            </Group>
           ) : (
             <Text fw={500} size="sm" style={{ flex: 1 }}>Projects</Text>
           )}
           {selectedProject ? (
             <Group gap="xs" wrap="nowrap" style={{ flexShrink: 0 }}>
-              <Menu shadow="md" position="bottom-end">
-                <Menu.Target>
-                  <Button
-                    variant="outline"
-                    size="xs"
-                    leftSection={<IconPlus size={14} />}
-                    sx={{
-                      '@media (max-width: 768px)': {
-                        paddingLeft: '8px',
-                        paddingRight: '8px',
-                        '& .mantine-Button-inner': {
-                          '& > span:not(:first-child)': {
-                            display: 'none',
+              <Button
+                variant="subtle"
+                color="gray"
+                size="xs"
+                leftSection={exportProgress === null ? <IconFileZip size={14} /> : <Loader size={12} />}
+                onClick={handleExportProject}
+                disabled={exportProgress !== null}
+                title="Download every document of this project as a ZIP archive"
+              >
+                {exportProgress === null ? 'Export' : `Exporting... ${Math.round(exportProgress * 100)}%`}
+              </Button>
+              {!readOnly && (
+                <Menu shadow="md" position="bottom-end">
+                  <Menu.Target>
+                    <Button
+                      variant="outline"
+                      size="xs"
+                      leftSection={<IconPlus size={14} />}
+                      sx={{
+                        '@media (max-width: 768px)': {
+                          paddingLeft: '8px',
+                          paddingRight: '8px',
+                          '& .mantine-Button-inner': {
+                            '& > span:not(:first-child)': {
+                              display: 'none',
+                            },
                           },
                         },
-                      },
-                    }}
-                  >
-                    New document
-                  </Button>
-                </Menu.Target>
-                <Menu.Dropdown>
-                  <Menu.Item 
-                    leftSection={<IconFile size={14} />}
-                    onClick={() => handleAddDocument('text')}
-                  >
-                    New document
-                  </Menu.Item>
-                  <Menu.Item 
-                    leftSection={<IconBrush size={14} />}
-                    onClick={() => handleAddDocument('drawing')}
-                  >
-                    New drawing
-                  </Menu.Item>
-                </Menu.Dropdown>
-              </Menu>
+                      }}
+                    >
+                      New document
+                    </Button>
+                  </Menu.Target>
+                  <Menu.Dropdown>
+                    <Menu.Item 
+                      leftSection={<IconFile size={14} />}
+                      onClick={() => handleAddDocument('text')}
+                    >
+                      New document
+                    </Menu.Item>
+                    <Menu.Item 
+                      leftSection={<IconBrush size={14} />}
+                      onClick={() => handleAddDocument('drawing')}
+                    >
+                      New drawing
+                    </Menu.Item>
+                  </Menu.Dropdown>
+                </Menu>
+              )}
             </Group>
-          ) : (
-            <Button
-              variant="outline"
-              size="xs"
-              leftSection={<IconPlus size={14} />}
-              onClick={() => setAdding(true)}
-              sx={{
-                '@media (max-width: 768px)': {
-                  paddingLeft: '8px',
-                  paddingRight: '8px',
-                  '& .mantine-Button-inner': {
-                    '& > span:not(:first-child)': {
-                      display: 'none',
+          ) : !showTrash && (
+            <Group gap="xs" wrap="nowrap" style={{ flexShrink: 0 }}>
+              <ActionIcon
+                variant="subtle"
+                color="gray"
+                size="lg"
+                onClick={() => setShowTrash(true)}
+                title="Trash"
+              >
+                <IconTrash size={16} />
+              </ActionIcon>
+              <Button
+                variant="outline"
+                size="xs"
+                leftSection={<IconPlus size={14} />}
+                onClick={() => setAdding(true)}
+                sx={{
+                  '@media (max-width: 768px)': {
+                    paddingLeft: '8px',
+                    paddingRight: '8px',
+                    '& .mantine-Button-inner': {
+                      '& > span:not(:first-child)': {
+                        display: 'none',
+                      },
                     },
                   },
-                },
-              }}
-            >
-              New project
-            </Button>
+                }}
+              >
+                New project
+              </Button>
+            </Group>
           )}
         </Group>
       }
@@ -326,7 +416,20 @@ export default function ProjectsModal({ opened, onClose }) {
         },
       }}
     >
-      {selectedProject ? (
+      {selectedProject && user && (
+        <Tabs value={activeTab} onChange={(value) => value && setActiveTab(value)} px="sm">
+          <Tabs.List>
+            <Tabs.Tab value="documents" leftSection={<IconFile size={14} />}>Documents</Tabs.Tab>
+            <Tabs.Tab value="members" leftSection={<IconUsers size={14} />}>Members</Tabs.Tab>
+          </Tabs.List>
+        </Tabs>
+      )}
+      {selectedProject && user && activeTab === 'members' ? (
+        // Members view (sharing is only available to signed-in users)
+        <Box style={{ flex: 1, overflowY: 'auto', padding: '12px', height: 0 }}>
+          <ProjectMembersPanel project={selectedProject} />
+        </Box>
+      ) : selectedProject ? (
         // Documents view
         <Box style={{ flex: 1, overflowY: 'auto', padding: '12px', height: 0 }}>
           {documentsLoading ? (
@@ -378,32 +481,34 @@ export default function ProjectsModal({ opened, onClose }) {
                             <Text size="sm" fw={isActive ? 500 : 400} truncate>{doc.title}</Text>
                             <Group gap={4} wrap="nowrap" justify="space-between">
                               <Text size="xs" c="dimmed">{formatDate(doc.updated_at)}</Text>
-                              <Group gap={4} wrap="nowrap">
-                                <ActionIcon
-                                  variant="transparent"
-                                  size="xs"
-                                  color="gray"
-                                  onClick={(e) => {
-                                    e.stopPropagation()
-                                    handleDoubleClick(doc)
-                                  }}
-                                >
-                                  <IconPencil size={12} />
-                                </ActionIcon>
-                                {isActive && documents.length > 1 && (
+                              {!readOnly && (
+                                <Group gap={4} wrap="nowrap">
                                   <ActionIcon
                                     variant="transparent"
                                     size="xs"
                                     color="gray"
                                     onClick={(e) => {
                                       e.stopPropagation()
-                                      setDeleteConfirm(doc)
+                                      handleDoubleClick(doc)
                                     }}
                                   >
-                                    <IconTrash size={12} />
+                                    <IconPencil size={12} />
                                   </ActionIcon>
-                                )}
-                              </Group>
+                                  {isActive && documents.length > 1 && (
+                                    <ActionIcon
+                                      variant="transparent"
+                                      size="xs"
+                                      color="gray"
+                                      onClick={(e) => {
+                                        e.stopPropagation()
+                                        setDeleteConfirm(doc)
+                                      }}
+                                    >
+                                      <IconTrash size={12} />
+                                    </ActionIcon>
+                                  )}
+                                </Group>
+                              )}
                             </Group>
                           </>
                         )}
@@ -415,6 +520,11 @@ export default function ProjectsModal({ opened, onClose }) {
             </div>
           )}
         </Box>
+      ) : showTrash ? (
+        // Trash view
+        <Box style={{ flex: 1, overflowY: 'auto', padding: '12px', height: 0 }}>
+          <TrashPanel onRestored={handleRestored} />
+        </Box>
       ) : (
         // Projects view
         <Box style={{ flex: 1, overflowY: 'auto', padding: '12px', height: 0, width: '100%' }}>
@@ -464,6 +574,23 @@ export default function ProjectsModal({ opened, onClose }) {
                   <Group gap="sm" wrap="nowrap">
                     <IconFolder size={18} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
                     <Text size="sm" fw={p.id === project?.id ? 500 : 400} style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', flex: 1 }}>{p.name}</Text>
+                    {p.role && p.role !== ROLES.OWNER && (
+                      <Badge size="xs" variant="light" color="gray" style={{ flexShrink: 0 }}>Shared</Badge>
+                    )}
+                    {p.role === ROLES.OWNER && p.id !== project?.id && (
+                      <ActionIcon
+                        variant="transparent"
+                        size="xs"
+                        color="gray"
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          setProjectDeleteConfirm(p)
+                        }}
+                        style={{ flexShrink: 0 }}
+                      >
+                        <IconTrash size={12} />
+                      </ActionIcon>
+                    )}
                   </Group>
                 </Box>
               ))}
@@ -473,12 +600,20 @@ export default function ProjectsModal({ opened, onClose }) {
       )}
 
       <Modal opened={!!deleteConfirm} onClose={() => setDeleteConfirm(null)} title="Delete Document" centered size="sm">
-        <Text size="sm" mb="lg">Are you sure you want to delete "{deleteConfirm?.title}"?</Text>
+        <Text size="sm" mb="lg">Move "{deleteConfirm?.title}" to the trash? You can restore it from Trash in the projects list.</Text>
         <Group justify="flex-end">
           <Button variant="subtle" onClick={() => setDeleteConfirm(null)}>Cancel</Button>
           <Button color="red" onClick={handleDelete}>Delete</Button>
         </Group>
       </Modal>
+
+      <Modal opened={!!projectDeleteConfirm} onClose={() => setProjectDeleteConfirm(null)} title="Delete Project" centered size="sm">
+        <Text size="sm" mb="lg">Move "{projectDeleteConfirm?.name}" and its documents to the trash? You can restore it from Trash in the projects list.</Text>
+        <Group justify="flex-end">
+          <Button variant="subtle" onClick={() => setProjectDeleteConfirm(null)}>Cancel</Button>
+          <Button color="red" onClick={handleDeleteProject}>Delete</Button>
+        </Group>
+      </Modal>
     </Modal>
   )
 }
@@ -0,0 +1,172 @@
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Modal, Stack, Group, Text, TextInput, Box, Loader, Center } from '@mantine/core'
+import { IconSearch, IconFile, IconBrush } from '@tabler/icons-react'
+import { useProjectContext } from '../context/ProjectContext'
+import { searchDocuments } from '../lib/api'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import { isDrawing } from '../lib/documentType'
+
+const SEARCH_DEBOUNCE_MS = 250
+
+// Render a search_documents snippet; <mark> tags become highlights, everything else stays text
+function Snippet({ text }) {
+  if (!text) return null
+  const parts = text.split(/<mark>|<\/mark>/)
+  return (
+    <Text size="xs" c="dimmed" lineClamp={2}>
+      {parts.map((part, index) => (
+        index % 2 === 1 ? (
+          <Text key={index} span size="xs" fw={600} c="var(--mantine-color-text)" style={{ background: 'var(--mantine-color-yellow-light)' }}>
+            {part}
+          </Text>
+        ) : (
+          part
+        )
+      ))}
+    </Text>
+  )
+}
+
+export default function SearchModal({ opened, onClose }) {
+  const { project, switchProject } = useProjectContext()
+  const navigate = useNavigate()
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  const requestRef = useRef(0)
+
+  useEffect(() => {
+    if (opened) {
+      setQuery('')
+      setResults([])
+      setError('')
+      setActiveIndex(0)
+    }
+  }, [opened])
+
+  useEffect(() => {
+    if (!opened) return
+    const trimmed = query.trim()
+    if (!trimmed) {
+      setResults([])
+      setLoading(false)
+      return
+    }
+
+    // Only the latest request may update the results
+    const requestId = ++requestRef.current
+    setLoading(true)
+    const timer = setTimeout(async () => {
+      try {
+        const data = await searchDocuments(trimmed)
+        if (requestId !== requestRef.current) return
+        setResults(data)
+        setActiveIndex(0)
+        setError('')
+      } catch (err) {
+        if (requestId !== requestRef.current) return
+        console.error('SearchModal: Search failed:', err)
+        setError('Search failed. Please try again.')
+        setResults([])
+      } finally {
+        if (requestId === requestRef.current) setLoading(false)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => clearTimeout(timer)
+  }, [query, opened])
+
+  async function handleSelect(result) {
+    if (!result) return
+    setLastVisitedDocumentNumber(result.project_id, result.document_number)
+    onClose()
+    navigate(`/${result.project_id}/${result.document_number}`)
+    if (result.project_id !== project?.id) {
+      await switchProject(result.project_id)
+    }
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(i => Math.min(i + 1, results.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(i => Math.max(i - 1, 0))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      handleSelect(results[activeIndex])
+    }
+  }
+
+  return (
+    <Modal
+      opened={opened}
+      onClose={onClose}
+      title={<Text fw={500} size="sm">Search</Text>}
+      size="lg"
+      centered
+    >
+      <Stack gap="sm">
+        <TextInput
+          placeholder="Search all documents"
+          leftSection={<IconSearch size={16} />}
+          rightSection={loading ? <Loader size="xs" /> : null}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          data-autofocus
+        />
+
+        <Box style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+          {error ? (
+            <Center py="xl">
+              <Text size="sm" c="red">{error}</Text>
+            </Center>
+          ) : !query.trim() ? (
+            <Center py="xl">
+              <Text size="sm" c="dimmed">Search titles, notes and drawing text across all your projects</Text>
+            </Center>
+          ) : results.length === 0 && !loading ? (
+            <Center py="xl">
+              <Text size="sm" c="dimmed">No matching documents</Text>
+            </Center>
+          ) : (
+            <Stack gap={4}>
+              {results.map((result, index) => (
+                <Box
+                  key={result.id}
+                  p="xs"
+                  className="sidebar-item"
+                  data-active={index === activeIndex}
+                  onClick={() => handleSelect(result)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                >
+                  <Group gap="xs" wrap="nowrap" align="flex-start">
+                    {isDrawing(result) ? (
+                      <IconBrush size={16} color="var(--mantine-color-blue-6)" style={{ flexShrink: 0, marginTop: 2 }} />
+                    ) : (
+                      <IconFile size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0, marginTop: 2 }} />
+                    )}
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <Group gap="xs" wrap="nowrap" justify="space-between">
+                        <Text size="sm" fw={500} truncate>{result.title || 'Untitled'}</Text>
+                        <Text size="xs" c="dimmed" truncate style={{ flexShrink: 0, maxWidth: '40%' }}>
+                          {result.project_name}
+                        </Text>
+                      </Group>
+                      <Snippet text={result.snippet} />
+                    </div>
+                  </Group>
+                </Box>
+              ))}
+            </Stack>
+          )}
+        </Box>
+      </Stack>
+    </Modal>
+  )
+}
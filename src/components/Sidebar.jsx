@@ -1,5 +1,5 @@
 import { Stack, ActionIcon, Loader, Center, Box, Group, Text, TextInput, Modal, Button, Menu } from '@mantine/core'
-import { IconFile, IconPlus, IconTrash, IconBrush } from '@tabler/icons-react'
+import { IconPlus, IconTrash } from '@tabler/icons-react'
 import './Sidebar.css'
 import { useNavigate, useParams } from 'react-router-dom'
 import { useEffect, useState, useRef } from 'react'
@@ -7,7 +7,9 @@ import { useProjectContext } from '../context/ProjectContext'
 import { getLastDocumentNumberForProject, setLastVisitedDocumentNumber } from '../lib/lastVisited'
 import { updateDocument, deleteDocument } from '../lib/api'
 import { useAuth } from '../context/AuthContext'
-import { isDrawing } from '../lib/documentType'
+import DocumentTypeIcon from './DocumentTypeIcon'
+import { ROLES } from '../lib/permissions'
+import { useCommands } from '../hooks/useCommands'
 
 function formatDate(dateString) {
   if (!dateString) return ''
@@ -26,12 +28,15 @@ function formatDate(dateString) {
 export default function Sidebar({ onCollapse, onAddDocument }) {
   const navigate = useNavigate()
   const { docId } = useParams()
-  const { project, documents, loading, addDocument, refreshDocuments } = useProjectContext()
+  const { project, documents, loading, refreshDocuments } = useProjectContext()
+  const { run } = useCommands()
   const { user } = useAuth()
   const [editingId, setEditingId] = useState(null)
   const [editingTitle, setEditingTitle] = useState('')
   const [deleteConfirm, setDeleteConfirm] = useState(null)
   const savingRef = useRef(false)
+  // Viewers of a shared project can browse but not rename or delete
+  const readOnly = project?.role === ROLES.VIEWER
 
   useEffect(() => {
     if (!loading && !docId && documents.length > 0 && project) {
@@ -99,14 +104,11 @@ export default function Sidebar({ onCollapse, onAddDocument }) {
   }, [documents, loading, project])
 
   async function handleAddDocument(documentType = 'text') {
-    const title = documentType === 'drawing' ? 'Untitled drawing' : 'Untitled'
-    const doc = await addDocument(title, documentType)
-    if (doc && project && doc.document_number) {
-      navigate(`/${project.id}/${doc.document_number}`)
-    }
+    await run(documentType === 'drawing' ? 'document.newDrawing' : 'document.newText')
   }
 
   function handleDoubleClick(doc) {
+    if (readOnly) return
     setEditingId(doc.id)
     setEditingTitle(doc.title)
   }
@@ -192,11 +194,7 @@ export default function Sidebar({ onCollapse, onAddDocument }) {
                   data-active={isActive}
                 >
                   <Group gap="xs" wrap="nowrap">
-                    {isDrawing(doc) ? (
-                      <IconBrush size={16} color="var(--mantine-color-blue-6)" style={{ flexShrink: 0 }} />
-                    ) : (
-                      <IconFile size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
-                    )}
+                    <DocumentTypeIcon document={doc} />
                     <div style={{ flex: 1, minWidth: 0 }}>
                       {editingId === doc.id ? (
                         <TextInput
@@ -219,7 +217,7 @@ export default function Sidebar({ onCollapse, onAddDocument }) {
                           <Text size="sm" fw={isActive ? 500 : 400} truncate>{doc.title}</Text>
                           <Group gap={4} wrap="nowrap" justify="space-between">
                             <Text size="xs" c="dimmed">{formatDate(doc.updated_at)}</Text>
-                            {isActive && documents.length > 1 && (
+                            {isActive && !readOnly && documents.length > 1 && (
                               <ActionIcon
                                 variant="transparent"
                                 size="xs"
@@ -245,7 +243,7 @@ export default function Sidebar({ onCollapse, onAddDocument }) {
       </Box>
 
       <Modal opened={!!deleteConfirm} onClose={() => setDeleteConfirm(null)} title="Delete Document" centered size="sm">
-        <Text size="sm" mb="lg">Are you sure you want to delete "{deleteConfirm?.title}"?</Text>
+        <Text size="sm" mb="lg">Move "{deleteConfirm?.title}" to the trash? You can restore it from Trash in the projects list.</Text>
         <Group justify="flex-end">
           <Button variant="subtle" onClick={() => setDeleteConfirm(null)}>Cancel</Button>
           <Button color="red" onClick={handleDelete}>Delete</Button>
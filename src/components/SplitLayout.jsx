@@ -0,0 +1,82 @@
+import { useState, useEffect, useRef } from 'react'
+import { PanelGroup, Panel, PanelResizeHandle } from 'react-resizable-panels'
+import { LAYOUT_MODES, MIN_PANEL_SIZE } from '../lib/documentLayout'
+
+// Dragging reports every frame; the ratio is saved once it settles
+const RATIO_SAVE_DELAY = 500
+
+// Hook to detect mobile viewport
+function useIsMobile() {
+  const [isMobile, setIsMobile] = useState(false)
+
+  useEffect(() => {
+    const checkMobile = () => {
+      setIsMobile(window.innerWidth <= 768)
+    }
+
+    checkMobile()
+    window.addEventListener('resize', checkMobile)
+    return () => window.removeEventListener('resize', checkMobile)
+  }, [])
+
+  return isMobile
+}
+
+function getSizes(mode, ratio) {
+  if (mode === LAYOUT_MODES.DOCUMENT) return [100, 0]
+  if (mode === LAYOUT_MODES.PAIRED) return [0, 100]
+  return [ratio, 100 - ratio]
+}
+
+// Document and its paired document in a draggable split (stacked on mobile)
+// Both panels stay mounted in every mode - the hidden one is collapsed - so
+// switching modes doesn't reload the editors
+export default function SplitLayout({ mode, ratio, onRatioChange, first, second }) {
+  const groupRef = useRef(null)
+  const saveTimerRef = useRef(null)
+  const isMobile = useIsMobile()
+  const both = mode === LAYOUT_MODES.BOTH
+
+  // Ratio changes only come from dragging, so the layout is only set on mode switches
+  useEffect(() => {
+    groupRef.current?.setLayout(getSizes(mode, ratio))
+  }, [mode])
+
+  useEffect(() => () => clearTimeout(saveTimerRef.current), [])
+
+  function handleLayout([size]) {
+    if (!both || size < MIN_PANEL_SIZE || size > 100 - MIN_PANEL_SIZE) return
+    if (Math.abs(size - ratio) < 0.5) return
+    clearTimeout(saveTimerRef.current)
+    saveTimerRef.current = setTimeout(() => {
+      onRatioChange(Math.round(size * 10) / 10)
+    }, RATIO_SAVE_DELAY)
+  }
+
+  const [firstSize, secondSize] = getSizes(mode, ratio)
+
+  return (
+    <PanelGroup
+      ref={groupRef}
+      direction={isMobile ? 'vertical' : 'horizontal'}
+      onLayout={handleLayout}
+      style={{ height: '100%', width: '100%' }}
+    >
+      <Panel id="document" order={1} defaultSize={firstSize} minSize={MIN_PANEL_SIZE} collapsible collapsedSize={0}>
+        {first}
+      </Panel>
+      <PanelResizeHandle
+        disabled={!both}
+        style={{
+          display: both ? 'block' : 'none',
+          flex: '0 0 4px',
+          background: 'var(--mantine-color-default-border)',
+          cursor: isMobile ? 'row-resize' : 'col-resize',
+        }}
+      />
+      <Panel id="paired" order={2} defaultSize={secondSize} minSize={MIN_PANEL_SIZE} collapsible collapsedSize={0}>
+        {second}
+      </Panel>
+    </PanelGroup>
+  )
+}
@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react'
+import { Stack, Group, Text, Button, ActionIcon, Alert, Loader, Center, Modal, Divider, Tooltip } from '@mantine/core'
+import { IconFolder, IconFile, IconBrush, IconRestore, IconTrashX } from '@tabler/icons-react'
+import { getTrash, restoreProject, restoreDocument, permanentlyDeleteProject, permanentlyDeleteDocument } from '../lib/api'
+import { isDrawing } from '../lib/documentType'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Days left before the purge removes an item
+function daysLeft(expiresAt) {
+  return Math.max(0, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / DAY))
+}
+
+function TrashItem({ icon, title, subtitle, onRestore, onDelete }) {
+  return (
+    <Group gap="sm" wrap="nowrap" p="xs" className="sidebar-item" style={{ cursor: 'default' }}>
+      {icon}
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <Text size="sm" truncate>{title}</Text>
+        <Text size="xs" c="dimmed" truncate>{subtitle}</Text>
+      </div>
+      <Tooltip label="Restore">
+        <ActionIcon variant="subtle" color="gray" size="sm" onClick={onRestore}>
+          <IconRestore size={14} />
+        </ActionIcon>
+      </Tooltip>
+      <Tooltip label="Delete forever">
+        <ActionIcon variant="subtle" color="red" size="sm" onClick={onDelete}>
+          <IconTrashX size={14} />
+        </ActionIcon>
+      </Tooltip>
+    </Group>
+  )
+}
+
+export default function TrashPanel({ onRestored }) {
+  const [projects, setProjects] = useState([])
+  const [documents, setDocuments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [purgeConfirm, setPurgeConfirm] = useState(null)
+  const [purging, setPurging] = useState(false)
+
+  useEffect(() => {
+    loadTrash()
+  }, [])
+
+  async function loadTrash() {
+    setLoading(true)
+    try {
+      const data = await getTrash()
+      setProjects(data.projects)
+      setDocuments(data.documents)
+    } catch (err) {
+      console.error('TrashPanel: Failed to load trash:', err)
+      setError('Could not load the trash')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handleRestoreProject(p) {
+    setError('')
+    try {
+      await restoreProject(p.id)
+      setProjects(prev => prev.filter(item => item.id !== p.id))
+      onRestored?.({ project: p })
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function handleRestoreDocument(doc) {
+    setError('')
+    try {
+      await restoreDocument(doc.id)
+      setDocuments(prev => prev.filter(item => item.id !== doc.id))
+      onRestored?.({ document: doc })
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function handlePermanentDelete() {
+    if (!purgeConfirm) return
+    setError('')
+    setPurging(true)
+    try {
+      if (purgeConfirm.type === 'project') {
+        await permanentlyDeleteProject(purgeConfirm.item.id)
+        setProjects(prev => prev.filter(item => item.id !== purgeConfirm.item.id))
+      } else {
+        await permanentlyDeleteDocument(purgeConfirm.item.id)
+        setDocuments(prev => prev.filter(item => item.id !== purgeConfirm.item.id))
+      }
+      setPurgeConfirm(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPurging(false)
+    }
+  }
+
+  function expiryLabel(expiresAt) {
+    const days = daysLeft(expiresAt)
+    return days === 0 ? 'Deleted permanently soon' : `Deleted permanently in ${days}d`
+  }
+
+  if (loading) {
+    return (
+      <Center py="xl">
+        <Loader size="sm" />
+      </Center>
+    )
+  }
+
+  return (
+    <Stack gap="xs">
+      {error && <Alert color="red">{error}</Alert>}
+
+      {projects.length === 0 && documents.length === 0 ? (
+        <Center py="xl">
+          <Text size="sm" c="dimmed">Trash is empty</Text>
+        </Center>
+      ) : (
+        <>
+          {projects.length > 0 && (
+            <>
+              <Divider label="Projects" labelPosition="left" />
+              {projects.map((p) => (
+                <TrashItem
+                  key={p.id}
+                  icon={<IconFolder size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />}
+                  title={p.name}
+                  subtitle={expiryLabel(p.expires_at)}
+                  onRestore={() => handleRestoreProject(p)}
+                  onDelete={() => setPurgeConfirm({ type: 'project', item: p })}
+                />
+              ))}
+            </>
+          )}
+          {documents.length > 0 && (
+            <>
+              <Divider label="Documents" labelPosition="left" />
+              {documents.map((doc) => (
+                <TrashItem
+                  key={doc.id}
+                  icon={isDrawing(doc) ? (
+                    <IconBrush size={16} color="var(--mantine-color-blue-6)" style={{ flexShrink: 0 }} />
+                  ) : (
+                    <IconFile size={16} color="var(--mantine-color-gray-6)" style={{ flexShrink: 0 }} />
+                  )}
+                  title={doc.title}
+                  subtitle={`${doc.project_name || 'Unknown project'} · ${expiryLabel(doc.expires_at)}`}
+                  onRestore={() => handleRestoreDocument(doc)}
+                  onDelete={() => setPurgeConfirm({ type: 'document', item: doc })}
+                />
+              ))}
+            </>
+          )}
+        </>
+      )}
+
+      <Modal opened={!!purgeConfirm} onClose={() => setPurgeConfirm(null)} title="Delete Forever" centered size="sm">
+        <Text size="sm" mb="lg">
+          {purgeConfirm?.type === 'project'
+            ? `"${purgeConfirm?.item.name}" and all of its documents will be deleted permanently. This cannot be undone.`
+            : `"${purgeConfirm?.item.title}" will be deleted permanently. This cannot be undone.`}
+        </Text>
+        <Group justify="flex-end">
+          <Button variant="subtle" onClick={() => setPurgeConfirm(null)}>Cancel</Button>
+          <Button color="red" onClick={handlePermanentDelete} loading={purging}>Delete forever</Button>
+        </Group>
+      </Modal>
+    </Stack>
+  )
+}
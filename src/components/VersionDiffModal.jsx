@@ -0,0 +1,247 @@
+import { Modal, Stack, Group, Text, Select, Box, Loader, Center, Switch, Badge } from '@mantine/core'
+import { useState, useEffect, useMemo } from 'react'
+import { getDocumentVersions, getDocumentVersion } from '../lib/api'
+import { diffBlocks, summarizeDiff, getBlockText } from '../lib/blockDiff'
+import { useEditor } from '../context/EditorContext'
+import { useTheme } from '../context/ThemeContext'
+
+const CURRENT = 'current'
+const DAY = 24 * 60 * 60 * 1000
+
+const STATUS_COLORS = {
+  added: 'green',
+  removed: 'red',
+  changed: 'yellow',
+}
+
+function versionLabel(version) {
+  const author = version.author_name ? ` - ${version.author_name}` : ''
+  return `${new Date(version.created_at).toLocaleString()}${author}`
+}
+
+// Default comparison: the last snapshot from before "yesterday" against the live document
+function pickDefaultBase(versions) {
+  const dayAgo = Date.now() - DAY
+  const older = versions.find(v => new Date(v.created_at).getTime() <= dayAgo)
+  return older || versions[versions.length - 1] || null
+}
+
+function blockPrefix(block) {
+  switch (block.type) {
+    case 'heading':
+      return '#'.repeat(block.props?.level || 1) + ' '
+    case 'bulletListItem':
+      return '• '
+    case 'numberedListItem':
+      return '1. '
+    case 'checkListItem':
+      return block.props?.checked ? '[x] ' : '[ ] '
+    default:
+      return ''
+  }
+}
+
+function DiffEntry({ entry, colorScheme }) {
+  const dark = colorScheme === 'dark'
+  const color = STATUS_COLORS[entry.status]
+  const background = color
+    ? `var(--mantine-color-${color}-${dark ? 9 : 0})`
+    : 'transparent'
+  const text = getBlockText(entry.block)
+
+  return (
+    <Box
+      py={4}
+      px="sm"
+      style={{
+        marginLeft: entry.depth * 16,
+        background,
+        borderLeft: `3px solid ${color ? `var(--mantine-color-${color}-6)` : 'transparent'}`,
+        borderRadius: '3px',
+      }}
+    >
+      <Text
+        size="sm"
+        fw={entry.block.type === 'heading' ? 600 : 400}
+        td={entry.status === 'removed' ? 'line-through' : undefined}
+        style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}
+      >
+        <Text span c="dimmed" size="sm">{blockPrefix(entry.block)}</Text>
+        {entry.status === 'changed' && entry.words ? (
+          entry.words.map((segment, index) => (
+            <Text
+              key={index}
+              span
+              size="sm"
+              td={segment.type === 'removed' ? 'line-through' : undefined}
+              style={{
+                background: segment.type === 'added'
+                  ? `var(--mantine-color-green-${dark ? 8 : 2})`
+                  : segment.type === 'removed'
+                    ? `var(--mantine-color-red-${dark ? 8 : 2})`
+                    : undefined,
+              }}
+            >
+              {segment.text}
+            </Text>
+          ))
+        ) : (
+          text || <Text span c="dimmed" size="sm" fs="italic">(empty {entry.block.type})</Text>
+        )}
+      </Text>
+    </Box>
+  )
+}
+
+export default function VersionDiffModal({ opened, onClose, document }) {
+  const { editor } = useEditor()
+  const { colorScheme } = useTheme()
+  const [versions, setVersions] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [baseId, setBaseId] = useState(null)
+  const [targetId, setTargetId] = useState(CURRENT)
+  const [baseBlocks, setBaseBlocks] = useState(null)
+  const [targetBlocks, setTargetBlocks] = useState(null)
+  const [contentLoading, setContentLoading] = useState(false)
+  const [changesOnly, setChangesOnly] = useState(true)
+
+  useEffect(() => {
+    if (!opened || !document) return
+    let cancelled = false
+    setLoading(true)
+    getDocumentVersions(document.id)
+      .then((data) => {
+        if (cancelled) return
+        setVersions(data || [])
+        const base = pickDefaultBase(data || [])
+        setBaseId(base ? String(base.id) : null)
+        setTargetId(CURRENT)
+      })
+      .catch((err) => {
+        console.error('VersionDiffModal: Failed to load versions:', err)
+        setVersions([])
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [opened, document?.id])
+
+  useEffect(() => {
+    if (!opened || !baseId) {
+      setBaseBlocks(null)
+      setTargetBlocks(null)
+      return
+    }
+    let cancelled = false
+
+    async function loadBlocks(id) {
+      if (id === CURRENT) return editor?.document || []
+      const version = await getDocumentVersion(parseInt(id, 10))
+      return Array.isArray(version.notes_content) ? version.notes_content : []
+    }
+
+    setContentLoading(true)
+    Promise.all([loadBlocks(baseId), loadBlocks(targetId)])
+      .then(([base, target]) => {
+        if (cancelled) return
+        setBaseBlocks(base)
+        setTargetBlocks(target)
+      })
+      .catch((err) => {
+        console.error('VersionDiffModal: Failed to load version content:', err)
+      })
+      .finally(() => {
+        if (!cancelled) setContentLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [opened, baseId, targetId, editor])
+
+  const entries = useMemo(() => {
+    if (!baseBlocks || !targetBlocks) return []
+    return diffBlocks(baseBlocks, targetBlocks)
+  }, [baseBlocks, targetBlocks])
+
+  const summary = useMemo(() => summarizeDiff(entries), [entries])
+  const visibleEntries = changesOnly ? entries.filter(e => e.status !== 'unchanged') : entries
+
+  const options = [
+    { value: CURRENT, label: 'Current document' },
+    ...versions.map(v => ({ value: String(v.id), label: versionLabel(v) })),
+  ]
+
+  return (
+    <Modal
+      opened={opened}
+      onClose={onClose}
+      title={<Text fw={500} size="sm">Compare versions</Text>}
+      size="xl"
+      centered
+    >
+      {loading ? (
+        <Center py="xl">
+          <Loader size="sm" />
+        </Center>
+      ) : versions.length === 0 ? (
+        <Center py="xl">
+          <Text size="sm" c="dimmed">No saved versions to compare yet</Text>
+        </Center>
+      ) : (
+        <Stack gap="sm">
+          <Group grow align="flex-end">
+            <Select
+              label="From"
+              size="xs"
+              data={options}
+              value={baseId}
+              onChange={(value) => value && setBaseId(value)}
+              allowDeselect={false}
+            />
+            <Select
+              label="To"
+              size="xs"
+              data={options}
+              value={targetId}
+              onChange={(value) => value && setTargetId(value)}
+              allowDeselect={false}
+            />
+          </Group>
+          <Group justify="space-between">
+            <Group gap="xs">
+              <Badge size="sm" variant="light" color="green">{summary.added} added</Badge>
+              <Badge size="sm" variant="light" color="red">{summary.removed} removed</Badge>
+              <Badge size="sm" variant="light" color="yellow">{summary.changed} changed</Badge>
+            </Group>
+            <Switch
+              size="xs"
+              label="Only changes"
+              checked={changesOnly}
+              onChange={(e) => setChangesOnly(e.currentTarget.checked)}
+            />
+          </Group>
+          <Box style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+            {contentLoading ? (
+              <Center py="xl">
+                <Loader size="sm" />
+              </Center>
+            ) : visibleEntries.length === 0 ? (
+              <Center py="xl">
+                <Text size="sm" c="dimmed">No differences</Text>
+              </Center>
+            ) : (
+              <Stack gap={2}>
+                {visibleEntries.map((entry, index) => (
+                  <DiffEntry key={`${entry.block.id}-${index}`} entry={entry} colorScheme={colorScheme} />
+                ))}
+              </Stack>
+            )}
+          </Box>
+        </Stack>
+      )}
+    </Modal>
+  )
+}
@@ -0,0 +1,282 @@
+import { Drawer, Stack, Group, Text, Button, Box, Loader, Center, Badge, ScrollArea, Alert } from '@mantine/core'
+import { IconHistory, IconRestore, IconCamera } from '@tabler/icons-react'
+import { exportToSvg } from '@excalidraw/excalidraw'
+import { useState, useEffect } from 'react'
+import { getDocumentVersions, getDocumentVersion, createDocumentVersion, restoreDocumentVersion } from '../lib/api'
+import { useEditor } from '../context/EditorContext'
+import { useAuth } from '../context/AuthContext'
+import { isDrawing } from '../lib/documentType'
+import { resolveDrawingFiles } from '../lib/drawingFiles'
+
+const REASON_LABELS = {
+  auto: 'Auto',
+  manual: 'Manual',
+  before_import: 'Before import',
+  before_restore: 'Before restore',
+}
+
+function formatTimestamp(dateString) {
+  if (!dateString) return ''
+  return new Date(dateString).toLocaleString()
+}
+
+// Rendered SVG of a drawing snapshot
+function DrawingPreview({ content, files, projectId }) {
+  const [svg, setSvg] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    const elements = (content?.elements || []).filter(el => !el.isDeleted)
+    if (elements.length === 0) {
+      setSvg(null)
+      return
+    }
+    resolveDrawingFiles(projectId, { ...(files || {}), ...(content?.files || {}) })
+      .then(resolvedFiles => exportToSvg({
+        elements,
+        appState: {
+          exportBackground: true,
+          viewBackgroundColor: content?.appState?.viewBackgroundColor || '#ffffff',
+        },
+        files: resolvedFiles,
+      }))
+      .then((node) => {
+        if (cancelled) return
+        node.setAttribute('width', '100%')
+        node.removeAttribute('height')
+        setSvg(node.outerHTML)
+      })
+      .catch((err) => {
+        console.error('DrawingPreview: Failed to render snapshot:', err)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [content, files, projectId])
+
+  if (!svg) {
+    return <Text size="sm" c="dimmed">Empty drawing</Text>
+  }
+  return <Box dangerouslySetInnerHTML={{ __html: svg }} />
+}
+
+// Markdown rendering of a notes snapshot
+function NotesPreview({ blocks }) {
+  const { editor } = useEditor()
+  const [markdown, setMarkdown] = useState('')
+
+  useEffect(() => {
+    if (!editor || !Array.isArray(blocks)) {
+      setMarkdown('')
+      return
+    }
+    let cancelled = false
+    editor.blocksToMarkdownLossy(blocks)
+      .then((md) => {
+        if (!cancelled) setMarkdown(md)
+      })
+      .catch((err) => {
+        console.error('NotesPreview: Failed to render snapshot:', err)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [editor, blocks])
+
+  if (!markdown.trim()) {
+    return <Text size="sm" c="dimmed">Empty document</Text>
+  }
+  return (
+    <Text size="sm" style={{ whiteSpace: 'pre-wrap', fontFamily: 'monospace' }}>
+      {markdown}
+    </Text>
+  )
+}
+
+export default function VersionHistoryDrawer({ opened, onClose, document, readOnly = false, onRestored }) {
+  const { editor } = useEditor()
+  const { user } = useAuth()
+  const [versions, setVersions] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [selected, setSelected] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const drawing = isDrawing(document)
+
+  useEffect(() => {
+    if (opened && document) {
+      setSelected(null)
+      setError('')
+      loadVersions()
+    }
+  }, [opened, document?.id])
+
+  async function loadVersions() {
+    setLoading(true)
+    try {
+      const data = await getDocumentVersions(document.id)
+      setVersions(data || [])
+    } catch (err) {
+      console.error('VersionHistoryDrawer: Failed to load versions:', err)
+      setError('Could not load version history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handleSelect(version) {
+    setPreviewLoading(true)
+    try {
+      setSelected(await getDocumentVersion(version.id))
+    } catch (err) {
+      console.error('VersionHistoryDrawer: Failed to load version:', err)
+      setError('Could not load this version')
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
+
+  async function handleSnapshot() {
+    setBusy(true)
+    setError('')
+    try {
+      // Text: take the live editor content, the database may be a save behind
+      const options = !drawing && editor ? { reason: 'manual', notes_content: editor.document } : { reason: 'manual' }
+      await createDocumentVersion(document.id, options)
+      await loadVersions()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function handleRestore() {
+    if (!selected) return
+    setBusy(true)
+    setError('')
+    try {
+      await restoreDocumentVersion(selected.id)
+      // Push restored notes through the editor so collaborators get them too
+      if (!drawing && editor && Array.isArray(selected.notes_content)) {
+        editor.replaceBlocks(editor.document, selected.notes_content)
+      }
+      onRestored?.(selected)
+      onClose()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  function authorLabel(version) {
+    if (version.created_by && version.created_by === user?.id) return 'You'
+    return version.author_name || (version.created_by ? 'Unknown user' : 'Guest')
+  }
+
+  return (
+    <Drawer
+      opened={opened}
+      onClose={onClose}
+      position="right"
+      size="lg"
+      title={
+        <Group gap="xs">
+          <IconHistory size={18} />
+          <Text fw={500} size="sm">Version history</Text>
+        </Group>
+      }
+    >
+      <Stack gap="sm">
+        {error && <Alert color="red">{error}</Alert>}
+
+        {!readOnly && (
+          <Group justify="flex-end">
+            <Button
+              variant="outline"
+              size="xs"
+              leftSection={<IconCamera size={14} />}
+              onClick={handleSnapshot}
+              loading={busy && !selected}
+            >
+              Save snapshot now
+            </Button>
+          </Group>
+        )}
+
+        {loading ? (
+          <Center py="xl">
+            <Loader size="sm" />
+          </Center>
+        ) : versions.length === 0 ? (
+          <Center py="xl">
+            <Text size="sm" c="dimmed">No versions yet</Text>
+          </Center>
+        ) : (
+          <ScrollArea.Autosize mah={240}>
+            <Stack gap={4}>
+              {versions.map((version) => (
+                <Box
+                  key={version.id}
+                  p="xs"
+                  className="sidebar-item"
+                  data-active={selected?.id === version.id}
+                  onClick={() => handleSelect(version)}
+                >
+                  <Group justify="space-between" wrap="nowrap">
+                    <div style={{ minWidth: 0 }}>
+                      <Text size="sm" truncate>{formatTimestamp(version.created_at)}</Text>
+                      <Text size="xs" c="dimmed" truncate>{authorLabel(version)}</Text>
+                    </div>
+                    <Badge size="xs" variant="light" color={version.reason === 'auto' ? 'gray' : 'blue'}>
+                      {REASON_LABELS[version.reason] || version.reason}
+                    </Badge>
+                  </Group>
+                </Box>
+              ))}
+            </Stack>
+          </ScrollArea.Autosize>
+        )}
+
+        {previewLoading ? (
+          <Center py="md">
+            <Loader size="sm" />
+          </Center>
+        ) : selected && (
+          <Stack gap="xs">
+            <Group justify="space-between">
+              <Text size="sm" fw={500}>{selected.title || 'Untitled'}</Text>
+              {!readOnly && (
+                <Button
+                  size="xs"
+                  leftSection={<IconRestore size={14} />}
+                  onClick={handleRestore}
+                  loading={busy}
+                >
+                  Restore this version
+                </Button>
+              )}
+            </Group>
+            <Box
+              p="sm"
+              style={{
+                border: '1px solid var(--mantine-color-default-border)',
+                borderRadius: '5px',
+                maxHeight: '50vh',
+                overflow: 'auto',
+              }}
+            >
+              {drawing ? (
+                <DrawingPreview content={selected.drawing_content} files={selected.drawing_files} projectId={selected.project_id} />
+              ) : (
+                <NotesPreview blocks={selected.notes_content} />
+              )}
+            </Box>
+          </Stack>
+        )}
+      </Stack>
+    </Drawer>
+  )
+}
@@ -1,6 +1,7 @@
 import { createContext, useContext, useState, useEffect, useRef } from 'react'
 import { supabase } from '../lib/supabase'
-import { claimGuestProjects, createUserProfile } from '../lib/api'
+import { claimGuestProjects, prepareGuestClaim, createUserProfile } from '../lib/api'
+import { isAnonymousUser } from '../lib/guest'
 
 const AuthContext = createContext(null)
 
@@ -12,7 +13,8 @@ export function AuthProvider({ children }) {
   const initialSessionLoadedRef = useRef(false) // Track if initial session has been loaded
 
   async function handleAuthChange(session, event = null) {
-    const newUser = session?.user ?? null
+    // Anonymous sessions are guests - the rest of the app treats them as signed out
+    const newUser = session?.user && !isAnonymousUser(session.user) ? session.user : null
     const currentUser = userRef.current
     const wasLoggedIn = currentUser !== null
     const isNowLoggedOut = wasLoggedIn && !newUser
@@ -79,7 +81,17 @@ export function AuthProvider({ children }) {
     return () => subscription.unsubscribe()
   }, [])
 
+  // Hand the guest's projects over to the account we are about to sign in to
+  async function prepareClaim() {
+    try {
+      await prepareGuestClaim()
+    } catch (err) {
+      console.error('AuthContext: Failed to prepare guest project claim:', err)
+    }
+  }
+
   async function signIn(email, password) {
+    await prepareClaim()
     const { data, error } = await supabase.auth.signInWithPassword({ email, password })
     if (error) throw error
     // claimGuestProjects will be called by handleAuthChange
@@ -87,6 +99,7 @@ export function AuthProvider({ children }) {
   }
 
   async function signUp(email, password) {
+    await prepareClaim()
     const { data, error } = await supabase.auth.signUp({ email, password })
     if (error) throw error
     
@@ -0,0 +1,41 @@
+import { createContext, useContext, useState, useRef, useCallback } from 'react'
+import { updateDocument } from '../lib/api'
+import { toLayoutColumns } from '../lib/documentLayout'
+
+const DocumentLayoutContext = createContext(null)
+
+// Split layout of the open document, shared by DocumentPage (which renders it)
+// and the Header (which switches it). null outside a document page.
+export function DocumentLayoutProvider({ children }) {
+  const [layout, setLayoutState] = useState(null)
+  const layoutRef = useRef(null)
+
+  const setLayout = useCallback((value) => {
+    const next = typeof value === 'function' ? value(layoutRef.current) : value
+    layoutRef.current = next
+    setLayoutState(next)
+  }, [])
+
+  // Applies changes right away and saves them unless the document is read-only
+  const updateLayout = useCallback(async (changes) => {
+    const current = layoutRef.current
+    if (!current) return
+    setLayout({ ...current, ...changes })
+    if (!current.editable) return
+    try {
+      await updateDocument(current.documentId, toLayoutColumns(changes))
+    } catch (err) {
+      console.error('DocumentLayout: Failed to save layout:', err)
+    }
+  }, [setLayout])
+
+  return (
+    <DocumentLayoutContext.Provider value={{ layout, setLayout, updateLayout }}>
+      {children}
+    </DocumentLayoutContext.Provider>
+  )
+}
+
+export function useDocumentLayout() {
+  return useContext(DocumentLayoutContext)
+}
@@ -0,0 +1,17 @@
+import { createContext, useContext, useState } from 'react'
+
+const VersionHistoryContext = createContext(null)
+
+export function VersionHistoryProvider({ children }) {
+  const [historyOpened, setHistoryOpened] = useState(false)
+
+  return (
+    <VersionHistoryContext.Provider value={{ historyOpened, setHistoryOpened }}>
+      {children}
+    </VersionHistoryContext.Provider>
+  )
+}
+
+export function useVersionHistory() {
+  return useContext(VersionHistoryContext)
+}
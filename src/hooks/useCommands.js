@@ -0,0 +1,73 @@
+import { useNavigate, useParams } from 'react-router-dom'
+import { useProjectContext } from '../context/ProjectContext'
+import { useAuth } from '../context/AuthContext'
+import { useTheme } from '../context/ThemeContext'
+import { useShowLinks } from '../context/ShowLinksContext'
+import { useVersionHistory } from '../context/VersionHistoryContext'
+import { useDocumentLayout } from '../context/DocumentLayoutContext'
+import { getAvailableCommands, getCommand, runCommand } from '../lib/commands'
+import { LAYOUT_MODES } from '../lib/documentLayout'
+
+// Builds the command context from app state plus UI openers owned by the caller
+// (e.g. Header owns the search and import modals) - see lib/commands.js
+export function useCommands(openers = {}) {
+  const navigate = useNavigate()
+  const { projectId, docId } = useParams()
+  const { project, documents, addDocument } = useProjectContext()
+  const { user } = useAuth()
+  const { colorScheme, toggleColorScheme } = useTheme()
+  const [showLinks, setShowLinks] = useShowLinks()
+  const { setHistoryOpened } = useVersionHistory()
+  const { layout: documentLayout, updateLayout } = useDocumentLayout()
+
+  // Only trust the documents list once the project context matches the URL
+  const isProjectSynced = project && projectId && project.id === projectId
+  const currentDocument = docId && documents && isProjectSynced
+    ? documents.find(d => d.document_number === parseInt(docId, 10)) || null
+    : null
+
+  // A layout left over from the previous document must not drive commands for this one
+  const layout = documentLayout && documentLayout.documentId === currentDocument?.id ? documentLayout : null
+
+  async function createDocument(documentType = 'text') {
+    const title = documentType === 'drawing' ? 'Untitled drawing' : 'Untitled'
+    const doc = await addDocument(title, documentType)
+    if (doc && project && doc.document_number) {
+      navigate(`/${project.id}/${doc.document_number}`)
+    }
+    return doc
+  }
+
+  // New drawing shown next to the current text document
+  async function attachCanvas() {
+    const canvas = await addDocument(`${currentDocument.title || 'Untitled'} canvas`, 'drawing')
+    if (canvas) {
+      await updateLayout({ pairedDocumentId: canvas.id, mode: LAYOUT_MODES.BOTH })
+    }
+    return canvas
+  }
+
+  const ctx = {
+    project,
+    currentDocument,
+    user,
+    colorScheme,
+    showLinks,
+    layout,
+    navigate,
+    createDocument,
+    attachCanvas,
+    updateLayout,
+    toggleColorScheme,
+    setShowLinks,
+    openHistory: () => setHistoryOpened(true),
+    ...openers,
+  }
+
+  return {
+    ctx,
+    commands: getAvailableCommands(ctx),
+    isAvailable: (id) => !!getCommand(id)?.isAvailable(ctx),
+    run: (id) => runCommand(id, ctx),
+  }
+}
@@ -1,7 +1,12 @@
 import { useState, useEffect, useRef } from 'react'
-import { getProjects, createProject, getDocuments, createDocument, deleteProject, getProjectById } from '../lib/api'
+import { getProjects, createProject, getDocuments, createDocument, deleteProject, getProjectById, cleanUpPurgedFiles } from '../lib/api'
 import { getLastVisited, getLastDocumentNumberForProject, setLastVisitedDocumentNumber } from '../lib/lastVisited'
 import { supabase } from '../lib/supabase'
+import { getIdentity, isAnonymousUser } from '../lib/guest'
+
+// Files left behind by the server's trash purge are removed once per page load,
+// after the first project load
+let purgedFilesCleaned = false
 
 export function useProject() {
   const [project, setProject] = useState(null)
@@ -24,7 +29,8 @@ export function useProject() {
     // Reload projects when auth state changes (e.g., after login or logout)
     // Only reload on SIGNED_IN or SIGNED_OUT events, not on TOKEN_REFRESHED
     const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
-      const currentUserId = session?.user?.id || null
+      // Guests have anonymous sessions; only real accounts count as a user change
+      const currentUserId = session?.user && !isAnonymousUser(session.user) ? session.user.id : null
       const userIdChanged = lastUserIdRef.current !== currentUserId
       
       // Update last user ID
@@ -45,9 +51,9 @@ export function useProject() {
   async function resetProject() {
     setLoading(true)
     try {
-      // Delete existing projects
+      // Move existing projects to the trash (only the ones we own - shared projects are left alone)
       const projects = await getProjects()
-      for (const p of projects) {
+      for (const p of projects.filter(p => p.role === 'owner')) {
         await deleteProject(p.id)
       }
       // Create fresh project
@@ -94,6 +100,12 @@ export function useProject() {
 
   async function runInitProjectBody() {
       let projects = await getProjects()
+      if (!purgedFilesCleaned) {
+        purgedFilesCleaned = true
+        cleanUpPurgedFiles().catch((err) => {
+          console.error('Failed to clean up purged files:', err)
+        })
+      }
       console.log('[useProject] Available projects:', projects.length, projects.map(p => ({ id: p.id, name: p.name })))
       
       // Create default project if none exists (for first-time users/guests)
@@ -125,7 +137,7 @@ export function useProject() {
         } else {
           // Project not in user's project list - check if it exists and what its ownership is
           // This handles the case where a guest tries to access a project that belongs to a signed-in user
-          const { data: { user } } = await supabase.auth.getUser()
+          const { user } = await getIdentity()
           const projectData = await getProjectById(urlProjectId)
           
           if (projectData) {
@@ -229,7 +241,7 @@ export function useProject() {
       const targetProject = projects.find(p => p.id === projectId)
       if (!targetProject) {
         // Project not in user's list - check if it exists and verify ownership
-        const { data: { user } } = await supabase.auth.getUser()
+        const { user } = await getIdentity()
         const projectData = await getProjectById(projectId)
         
         if (projectData) {
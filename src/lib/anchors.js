@@ -0,0 +1,46 @@
+/**
+ * Heading anchors for point-based document links
+ *
+ * A link can target a heading inside a text document by storing the heading's
+ * BlockNote block id (targetBlockId). Links without one point at the document start.
+ * The anchor travels in the URL as /:projectId/:docNumber?anchor=<blockId>.
+ */
+import { getBlockText } from './blockDiff'
+
+export const ANCHOR_PARAM = 'anchor'
+
+/**
+ * Headings of a BlockNote document, in document order (nested blocks included)
+ * @param {Array} blocks - notes_content
+ * @returns {Array<{ blockId: string, label: string, level: number }>} - Empty headings are skipped
+ */
+export function getHeadingAnchors(blocks = []) {
+  const anchors = []
+  for (const block of blocks || []) {
+    if (block.type === 'heading') {
+      const label = getBlockText(block).trim()
+      if (label) {
+        anchors.push({ blockId: block.id, label, level: block.props?.level || 1 })
+      }
+    }
+    if (Array.isArray(block.children) && block.children.length > 0) {
+      anchors.push(...getHeadingAnchors(block.children))
+    }
+  }
+  return anchors
+}
+
+/**
+ * Route for following a document link, including its anchor if it has one
+ * @param {Object} link - Entry of document_links
+ * @param {string} fallbackProjectId - Used for old links without targetProjectId
+ * @returns {string|null} - null when the link has no target
+ */
+export function getLinkPath(link, fallbackProjectId) {
+  const projectId = link.targetProjectId || fallbackProjectId
+  if (!projectId || !link.targetDocumentNumber) return null
+  const path = `/${projectId}/${link.targetDocumentNumber}`
+  return link.targetBlockId
+    ? `${path}?${ANCHOR_PARAM}=${encodeURIComponent(link.targetBlockId)}`
+    : path
+}
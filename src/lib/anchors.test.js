@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { getHeadingAnchors, getLinkPath } from './anchors'
+
+function block(id, type, text, { level, children = [] } = {}) {
+  return {
+    id,
+    type,
+    props: level ? { level } : {},
+    content: text ? [{ type: 'text', text, styles: {} }] : [],
+    children,
+  }
+}
+
+describe('getHeadingAnchors', () => {
+  it('lists headings in document order, nested ones included', () => {
+    const blocks = [
+      block('h1', 'heading', 'Intro', { level: 1 }),
+      block('p1', 'paragraph', 'Some text', {
+        children: [block('h3', 'heading', 'Nested', { level: 3 })],
+      }),
+      block('h2', 'heading', 'Details', { level: 2 }),
+    ]
+
+    expect(getHeadingAnchors(blocks)).toEqual([
+      { blockId: 'h1', label: 'Intro', level: 1 },
+      { blockId: 'h3', label: 'Nested', level: 3 },
+      { blockId: 'h2', label: 'Details', level: 2 },
+    ])
+  })
+
+  it('skips empty headings and copes with missing content', () => {
+    expect(getHeadingAnchors([block('h1', 'heading', '   '), block('h2', 'heading', '')])).toEqual([])
+    expect(getHeadingAnchors(null)).toEqual([])
+    expect(getHeadingAnchors()).toEqual([])
+  })
+
+  it('defaults the level to 1', () => {
+    expect(getHeadingAnchors([block('h', 'heading', 'Title')])[0].level).toBe(1)
+  })
+})
+
+describe('getLinkPath', () => {
+  it('builds the document route with the anchor as a query parameter', () => {
+    expect(getLinkPath({ targetProjectId: 'p1', targetDocumentNumber: 4, targetBlockId: 'a b' })).toBe('/p1/4?anchor=a%20b')
+    expect(getLinkPath({ targetProjectId: 'p1', targetDocumentNumber: 4 })).toBe('/p1/4')
+  })
+
+  it('falls back to the given project for old links', () => {
+    expect(getLinkPath({ targetDocumentNumber: 2 }, 'current')).toBe('/current/2')
+  })
+
+  it('returns null for a link without a target', () => {
+    expect(getLinkPath({ targetProjectId: 'p1' })).toBeNull()
+    expect(getLinkPath({ targetDocumentNumber: 2 })).toBeNull()
+  })
+})
@@ -1,5 +1,18 @@
 import { supabase } from './supabase'
-import { getGuestId } from './guest'
+import { getIdentity, adoptLegacyGuestProjects } from './guest'
+import { ROLES, canEdit } from './permissions'
+import { getLinkStatus, isBrokenLink } from './linkStatus'
+import { removeDocumentFiles, removeProjectFiles } from './fileStorage'
+import { storeDrawingFiles, removeProjectDrawingFiles } from './drawingFiles'
+import { DEFAULT_TRASH_RETENTION_DAYS } from './trashSettings'
+
+// Thrown when a viewer (or anyone without edit rights) tries to change a document
+export class ReadOnlyError extends Error {
+  constructor(message = 'You have view-only access to this document') {
+    super(message)
+    this.name = 'ReadOnlyError'
+  }
+}
 
 function generateProjectId() {
   const chars = 'abcdefghijklmnopqrstuvwxyz0123456789'
@@ -11,12 +24,14 @@ function generateProjectId() {
 }
 
 // Projects
+// Each project is returned with a `role` for the current user/guest ('owner', 'editor' or 'viewer')
 export async function getProjects() {
-  const { data: { user } } = await supabase.auth.getUser()
+  const { user, guestId } = await getIdentity()
   
   let query = supabase
     .from('projects')
     .select('*')
+    .is('deleted_at', null) // Trashed projects only show up in getTrash()
   
   if (user) {
     // If user is logged in, get projects by owner_id
@@ -24,7 +39,6 @@ export async function getProjects() {
   } else {
     // If not logged in, get projects by guest_id BUT exclude projects with owner_id
     // This prevents orphaned projects (with both owner_id and guest_id) from showing up
-    const guestId = getGuestId()
     query = query
       .eq('guest_id', guestId)
       .is('owner_id', null) // Only get projects that don't have an owner_id
@@ -47,11 +61,36 @@ export async function getProjects() {
     }
   }
   
-  return filteredData || []
+  const ownProjects = (filteredData || []).map(p => ({ ...p, role: ROLES.OWNER }))
+  if (!user) {
+    return ownProjects
+  }
+  
+  // Signed-in users also see projects shared with them
+  const sharedProjects = await getSharedProjects(user.id)
+  return [...ownProjects, ...sharedProjects]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+}
+
+async function getSharedProjects(userId) {
+  const { data, error } = await supabase
+    .from('project_memberships')
+    .select('role, projects(*)')
+    .eq('user_id', userId)
+  
+  if (error) {
+    // Older databases without the memberships migration simply have no shared projects
+    console.warn('getSharedProjects: Could not load memberships:', error)
+    return []
+  }
+  
+  return (data || [])
+    .filter(m => m.projects && !m.projects.deleted_at)
+    .map(m => ({ ...m.projects, role: m.role }))
 }
 
 export async function createProject(name) {
-  const { data: { user } } = await supabase.auth.getUser()
+  const { user, guestId } = await getIdentity()
   const projectData = {
     id: generateProjectId(),
     name,
@@ -63,7 +102,7 @@ export async function createProject(name) {
     projectData.owner_id = user.id
   } else {
     // If not logged in, set guest_id
-    projectData.guest_id = getGuestId()
+    projectData.guest_id = guestId
   }
   
   const { data, error } = await supabase
@@ -72,103 +111,55 @@ export async function createProject(name) {
     .select()
     .single()
   if (error) throw error
-  return data
+  return { ...data, role: ROLES.OWNER }
 }
 
-export async function claimGuestProjects() {
-  const { data: { user } } = await supabase.auth.getUser()
-  if (!user) {
-    return
-  }
-  
-  const guestId = getGuestId()
+const GUEST_CLAIM_KEY = 'thinkpost_guest_claim'
+
+// Called while still signed in as a guest, right before signing in/up.
+// The server hands out a one-time token tied to the anonymous user, which the
+// account then redeems in claimGuestProjects() - the guest id never leaves the JWT.
+export async function prepareGuestClaim() {
+  const { guestId } = await getIdentity()
   if (!guestId) {
     return
   }
   
-  // Check what project is in localStorage (the one user was working on)
-  const LAST_VISITED_KEY = 'thinkpost_last_visited'
-  const stored = localStorage.getItem(LAST_VISITED_KEY)
-  let localStorageProjectId = null
-  if (stored) {
-    try {
-      const data = JSON.parse(stored)
-      localStorageProjectId = data.projectId || data.lastProjectId
-    } catch (e) {
-      // Ignore parse errors
-    }
-  }
-  
-  // If we have a project ID from localStorage, check what guest_id it has in the database
-  let localStorageProject = null
-  let localStorageProjectNeedsClaiming = false
-  if (localStorageProjectId) {
-    const { data: projectData, error: projectError } = await supabase
-      .from('projects')
-      .select('id, name, guest_id, owner_id')
-      .eq('id', localStorageProjectId)
-      .single()
-    
-    if (!projectError && projectData) {
-      localStorageProject = projectData
-      if (projectData.guest_id !== guestId) {
-        console.warn('claimGuestProjects: MISMATCH! Project guest_id in DB:', projectData.guest_id, 'vs localStorage guest_id:', guestId)
-      }
-      if (projectData.owner_id && projectData.owner_id !== user.id) {
-        console.warn('claimGuestProjects: Project already owned by different user:', projectData.owner_id)
-        localStorageProjectNeedsClaiming = true // Wrong owner, needs to be reclaimed
-      } else if (projectData.owner_id === user.id) {
-        localStorageProjectNeedsClaiming = false
-      } else if (!projectData.owner_id) {
-        localStorageProjectNeedsClaiming = true
-      }
-    } else if (projectError) {
-      console.error('claimGuestProjects: Error fetching project from localStorage:', projectError)
-    }
+  const { data: token, error } = await supabase.rpc('create_guest_claim')
+  if (error) {
+    console.error('prepareGuestClaim: Error creating claim token:', error)
+    throw error
   }
-  
-  // Check how many projects exist with this specific guest_id
-  const { data, error: checkError } = await supabase
-    .from('projects')
-    .select('id, name, guest_id, owner_id')
-    .eq('guest_id', guestId)
-    .is('owner_id', null)
-  
-  if (checkError) {
-    console.error('claimGuestProjects: Error checking existing projects:', checkError)
-    throw checkError
+  localStorage.setItem(GUEST_CLAIM_KEY, token)
+}
+
+// Transfer the guest's projects to the signed-in account
+export async function claimGuestProjects() {
+  const { user } = await getIdentity()
+  if (!user) {
+    return
   }
   
-  let existingProjects = data
+  // Projects from before guests had real sessions still carry the localStorage id
+  await adoptLegacyGuestProjects()
   
-  // If localStorage project needs claiming but wasn't in the query results, add it to the list
-  if (localStorageProjectNeedsClaiming && localStorageProject && localStorageProject.guest_id === guestId) {
-    const alreadyInList = existingProjects?.find(p => p.id === localStorageProject.id)
-    if (!alreadyInList) {
-      if (!existingProjects) {
-        existingProjects = []
-      }
-      existingProjects.push(localStorageProject)
-    }
-  }
-  
-  // If we have no projects to claim, exit early
-  if (!existingProjects || existingProjects.length === 0) {
+  const token = localStorage.getItem(GUEST_CLAIM_KEY)
+  if (!token) {
     return
   }
   
-  // Transfer all guest projects to the user
-  const { data: updatedProjects, error } = await supabase
-    .from('projects')
-    .update({ owner_id: user.id, guest_id: null })
-    .eq('guest_id', guestId)
-    .is('owner_id', null)
-    .select()
+  const { data: claimedCount, error } = await supabase.rpc('claim_guest_projects', {
+    p_claim_token: token,
+  })
   
   if (error) {
-    console.error('claimGuestProjects: Error updating projects:', error)
+    console.error('claimGuestProjects: Error claiming projects:', error)
     throw error
   }
+  
+  // Tokens are single-use; an expired or already redeemed one is just dropped
+  localStorage.removeItem(GUEST_CLAIM_KEY)
+  return claimedCount
 }
 
 // Get project by ID (read-only, for checking project existence/ownership)
@@ -190,9 +181,14 @@ export async function getProjectById(projectId) {
   return data
 }
 
+// Moves the project (and with it all its documents) to the trash
 export async function deleteProject(id) {
-  const { error } = await supabase.from('projects').delete().eq('id', id)
+  const { error } = await supabase
+    .from('projects')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('id', id)
   if (error) throw error
+  forgetEditableDocuments({ projectId: id })
 }
 
 // Documents
@@ -242,6 +238,7 @@ export async function getDocuments(projectId) {
     .from('documents')
     .select('*')
     .eq('project_id', projectId)
+    .is('deleted_at', null)
     .order('sort_order', { ascending: true })
   if (error) throw error
   const list = data || []
@@ -252,6 +249,7 @@ export async function getDocuments(projectId) {
       .from('documents')
       .select('*')
       .eq('project_id', projectId)
+      .is('deleted_at', null)
       .order('sort_order', { ascending: true })
     if (err2) throw err2
     return refreshed || list
@@ -259,6 +257,22 @@ export async function getDocuments(projectId) {
   return list
 }
 
+// Titles of the live documents of several projects in one query, for lists that
+// span projects (the command palette). Unlike getDocuments() it never assigns
+// missing document numbers, so it doesn't write; documents without one are left out.
+export async function getDocumentTitles(projectIds) {
+  if (projectIds.length === 0) return []
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, project_id, document_number, title, document_type, deleted_at')
+    .in('project_id', projectIds)
+    .is('deleted_at', null)
+    .not('document_number', 'is', null)
+    .order('sort_order', { ascending: true })
+  if (error) throw error
+  return data || []
+}
+
 export async function getDocument(documentId) {
   const { data, error } = await supabase
     .from('documents')
@@ -274,14 +288,30 @@ export async function getDocument(documentId) {
   return data
 }
 
-// Get document by project_id and document_number
-// Works for both text and drawing documents
-// Verifies project ownership before returning the document
-export async function getDocumentByNumber(projectId, documentNumber) {
-  // First verify the project belongs to the current user/guest
-  const { data: { user } } = await supabase.auth.getUser()
+// Project access
+// Roles found in the last ROLE_CACHE_TTL ms, keyed by caller and project, so checks
+// that run on every save don't query projects and memberships each time
+const ROLE_CACHE_TTL = 30 * 1000
+const projectRoleCache = new Map()
+
+// Returns the current user's/guest's role in a project: 'owner', 'editor', 'viewer' or null
+export async function getProjectRole(projectId) {
+  const { user, guestId } = await getIdentity()
+  const cacheKey = `${user?.id || guestId}:${projectId}`
+  const cached = projectRoleCache.get(cacheKey)
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.role
+  }
   
-  // Get the project to verify ownership
+  const role = await lookUpProjectRole(projectId, user, guestId)
+  // Only granted roles are kept, so a fresh invite is picked up right away
+  if (role) {
+    projectRoleCache.set(cacheKey, { role, expiresAt: Date.now() + ROLE_CACHE_TTL })
+  }
+  return role
+}
+
+async function lookUpProjectRole(projectId, user, guestId) {
   const { data: project, error: projectError } = await supabase
     .from('projects')
     .select('owner_id, guest_id')
@@ -292,26 +322,93 @@ export async function getDocumentByNumber(projectId, documentNumber) {
     throw new Error('Project not found')
   }
   
-  // Verify ownership: user must match owner_id, or if no user, must match guest_id
-  if (user) {
-    if (project.owner_id !== user.id) {
-      console.error('getDocumentByNumber: Document does not belong to current user. Project owner:', project.owner_id, 'Current user:', user.id)
-      throw new Error('Document not found or access denied')
+  if (!user) {
+    // Guests only ever own unclaimed projects created with their guest_id
+    if (project.owner_id || !guestId || project.guest_id !== guestId) {
+      return null
     }
+    return ROLES.OWNER
+  }
+  
+  if (project.owner_id === user.id) {
+    return ROLES.OWNER
+  }
+  
+  const { data: membership, error: membershipError } = await supabase
+    .from('project_memberships')
+    .select('role')
+    .eq('project_id', projectId)
+    .eq('user_id', user.id)
+    .maybeSingle()
+  
+  if (membershipError) {
+    console.warn('getProjectRole: Could not load membership:', membershipError)
+    return null
+  }
+  
+  return membership?.role || null
+}
+
+// Throws unless the current user/guest has at least viewer access to the project
+async function verifyProjectAccess(projectId, caller) {
+  const role = await getProjectRole(projectId)
+  if (!role) {
+    console.error(`${caller}: Current user/guest has no access to project:`, projectId)
+    throw new Error('Document not found or access denied')
+  }
+  return role
+}
+
+// Documents found editable in the last ROLE_CACHE_TTL ms (not in the trash, nor in
+// a trashed project), with their project, so autosaves only need the cached role.
+// Trashing from this client drops the entries right away.
+const editableDocuments = new Map()
+
+function forgetEditableDocuments({ documentId, projectId }) {
+  for (const [id, entry] of editableDocuments) {
+    if (id === documentId || entry.projectId === projectId) {
+      editableDocuments.delete(id)
+    }
+  }
+}
+
+// Throws ReadOnlyError unless the current user/guest may edit the document's project
+async function verifyDocumentEditable(documentId, caller) {
+  let projectId = null
+  const cached = editableDocuments.get(documentId)
+  if (cached && cached.expiresAt > Date.now()) {
+    projectId = cached.projectId
   } else {
-    const guestId = getGuestId()
-    if (project.guest_id !== guestId) {
-      // If project has an owner_id, guest cannot access it
-      if (project.owner_id) {
-        console.error('getDocumentByNumber: Guest user cannot access project owned by signed-in user. Project owner:', project.owner_id)
-        throw new Error('Document not found or access denied')
-      }
-      if (project.guest_id !== guestId) {
-        console.error('getDocumentByNumber: Document does not belong to current guest. Project guest:', project.guest_id, 'Current guest:', guestId)
-        throw new Error('Document not found or access denied')
-      }
+    const { data: document, error } = await supabase
+      .from('documents')
+      .select('project_id, deleted_at, projects(deleted_at)')
+      .eq('id', documentId)
+      .single()
+    if (error) throw error
+    
+    if (document.deleted_at) {
+      throw new ReadOnlyError('This document is in the trash - restore it to make changes')
     }
+    if (document.projects?.deleted_at) {
+      throw new ReadOnlyError('This project is in the trash - restore it to make changes')
+    }
+    projectId = document.project_id
+    editableDocuments.set(documentId, { projectId, expiresAt: Date.now() + ROLE_CACHE_TTL })
+  }
+  
+  const role = await getProjectRole(projectId)
+  if (!canEdit(role)) {
+    console.warn(`${caller}: Rejected write from role:`, role)
+    throw new ReadOnlyError()
   }
+}
+
+// Get document by project_id and document_number
+// Works for both text and drawing documents
+// Verifies project access (owner or member) before returning the document
+// Trashed documents are still returned (with deleted_at set) so callers can say so
+export async function getDocumentByNumber(projectId, documentNumber) {
+  await verifyProjectAccess(projectId, 'getDocumentByNumber')
   
   // Now fetch the document
   const { data, error } = await supabase
@@ -360,17 +457,197 @@ export async function updateDocument(id, updates) {
   return data
 }
 
+// Moves the document to the trash; its document_number stays reserved
 export async function deleteDocument(id) {
-  const { error } = await supabase.from('documents').delete().eq('id', id)
+  const { error } = await supabase
+    .from('documents')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('id', id)
+  if (error) throw error
+  forgetEditableDocuments({ documentId: id })
+}
+
+// Trash
+// Trashed items are purged on the server (purge_expired_trash) once they're older
+// than the retention period of their project's owner
+
+const DAY = 24 * 60 * 60 * 1000
+
+// owner_id -> retention in days; guest projects and missing profiles get the default
+async function getTrashRetentionByOwner(ownerIds) {
+  const ids = [...new Set(ownerIds.filter(Boolean))]
+  const retention = new Map()
+  if (ids.length === 0) return retention
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('user_id, trash_retention_days')
+    .in('user_id', ids)
+  if (error) {
+    console.warn('getTrashRetentionByOwner: Could not load retention settings:', error)
+    return retention
+  }
+  for (const profile of data || []) {
+    retention.set(profile.user_id, profile.trash_retention_days)
+  }
+  return retention
+}
+
+function expiresAt(deletedAt, retentionDays) {
+  return new Date(new Date(deletedAt).getTime() + (retentionDays || DEFAULT_TRASH_RETENTION_DAYS) * DAY).toISOString()
+}
+
+// Trashed projects the caller owns, and trashed documents of projects they can still open
+// Every item comes with `expires_at`, when the purge removes it
+export async function getTrash() {
+  const { user, guestId } = await getIdentity()
+  
+  let projectsQuery = supabase
+    .from('projects')
+    .select('*')
+    .not('deleted_at', 'is', null)
+  projectsQuery = user
+    ? projectsQuery.eq('owner_id', user.id)
+    : projectsQuery.eq('guest_id', guestId).is('owner_id', null)
+  
+  const { data: projects, error: projectsError } = await projectsQuery
+    .order('deleted_at', { ascending: false })
+  if (projectsError) throw projectsError
+  
+  // Documents inside a trashed project are restored together with the project
+  const activeProjects = (await getProjects()).filter(p => canEdit(p.role))
+  let documents = []
+  if (activeProjects.length > 0) {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('id, project_id, title, document_type, document_number, deleted_at')
+      .in('project_id', activeProjects.map(p => p.id))
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+    if (error) throw error
+    documents = data || []
+  }
+  
+  const retention = await getTrashRetentionByOwner([
+    ...(projects || []).map(p => p.owner_id),
+    ...activeProjects.filter(p => documents.some(d => d.project_id === p.id)).map(p => p.owner_id),
+  ])
+  
+  return {
+    projects: (projects || []).map(p => ({ ...p, expires_at: expiresAt(p.deleted_at, retention.get(p.owner_id)) })),
+    documents: documents.map(d => {
+      const project = activeProjects.find(p => p.id === d.project_id)
+      return {
+        ...d,
+        project_name: project?.name || null,
+        expires_at: expiresAt(d.deleted_at, retention.get(project?.owner_id)),
+      }
+    }),
+  }
+}
+
+export async function restoreProject(id) {
+  const { error } = await supabase
+    .from('projects')
+    .update({ deleted_at: null })
+    .eq('id', id)
+  if (error) throw error
+}
+
+export async function restoreDocument(id) {
+  const { error } = await supabase
+    .from('documents')
+    .update({ deleted_at: null })
+    .eq('id', id)
   if (error) throw error
 }
 
+// Permanent deletes - only offered for items already in the trash
+// Uploaded files go too, and with a project its drawing images. Cleaning them up
+// is best effort: a failure is logged and never keeps the row from being deleted.
+export async function permanentlyDeleteProject(id) {
+  // Files first - the storage policies check project access, which ends with the project
+  try {
+    await removeProjectFiles(id)
+    await removeProjectDrawingFiles(id)
+  } catch (err) {
+    console.error('permanentlyDeleteProject: Failed to remove files:', err)
+  }
+  const { error } = await supabase
+    .from('projects')
+    .delete()
+    .eq('id', id)
+    .not('deleted_at', 'is', null)
+  if (error) throw error
+}
+
+export async function permanentlyDeleteDocument(id) {
+  const { data, error } = await supabase
+    .from('documents')
+    .delete()
+    .eq('id', id)
+    .not('deleted_at', 'is', null)
+    .select('id, project_id')
+  if (error) throw error
+  for (const doc of data || []) {
+    try {
+      await removeDocumentFiles(doc.project_id, doc.id)
+    } catch (err) {
+      console.error('permanentlyDeleteDocument: Failed to remove files:', err)
+    }
+  }
+}
+
+// Remove the uploaded files (and drawing images of whole projects) the purge left
+// behind in the caller's projects
+// Best effort, like the cleanup in the permanent deletes: folders that fail stay
+// queued for the next try.
+export async function cleanUpPurgedFiles() {
+  const { data: folders, error } = await supabase
+    .from('purged_file_folders')
+    .select('id, project_id, document_id')
+  if (error) throw error
+  
+  const cleared = []
+  for (const folder of folders || []) {
+    try {
+      if (folder.document_id) {
+        await removeDocumentFiles(folder.project_id, folder.document_id)
+      } else {
+        await removeProjectFiles(folder.project_id)
+        await removeProjectDrawingFiles(folder.project_id)
+      }
+      cleared.push(folder.id)
+    } catch (err) {
+      console.error('cleanUpPurgedFiles: Failed to remove files:', folder, err)
+    }
+  }
+  
+  if (cleared.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('purged_file_folders')
+      .delete()
+      .in('id', cleared)
+    if (deleteError) throw deleteError
+  }
+  return cleared.length
+}
+
+// Search
+// Full-text search across every project the caller can open (trash excluded).
+// Each result carries project_name and a snippet with matches wrapped in <mark></mark>.
+export async function searchDocuments(query, { limit = 30 } = {}) {
+  if (!query || !query.trim()) return []
+  const { data, error } = await supabase.rpc('search_documents', {
+    p_query: query.trim(),
+    p_limit: limit,
+  })
+  if (error) throw error
+  return data || []
+}
+
 // Document Contents
 export async function getDocumentContent(documentId) {
-  // First verify the document belongs to the current user/guest
-  const { data: { user } } = await supabase.auth.getUser()
-  
-  // Get the document with its project to check ownership
+  // Get the document with its project to check access
   const { data: document, error: docError } = await supabase
     .from('documents')
     .select('id, project_id')
@@ -389,30 +666,7 @@ export async function getDocumentContent(documentId) {
     return null
   }
   
-  // Get the project to verify ownership
-  const { data: project, error: projectError } = await supabase
-    .from('projects')
-    .select('owner_id, guest_id')
-    .eq('id', document.project_id)
-    .single()
-  
-  if (projectError || !project) {
-    throw new Error('Project not found')
-  }
-  
-  // Verify ownership: user must match owner_id, or if no user, must match guest_id
-  if (user) {
-    if (project.owner_id !== user.id) {
-      console.error('getDocumentContent: Document does not belong to current user. Project owner:', project.owner_id, 'Current user:', user.id)
-      throw new Error('Document not found or access denied')
-    }
-  } else {
-    const guestId = getGuestId()
-    if (project.guest_id !== guestId) {
-      console.error('getDocumentContent: Document does not belong to current guest. Project guest:', project.guest_id, 'Current guest:', guestId)
-      throw new Error('Document not found or access denied')
-    }
-  }
+  await verifyProjectAccess(document.project_id, 'getDocumentContent')
   
   // Now fetch the content from documents table
   // Try to include document_links - if it fails, we'll try without it
@@ -443,6 +697,7 @@ export async function getDocumentContent(documentId) {
     
     // Set empty array for document_links if we couldn't fetch it
     dataWithoutLinks.document_links = []
+    dataWithoutLinks.project_id = document.project_id
     return dataWithoutLinks
   }
   
@@ -462,6 +717,8 @@ export async function getDocumentContent(documentId) {
     data.document_links = []
   }
   
+  // Drawings need it to load their stored images
+  data.project_id = document.project_id
   return data
 }
 
@@ -478,6 +735,8 @@ export async function updateDocumentContent(documentId, { notes_content, drawing
     return { success: true }
   }
   
+  await verifyDocumentEditable(documentId, 'updateDocumentContent')
+  
   // Try to update all fields together
   const { error } = await supabase
     .from('documents')
@@ -511,12 +770,38 @@ export async function updateDocumentContent(documentId, { notes_content, drawing
     }
   }
   
+  if (notes_content !== undefined || drawing_content !== undefined) {
+    await createAutoVersionAfterSave(documentId, 'updateDocumentContent')
+  }
+  
   return { success: true }
 }
 
+// Merge a drawing's scene into the stored one and save it, in one transaction
+// (save_drawing_scene), so concurrent collaborators can't drop each other's elements.
+// Returns the saved drawing_content.
+export async function saveDrawingScene(documentId, { elements = [], files = {}, appState = {} }) {
+  await verifyDocumentEditable(documentId, 'saveDrawingScene')
+
+  const { data, error } = await supabase.rpc('save_drawing_scene', {
+    p_document_id: documentId,
+    p_elements: elements,
+    p_files: files,
+    p_app_state: appState,
+  })
+  if (error) throw error
+
+  if (elements.length > 0) {
+    await createAutoVersionAfterSave(documentId, 'saveDrawingScene')
+  }
+
+  return data
+}
+
 // Update document links
 export async function updateDocumentLinks(documentId, links) {
   try {
+    await verifyDocumentEditable(documentId, 'updateDocumentLinks')
     
     const { data, error } = await supabase
       .from('documents')
@@ -536,9 +821,438 @@ export async function updateDocumentLinks(documentId, links) {
   }
 }
 
+// Documents (in any project the caller can open) whose document_links point at documentId
+// Uses the GIN index on document_links via a containment query
+export async function getBacklinks(documentId) {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, project_id, document_number, title, document_type, document_links, projects(name, deleted_at)')
+    .contains('document_links', JSON.stringify([{ targetDocumentId: documentId }]))
+    .is('deleted_at', null)
+    .neq('id', documentId)
+    .order('updated_at', { ascending: false })
+  
+  if (error) throw error
+  
+  return (data || [])
+    .filter(doc => doc.projects && !doc.projects.deleted_at)
+    .map(({ document_links, projects, ...doc }) => ({
+      ...doc,
+      project_name: projects.name,
+      link_count: (document_links || []).filter(link => link.targetDocumentId === documentId).length,
+    }))
+}
+
+// Link graph
+// Every document of a project with its links, plus the documents in other projects
+// it links to or is linked from. External documents carry project_name.
+export async function getProjectLinkGraph(projectId) {
+  await verifyProjectAccess(projectId, 'getProjectLinkGraph')
+  
+  const columns = 'id, project_id, document_number, title, document_type, document_links'
+  const { data: documents, error } = await supabase
+    .from('documents')
+    .select(columns)
+    .eq('project_id', projectId)
+    .is('deleted_at', null)
+  if (error) throw error
+  
+  // Documents elsewhere that link into this project
+  const { data: incoming, error: incomingError } = await supabase
+    .from('documents')
+    .select(`${columns}, projects(name, deleted_at)`)
+    .contains('document_links', JSON.stringify([{ targetProjectId: projectId }]))
+    .neq('project_id', projectId)
+    .is('deleted_at', null)
+  if (incomingError) throw incomingError
+  
+  // Documents elsewhere that this project links to
+  const localIds = new Set((documents || []).map(d => d.id))
+  const outgoingIds = [...new Set(
+    (documents || [])
+      .flatMap(d => (d.document_links || []).map(link => link.targetDocumentId))
+      .filter(id => id && !localIds.has(id))
+  )]
+  let outgoing = []
+  if (outgoingIds.length > 0) {
+    const { data, error: outgoingError } = await supabase
+      .from('documents')
+      .select(`${columns}, projects(name, deleted_at)`)
+      .in('id', outgoingIds)
+      .is('deleted_at', null)
+    if (outgoingError) throw outgoingError
+    outgoing = data || []
+  }
+  
+  const external = new Map()
+  for (const { projects, ...doc } of [...(incoming || []), ...outgoing]) {
+    if (!projects || projects.deleted_at) continue
+    external.set(doc.id, { ...doc, project_name: projects.name })
+  }
+  
+  return { documents: documents || [], external: [...external.values()] }
+}
+
+// Content needed for a link preview card; null when the document is gone or out of reach
+export async function getDocumentPreview(documentId) {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, project_id, title, document_type, updated_at, deleted_at, notes_content, drawing_content, drawing_files')
+    .eq('id', documentId)
+    .maybeSingle()
+  
+  if (error) throw error
+  return data
+}
+
+// Calls onChange whenever the document row is saved, by anyone (needs documents in
+// the supabase_realtime publication). Returns a function that stops listening.
+export function subscribeToDocumentChanges(documentId, onChange) {
+  // A topic per subscriber - several views may watch the same document
+  const channel = supabase
+    .channel(`document-changes:${documentId}:${crypto.randomUUID()}`)
+    .on(
+      'postgres_changes',
+      { event: 'UPDATE', schema: 'public', table: 'documents', filter: `id=eq.${documentId}` },
+      () => onChange()
+    )
+    .subscribe()
+  return () => {
+    supabase.removeChannel(channel)
+  }
+}
+
+// Link validation
+// Current state of the given documents: documentId -> { id, project_id, document_number,
+// title, document_type, deleted_at, project_deleted_at }. Trashed documents are
+// included; deleted and inaccessible ones are simply absent.
+export async function getDocumentSummaries(documentIds) {
+  const ids = [...new Set(documentIds.filter(Boolean))]
+  const summaries = new Map()
+  if (ids.length === 0) return summaries
+  
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, project_id, document_number, title, document_type, deleted_at, projects(deleted_at)')
+    .in('id', ids)
+  if (error) throw error
+  
+  for (const { projects, ...doc } of data || []) {
+    if (!projects) continue
+    summaries.set(doc.id, { ...doc, project_deleted_at: projects.deleted_at })
+  }
+  return summaries
+}
+
+async function getLinkTargets(links) {
+  return getDocumentSummaries(links.map(link => link.targetDocumentId))
+}
+
+// Status of every link of a document: linkId -> { status, target }
+// target is the current state of the linked document, or null when it's gone
+export async function validateDocumentLinks(links = []) {
+  const targets = await getLinkTargets(links)
+  const result = {}
+  for (const link of links) {
+    result[link.id] = {
+      status: getLinkStatus(link, targets),
+      target: targets.get(link.targetDocumentId) || null,
+    }
+  }
+  return result
+}
+
+// Broken links across all documents of a project
+// Returns [{ source: { id, document_number, title, document_type, document_links }, link, status }]
+export async function checkProjectLinks(projectId) {
+  await verifyProjectAccess(projectId, 'checkProjectLinks')
+  
+  const { data: documents, error } = await supabase
+    .from('documents')
+    .select('id, project_id, document_number, title, document_type, document_links')
+    .eq('project_id', projectId)
+    .is('deleted_at', null)
+    .order('document_number', { ascending: true })
+  if (error) throw error
+  
+  const targets = await getLinkTargets((documents || []).flatMap(doc => doc.document_links || []))
+  const broken = []
+  for (const source of documents || []) {
+    for (const link of source.document_links || []) {
+      const status = getLinkStatus(link, targets)
+      if (isBrokenLink(status)) {
+        broken.push({ source, link, status })
+      }
+    }
+  }
+  return broken
+}
+
+// Document Versions
+// How often content saves produce an automatic snapshot
+const AUTO_VERSION_INTERVAL = 10 * 60 * 1000
+// documentId -> timestamp of the latest snapshot we know of (this session)
+const lastVersionAt = new Map()
+// documentId -> automatic snapshot check in progress
+const pendingAutoVersions = new Map()
+
+// Snapshot a document. Content is read from the database unless notes_content is
+// passed in (e.g. the live editor content right before a destructive change).
+export async function createDocumentVersion(documentId, { reason = 'manual', notes_content } = {}) {
+  const { user } = await getIdentity()
+  
+  const { data: document, error: docError } = await supabase
+    .from('documents')
+    .select('project_id, title, notes_content, drawing_content, drawing_files')
+    .eq('id', documentId)
+    .single()
+  if (docError) throw docError
+  
+  // Versions reference a drawing's images like the drawing does, instead of
+  // copying their data; legacy inline images are stored first
+  let drawingContent = document.drawing_content
+  const files = { ...(document.drawing_files || {}), ...(drawingContent?.files || {}) }
+  if (drawingContent && Object.keys(files).length > 0) {
+    drawingContent = { ...drawingContent, files: await storeDrawingFiles(document.project_id, files) }
+  }
+  
+  const { data, error } = await supabase
+    .from('document_versions')
+    .insert({
+      document_id: documentId,
+      project_id: document.project_id,
+      title: document.title,
+      notes_content: notes_content !== undefined ? notes_content : document.notes_content,
+      drawing_content: drawingContent,
+      drawing_files: {},
+      reason,
+      created_by: user?.id || null,
+    })
+    .select('id, document_id, title, reason, created_by, created_at')
+    .single()
+  if (error) throw error
+  
+  lastVersionAt.set(documentId, new Date(data.created_at).getTime())
+  return data
+}
+
+async function maybeCreateAutoVersion(documentId) {
+  // One check per document at a time, so overlapping saves don't both snapshot
+  if (pendingAutoVersions.has(documentId)) return pendingAutoVersions.get(documentId)
+  const pending = checkAutoVersion(documentId).finally(() => pendingAutoVersions.delete(documentId))
+  pendingAutoVersions.set(documentId, pending)
+  return pending
+}
+
+async function checkAutoVersion(documentId) {
+  if (!lastVersionAt.has(documentId)) {
+    const { data, error } = await supabase
+      .from('document_versions')
+      .select('created_at')
+      .eq('document_id', documentId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+    if (error) throw error
+    lastVersionAt.set(documentId, data?.[0] ? new Date(data[0].created_at).getTime() : 0)
+  }
+  
+  if (Date.now() - lastVersionAt.get(documentId) < AUTO_VERSION_INTERVAL) {
+    return null
+  }
+  // Claim the slot before the insert so concurrent saves don't double-snapshot
+  lastVersionAt.set(documentId, Date.now())
+  return createDocumentVersion(documentId, { reason: 'auto' })
+}
+
+// Periodic snapshot of the content a save just wrote. Awaited by the save, so the
+// snapshot is taken after the write; it never fails the save itself.
+async function createAutoVersionAfterSave(documentId, caller) {
+  try {
+    await maybeCreateAutoVersion(documentId)
+  } catch (err) {
+    console.error(`${caller}: Failed to create automatic version:`, err)
+  }
+}
+
+// Newest first, without content; each entry gets `author_name` when known
+export async function getDocumentVersions(documentId) {
+  const { data, error } = await supabase
+    .from('document_versions')
+    .select('id, document_id, title, reason, created_by, created_at')
+    .eq('document_id', documentId)
+    .order('created_at', { ascending: false })
+  if (error) throw error
+  
+  const versions = data || []
+  const authorIds = [...new Set(versions.map(v => v.created_by).filter(Boolean))]
+  if (authorIds.length === 0) {
+    return versions.map(v => ({ ...v, author_name: null }))
+  }
+  
+  const { data: profiles, error: profilesError } = await supabase
+    .from('user_profiles')
+    .select('user_id, email, display_name')
+    .in('user_id', authorIds)
+  if (profilesError) {
+    console.warn('getDocumentVersions: Could not load author profiles:', profilesError)
+  }
+  
+  return versions.map(v => {
+    const profile = profiles?.find(p => p.user_id === v.created_by)
+    return { ...v, author_name: profile?.display_name || profile?.email || null }
+  })
+}
+
+export async function getDocumentVersion(versionId) {
+  const { data, error } = await supabase
+    .from('document_versions')
+    .select('*')
+    .eq('id', versionId)
+    .single()
+  if (error) throw error
+  return data
+}
+
+// Give restored elements versions above anything currently stored, and delete the
+// ones the snapshot didn't have, so collaborators' reconcile keeps the restored scene
+function bumpRestoredElements(restoredElements = [], currentElements = []) {
+  const currentById = new Map(currentElements.map(el => [el.id, el]))
+  const restored = restoredElements.map(el => {
+    const current = currentById.get(el.id)
+    const version = Math.max(el.version || 0, current?.version || 0) + 1
+    return { ...el, version, versionNonce: Math.floor(Math.random() * 2 ** 31), updated: Date.now() }
+  })
+  const restoredIds = new Set(restoredElements.map(el => el.id))
+  const removed = currentElements
+    .filter(el => !restoredIds.has(el.id) && !el.isDeleted)
+    .map(el => ({ ...el, isDeleted: true, version: (el.version || 0) + 1, updated: Date.now() }))
+  return [...restored, ...removed]
+}
+
+// Replace a document's content with a snapshot; the current content is snapshotted first
+export async function restoreDocumentVersion(versionId) {
+  const version = await getDocumentVersion(versionId)
+  await createDocumentVersion(version.document_id, { reason: 'before_restore' })
+  
+  const updates = {}
+  if (version.notes_content) {
+    updates.notes_content = version.notes_content
+  }
+  if (version.drawing_content) {
+    const current = await getDocumentContent(version.document_id)
+    updates.drawing_content = {
+      ...version.drawing_content,
+      elements: bumpRestoredElements(
+        version.drawing_content.elements,
+        current?.drawing_content?.elements
+      ),
+    }
+    updates.drawing_files = version.drawing_files || version.drawing_content.files || {}
+  }
+  
+  await updateDocumentContent(version.document_id, updates)
+  return version
+}
+
+// Project Memberships
+// Lists the owner and every invited member with their profile details
+export async function getProjectMembers(projectId) {
+  const { data: project, error: projectError } = await supabase
+    .from('projects')
+    .select('owner_id')
+    .eq('id', projectId)
+    .single()
+  if (projectError) throw projectError
+  
+  const { data: memberships, error } = await supabase
+    .from('project_memberships')
+    .select('user_id, role, created_at')
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: true })
+  if (error) throw error
+  
+  const members = [
+    ...(project.owner_id ? [{ user_id: project.owner_id, role: ROLES.OWNER }] : []),
+    ...(memberships || []),
+  ]
+  if (members.length === 0) return []
+  
+  const { data: profiles, error: profilesError } = await supabase
+    .from('user_profiles')
+    .select('user_id, email, display_name')
+    .in('user_id', members.map(m => m.user_id))
+  if (profilesError) throw profilesError
+  
+  return members.map(m => {
+    const profile = profiles?.find(p => p.user_id === m.user_id)
+    return {
+      ...m,
+      email: profile?.email || null,
+      display_name: profile?.display_name || null,
+    }
+  })
+}
+
+// Invite an existing ThinkPost user (looked up by email) to a project
+export async function inviteProjectMember(projectId, email, role = ROLES.EDITOR) {
+  const { user } = await getIdentity()
+  if (!user) throw new Error('User not authenticated')
+  
+  // user_profiles is only readable for co-members, so the lookup goes through an RPC
+  const { data: matches, error: profileError } = await supabase
+    .rpc('find_user_by_email', { p_email: email.trim() })
+  if (profileError) throw profileError
+  const profile = matches?.[0]
+  
+  // Collaboration is restricted to existing accounts
+  if (!profile) {
+    throw new Error('No ThinkPost account found for that email')
+  }
+  if (profile.user_id === user.id) {
+    throw new Error('You already own this project')
+  }
+  
+  const { data, error } = await supabase
+    .from('project_memberships')
+    .upsert({
+      project_id: projectId,
+      user_id: profile.user_id,
+      role,
+      invited_by: user.id,
+    }, {
+      onConflict: 'project_id,user_id'
+    })
+    .select()
+    .single()
+  
+  if (error) throw error
+  return data
+}
+
+export async function updateProjectMemberRole(projectId, userId, role) {
+  const { data, error } = await supabase
+    .from('project_memberships')
+    .update({ role })
+    .eq('project_id', projectId)
+    .eq('user_id', userId)
+    .select()
+    .single()
+  if (error) throw error
+  return data
+}
+
+export async function removeProjectMember(projectId, userId) {
+  const { error } = await supabase
+    .from('project_memberships')
+    .delete()
+    .eq('project_id', projectId)
+    .eq('user_id', userId)
+  if (error) throw error
+}
+
 // User Profiles - Last Visited
 export async function getUserLastVisited() {
-  const { data: { user } } = await supabase.auth.getUser()
+  const { user } = await getIdentity()
   if (!user) {
     return null
   }
@@ -566,7 +1280,7 @@ export async function getUserLastVisited() {
 }
 
 export async function setUserLastVisited(projectId, docId) {
-  const { data: { user } } = await supabase.auth.getUser()
+  const { user } = await getIdentity()
   if (!user) {
     return
   }
@@ -606,12 +1320,12 @@ export async function setUserLastVisited(projectId, docId) {
 
 // User Profiles - Display Name
 export async function getUserProfile() {
-  const { data: { user } } = await supabase.auth.getUser()
+  const { user } = await getIdentity()
   if (!user) return null
   
   const { data, error } = await supabase
     .from('user_profiles')
-    .select('email, display_name')
+    .select('email, display_name, trash_retention_days')
     .eq('user_id', user.id)
     .single()
   
@@ -636,7 +1350,7 @@ export async function createUserProfile(userId, email) {
 }
 
 export async function updateUserDisplayName(displayName) {
-  const { data: { user } } = await supabase.auth.getUser()
+  const { user } = await getIdentity()
   if (!user) throw new Error('User not authenticated')
   
   // Get existing profile to preserve last_project_id, last_doc_id, and email
@@ -664,3 +1378,25 @@ export async function updateUserDisplayName(displayName) {
   if (error) throw error
   return data
 }
+
+// How long the caller's trashed projects (and documents in them) are kept
+export async function updateTrashRetentionDays(days) {
+  const { user } = await getIdentity()
+  if (!user) throw new Error('User not authenticated')
+  
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .upsert({
+      user_id: user.id,
+      email: user.email || null,
+      trash_retention_days: days,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'user_id'
+    })
+    .select('trash_retention_days')
+    .single()
+  
+  if (error) throw error
+  return data.trash_retention_days
+}
@@ -0,0 +1,248 @@
+/**
+ * Block-level diff for BlockNote documents (notes_content arrays)
+ *
+ * Blocks are matched by their id, which BlockNote keeps stable across saves, so
+ * a block that moved is still one block. Blocks left without a match (e.g. ones
+ * whose id was regenerated) are then paired by type and text where they line up.
+ * Matched blocks whose type, props or text differ are reported as changed,
+ * with a word-level diff of their text for inline highlighting.
+ */
+
+// Above this many token comparisons a changed block is shown as a full replace
+const MAX_WORD_DIFF_CELLS = 250000
+// Above this many comparisons unmatched blocks are left as removed and added
+const MAX_BLOCK_MATCH_CELLS = 250000
+
+/**
+ * Extract plain text from BlockNote inline content
+ * @param {Array|string|Object} content - Inline content, string, or table content
+ * @returns {string}
+ */
+function inlineToText(content) {
+  if (!content) return ''
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    return content.map(inlineToText).join('')
+  }
+  if (content.type === 'tableContent') {
+    return (content.rows || [])
+      .map(row => (row.cells || []).map(cell => inlineToText(cell?.content ?? cell)).join(' | '))
+      .join('\n')
+  }
+  if (typeof content.text === 'string') return content.text
+  // Inline [[links]] read as the title they were linked with
+  if (content.type === 'docLink') return content.props?.title || ''
+  if (content.content) return inlineToText(content.content)
+  return ''
+}
+
+/**
+ * Get the plain text of a single block (children excluded)
+ * @param {Object} block - BlockNote block
+ * @returns {string}
+ */
+export function getBlockText(block) {
+  return inlineToText(block?.content)
+}
+
+/**
+ * Flatten nested blocks into document order, remembering nesting depth
+ * @param {Array} blocks - BlockNote blocks
+ * @param {number} depth - Current nesting depth
+ * @returns {Array<{ block: Object, depth: number }>}
+ */
+function flattenBlocks(blocks = [], depth = 0) {
+  const result = []
+  for (const block of blocks || []) {
+    result.push({ block, depth })
+    if (Array.isArray(block.children) && block.children.length > 0) {
+      result.push(...flattenBlocks(block.children, depth + 1))
+    }
+  }
+  return result
+}
+
+/**
+ * Longest common subsequence of two arrays, as index pairs
+ * @param {Array} a
+ * @param {Array} b
+ * @param {Function} equals - Comparison of an element of a and b
+ * @returns {Array<[number, number]>}
+ */
+function lcsPairs(a, b, equals) {
+  const rows = a.length + 1
+  const cols = b.length + 1
+  const table = new Array(rows)
+  for (let i = 0; i < rows; i++) {
+    table[i] = new Uint32Array(cols)
+  }
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = equals(a[i], b[j])
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1])
+    }
+  }
+
+  const pairs = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (equals(a[i], b[j])) {
+      pairs.push([i, j])
+      i++
+      j++
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return pairs
+}
+
+/**
+ * Word-level diff of two strings
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'equal'|'added'|'removed', text: string }>}
+ */
+export function diffWords(oldText = '', newText = '') {
+  const oldTokens = oldText.split(/(\s+)/).filter(Boolean)
+  const newTokens = newText.split(/(\s+)/).filter(Boolean)
+
+  if (oldTokens.length * newTokens.length > MAX_WORD_DIFF_CELLS) {
+    return [
+      ...(oldText ? [{ type: 'removed', text: oldText }] : []),
+      ...(newText ? [{ type: 'added', text: newText }] : []),
+    ]
+  }
+
+  const segments = []
+  const push = (type, text) => {
+    const last = segments[segments.length - 1]
+    if (last && last.type === type) {
+      last.text += text
+    } else {
+      segments.push({ type, text })
+    }
+  }
+
+  let i = 0
+  let j = 0
+  for (const [oi, ni] of lcsPairs(oldTokens, newTokens, (x, y) => x === y)) {
+    while (i < oi) push('removed', oldTokens[i++])
+    while (j < ni) push('added', newTokens[j++])
+    push('equal', oldTokens[i])
+    i++
+    j++
+  }
+  while (i < oldTokens.length) push('removed', oldTokens[i++])
+  while (j < newTokens.length) push('added', newTokens[j++])
+  return segments
+}
+
+function blocksDiffer(oldBlock, newBlock) {
+  return oldBlock.type !== newBlock.type ||
+    JSON.stringify(oldBlock.props || {}) !== JSON.stringify(newBlock.props || {}) ||
+    JSON.stringify(oldBlock.content ?? null) !== JSON.stringify(newBlock.content ?? null)
+}
+
+/**
+ * Pair the blocks of two flattened documents
+ * @param {Array} oldFlat
+ * @param {Array} newFlat
+ * @returns {Array<number|undefined>} - For each new block, the index of its old block
+ */
+function matchBlocks(oldFlat, newFlat) {
+  const oldIndexById = new Map()
+  oldFlat.forEach(({ block }, index) => {
+    if (block.id && !oldIndexById.has(block.id)) oldIndexById.set(block.id, index)
+  })
+
+  const matches = new Array(newFlat.length)
+  const matchedOld = new Set()
+  newFlat.forEach(({ block }, index) => {
+    const oldIndex = oldIndexById.get(block.id)
+    if (oldIndex !== undefined && !matchedOld.has(oldIndex)) {
+      matches[index] = oldIndex
+      matchedOld.add(oldIndex)
+    }
+  })
+
+  const unmatchedOld = oldFlat.map((_, index) => index).filter(index => !matchedOld.has(index))
+  const unmatchedNew = newFlat.map((_, index) => index).filter(index => matches[index] === undefined)
+  if (unmatchedOld.length * unmatchedNew.length <= MAX_BLOCK_MATCH_CELLS) {
+    const sameText = (oi, ni) => oldFlat[oi].block.type === newFlat[ni].block.type &&
+      getBlockText(oldFlat[oi].block) === getBlockText(newFlat[ni].block)
+    for (const [a, b] of lcsPairs(unmatchedOld, unmatchedNew, sameText)) {
+      matches[unmatchedNew[b]] = unmatchedOld[a]
+    }
+  }
+  return matches
+}
+
+/**
+ * Diff two BlockNote documents
+ * @param {Array} oldBlocks - Earlier notes_content
+ * @param {Array} newBlocks - Later notes_content
+ * @returns {Array<{ status: 'added'|'removed'|'changed'|'unchanged', block: Object, oldBlock?: Object, depth: number, words?: Array }>}
+ *   In document order; removed blocks appear where they used to be
+ */
+export function diffBlocks(oldBlocks = [], newBlocks = []) {
+  const oldFlat = flattenBlocks(oldBlocks)
+  const newFlat = flattenBlocks(newBlocks)
+  const matches = matchBlocks(oldFlat, newFlat)
+  const matchedOld = new Set(matches.filter(index => index !== undefined))
+
+  const entries = []
+  let i = 0
+  // Removed blocks that came before an old position
+  const flushRemoved = (untilOld) => {
+    for (; i < untilOld; i++) {
+      if (matchedOld.has(i)) continue
+      const { block, depth } = oldFlat[i]
+      entries.push({ status: 'removed', block, depth })
+    }
+  }
+
+  newFlat.forEach(({ block, depth }, index) => {
+    const oldIndex = matches[index]
+    if (oldIndex === undefined) {
+      entries.push({ status: 'added', block, depth })
+      return
+    }
+    // A block moved up doesn't pull the removed blocks after it along
+    if (oldIndex >= i) {
+      flushRemoved(oldIndex)
+      i = oldIndex + 1
+    }
+    const oldBlock = oldFlat[oldIndex].block
+    if (blocksDiffer(oldBlock, block)) {
+      entries.push({
+        status: 'changed',
+        block,
+        oldBlock,
+        depth,
+        words: diffWords(getBlockText(oldBlock), getBlockText(block)),
+      })
+    } else {
+      entries.push({ status: 'unchanged', block, depth })
+    }
+  })
+  flushRemoved(oldFlat.length)
+  return entries
+}
+
+/**
+ * Count entries per status
+ * @param {Array} entries - Result of diffBlocks()
+ * @returns {{ added: number, removed: number, changed: number, unchanged: number }}
+ */
+export function summarizeDiff(entries) {
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 }
+  for (const entry of entries) {
+    summary[entry.status] += 1
+  }
+  return summary
+}
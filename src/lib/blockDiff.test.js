@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { diffBlocks, summarizeDiff } from './blockDiff'
+
+function paragraph(id, text) {
+  return { id, type: 'paragraph', props: {}, content: [{ type: 'text', text, styles: {} }], children: [] }
+}
+
+function statuses(entries) {
+  return entries.map(entry => `${entry.status}:${entry.block.id}`)
+}
+
+describe('diffBlocks', () => {
+  it('reports added, removed and changed blocks in document order', () => {
+    const before = [paragraph('a', 'One'), paragraph('b', 'Two'), paragraph('c', 'Three')]
+    const after = [paragraph('a', 'One'), paragraph('c', 'Three!'), paragraph('d', 'Four')]
+
+    const entries = diffBlocks(before, after)
+    expect(statuses(entries)).toEqual(['unchanged:a', 'removed:b', 'changed:c', 'added:d'])
+    expect(entries[2].words).toEqual([
+      { type: 'removed', text: 'Three' },
+      { type: 'added', text: 'Three!' },
+    ])
+  })
+
+  it('keeps a moved block as one block', () => {
+    const before = [paragraph('a', 'One'), paragraph('b', 'Two'), paragraph('c', 'Three')]
+    const after = [paragraph('c', 'Three'), paragraph('a', 'One'), paragraph('b', 'Two')]
+
+    expect(summarizeDiff(diffBlocks(before, after))).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 3 })
+  })
+
+  it('pairs blocks whose ids were regenerated by their text', () => {
+    const before = [paragraph('a', 'One'), paragraph('b', 'Two')]
+    const after = [paragraph('x', 'One'), paragraph('y', 'Two'), paragraph('z', 'Three')]
+
+    expect(statuses(diffBlocks(before, after))).toEqual(['unchanged:x', 'unchanged:y', 'added:z'])
+  })
+
+  it('compares large documents without a quadratic table', () => {
+    const before = Array.from({ length: 5000 }, (_, i) => paragraph(`old-${i}`, `Old ${i}`))
+    const after = Array.from({ length: 5000 }, (_, i) => paragraph(`new-${i}`, `New ${i}`))
+
+    expect(summarizeDiff(diffBlocks(before, after))).toEqual({ added: 5000, removed: 5000, changed: 0, unchanged: 0 })
+  })
+})
@@ -0,0 +1,216 @@
+/**
+ * Real-time collaboration for notes (BlockNote + Yjs over Supabase Realtime)
+ *
+ * Every text document gets a Y.Doc whose XML fragment backs the BlockNote editor.
+ * Yjs updates and awareness (cursor) updates are relayed through a private
+ * Supabase Realtime broadcast channel named `notes:<documentId>`; the policies on
+ * realtime.messages (20261019080000_private_collaboration_channels.sql) only let
+ * signed-in users who can read the document in.
+ */
+import * as Y from 'yjs'
+import {
+  Awareness,
+  encodeAwarenessUpdate,
+  applyAwarenessUpdate,
+  removeAwarenessStates,
+} from 'y-protocols/awareness'
+import { supabase } from './supabase'
+
+// How long a joining client waits for peers to answer its sync request
+// before it assumes it is alone and seeds the document from the database
+const INITIAL_SYNC_TIMEOUT = 1500
+
+const REMOTE_ORIGIN = 'remote'
+const SEED_ORIGIN = 'seed'
+
+const FRAGMENT_NAME = 'document-store'
+
+const CURSOR_COLORS = [
+  '#e03131', '#c2255c', '#9c36b5', '#6741d9', '#3b5bdb',
+  '#1971c2', '#0c8599', '#099268', '#2f9e44', '#e8590c',
+]
+
+function toBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+  return btoa(binary)
+}
+
+function fromBase64(base64) {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+/**
+ * Pick a stable cursor color for a user
+ * @param {string} userId - Supabase user id
+ * @returns {string} - Hex color
+ */
+export function getCursorColor(userId) {
+  if (!userId) return CURSOR_COLORS[0]
+  let hash = 0
+  for (let i = 0; i < userId.length; i++) {
+    hash = (hash * 31 + userId.charCodeAt(i)) | 0
+  }
+  return CURSOR_COLORS[Math.abs(hash) % CURSOR_COLORS.length]
+}
+
+// Client id the seed of some content is written with (FNV-1a of the content)
+function getSeedClientId(seedKey) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < seedKey.length; i++) {
+    hash ^= seedKey.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Create the shared state for one document (no network side effects)
+ * @returns {{ ydoc: Y.Doc, fragment: Y.XmlFragment, awareness: Awareness }}
+ */
+export function createCollaborationDoc() {
+  const ydoc = new Y.Doc()
+  return {
+    ydoc,
+    fragment: ydoc.getXmlFragment(FRAGMENT_NAME),
+    awareness: new Awareness(ydoc),
+  }
+}
+
+/**
+ * Free a collaboration doc once its document is closed
+ * The awareness keeps a timer running until it is destroyed.
+ * @param {Object} collab - Result of createCollaborationDoc()
+ */
+export function destroyCollaborationDoc(collab) {
+  collab.awareness.destroy()
+  collab.ydoc.destroy()
+}
+
+/**
+ * Fill an empty shared document with its stored content
+ * Any client that finds the document empty after syncing may seed it, e.g. two
+ * clients opening it at once. The seed is written with a client id derived from
+ * the content, so identical seeds are the same Yjs items and merge into a single
+ * copy instead of duplicating the blocks.
+ * @param {Object} collab - Result of createCollaborationDoc()
+ * @param {string} seedKey - The serialized content the seed is built from
+ * @param {Function} writeSeed - Writes the content into the Y.XmlFragment it is given;
+ *   must produce the same structure for the same content (block ids included)
+ * @returns {boolean} - false when the document already had content
+ */
+export function seedCollaborationDoc(collab, seedKey, writeSeed) {
+  if (collab.fragment.length > 0) return false
+  const seedDoc = new Y.Doc()
+  seedDoc.clientID = getSeedClientId(seedKey)
+  writeSeed(seedDoc.getXmlFragment(FRAGMENT_NAME))
+  // Not a remote origin, so peers that are still empty receive it too
+  Y.applyUpdate(collab.ydoc, Y.encodeStateAsUpdate(seedDoc), SEED_ORIGIN)
+  seedDoc.destroy()
+  return true
+}
+
+/**
+ * Connect a collaboration doc to the realtime channel of a document
+ * @param {Object} collab - Result of createCollaborationDoc()
+ * @param {number|string} documentId - Document id
+ * @returns {{ synced: Promise<boolean>, disconnect: Function }}
+ *   `synced` resolves to true if a peer answered, false after the timeout
+ */
+export function connectCollaboration(collab, documentId) {
+  const { ydoc, awareness } = collab
+  const channel = supabase.channel(`notes:${documentId}`, {
+    config: { private: true, broadcast: { self: false } },
+  })
+
+  let resolveSynced
+  const synced = new Promise((resolve) => {
+    resolveSynced = resolve
+  })
+  const syncTimeout = setTimeout(() => resolveSynced(false), INITIAL_SYNC_TIMEOUT)
+
+  function send(event, payload) {
+    channel.send({ type: 'broadcast', event, payload })
+  }
+
+  function sendSyncRequest() {
+    send('sync-request', {
+      stateVector: toBase64(Y.encodeStateVector(ydoc)),
+      awareness: toBase64(encodeAwarenessUpdate(awareness, [ydoc.clientID])),
+    })
+  }
+
+  // Answer another client's state vector with whatever it is missing
+  function handleSyncRequest({ payload }) {
+    const missing = Y.encodeStateAsUpdate(ydoc, fromBase64(payload.stateVector))
+    applyAwarenessUpdate(awareness, fromBase64(payload.awareness), REMOTE_ORIGIN)
+    send('sync-response', {
+      update: toBase64(missing),
+      awareness: toBase64(encodeAwarenessUpdate(awareness, Array.from(awareness.getStates().keys()))),
+    })
+  }
+
+  function handleSyncResponse({ payload }) {
+    Y.applyUpdate(ydoc, fromBase64(payload.update), REMOTE_ORIGIN)
+    applyAwarenessUpdate(awareness, fromBase64(payload.awareness), REMOTE_ORIGIN)
+    clearTimeout(syncTimeout)
+    resolveSynced(true)
+  }
+
+  function handleUpdate({ payload }) {
+    Y.applyUpdate(ydoc, fromBase64(payload.update), REMOTE_ORIGIN)
+  }
+
+  function handleAwareness({ payload }) {
+    applyAwarenessUpdate(awareness, fromBase64(payload.update), REMOTE_ORIGIN)
+  }
+
+  // Relay local changes only - remote ones came from the channel already
+  function onDocUpdate(update, origin) {
+    if (origin === REMOTE_ORIGIN) return
+    send('update', { update: toBase64(update) })
+  }
+
+  function onAwarenessUpdate({ added, updated, removed }, origin) {
+    if (origin === REMOTE_ORIGIN) return
+    const changed = added.concat(updated, removed)
+    send('awareness', { update: toBase64(encodeAwarenessUpdate(awareness, changed)) })
+  }
+
+  channel
+    .on('broadcast', { event: 'sync-request' }, handleSyncRequest)
+    .on('broadcast', { event: 'sync-response' }, handleSyncResponse)
+    .on('broadcast', { event: 'update' }, handleUpdate)
+    .on('broadcast', { event: 'awareness' }, handleAwareness)
+    .subscribe((status) => {
+      if (status === 'SUBSCRIBED') {
+        sendSyncRequest()
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.warn('connectCollaboration: realtime channel unavailable:', status)
+        clearTimeout(syncTimeout)
+        resolveSynced(false)
+      }
+    })
+
+  ydoc.on('update', onDocUpdate)
+  awareness.on('update', onAwarenessUpdate)
+
+  function disconnect() {
+    clearTimeout(syncTimeout)
+    ydoc.off('update', onDocUpdate)
+    awareness.off('update', onAwarenessUpdate)
+    // Tell peers our cursor is gone before leaving the channel
+    removeAwarenessStates(awareness, [ydoc.clientID], 'local')
+    send('awareness', { update: toBase64(encodeAwarenessUpdate(awareness, [ydoc.clientID])) })
+    supabase.removeChannel(channel)
+  }
+
+  return { synced, disconnect }
+}
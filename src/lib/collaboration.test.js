@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import * as Y from 'yjs'
+import { settle } from '../test/realtimeStandIn'
+
+const realtime = vi.hoisted(() => ({ standIn: null }))
+
+vi.mock('./supabase', async () => {
+  const { createRealtimeStandIn: create } = await import('../test/realtimeStandIn')
+  realtime.standIn = create()
+  return { supabase: realtime.standIn.createClient() }
+})
+
+const {
+  createCollaborationDoc,
+  connectCollaboration,
+  destroyCollaborationDoc,
+  seedCollaborationDoc,
+} = await import('./collaboration')
+
+// Writes one paragraph element per text, the way blocksToYXmlFragment writes blocks
+function writeParagraphs(texts) {
+  return (fragment) => {
+    fragment.insert(0, texts.map((text) => {
+      const paragraph = new Y.XmlElement('paragraph')
+      paragraph.insert(0, [new Y.XmlText(text)])
+      return paragraph
+    }))
+  }
+}
+
+function paragraphs(collab) {
+  return collab.fragment.toArray().map(node => node.toString())
+}
+
+const open = []
+
+function openClient(documentId = 1) {
+  const collab = createCollaborationDoc()
+  const connection = connectCollaboration(collab, documentId)
+  open.push({ collab, connection })
+  return { collab, connection }
+}
+
+afterEach(() => {
+  for (const { collab, connection } of open.splice(0)) {
+    connection.disconnect()
+    destroyCollaborationDoc(collab)
+  }
+  vi.useRealTimers()
+})
+
+describe('connectCollaboration', () => {
+  it('joins a private channel for the document', () => {
+    openClient(42)
+    const channels = realtime.standIn.channels('notes:42')
+    expect(channels).toHaveLength(1)
+    expect(channels[0].options.config.private).toBe(true)
+  })
+
+  it('relays edits between clients', async () => {
+    const a = openClient()
+    const b = openClient()
+    await settle()
+
+    writeParagraphs(['Hello'])(a.collab.fragment)
+    await settle()
+
+    expect(paragraphs(b.collab)).toEqual(['<paragraph>Hello</paragraph>'])
+  })
+
+  it('brings a client that joins late up to date', async () => {
+    const a = openClient()
+    await settle()
+    seedCollaborationDoc(a.collab, 'stored', writeParagraphs(['One', 'Two']))
+    await settle()
+
+    const b = openClient()
+    expect(await b.connection.synced).toBe(true)
+    expect(paragraphs(b.collab)).toEqual(paragraphs(a.collab))
+  })
+
+  it('reports no peers after the timeout when alone', async () => {
+    vi.useFakeTimers()
+    const { connection } = openClient(7)
+    await vi.advanceTimersByTimeAsync(2000)
+    expect(await connection.synced).toBe(false)
+  })
+
+  it('shares cursors and removes them when a client leaves', async () => {
+    const a = openClient()
+    const b = openClient()
+    await settle()
+
+    a.collab.awareness.setLocalStateField('user', { name: 'Ada', color: '#e03131' })
+    await settle()
+    expect(b.collab.awareness.getStates().get(a.collab.ydoc.clientID)?.user?.name).toBe('Ada')
+
+    a.connection.disconnect()
+    await settle()
+    expect(b.collab.awareness.getStates().has(a.collab.ydoc.clientID)).toBe(false)
+  })
+})
+
+describe('seedCollaborationDoc', () => {
+  it('merges identical seeds from clients that open the document at once', async () => {
+    const a = openClient()
+    const b = openClient()
+    // Both seed before hearing from each other, e.g. after a sync timeout
+    seedCollaborationDoc(a.collab, 'stored', writeParagraphs(['Title', 'Body']))
+    seedCollaborationDoc(b.collab, 'stored', writeParagraphs(['Title', 'Body']))
+    await settle()
+
+    const expected = ['<paragraph>Title</paragraph>', '<paragraph>Body</paragraph>']
+    expect(paragraphs(a.collab)).toEqual(expected)
+    expect(paragraphs(b.collab)).toEqual(expected)
+  })
+
+  it('keeps edits made on top of a seed another client repeats', async () => {
+    const a = openClient()
+    seedCollaborationDoc(a.collab, 'stored', writeParagraphs(['Title']))
+    a.collab.fragment.get(0).get(0).insert(5, '!')
+
+    const b = openClient()
+    seedCollaborationDoc(b.collab, 'stored', writeParagraphs(['Title']))
+    await settle()
+
+    expect(paragraphs(a.collab)).toEqual(['<paragraph>Title!</paragraph>'])
+    expect(paragraphs(b.collab)).toEqual(['<paragraph>Title!</paragraph>'])
+  })
+
+  it('leaves a document that already has content alone', () => {
+    const collab = createCollaborationDoc()
+    expect(seedCollaborationDoc(collab, 'first', writeParagraphs(['First']))).toBe(true)
+    expect(seedCollaborationDoc(collab, 'second', writeParagraphs(['Second']))).toBe(false)
+    expect(paragraphs(collab)).toEqual(['<paragraph>First</paragraph>'])
+    destroyCollaborationDoc(collab)
+  })
+})
+
+describe('destroyCollaborationDoc', () => {
+  it('stops the awareness timer', () => {
+    vi.useFakeTimers()
+    const collab = createCollaborationDoc()
+    expect(vi.getTimerCount()).toBeGreaterThan(0)
+    destroyCollaborationDoc(collab)
+    expect(vi.getTimerCount()).toBe(0)
+  })
+})
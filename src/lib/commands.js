@@ -0,0 +1,257 @@
+import {
+  IconFile,
+  IconBrush,
+  IconSearch,
+  IconFolder,
+  IconChartDots3,
+  IconLinkOff,
+  IconSunMoon,
+  IconLink,
+  IconFileImport,
+  IconHistory,
+  IconGitCompare,
+  IconSettings,
+  IconHelp,
+  IconLayoutSidebarRight,
+  IconLayoutColumns,
+  IconColumnsOff,
+} from '@tabler/icons-react'
+import { canEdit } from './permissions'
+import { isText } from './documentType'
+
+/**
+ * Command registry
+ *
+ * Actions offered in more than one place (Header, Sidebar, command palette) are
+ * defined once here. Each command receives the context built by useCommands():
+ *   { project, currentDocument, user, colorScheme, showLinks, layout, navigate,
+ *     createDocument(type), attachCanvas(), updateLayout(changes),
+ *     toggleColorScheme(), setShowLinks(value), openSearch(), openProjects(),
+ *     openImport(), openHistory(), openCompare(), openHelp(), openLinkReport(),
+ *     openPairDocument() }
+ * layout is the split layout of currentDocument, or null when it can't be changed.
+ * UI openers are optional - a command whose opener is missing is unavailable.
+ * Commands with a shortcut run from anywhere in the app (see getShortcutCommand).
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id - Stable identifier, used with runCommand()
+ * @property {string} label - Shown in menus and the palette
+ * @property {string} section - Palette grouping
+ * @property {Function} icon - Tabler icon component
+ * @property {string[]} [keywords] - Extra words the palette matches on
+ * @property {string} [shortcut] - Key combination such as 'Alt+Shift+D'; 'Mod' is
+ *   Cmd on macOS and Ctrl elsewhere
+ * @property {Function} isAvailable - (ctx) => boolean
+ * @property {Function} run - (ctx) => void|Promise
+ */
+
+/** @type {Command[]} */
+export const COMMANDS = [
+  {
+    id: 'document.newText',
+    label: 'New document',
+    section: 'Create',
+    icon: IconFile,
+    keywords: ['create', 'text', 'note'],
+    isAvailable: (ctx) => !!ctx.project && canEdit(ctx.project.role),
+    run: (ctx) => ctx.createDocument('text'),
+  },
+  {
+    id: 'document.newDrawing',
+    label: 'New drawing',
+    section: 'Create',
+    icon: IconBrush,
+    keywords: ['create', 'excalidraw', 'sketch'],
+    isAvailable: (ctx) => !!ctx.project && canEdit(ctx.project.role),
+    run: (ctx) => ctx.createDocument('drawing'),
+  },
+  {
+    id: 'search.open',
+    label: 'Search documents',
+    section: 'Navigate',
+    icon: IconSearch,
+    keywords: ['find', 'full text'],
+    isAvailable: (ctx) => !!ctx.openSearch && !!ctx.project,
+    run: (ctx) => ctx.openSearch(),
+  },
+  {
+    id: 'projects.open',
+    label: 'Open projects',
+    section: 'Navigate',
+    icon: IconFolder,
+    keywords: ['switch', 'trash', 'members'],
+    isAvailable: (ctx) => !!ctx.openProjects,
+    run: (ctx) => ctx.openProjects(),
+  },
+  {
+    id: 'projects.graph',
+    label: 'Open link graph',
+    section: 'Navigate',
+    icon: IconChartDots3,
+    keywords: ['map', 'connections', 'orphans'],
+    isAvailable: (ctx) => !!ctx.project,
+    run: (ctx) => ctx.navigate(`/${ctx.project.id}/graph`),
+  },
+  {
+    id: 'projects.checkLinks',
+    label: 'Check all links',
+    section: 'Navigate',
+    icon: IconLinkOff,
+    keywords: ['broken links', 'repair', 'dead links'],
+    isAvailable: (ctx) => !!ctx.openLinkReport && !!ctx.project,
+    run: (ctx) => ctx.openLinkReport(),
+  },
+  {
+    id: 'view.toggleTheme',
+    label: 'Toggle dark mode',
+    section: 'View',
+    icon: IconSunMoon,
+    keywords: ['theme', 'light', 'color scheme'],
+    isAvailable: () => true,
+    run: (ctx) => ctx.toggleColorScheme(),
+  },
+  {
+    id: 'view.toggleLinks',
+    label: 'Toggle document links',
+    section: 'View',
+    icon: IconLink,
+    keywords: ['show links', 'hide links'],
+    isAvailable: (ctx) => isText(ctx.currentDocument),
+    run: (ctx) => ctx.setShowLinks(!ctx.showLinks),
+  },
+  {
+    id: 'document.importMarkdown',
+    label: 'Import markdown',
+    section: 'Document',
+    icon: IconFileImport,
+    keywords: ['md', 'upload', 'file'],
+    isAvailable: (ctx) => !!ctx.openImport && isText(ctx.currentDocument) && canEdit(ctx.project?.role),
+    run: (ctx) => ctx.openImport(),
+  },
+  {
+    id: 'document.history',
+    label: 'Version history',
+    section: 'Document',
+    icon: IconHistory,
+    keywords: ['restore', 'snapshot', 'versions'],
+    isAvailable: (ctx) => !!ctx.openHistory && !!ctx.currentDocument,
+    run: (ctx) => ctx.openHistory(),
+  },
+  {
+    id: 'document.compareVersions',
+    label: 'Compare versions',
+    section: 'Document',
+    icon: IconGitCompare,
+    keywords: ['diff', 'changes', 'history'],
+    shortcut: 'Alt+Shift+D',
+    isAvailable: (ctx) => !!ctx.openCompare && isText(ctx.currentDocument),
+    run: (ctx) => ctx.openCompare(),
+  },
+  {
+    id: 'document.attachCanvas',
+    label: 'Attach canvas',
+    section: 'Document',
+    icon: IconLayoutSidebarRight,
+    keywords: ['split', 'drawing', 'side by side', 'both'],
+    isAvailable: (ctx) => !!ctx.layout?.editable && !ctx.layout.pairedDocumentId && isText(ctx.currentDocument),
+    run: (ctx) => ctx.attachCanvas(),
+  },
+  {
+    id: 'document.pair',
+    label: 'Show document side by side',
+    section: 'Document',
+    icon: IconLayoutColumns,
+    keywords: ['split', 'pair', 'both'],
+    isAvailable: (ctx) => !!ctx.openPairDocument && !!ctx.layout?.editable,
+    run: (ctx) => ctx.openPairDocument(),
+  },
+  {
+    id: 'document.unpair',
+    label: 'Close side by side view',
+    section: 'Document',
+    icon: IconColumnsOff,
+    keywords: ['split', 'unpair', 'single'],
+    isAvailable: (ctx) => !!ctx.layout?.editable && !!ctx.layout.pairedDocumentId,
+    run: (ctx) => ctx.updateLayout({ pairedDocumentId: null }),
+  },
+  {
+    id: 'app.settings',
+    label: 'Open settings',
+    section: 'App',
+    icon: IconSettings,
+    keywords: ['profile', 'password', 'preferences'],
+    isAvailable: (ctx) => !!ctx.user,
+    run: (ctx) => ctx.navigate('/settings'),
+  },
+  {
+    id: 'app.help',
+    label: 'Help',
+    section: 'App',
+    icon: IconHelp,
+    isAvailable: (ctx) => !!ctx.openHelp,
+    run: (ctx) => ctx.openHelp(),
+  },
+]
+
+/**
+ * Look up a command by id
+ * @param {string} id
+ * @returns {Command|undefined}
+ */
+export function getCommand(id) {
+  return COMMANDS.find(command => command.id === id)
+}
+
+/**
+ * Commands that can run in the given context
+ * @param {Object} ctx - Command context
+ * @returns {Command[]}
+ */
+export function getAvailableCommands(ctx) {
+  return COMMANDS.filter(command => command.isAvailable(ctx))
+}
+
+/**
+ * Whether a keydown event matches a shortcut such as 'Mod+Shift+K'
+ * Letters are compared by physical key, since Alt changes e.key on macOS.
+ * @param {string} shortcut
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+export function matchesShortcut(shortcut, event) {
+  const parts = shortcut.split('+')
+  const key = parts.pop()
+  const mod = parts.includes('Mod')
+  const modPressed = event.metaKey || event.ctrlKey
+  if (mod !== modPressed) return false
+  if (parts.includes('Alt') !== event.altKey || parts.includes('Shift') !== event.shiftKey) return false
+  return /^[A-Z]$/.test(key) ? event.code === `Key${key}` : event.key === key
+}
+
+/**
+ * The available command whose shortcut the keydown event matches, if any
+ * @param {KeyboardEvent} event
+ * @param {Object} ctx - Command context
+ * @returns {Command|undefined}
+ */
+export function getShortcutCommand(event, ctx) {
+  return COMMANDS.find(command => command.shortcut && matchesShortcut(command.shortcut, event) && command.isAvailable(ctx))
+}
+
+/**
+ * Run a command if it is available in the given context
+ * @param {string} id
+ * @param {Object} ctx - Command context
+ * @returns {Promise<boolean>} - false if the command is unknown or unavailable
+ */
+export async function runCommand(id, ctx) {
+  const command = getCommand(id)
+  if (!command || !command.isAvailable(ctx)) {
+    console.warn('runCommand: Command not available:', id)
+    return false
+  }
+  await command.run(ctx)
+  return true
+}
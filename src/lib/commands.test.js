@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest'
+import { matchesShortcut, getShortcutCommand } from './commands'
+
+function keydown(code, { key = code.replace(/^Key/, '').toLowerCase(), ...modifiers } = {}) {
+  return { code, key, metaKey: false, ctrlKey: false, altKey: false, shiftKey: false, ...modifiers }
+}
+
+describe('matchesShortcut', () => {
+  it('matches letters by physical key, whatever Alt typed', () => {
+    expect(matchesShortcut('Alt+Shift+D', keydown('KeyD', { key: 'Î', altKey: true, shiftKey: true }))).toBe(true)
+    expect(matchesShortcut('Alt+Shift+D', keydown('KeyD', { altKey: true }))).toBe(false)
+  })
+
+  it('takes Mod as either Ctrl or Cmd', () => {
+    expect(matchesShortcut('Mod+K', keydown('KeyK', { ctrlKey: true }))).toBe(true)
+    expect(matchesShortcut('Mod+K', keydown('KeyK', { metaKey: true }))).toBe(true)
+    expect(matchesShortcut('Mod+K', keydown('KeyK'))).toBe(false)
+  })
+})
+
+describe('getShortcutCommand', () => {
+  const event = keydown('KeyD', { altKey: true, shiftKey: true })
+
+  it('finds the command for a shortcut when it is available', () => {
+    const ctx = { currentDocument: { document_type: 'text' }, openCompare: () => {} }
+    expect(getShortcutCommand(event, ctx)?.id).toBe('document.compareVersions')
+  })
+
+  it('ignores shortcuts of unavailable commands', () => {
+    const ctx = { currentDocument: { document_type: 'drawing' }, openCompare: () => {} }
+    expect(getShortcutCommand(event, ctx)).toBeUndefined()
+  })
+})
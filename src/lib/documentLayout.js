@@ -0,0 +1,71 @@
+/**
+ * Split layout of a document and its paired document
+ *
+ * A document can be paired with another document of its project, which is then
+ * shown next to it. The layout (which side is visible and how wide the document's
+ * panel is) is stored on the document's row.
+ */
+import { getDocumentType } from './documentType'
+
+export const LAYOUT_MODES = {
+  DOCUMENT: 'document', // Only the document itself
+  PAIRED: 'paired', // Only the paired document
+  BOTH: 'both', // Side by side
+}
+
+export const DEFAULT_LAYOUT_RATIO = 50
+
+// Smallest panel width in 'both', in percent
+export const MIN_PANEL_SIZE = 15
+
+const TYPE_LABELS = {
+  text: 'Notes',
+  drawing: 'Drawing',
+}
+
+/**
+ * Layout stored on a document row
+ * @param {Object} document - Document row
+ * @returns {{ documentId: number, pairedDocumentId: number|null, mode: string, ratio: number }}
+ */
+export function getDocumentLayout(document) {
+  const mode = Object.values(LAYOUT_MODES).includes(document?.layout_mode) ? document.layout_mode : LAYOUT_MODES.BOTH
+  const ratio = Number(document?.layout_ratio)
+  return {
+    documentId: document?.id ?? null,
+    pairedDocumentId: document?.paired_document_id || null,
+    mode,
+    ratio: ratio >= MIN_PANEL_SIZE && ratio <= 100 - MIN_PANEL_SIZE ? ratio : DEFAULT_LAYOUT_RATIO,
+  }
+}
+
+/**
+ * Row columns for a layout change
+ * @param {Object} changes - Any of { pairedDocumentId, mode, ratio }
+ * @returns {Object} - Updates for the documents row
+ */
+export function toLayoutColumns(changes) {
+  const updates = {}
+  if (changes.pairedDocumentId !== undefined) updates.paired_document_id = changes.pairedDocumentId
+  if (changes.mode !== undefined) updates.layout_mode = changes.mode
+  if (changes.ratio !== undefined) updates.layout_ratio = changes.ratio
+  return updates
+}
+
+/**
+ * Options of the layout switch, e.g. Notes | Drawing | Both
+ * Two documents of the same type are told apart by title instead.
+ * @param {Object} document
+ * @param {Object} pairedDocument
+ * @returns {Array<{ value: string, label: string }>}
+ */
+export function getLayoutModeOptions(document, pairedDocument) {
+  const type = getDocumentType(document)
+  const pairedType = getDocumentType(pairedDocument)
+  const sameType = type === pairedType
+  return [
+    { value: LAYOUT_MODES.DOCUMENT, label: sameType ? (document?.title || 'Untitled') : TYPE_LABELS[type] || 'Document' },
+    { value: LAYOUT_MODES.PAIRED, label: sameType ? (pairedDocument?.title || 'Untitled') : TYPE_LABELS[pairedType] || 'Document' },
+    { value: LAYOUT_MODES.BOTH, label: 'Both' },
+  ]
+}
@@ -41,3 +41,21 @@ export function isDrawing(document) {
 export function isText(document) {
   return getDocumentType(document) === 'text'
 }
+
+/**
+ * Display attributes per document type, shared by the link graph and the list icons
+ * (DocumentTypeIcon). color is a Mantine color name; the icons use shade 6.
+ */
+export const DOCUMENT_TYPE_STYLES = {
+  text: { label: 'Text', color: 'gray' },
+  drawing: { label: 'Drawing', color: 'blue' },
+}
+
+/**
+ * Get display attributes for a document's type
+ * @param {Object} document - Document object
+ * @returns {{ label: string, color: string }}
+ */
+export function getDocumentTypeStyle(document) {
+  return DOCUMENT_TYPE_STYLES[getDocumentType(document)] || DOCUMENT_TYPE_STYLES.text
+}
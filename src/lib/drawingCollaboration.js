@@ -0,0 +1,266 @@
+/**
+ * Live multi-user sessions for drawings (Excalidraw over Supabase Realtime)
+ *
+ * Clients broadcast only the elements whose `version` changed since their last
+ * broadcast. Receivers merge them with reconcileElements(), so every client (and
+ * the saved scene) converges on the same element set.
+ *
+ * The channel `drawing:<documentId>` is private; the policies on realtime.messages
+ * (20261019090000_drawing_collaboration.sql) only let signed-in users who can
+ * read the drawing join.
+ */
+import { supabase } from './supabase'
+import { getCursorColor } from './collaboration'
+import { storeDrawingFiles } from './drawingFiles'
+
+// How long a joining client waits for the scene before asking again
+const SYNC_RETRY_DELAY = 3000
+
+/**
+ * Decide which of two copies of the same element wins
+ * Higher `version` wins; on a tie the lower `versionNonce` wins, which is the
+ * same deterministic rule Excalidraw uses so all clients pick the same copy.
+ * @param {Object} local - Local element
+ * @param {Object} remote - Remote element with the same id
+ * @returns {boolean} - true if the remote copy should replace the local one
+ */
+function shouldTakeRemote(local, remote) {
+  if (remote.version !== local.version) {
+    return remote.version > local.version
+  }
+  return remote.versionNonce < local.versionNonce
+}
+
+/**
+ * Merge two element lists (deleted elements included) into one scene
+ * @param {Array} localElements - Elements currently on this client / in the database
+ * @param {Array} remoteElements - Elements received from a peer
+ * @returns {Array} - Merged elements, ordered by fractional index when available
+ */
+export function reconcileElements(localElements = [], remoteElements = []) {
+  const merged = new Map()
+  for (const element of localElements) {
+    merged.set(element.id, element)
+  }
+  for (const remote of remoteElements) {
+    const local = merged.get(remote.id)
+    if (!local || shouldTakeRemote(local, remote)) {
+      merged.set(remote.id, remote)
+    }
+  }
+
+  const elements = Array.from(merged.values())
+  if (elements.every((element) => typeof element.index === 'string')) {
+    elements.sort((a, b) => (a.index < b.index ? -1 : a.index > b.index ? 1 : 0))
+  }
+  return elements
+}
+
+/**
+ * Join the realtime session of a drawing
+ *
+ * A joining client asks for the current scene once. Only one editor answers (the
+ * present editor with the lowest client id), addressed to the requester. Images
+ * never travel inline: they are stored first and sent as references
+ * (see lib/drawingFiles.js), which peers fetch themselves.
+ * @param {number|string} documentId - Drawing document id
+ * @param {Object} options
+ * @param {Object} options.user - Signed-in user ({ id, email })
+ * @param {string} options.projectId - Project the drawing's images are stored in
+ * @param {boolean} options.canEdit - Whether this client may answer sync requests
+ * @param {Function} options.getElements - Returns the local elements (including deleted)
+ * @param {Function} options.getFiles - Returns the local files map (data or references)
+ * @param {Function} options.onRemoteElements - Called with elements from a peer
+ * @param {Function} options.onRemoteFiles - Called with file references ({ fileId: { id, mimeType, created, hash } }) from a peer
+ * @param {Function} options.onCollaboratorsChange - Called with a Map for Excalidraw's `collaborators`
+ * @returns {{ broadcastElements: Function, broadcastPointer: Function, setUsername: Function, disconnect: Function }}
+ */
+export function connectDrawingCollaboration(documentId, {
+  user,
+  projectId,
+  canEdit,
+  getElements,
+  getFiles,
+  onRemoteElements,
+  onRemoteFiles,
+  onCollaboratorsChange,
+}) {
+  const clientId = crypto.randomUUID()
+  const color = getCursorColor(user?.id)
+  let username = user?.email || 'Anonymous'
+  const collaborators = new Map()
+  // Last version of every element we broadcast or received, to avoid echoing
+  const knownVersions = new Map()
+  // File ids we already shared, so each image is only announced once
+  const sentFileIds = new Set()
+  let sceneReceived = false
+  let syncRetryTimer = null
+
+  const channel = supabase.channel(`drawing:${documentId}`, {
+    config: {
+      private: true,
+      broadcast: { self: false },
+      presence: { key: clientId },
+    },
+  })
+
+  function send(event, payload) {
+    channel.send({ type: 'broadcast', event, payload: { ...payload, clientId } })
+  }
+
+  function rememberVersions(elements) {
+    for (const element of elements) {
+      const known = knownVersions.get(element.id)
+      if (known === undefined || element.version > known) {
+        knownVersions.set(element.id, element.version)
+      }
+    }
+  }
+
+  // References to the images of some elements, stored first if they aren't yet
+  async function collectFileRefs(elements, force = false) {
+    const files = getFiles() || {}
+    const pending = {}
+    for (const element of elements) {
+      if (element.type !== 'image' || !element.fileId) continue
+      if (!force && sentFileIds.has(element.fileId)) continue
+      if (files[element.fileId]) pending[element.fileId] = files[element.fileId]
+    }
+    if (Object.keys(pending).length === 0) return {}
+    const refs = await storeDrawingFiles(projectId, pending)
+    Object.keys(refs).forEach(fileId => sentFileIds.add(fileId))
+    return refs
+  }
+
+  function shareFiles(elements) {
+    collectFileRefs(elements)
+      .then((files) => {
+        if (Object.keys(files).length > 0) send('files', { files })
+      })
+      .catch((err) => {
+        console.error('connectDrawingCollaboration: Failed to share images:', err)
+      })
+  }
+
+  // The editor with the lowest client id, other than the requester, answers
+  function isResponder(requesterId) {
+    const candidates = Object.entries(channel.presenceState())
+      .filter(([key, metas]) => key !== requesterId && metas.some(meta => meta.canEdit))
+      .map(([key]) => key)
+      .sort()
+    return candidates[0] === clientId
+  }
+
+  async function handleSyncRequest({ payload }) {
+    if (!canEdit || !isResponder(payload.clientId)) return
+    const elements = getElements() || []
+    rememberVersions(elements)
+    let files = {}
+    try {
+      files = await collectFileRefs(elements, true)
+    } catch (err) {
+      console.error('connectDrawingCollaboration: Failed to share images:', err)
+    }
+    send('scene', { to: payload.clientId, elements, files })
+  }
+
+  function handleScene({ payload }) {
+    if (payload.to !== clientId) return
+    sceneReceived = true
+    clearTimeout(syncRetryTimer)
+    handleRemoteElements({ payload })
+    handleRemoteFiles({ payload })
+  }
+
+  function requestScene() {
+    send('sync-request', {})
+    // Presence may not have reached every peer yet; ask once more if nobody answered
+    syncRetryTimer = setTimeout(() => {
+      if (!sceneReceived) send('sync-request', {})
+    }, SYNC_RETRY_DELAY)
+  }
+
+  function notifyCollaborators() {
+    onCollaboratorsChange(new Map(collaborators))
+  }
+
+  function handleRemoteElements({ payload }) {
+    rememberVersions(payload.elements || [])
+    if (payload.elements?.length) onRemoteElements(payload.elements)
+  }
+
+  function handleRemoteFiles({ payload }) {
+    if (payload.files && Object.keys(payload.files).length > 0) onRemoteFiles(payload.files)
+  }
+
+  function handlePointer({ payload }) {
+    collaborators.set(payload.clientId, {
+      ...collaborators.get(payload.clientId),
+      id: payload.userId,
+      socketId: payload.clientId,
+      username: payload.username,
+      color: payload.color,
+      pointer: payload.pointer,
+      button: payload.button,
+      selectedElementIds: payload.selectedElementIds,
+    })
+    notifyCollaborators()
+  }
+
+  // The loaded scene is the saved one, which peers have already
+  rememberVersions(getElements() || [])
+
+  channel
+    .on('broadcast', { event: 'sync-request' }, handleSyncRequest)
+    .on('broadcast', { event: 'scene' }, handleScene)
+    .on('broadcast', { event: 'elements' }, handleRemoteElements)
+    .on('broadcast', { event: 'files' }, handleRemoteFiles)
+    .on('broadcast', { event: 'pointer' }, handlePointer)
+    .on('presence', { event: 'leave' }, ({ key }) => {
+      if (collaborators.delete(key)) {
+        notifyCollaborators()
+      }
+    })
+    .subscribe(async (status) => {
+      if (status === 'SUBSCRIBED') {
+        await channel.track({ userId: user?.id || null, canEdit: !!canEdit })
+        requestScene()
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.warn('connectDrawingCollaboration: realtime channel unavailable:', status)
+      }
+    })
+
+  function broadcastElements(elements) {
+    const changed = elements.filter((element) => {
+      const known = knownVersions.get(element.id)
+      return known === undefined || element.version > known
+    })
+    if (changed.length === 0) return
+    rememberVersions(changed)
+    send('elements', { elements: changed })
+    shareFiles(changed)
+  }
+
+  function broadcastPointer(pointer, button, selectedElementIds) {
+    send('pointer', {
+      userId: user?.id || null,
+      username,
+      color: { background: color, stroke: color },
+      pointer,
+      button,
+      selectedElementIds,
+    })
+  }
+
+  function setUsername(name) {
+    if (name) username = name
+  }
+
+  function disconnect() {
+    clearTimeout(syncRetryTimer)
+    channel.untrack()
+    supabase.removeChannel(channel)
+  }
+
+  return { broadcastElements, broadcastPointer, setUsername, disconnect }
+}
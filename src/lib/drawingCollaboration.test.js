@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { settle } from '../test/realtimeStandIn'
+
+const realtime = vi.hoisted(() => ({ standIn: null }))
+
+vi.mock('./supabase', async () => {
+  const { createRealtimeStandIn: create } = await import('../test/realtimeStandIn')
+  realtime.standIn = create()
+  return { supabase: realtime.standIn.createClient() }
+})
+
+// Stored images come back as references
+vi.mock('./drawingFiles', () => ({
+  storeDrawingFiles: vi.fn(async (projectId, files) => Object.fromEntries(
+    Object.entries(files).map(([fileId, file]) => [fileId, { id: file.id, mimeType: file.mimeType, created: 1, hash: `hash-${fileId}` }])
+  )),
+}))
+
+const { connectDrawingCollaboration } = await import('./drawingCollaboration')
+
+const image = { id: 'image-1', type: 'image', fileId: 'file-1', version: 2, versionNonce: 5, index: 'a1' }
+const imageFile = { id: 'file-1', mimeType: 'image/png', dataURL: 'data:image/png;base64,AAAA', created: 1 }
+
+const open = []
+
+function openClient({ canEdit = true, elements = [image], files = { 'file-1': imageFile } } = {}) {
+  const received = { elements: [], files: [] }
+  const connection = connectDrawingCollaboration(1, {
+    user: { id: 'user', email: 'user@example.com' },
+    projectId: 'project',
+    canEdit,
+    getElements: () => elements,
+    getFiles: () => files,
+    onRemoteElements: remote => received.elements.push(remote),
+    onRemoteFiles: remote => received.files.push(remote),
+    onCollaboratorsChange: () => {},
+  })
+  open.push(connection)
+  return { connection, received }
+}
+
+function sentEvents(event) {
+  return realtime.standIn.sent.filter(message => message.event === event)
+}
+
+afterEach(() => {
+  open.splice(0).forEach(connection => connection.disconnect())
+  realtime.standIn.sent.length = 0
+})
+
+describe('connectDrawingCollaboration', () => {
+  it('joins a private channel for the drawing', () => {
+    openClient()
+    const [channel] = realtime.standIn.channels('drawing:1')
+    expect(channel.options.config.private).toBe(true)
+  })
+
+  it('has one editor answer a joining client', async () => {
+    openClient()
+    openClient()
+    await settle()
+    realtime.standIn.sent.length = 0
+
+    const joiner = openClient({ elements: [], files: {} })
+    await settle()
+
+    const scenes = sentEvents('scene')
+    expect(scenes).toHaveLength(1)
+    expect(joiner.received.elements).toEqual([[image]])
+  })
+
+  it('addresses the scene to the client that asked', async () => {
+    const editor = openClient()
+    await settle()
+    openClient({ elements: [], files: {} })
+    await settle()
+
+    const [scene] = sentEvents('scene')
+    const [request] = sentEvents('sync-request').slice(-1)
+    expect(scene.payload.to).toBe(request.payload.clientId)
+    // The editor that answered doesn't take its own scene
+    expect(editor.received.elements).toEqual([])
+  })
+
+  it('never answers from a viewer', async () => {
+    openClient({ canEdit: false })
+    await settle()
+    openClient({ elements: [], files: {} })
+    await settle()
+
+    expect(sentEvents('scene')).toHaveLength(0)
+  })
+
+  it('sends images as references without their data', async () => {
+    openClient()
+    await settle()
+    const joiner = openClient({ elements: [], files: {} })
+    await settle()
+
+    expect(joiner.received.files).toEqual([{ 'file-1': { id: 'file-1', mimeType: 'image/png', created: 1, hash: 'hash-file-1' } }])
+    expect(JSON.stringify(realtime.standIn.sent)).not.toContain('data:image')
+  })
+
+  it('broadcasts only the elements that changed, and each image once', async () => {
+    const files = { 'file-1': imageFile, 'file-2': { ...imageFile, id: 'file-2' } }
+    const a = openClient({ files })
+    const b = openClient()
+    await settle()
+    b.received.elements.length = 0
+    realtime.standIn.sent.length = 0
+
+    const moved = { ...image, version: 3 }
+    const added = { ...image, id: 'image-2', fileId: 'file-2', version: 1, index: 'a2' }
+    a.connection.broadcastElements([image, moved, added])
+    await settle()
+
+    expect(b.received.elements).toEqual([[moved, added]])
+    // file-1 went out with the scene b asked for
+    expect(sentEvents('files').map(message => Object.keys(message.payload.files))).toEqual([['file-2']])
+  })
+})
@@ -0,0 +1,228 @@
+/**
+ * Images in drawings
+ *
+ * Excalidraw keeps pasted images as data URLs in its files map. They are stored
+ * once per project in the private `drawing-files` bucket as <projectId>/<hash>,
+ * the SHA-256 of their bytes; saved scenes only hold references
+ * ({ id, mimeType, created, hash }) and the data is downloaded when a drawing is shown.
+ *
+ * Storage doesn't check that an object's bytes match its name, so every download
+ * is hashed again and images that don't match are left out.
+ *
+ * Version snapshots reference the same objects. Scenes saved before this still
+ * carry data URLs inline; those load as they are and become references on the
+ * next save.
+ */
+import { supabase } from './supabase'
+
+export const DRAWING_FILE_BUCKET = 'drawing-files'
+
+// The bucket's limits in 20261019190000_drawing_files.sql match
+export const DRAWING_FILE_MAX_SIZE = 4 * 1024 * 1024 // Excalidraw's own limit on inserted images
+export const DRAWING_FILE_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml',
+  'image/bmp', 'image/x-icon', 'image/avif', 'image/jfif',
+]
+
+const BASE64_DATA_URL = /^data:[^,]*;base64,/
+
+// Downloads in flight at a time
+const DOWNLOAD_BATCH_SIZE = 6
+// Objects per list or remove request
+const LIST_PAGE_SIZE = 1000
+
+// `${projectId}:${hash}` of images known to be stored
+const storedFiles = new Set()
+// hash -> data URL, so reopening a drawing doesn't download its images again
+const fileCache = new Map()
+// data URL -> hash; every save passes the same files, and each is hashed once
+const hashCache = new Map()
+
+function decodeDataUrl(dataURL) {
+  const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+function encodeDataUrl(bytes, mimeType) {
+  let binary = ''
+  // In chunks; spreading a whole image into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`
+}
+
+async function hashBytes(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+async function hashDataUrl(dataURL) {
+  if (hashCache.has(dataURL)) return hashCache.get(dataURL)
+  const hash = await hashBytes(decodeDataUrl(dataURL))
+  hashCache.set(dataURL, hash)
+  return hash
+}
+
+// Another client stored the same image first
+function isAlreadyStored(error) {
+  return String(error?.statusCode) === '409' || error?.status === 409
+}
+
+function toBinaryFile(fileId, ref) {
+  return {
+    id: ref.id || fileId,
+    mimeType: ref.mimeType || 'image/png',
+    dataURL: fileCache.get(ref.hash),
+    created: ref.created || Date.now(),
+    lastRetrieved: Date.now(),
+  }
+}
+
+// Data URL of a stored image, or null when it's missing or doesn't match its hash
+async function downloadFile(projectId, hash, mimeType) {
+  const { data, error } = await supabase.storage
+    .from(DRAWING_FILE_BUCKET)
+    .download(`${projectId}/${hash}`)
+  if (error) {
+    console.error('loadDrawingFiles: Failed to download image:', hash, error)
+    return null
+  }
+  const bytes = new Uint8Array(await data.arrayBuffer())
+  if (await hashBytes(bytes) !== hash) {
+    console.error('loadDrawingFiles: Stored image does not match its hash:', hash)
+    return null
+  }
+  return encodeDataUrl(bytes, data.type || mimeType)
+}
+
+/**
+ * Whether a files entry only references a stored image
+ * @param {Object} file
+ * @returns {boolean}
+ */
+export function isFileReference(file) {
+  return !!file && typeof file === 'object' && !!file.hash && !file.dataURL
+}
+
+/**
+ * Store the images of a files map and return it with references in their place
+ * Only images this session hasn't seen stored are uploaded. Entries that are
+ * already references, or point at external URLs, are kept as they are. Images
+ * over the size limit or of a type the bucket doesn't take are left out.
+ * @param {string} projectId
+ * @param {Object} files - Excalidraw files map (fileId -> BinaryFileData)
+ * @returns {Promise<Object>} - fileId -> { id, mimeType, created, hash }
+ */
+export async function storeDrawingFiles(projectId, files = {}) {
+  const refs = {}
+  const missing = new Map()
+  for (const [fileId, file] of Object.entries(files || {})) {
+    if (!file || typeof file !== 'object') continue
+    if (!BASE64_DATA_URL.test(file.dataURL || '')) {
+      refs[fileId] = file
+      continue
+    }
+    const mimeType = file.mimeType || 'image/png'
+    const hash = await hashDataUrl(file.dataURL)
+    if (!storedFiles.has(`${projectId}:${hash}`) && !missing.has(hash)) {
+      const bytes = decodeDataUrl(file.dataURL)
+      if (bytes.length > DRAWING_FILE_MAX_SIZE || !DRAWING_FILE_TYPES.includes(mimeType)) {
+        console.error('storeDrawingFiles: Image is too large or of an unsupported type:', fileId, mimeType, bytes.length)
+        continue
+      }
+      missing.set(hash, new Blob([bytes], { type: mimeType }))
+    }
+    fileCache.set(hash, file.dataURL)
+    refs[fileId] = { id: file.id || fileId, mimeType, created: file.created || Date.now(), hash }
+  }
+
+  for (const [hash, blob] of missing) {
+    const { error } = await supabase.storage
+      .from(DRAWING_FILE_BUCKET)
+      .upload(`${projectId}/${hash}`, blob, { contentType: blob.type, upsert: false })
+    if (error && !isAlreadyStored(error)) throw error
+    storedFiles.add(`${projectId}:${hash}`)
+  }
+  return refs
+}
+
+/**
+ * Download the data of referenced images, a batch at a time
+ * @param {string} projectId
+ * @param {Object} files - Files map; entries that aren't references are skipped
+ * @param {Function} [onBatch] - Called with each batch of loaded files (BinaryFileData[]) as it arrives
+ * @returns {Promise<Array>} - Every file that could be loaded
+ */
+export async function loadDrawingFiles(projectId, files = {}, onBatch) {
+  const refs = Object.entries(files || {}).filter(([, file]) => isFileReference(file))
+  const loaded = []
+  const deliver = (entries) => {
+    const batch = entries.filter(([, ref]) => fileCache.has(ref.hash)).map(([fileId, ref]) => toBinaryFile(fileId, ref))
+    if (batch.length === 0) return
+    loaded.push(...batch)
+    onBatch?.(batch)
+  }
+
+  deliver(refs.filter(([, ref]) => fileCache.has(ref.hash)))
+
+  const pending = new Map()
+  for (const [, ref] of refs) {
+    if (!fileCache.has(ref.hash)) pending.set(ref.hash, ref.mimeType || 'image/png')
+  }
+  const hashes = [...pending.keys()]
+  for (let i = 0; i < hashes.length; i += DOWNLOAD_BATCH_SIZE) {
+    const batch = hashes.slice(i, i + DOWNLOAD_BATCH_SIZE)
+    const dataUrls = await Promise.all(batch.map(hash => downloadFile(projectId, hash, pending.get(hash))))
+    batch.forEach((hash, index) => {
+      if (!dataUrls[index]) return
+      fileCache.set(hash, dataUrls[index])
+      storedFiles.add(`${projectId}:${hash}`)
+    })
+    deliver(refs.filter(([, ref]) => batch.includes(ref.hash)))
+  }
+  return loaded
+}
+
+/**
+ * A stored files map with every reference replaced by its data, for rendering
+ * outside the editor (previews, exports). References that can't be loaded are left out.
+ * @param {string} projectId
+ * @param {Object} files
+ * @returns {Promise<Object>} - fileId -> BinaryFileData
+ */
+export async function resolveDrawingFiles(projectId, files = {}) {
+  const resolved = {}
+  for (const [fileId, file] of Object.entries(files || {})) {
+    if (file && typeof file === 'object' && !isFileReference(file)) resolved[fileId] = file
+  }
+  if (!projectId) return resolved
+  const loaded = await loadDrawingFiles(projectId, files)
+  loaded.forEach((file) => {
+    resolved[file.id] = file
+  })
+  return resolved
+}
+
+/**
+ * Delete every stored image of a project
+ * Only its owner may, once the project is deleted for good.
+ * @param {string} projectId
+ */
+export async function removeProjectDrawingFiles(projectId) {
+  const bucket = supabase.storage.from(DRAWING_FILE_BUCKET)
+  const hashes = []
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await bucket.list(projectId, { limit: LIST_PAGE_SIZE, offset })
+    if (error) throw error
+    hashes.push(...(data || []).filter(entry => entry.id).map(entry => entry.name))
+    if (!data || data.length < LIST_PAGE_SIZE) break
+  }
+  for (let i = 0; i < hashes.length; i += LIST_PAGE_SIZE) {
+    const { error } = await bucket.remove(hashes.slice(i, i + LIST_PAGE_SIZE).map(hash => `${projectId}/${hash}`))
+    if (error) throw error
+  }
+  hashes.forEach(hash => storedFiles.delete(`${projectId}:${hash}`))
+}
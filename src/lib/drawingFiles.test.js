@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const storage = vi.hoisted(() => ({ standIn: null }))
+
+vi.mock('./supabase', async () => {
+  const { createStorageStandIn } = await import('../test/storageStandIn')
+  storage.standIn = createStorageStandIn()
+  return { supabase: { storage: storage.standIn } }
+})
+
+const {
+  DRAWING_FILE_BUCKET,
+  DRAWING_FILE_MAX_SIZE,
+  isFileReference,
+  storeDrawingFiles,
+  loadDrawingFiles,
+  resolveDrawingFiles,
+  removeProjectDrawingFiles,
+} = await import('./drawingFiles')
+
+// Images are cached per session by content, so each test uses its own
+function image(content, mimeType = 'image/png') {
+  return { id: `file-${content}`, mimeType, dataURL: `data:${mimeType};base64,${btoa(content)}`, created: 1 }
+}
+
+async function sha256(content) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content))
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function storedPaths() {
+  return [...storage.standIn.objects.keys()].map(key => key.slice(DRAWING_FILE_BUCKET.length + 1)).sort()
+}
+
+function callsOf(method) {
+  return storage.standIn.calls.filter(call => call.method === method)
+}
+
+beforeEach(() => {
+  storage.standIn.objects.clear()
+  storage.standIn.calls.length = 0
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('storeDrawingFiles', () => {
+  it('stores each image once under the hash of its bytes and returns references', async () => {
+    const hash = await sha256('store')
+    const refs = await storeDrawingFiles('p1', { a: image('store'), b: { ...image('store'), id: 'b' } })
+
+    expect(refs).toEqual({
+      a: { id: 'file-store', mimeType: 'image/png', created: 1, hash },
+      b: { id: 'b', mimeType: 'image/png', created: 1, hash },
+    })
+    expect(Object.values(refs).every(isFileReference)).toBe(true)
+    expect(storedPaths()).toEqual([`p1/${hash}`])
+    expect(storage.standIn.objects.get(`${DRAWING_FILE_BUCKET}/p1/${hash}`).contentType).toBe('image/png')
+  })
+
+  it('uploads nothing again for images stored this session', async () => {
+    const files = { a: image('again') }
+    await storeDrawingFiles('p1', files)
+    await storeDrawingFiles('p1', files)
+    expect(callsOf('upload')).toHaveLength(1)
+  })
+
+  it('treats an image another client stored first as stored', async () => {
+    const hash = await sha256('raced')
+    storage.standIn.objects.set(`${DRAWING_FILE_BUCKET}/p1/${hash}`, { body: new Blob(['raced']), contentType: 'image/png' })
+    expect(await storeDrawingFiles('p1', { a: image('raced') })).toEqual({ a: expect.objectContaining({ hash }) })
+  })
+
+  it('keeps references and external URLs as they are', async () => {
+    const ref = { id: 'r', mimeType: 'image/png', created: 1, hash: 'abc' }
+    const external = { id: 'e', mimeType: 'image/png', dataURL: 'https://example.com/e.png' }
+    expect(await storeDrawingFiles('p1', { r: ref, e: external })).toEqual({ r: ref, e: external })
+    expect(callsOf('upload')).toHaveLength(0)
+  })
+
+  it('leaves out images over the size limit or of types the bucket does not take', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const large = image('x'.repeat(DRAWING_FILE_MAX_SIZE + 1))
+    const pdf = image('pdf', 'application/pdf')
+
+    expect(await storeDrawingFiles('p1', { large, pdf })).toEqual({})
+    expect(storedPaths()).toEqual([])
+  })
+
+  it('fails when an upload fails, so the scene is not saved with missing images', async () => {
+    vi.spyOn(storage.standIn, 'from').mockReturnValueOnce({
+      upload: async () => ({ data: null, error: { message: 'Payload too large', statusCode: '413' } }),
+    })
+    await expect(storeDrawingFiles('p1', { a: image('failing') })).rejects.toMatchObject({ statusCode: '413' })
+  })
+})
+
+describe('loadDrawingFiles', () => {
+  it('downloads referenced images, checks their hash and passes them on as they arrive', async () => {
+    const { a: ref } = await storeDrawingFiles('p1', { a: image('load') })
+    // A fresh project, so nothing is cached from the upload
+    const hash = ref.hash
+    storage.standIn.objects.set(`${DRAWING_FILE_BUCKET}/p2/${hash}`, { body: new Blob(['load'], { type: 'image/png' }), contentType: 'image/png' })
+    const onBatch = vi.fn()
+
+    const loaded = await loadDrawingFiles('p2', { a: ref, inline: image('inline') }, onBatch)
+    expect(loaded).toEqual([expect.objectContaining({ id: 'file-load', mimeType: 'image/png', dataURL: image('load').dataURL })])
+    expect(onBatch).toHaveBeenCalledWith(loaded)
+  })
+
+  it('leaves out images whose bytes do not match their hash', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const hash = await sha256('genuine')
+    storage.standIn.objects.set(`${DRAWING_FILE_BUCKET}/p1/${hash}`, { body: new Blob(['forged']), contentType: 'image/png' })
+
+    const ref = { id: 'a', mimeType: 'image/png', created: 1, hash }
+    expect(await loadDrawingFiles('p1', { a: ref })).toEqual([])
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('does not match its hash'), hash)
+  })
+
+  it('leaves out images that are missing', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const ref = { id: 'a', mimeType: 'image/png', created: 1, hash: await sha256('missing') }
+    expect(await loadDrawingFiles('p1', { a: ref })).toEqual([])
+  })
+
+  it('downloads each image once per session', async () => {
+    const hash = await sha256('cached')
+    storage.standIn.objects.set(`${DRAWING_FILE_BUCKET}/p1/${hash}`, { body: new Blob(['cached'], { type: 'image/png' }), contentType: 'image/png' })
+    const files = { a: { id: 'a', mimeType: 'image/png', created: 1, hash } }
+
+    await loadDrawingFiles('p1', files)
+    expect(await loadDrawingFiles('p1', files)).toHaveLength(1)
+    expect(callsOf('download')).toHaveLength(1)
+  })
+})
+
+describe('resolveDrawingFiles', () => {
+  it('returns inline images as they are and references with their data', async () => {
+    const hash = await sha256('resolve')
+    storage.standIn.objects.set(`${DRAWING_FILE_BUCKET}/p1/${hash}`, { body: new Blob(['resolve'], { type: 'image/png' }), contentType: 'image/png' })
+    const inline = image('resolve-inline')
+
+    const resolved = await resolveDrawingFiles('p1', { a: { id: 'a', mimeType: 'image/png', created: 1, hash }, b: inline })
+    expect(resolved.a.dataURL).toBe(image('resolve').dataURL)
+    expect(resolved.b).toBe(inline)
+  })
+})
+
+describe('removeProjectDrawingFiles', () => {
+  it('removes every image of the project and keeps those of others', async () => {
+    await storeDrawingFiles('p1', { a: image('remove-1'), b: image('remove-2') })
+    await storeDrawingFiles('p2', { a: image('remove-1') })
+
+    await removeProjectDrawingFiles('p1')
+    expect(storedPaths()).toEqual([`p2/${await sha256('remove-1')}`])
+
+    // Stored again after the project's images went
+    await storeDrawingFiles('p1', { a: image('remove-1') })
+    expect(storedPaths()).toHaveLength(2)
+  })
+})
@@ -0,0 +1,74 @@
+/**
+ * Links from drawing elements to documents
+ *
+ * Uses Excalidraw's element `link` with an internal scheme:
+ *   thinkpost://doc/<projectId>/<documentNumber>?id=<documentId>[&anchor=<blockId>]
+ * The target's title at link time is kept in the element's customData so link
+ * checks can name it. Every linked element gets a mirrored entry in
+ * document_links (see mirroredLinks.js).
+ */
+import { ANCHOR_PARAM } from './anchors'
+import { LINK_SOURCES, replaceMirroredLinks } from './mirroredLinks'
+
+const PROTOCOL = 'thinkpost:'
+const HOST = 'doc'
+
+/**
+ * Element link for a document
+ * @param {Object} document - Target, with id, project_id and document_number
+ * @param {Object} [anchor] - Heading to open at ({ blockId })
+ * @returns {string}
+ */
+export function buildDrawingLinkUrl(document, anchor) {
+  const params = new URLSearchParams({ id: String(document.id) })
+  if (anchor?.blockId) params.set(ANCHOR_PARAM, anchor.blockId)
+  return `${PROTOCOL}//${HOST}/${encodeURIComponent(document.project_id)}/${document.document_number}?${params}`
+}
+
+/**
+ * Parse an element link
+ * @param {string} url
+ * @returns {{ targetDocumentId: number, targetProjectId: string, targetDocumentNumber: number, targetBlockId: string|null }|null}
+ *   null for anything that isn't a document link (regular web links included)
+ */
+export function parseDrawingLinkUrl(url) {
+  if (typeof url !== 'string' || !url.startsWith(`${PROTOCOL}//`)) return null
+  try {
+    const parsed = new URL(url)
+    const [projectId, documentNumber] = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent)
+    const documentId = Number(parsed.searchParams.get('id'))
+    if (parsed.host !== HOST || !projectId || !Number(documentNumber) || !documentId) return null
+    return {
+      targetDocumentId: documentId,
+      targetProjectId: projectId,
+      targetDocumentNumber: Number(documentNumber),
+      targetBlockId: parsed.searchParams.get(ANCHOR_PARAM) || null,
+    }
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * document_links with the drawing entries rebuilt from the scene
+ * @param {Array} links - Current document_links
+ * @param {Array} elements - Excalidraw elements
+ * @returns {Array} - The same array when nothing changed
+ */
+export function syncDrawingLinks(links = [], elements = []) {
+  const entries = []
+  for (const element of elements) {
+    if (element.isDeleted) continue
+    const target = parseDrawingLinkUrl(element.link)
+    if (!target) continue
+    entries.push({
+      id: `drawing-${element.id}`,
+      source: LINK_SOURCES.DRAWING,
+      elementId: element.id,
+      ...target,
+      type: element.customData?.linkType === 'drawing' ? 'drawing' : 'document',
+      title: element.customData?.linkTitle || 'Untitled',
+    })
+  }
+  return replaceMirroredLinks(links, LINK_SOURCES.DRAWING, entries)
+}
@@ -0,0 +1,285 @@
+/**
+ * Files in text documents (image, video, audio and file blocks)
+ *
+ * Uploads go to the private `document-files` bucket as
+ * <projectId>/<documentId>/<unique name>. Blocks store the internal URL
+ *   thinkpost://file/<path>
+ * which the editor resolves to a short-lived signed URL when it renders, so
+ * stored content never holds expiring links.
+ *
+ * Setting VITE_FILE_STORAGE=local swaps Supabase Storage for a localStorage
+ * stand-in (data URLs), for tests and working without a backend.
+ *
+ * Files stay while their document exists, even when no block uses them any
+ * more - version history may still point at them. They are removed with the
+ * document when it's deleted permanently.
+ */
+import { supabase } from './supabase'
+
+export const FILE_BUCKET = 'document-files'
+export const FILE_URL_PREFIX = 'thinkpost://file/'
+
+const MB = 1024 * 1024
+
+// Per block type; the bucket's limits in 20261019180000_document_files.sql match
+export const FILE_LIMITS = {
+  image: {
+    maxSize: 10 * MB,
+    types: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'],
+  },
+  video: {
+    maxSize: 50 * MB,
+    types: ['video/mp4', 'video/webm', 'video/quicktime'],
+  },
+  audio: {
+    maxSize: 20 * MB,
+    types: ['audio/mpeg', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/mp4'],
+  },
+  file: {
+    maxSize: 25 * MB,
+    types: [
+      'application/pdf', 'text/plain', 'text/markdown', 'text/csv', 'application/zip',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    ],
+  },
+}
+
+// Signed URLs for the editor are renewed this long before they expire
+const SIGNED_URL_TTL = 60 * 60 // seconds
+const SIGNED_URL_RENEW_MARGIN = 5 * 60 * 1000 // ms
+
+// Links in exported Markdown have to outlive the editor's
+const EXPORT_URL_TTL = 7 * 24 * 60 * 60 // seconds
+
+// Thrown when a file is rejected before upload
+export class FileUploadError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'FileUploadError'
+  }
+}
+
+const supabaseStorage = {
+  async upload(path, file) {
+    const { error } = await supabase.storage
+      .from(FILE_BUCKET)
+      .upload(path, file, { contentType: file.type, upsert: false })
+    if (error) throw error
+  },
+
+  async getUrl(path, expiresIn) {
+    const { data, error } = await supabase.storage
+      .from(FILE_BUCKET)
+      .createSignedUrl(path, expiresIn)
+    if (error) throw error
+    return data.signedUrl
+  },
+
+  async download(path) {
+    const { data, error } = await supabase.storage.from(FILE_BUCKET).download(path)
+    if (error) throw error
+    return data
+  },
+
+  // Every file under a folder; listing isn't recursive, so subfolders are walked
+  async list(prefix) {
+    const { data, error } = await supabase.storage
+      .from(FILE_BUCKET)
+      .list(prefix, { limit: 1000 })
+    if (error) throw error
+    const paths = []
+    for (const entry of data || []) {
+      const path = `${prefix}/${entry.name}`
+      // Folders come back without an id
+      if (entry.id) paths.push(path)
+      else paths.push(...await supabaseStorage.list(path))
+    }
+    return paths
+  },
+
+  async remove(paths) {
+    if (paths.length === 0) return
+    const { error } = await supabase.storage.from(FILE_BUCKET).remove(paths)
+    if (error) throw error
+  },
+}
+
+const LOCAL_KEY_PREFIX = 'thinkpost-file:'
+
+const localStandIn = {
+  async upload(path, file) {
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.onerror = () => reject(reader.error)
+      reader.readAsDataURL(file)
+    })
+    localStorage.setItem(LOCAL_KEY_PREFIX + path, dataUrl)
+  },
+
+  async getUrl(path) {
+    const dataUrl = localStorage.getItem(LOCAL_KEY_PREFIX + path)
+    if (!dataUrl) throw new Error(`File not found: ${path}`)
+    return dataUrl
+  },
+
+  async download(path) {
+    const response = await fetch(await localStandIn.getUrl(path))
+    return response.blob()
+  },
+
+  async list(prefix) {
+    const paths = []
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i)
+      if (key.startsWith(`${LOCAL_KEY_PREFIX}${prefix}/`)) paths.push(key.slice(LOCAL_KEY_PREFIX.length))
+    }
+    return paths
+  },
+
+  async remove(paths) {
+    paths.forEach(path => localStorage.removeItem(LOCAL_KEY_PREFIX + path))
+  },
+}
+
+const storage = import.meta.env.VITE_FILE_STORAGE === 'local' ? localStandIn : supabaseStorage
+
+// path -> { url, expiresAt } for the editor's signed URLs
+const signedUrlCache = new Map()
+
+/**
+ * Block type a file is uploaded as, from its MIME type
+ * @param {string} mimeType
+ * @returns {'image'|'video'|'audio'|'file'}
+ */
+export function getFileBlockType(mimeType = '') {
+  const kind = mimeType.split('/')[0]
+  return ['image', 'video', 'audio'].includes(kind) ? kind : 'file'
+}
+
+/**
+ * Check a file against the limits of the block it goes into
+ * @param {File} file
+ * @param {string} [blockType] - image, video, audio or file; derived from the MIME type when omitted
+ * @throws {FileUploadError}
+ */
+export function validateUpload(file, blockType = getFileBlockType(file.type)) {
+  const limits = FILE_LIMITS[blockType] || FILE_LIMITS.file
+  // Any allowed type fits a file block; media blocks only take their own kind
+  const allowed = blockType === 'file'
+    ? Object.values(FILE_LIMITS).flatMap(limit => limit.types)
+    : limits.types
+  if (!allowed.includes(file.type)) {
+    throw new FileUploadError(`${file.type || 'This file type'} can't be added as ${blockType === 'image' ? 'an' : 'a'} ${blockType}`)
+  }
+  const maxSize = blockType === 'file' ? FILE_LIMITS[getFileBlockType(file.type)].maxSize : limits.maxSize
+  if (file.size > maxSize) {
+    throw new FileUploadError(`${file.name} is larger than ${Math.round(maxSize / MB)} MB`)
+  }
+}
+
+/**
+ * Whether a URL points at an uploaded file
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isStoredFileUrl(url) {
+  return typeof url === 'string' && url.startsWith(FILE_URL_PREFIX)
+}
+
+/**
+ * Storage path of an uploaded file's URL
+ * @param {string} url - thinkpost://file/<path>
+ * @returns {string|null}
+ */
+export function getStoredFilePath(url) {
+  return isStoredFileUrl(url) ? url.slice(FILE_URL_PREFIX.length) : null
+}
+
+/**
+ * Upload a file for a document
+ * @param {string} projectId
+ * @param {number} documentId
+ * @param {File} file
+ * @param {string} [blockType] - Block the file goes into, for validation
+ * @returns {Promise<string>} - thinkpost://file/ URL to store in the block
+ * @throws {FileUploadError} when the file breaks the limits
+ */
+export async function uploadDocumentFile(projectId, documentId, file, blockType) {
+  validateUpload(file, blockType)
+  // Unique per upload; keep a readable, path-safe version of the name
+  const safeName = (file.name || 'file').replace(/[^\w.-]+/g, '_').slice(-80)
+  const path = `${projectId}/${documentId}/${crypto.randomUUID()}-${safeName}`
+  await storage.upload(path, file)
+  return FILE_URL_PREFIX + path
+}
+
+/**
+ * URL the browser can load for a block's URL
+ * Other URLs (e.g. embedded web images) are returned unchanged.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export async function resolveFileUrl(url) {
+  const path = getStoredFilePath(url)
+  if (!path) return url
+  const cached = signedUrlCache.get(path)
+  if (cached && cached.expiresAt - Date.now() > SIGNED_URL_RENEW_MARGIN) return cached.url
+  const signedUrl = await storage.getUrl(path, SIGNED_URL_TTL)
+  signedUrlCache.set(path, { url: signedUrl, expiresAt: Date.now() + SIGNED_URL_TTL * 1000 })
+  return signedUrl
+}
+
+/**
+ * Replace uploaded file URLs in exported Markdown with links that work outside the app
+ * Files that can't be signed keep their internal URL.
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+export async function resolveMarkdownFileUrls(markdown) {
+  const urls = [...new Set(markdown.match(/thinkpost:\/\/file\/[^\s)"'<>]+/g) || [])]
+  let result = markdown
+  for (const url of urls) {
+    try {
+      const signedUrl = await storage.getUrl(getStoredFilePath(url), EXPORT_URL_TTL)
+      result = result.split(url).join(signedUrl)
+    } catch (err) {
+      console.error('resolveMarkdownFileUrls: Failed to sign file URL:', url, err)
+    }
+  }
+  return result
+}
+
+/**
+ * Contents of an uploaded file
+ * @param {string} url - thinkpost://file/<path>
+ * @returns {Promise<Blob>}
+ */
+export async function downloadStoredFile(url) {
+  const path = getStoredFilePath(url)
+  if (!path) throw new Error(`Not an uploaded file: ${url}`)
+  return storage.download(path)
+}
+
+/**
+ * Delete every file uploaded to a document
+ * @param {string} projectId
+ * @param {number} documentId
+ */
+export async function removeDocumentFiles(projectId, documentId) {
+  const paths = await storage.list(`${projectId}/${documentId}`)
+  await storage.remove(paths)
+  paths.forEach(path => signedUrlCache.delete(path))
+}
+
+/**
+ * Delete every file uploaded to any document of a project
+ * @param {string} projectId
+ */
+export async function removeProjectFiles(projectId) {
+  const paths = await storage.list(projectId)
+  await storage.remove(paths)
+  paths.forEach(path => signedUrlCache.delete(path))
+}
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const storage = vi.hoisted(() => ({ standIn: null }))
+
+vi.mock('./supabase', async () => {
+  const { createStorageStandIn } = await import('../test/storageStandIn')
+  storage.standIn = createStorageStandIn()
+  return { supabase: { storage: storage.standIn } }
+})
+
+const {
+  FILE_BUCKET,
+  FileUploadError,
+  getFileBlockType,
+  validateUpload,
+  isStoredFileUrl,
+  getStoredFilePath,
+  uploadDocumentFile,
+  resolveFileUrl,
+  resolveMarkdownFileUrls,
+  removeDocumentFiles,
+  removeProjectFiles,
+} = await import('./fileStorage')
+
+const MB = 1024 * 1024
+
+// validateUpload only reads name, type and size, so large files needn't be allocated
+function fakeFile(name, type, size) {
+  return { name, type, size }
+}
+
+function storedPaths() {
+  return [...storage.standIn.objects.keys()].map(key => key.slice(FILE_BUCKET.length + 1)).sort()
+}
+
+beforeEach(() => {
+  storage.standIn.objects.clear()
+  storage.standIn.calls.length = 0
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('getFileBlockType', () => {
+  it('picks the media block for images, video and audio, and a file block otherwise', () => {
+    expect(getFileBlockType('image/png')).toBe('image')
+    expect(getFileBlockType('video/mp4')).toBe('video')
+    expect(getFileBlockType('audio/mpeg')).toBe('audio')
+    expect(getFileBlockType('application/pdf')).toBe('file')
+    expect(getFileBlockType()).toBe('file')
+  })
+})
+
+describe('validateUpload', () => {
+  it('accepts files within the limits of their block', () => {
+    expect(() => validateUpload(fakeFile('a.png', 'image/png', 2 * MB))).not.toThrow()
+    expect(() => validateUpload(fakeFile('a.pdf', 'application/pdf', 20 * MB))).not.toThrow()
+  })
+
+  it('rejects types the block does not take', () => {
+    expect(() => validateUpload(fakeFile('a.pdf', 'application/pdf', 1), 'image')).toThrow(FileUploadError)
+    expect(() => validateUpload(fakeFile('a.exe', 'application/x-msdownload', 1))).toThrow("can't be added as a file")
+  })
+
+  it('lets a file block take any allowed type, with that type\'s size limit', () => {
+    expect(() => validateUpload(fakeFile('a.mp4', 'video/mp4', 40 * MB), 'file')).not.toThrow()
+    expect(() => validateUpload(fakeFile('a.png', 'image/png', 11 * MB), 'file')).toThrow('larger than 10 MB')
+  })
+
+  it('rejects files over the size limit', () => {
+    expect(() => validateUpload(fakeFile('big.png', 'image/png', 10 * MB + 1))).toThrow('big.png is larger than 10 MB')
+    expect(() => validateUpload(fakeFile('big.mp4', 'video/mp4', 51 * MB))).toThrow('larger than 50 MB')
+  })
+})
+
+describe('stored file URLs', () => {
+  it('tells uploaded files from other URLs', () => {
+    expect(isStoredFileUrl('thinkpost://file/p1/2/a.png')).toBe(true)
+    expect(isStoredFileUrl('https://example.com/a.png')).toBe(false)
+    expect(isStoredFileUrl(null)).toBe(false)
+    expect(getStoredFilePath('thinkpost://file/p1/2/a.png')).toBe('p1/2/a.png')
+    expect(getStoredFilePath('https://example.com/a.png')).toBeNull()
+  })
+})
+
+describe('uploadDocumentFile', () => {
+  it('stores the file under its project and document and returns its internal URL', async () => {
+    const file = new File(['png'], 'My photo (1).png', { type: 'image/png' })
+    const url = await uploadDocumentFile('p1', 7, file)
+
+    expect(url).toMatch(/^thinkpost:\/\/file\/p1\/7\/[0-9a-f-]{36}-My_photo_1_.png$/)
+    expect(storedPaths()).toEqual([getStoredFilePath(url)])
+    expect(storage.standIn.objects.get(`${FILE_BUCKET}/${getStoredFilePath(url)}`).contentType).toBe('image/png')
+  })
+
+  it('uploads nothing when the file breaks the limits', async () => {
+    const file = new File(['x'], 'notes.exe', { type: 'application/x-msdownload' })
+    await expect(uploadDocumentFile('p1', 7, file)).rejects.toThrow(FileUploadError)
+    expect(storedPaths()).toEqual([])
+  })
+})
+
+describe('resolveFileUrl', () => {
+  it('signs uploaded files once and reuses the URL while it is fresh', async () => {
+    const url = await uploadDocumentFile('p1', 7, new File(['png'], 'a.png', { type: 'image/png' }))
+
+    const signed = await resolveFileUrl(url)
+    expect(signed).toMatch(/^https:\/\/storage\.test\/document-files\/p1\/7\//)
+    expect(await resolveFileUrl(url)).toBe(signed)
+    expect(storage.standIn.calls.filter(call => call.method === 'createSignedUrl')).toHaveLength(1)
+  })
+
+  it('returns other URLs unchanged', async () => {
+    expect(await resolveFileUrl('https://example.com/a.png')).toBe('https://example.com/a.png')
+  })
+})
+
+describe('resolveMarkdownFileUrls', () => {
+  it('swaps uploaded file URLs for signed links and keeps the ones it can not sign', async () => {
+    const url = await uploadDocumentFile('p1', 7, new File(['png'], 'a.png', { type: 'image/png' }))
+    const missing = 'thinkpost://file/p1/7/gone.png'
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    const markdown = await resolveMarkdownFileUrls(`![a](${url}) and ![b](${missing}) and ![a again](${url})`)
+    expect(markdown).not.toContain(url)
+    expect(markdown.match(/https:\/\/storage\.test\//g)).toHaveLength(2)
+    expect(markdown).toContain(missing)
+  })
+})
+
+describe('removing files', () => {
+  beforeEach(async () => {
+    for (const [projectId, documentId] of [['p1', 7], ['p1', 7], ['p1', 8], ['p2', 7]]) {
+      await uploadDocumentFile(projectId, documentId, new File(['x'], 'a.png', { type: 'image/png' }))
+    }
+  })
+
+  it('removes every file of a document', async () => {
+    await removeDocumentFiles('p1', 7)
+    expect(storedPaths().map(path => path.split('/').slice(0, 2).join('/'))).toEqual(['p1/8', 'p2/7'])
+  })
+
+  it('removes every file of a project, walking its document folders', async () => {
+    await removeProjectFiles('p1')
+    expect(storedPaths().map(path => path.split('/').slice(0, 2).join('/'))).toEqual(['p2/7'])
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * Fuzzy matching for the command palette
+ *
+ * A query matches when its characters appear in order in the text. Matches that
+ * are consecutive or start a word score higher, so "ndoc" ranks "New document"
+ * above "Undo changes".
+ */
+
+const SCORE_MATCH = 1
+const SCORE_CONSECUTIVE = 4
+const SCORE_WORD_START = 6
+const SCORE_TEXT_START = 8
+// Every skipped character costs a little so tighter matches win
+const PENALTY_GAP = 0.1
+
+// chars is the text split into code points
+function isWordStart(chars, index) {
+  if (index === 0) return true
+  const prev = chars[index - 1]
+  return /[\s\-_/.([]/.test(prev) || (prev === prev.toLowerCase() && chars[index] !== chars[index].toLowerCase())
+}
+
+// Position of needle as a run inside haystack (both arrays), or -1
+function indexOfRun(haystack, needle) {
+  for (let start = 0; start + needle.length <= haystack.length; start++) {
+    if (needle.every((char, i) => haystack[start + i] === char)) return start
+  }
+  return -1
+}
+
+/**
+ * Score how well a query matches a piece of text
+ * @param {string} query - What the user typed
+ * @param {string} text - Candidate text (title, command label)
+ * @returns {{ score: number, indices: number[] }|null} - null when the query doesn't match;
+ *   indices are the matched positions in Array.from(text) - code points, not UTF-16
+ *   units, so emoji in a title don't shift the highlighting
+ */
+export function fuzzyMatch(query, text) {
+  if (!text) return null
+  const needle = Array.from(query.trim().toLowerCase())
+  if (needle.length === 0) return { score: 0, indices: [] }
+
+  // Lowercased one code point at a time so positions stay aligned with text
+  const chars = Array.from(text)
+  const haystack = chars.map(char => char.toLowerCase())
+
+  // Exact substrings always win over scattered matches
+  const substringAt = indexOfRun(haystack, needle)
+  if (substringAt !== -1) {
+    const indices = Array.from({ length: needle.length }, (_, i) => substringAt + i)
+    const bonus = substringAt === 0 ? SCORE_TEXT_START : isWordStart(chars, substringAt) ? SCORE_WORD_START : 0
+    return { score: needle.length * (SCORE_MATCH + SCORE_CONSECUTIVE) + bonus * 2 - substringAt * PENALTY_GAP, indices }
+  }
+
+  const indices = []
+  let score = 0
+  let textIndex = 0
+  for (const char of needle) {
+    if (char === ' ') continue
+    const found = haystack.indexOf(char, textIndex)
+    if (found === -1) return null
+
+    score += SCORE_MATCH
+    if (found === 0) {
+      score += SCORE_TEXT_START
+    } else if (isWordStart(chars, found)) {
+      score += SCORE_WORD_START
+    }
+    if (indices.length > 0 && found === indices[indices.length - 1] + 1) {
+      score += SCORE_CONSECUTIVE
+    }
+    score -= (found - textIndex) * PENALTY_GAP
+
+    indices.push(found)
+    textIndex = found + 1
+  }
+  return { score, indices }
+}
+
+/**
+ * Filter and sort items by fuzzy match against a query
+ * @param {Array} items
+ * @param {string} query
+ * @param {Function} getText - Returns the text to match for an item
+ * @returns {Array<{ item: any, score: number, indices: number[] }>} - Best match first;
+ *   for an empty query every item is returned in its original order
+ */
+export function fuzzyFilter(items, query, getText) {
+  const results = []
+  for (const item of items) {
+    const match = fuzzyMatch(query, getText(item))
+    if (match) results.push({ item, ...match })
+  }
+  if (query.trim()) {
+    results.sort((a, b) => b.score - a.score)
+  }
+  return results
+}
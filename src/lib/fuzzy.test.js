@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { fuzzyMatch, fuzzyFilter } from './fuzzy'
+
+describe('fuzzyMatch', () => {
+  it('matches characters in order and reports their positions', () => {
+    expect(fuzzyMatch('ndc', 'New document')).toMatchObject({ indices: [0, 4, 6] })
+    expect(fuzzyMatch('tn', 'New document')).toBeNull()
+  })
+
+  it('ignores case and surrounding spaces', () => {
+    expect(fuzzyMatch('  NEW ', 'New document')).toMatchObject({ indices: [0, 1, 2] })
+  })
+
+  it('matches everything with an empty query', () => {
+    expect(fuzzyMatch('', 'New document')).toEqual({ score: 0, indices: [] })
+    expect(fuzzyMatch('new', '')).toBeNull()
+  })
+
+  it('ranks substrings and word starts above scattered matches', () => {
+    expect(fuzzyMatch('doc', 'New document').score).toBeGreaterThan(fuzzyMatch('doc', 'Undo changes').score)
+    expect(fuzzyMatch('nd', 'New document').score).toBeGreaterThan(fuzzyMatch('nd', 'Undo changes').score)
+  })
+
+  it('reports code point positions past emoji and other astral characters', () => {
+    const title = '🎨 Palette ideas'
+    const match = fuzzyMatch('pal', title)
+    expect(match.indices).toEqual([2, 3, 4])
+    expect(match.indices.map(i => Array.from(title)[i]).join('')).toBe('Pal')
+
+    const scattered = fuzzyMatch('pi', '📝📝 plan ideas')
+    expect(scattered.indices.map(i => Array.from('📝📝 plan ideas')[i]).join('')).toBe('pi')
+  })
+})
+
+describe('fuzzyFilter', () => {
+  const items = ['Undo changes', 'New document', 'Open settings']
+
+  it('drops items that do not match and puts the best match first', () => {
+    expect(fuzzyFilter(items, 'nd', text => text).map(result => result.item)).toEqual(['New document', 'Undo changes'])
+  })
+
+  it('keeps every item in order for an empty query', () => {
+    expect(fuzzyFilter(items, ' ', text => text).map(result => result.item)).toEqual(items)
+  })
+})
@@ -1,10 +1,73 @@
-const GUEST_ID_KEY = 'thinkpost_guest_id'
+import { supabase } from './supabase'
 
-export function getGuestId() {
-  let guestId = localStorage.getItem(GUEST_ID_KEY)
-  if (!guestId) {
-    guestId = `guest_${crypto.randomUUID()}`
-    localStorage.setItem(GUEST_ID_KEY, guestId)
+// Guests are Supabase anonymous users: their identity is the JWT, not a client-side string.
+// The old localStorage id is only read to adopt projects created before that change.
+const LEGACY_GUEST_ID_KEY = 'thinkpost_guest_id'
+
+let guestSessionPromise = null
+
+export function isAnonymousUser(user) {
+  return !!user?.is_anonymous
+}
+
+// Returns the current session, signing in anonymously if there is none
+export async function ensureGuestSession() {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (session) return session
+
+  // Several API calls can race here on first load; share one sign-in
+  if (!guestSessionPromise) {
+    guestSessionPromise = supabase.auth.signInAnonymously()
+      .then(async ({ data, error }) => {
+        if (error) throw error
+        await adoptLegacyGuestProjects()
+        return data.session
+      })
+      .finally(() => {
+        guestSessionPromise = null
+      })
+  }
+  return guestSessionPromise
+}
+
+// Resolves the caller as either a signed-in `user` or an anonymous `guestId`
+export async function getIdentity() {
+  const session = await ensureGuestSession()
+  const sessionUser = session?.user ?? null
+  if (!sessionUser) {
+    return { user: null, guestId: null }
+  }
+  if (isAnonymousUser(sessionUser)) {
+    return { user: null, guestId: sessionUser.id }
+  }
+  return { user: sessionUser, guestId: null }
+}
+
+// Move projects created under the legacy localStorage guest id to the current session.
+// The server hands each legacy id over once, to the first session that claims it
+// (see 20261019120000_legacy_guest_projects.sql).
+export async function adoptLegacyGuestProjects() {
+  const legacyGuestId = localStorage.getItem(LEGACY_GUEST_ID_KEY)
+  if (!legacyGuestId) return
+
+  const { data: token, error: claimError } = await supabase.rpc('create_legacy_guest_claim', {
+    p_legacy_guest_id: legacyGuestId,
+  })
+  if (claimError) {
+    // Keep the id so the next session can retry
+    console.error('adoptLegacyGuestProjects: Failed to claim legacy guest projects:', claimError)
+    return
+  }
+
+  // No token: nothing left to adopt, or the adoption period is over
+  if (token) {
+    const { error } = await supabase.rpc('adopt_legacy_guest_projects', {
+      p_claim_token: token,
+    })
+    if (error) {
+      console.error('adoptLegacyGuestProjects: Failed to adopt legacy guest projects:', error)
+      return
+    }
   }
-  return guestId
+  localStorage.removeItem(LEGACY_GUEST_ID_KEY)
 }
@@ -0,0 +1,110 @@
+/**
+ * Inline [[links]] in text documents
+ *
+ * An inline link is a `docLink` inline content node in notes_content that stores
+ * its target's id, project and number. Its label is looked up when rendered, so
+ * it follows renames of the target. Each linked target gets one mirrored entry in
+ * document_links (see mirroredLinks.js) and no margin button.
+ */
+import { getDocumentSummaries } from './api'
+import { LINK_SOURCES, replaceMirroredLinks } from './mirroredLinks'
+
+export const DOC_LINK_TYPE = 'docLink'
+export const INLINE_LINK_TRIGGER = '[['
+
+function collectFromContent(content, result) {
+  if (!content || typeof content === 'string') return
+  if (Array.isArray(content)) {
+    content.forEach(item => collectFromContent(item, result))
+    return
+  }
+  if (content.type === 'tableContent') {
+    for (const row of content.rows || []) {
+      for (const cell of row.cells || []) {
+        collectFromContent(cell?.content ?? cell, result)
+      }
+    }
+    return
+  }
+  if (content.type === DOC_LINK_TYPE) {
+    result.push(content.props)
+    return
+  }
+  if (content.content) collectFromContent(content.content, result)
+}
+
+/**
+ * Props of every inline link in a document, in document order
+ * @param {Array} blocks - notes_content
+ * @returns {Array<{ documentId: number, projectId: string, documentNumber: number, title: string, documentType: string }>}
+ */
+export function getInlineLinks(blocks = []) {
+  const result = []
+  for (const block of blocks || []) {
+    collectFromContent(block.content, result)
+    if (Array.isArray(block.children) && block.children.length > 0) {
+      result.push(...getInlineLinks(block.children))
+    }
+  }
+  return result
+}
+
+/**
+ * document_links with the inline entries rebuilt from the current content
+ * @param {Array} links - Current document_links
+ * @param {Array} blocks - notes_content
+ * @returns {Array} - The same array when nothing changed
+ */
+export function syncInlineLinks(links = [], blocks = []) {
+  const entries = new Map()
+  for (const props of getInlineLinks(blocks)) {
+    if (!props.documentId || entries.has(props.documentId)) continue
+    entries.set(props.documentId, {
+      id: `inline-${props.documentId}`,
+      source: LINK_SOURCES.INLINE,
+      targetDocumentId: props.documentId,
+      targetDocumentNumber: props.documentNumber,
+      targetProjectId: props.projectId,
+      type: props.documentType === 'drawing' ? 'drawing' : 'document',
+      title: props.title,
+    })
+  }
+  return replaceMirroredLinks(links, LINK_SOURCES.INLINE, [...entries.values()])
+}
+
+// Chip labels are looked up again after this long, so renames show up without a reload
+const TARGET_CACHE_TTL = 60 * 1000
+
+// documentId -> { promise: Promise<summary|null>, loadedAt }, shared by every chip
+const targetCache = new Map()
+let pendingIds = new Set()
+let pendingRequest = null
+
+/**
+ * Current title, project and number of an inline link target
+ * Chips rendering in the same tick are loaded with one request.
+ * @param {number} documentId
+ * @returns {Promise<Object|null>} - null when the target is deleted or inaccessible
+ */
+export function getInlineLinkTarget(documentId) {
+  const cached = targetCache.get(documentId)
+  if (cached && Date.now() - cached.loadedAt < TARGET_CACHE_TTL) return cached.promise
+
+  pendingIds.add(documentId)
+  if (!pendingRequest) {
+    pendingRequest = Promise.resolve().then(() => {
+      const ids = [...pendingIds]
+      pendingIds = new Set()
+      pendingRequest = null
+      return getDocumentSummaries(ids)
+    })
+  }
+  const promise = pendingRequest
+    .then(summaries => summaries.get(documentId) || null)
+    .catch((err) => {
+      targetCache.delete(documentId)
+      throw err
+    })
+  targetCache.set(documentId, { promise, loadedAt: Date.now() })
+  return promise
+}
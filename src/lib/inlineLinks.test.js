@@ -0,0 +1,81 @@
+import { describe, it, expect, vi } from 'vitest'
+import { getDocumentSummaries } from './api'
+import { getInlineLinks, syncInlineLinks, getInlineLinkTarget } from './inlineLinks'
+import { isMirroredLink } from './mirroredLinks'
+
+vi.mock('./api', () => ({ getDocumentSummaries: vi.fn() }))
+
+function docLink(documentId, { documentNumber = documentId, projectId = 'p1', title = `Doc ${documentId}`, documentType = 'text' } = {}) {
+  return { type: 'docLink', props: { documentId, documentNumber, projectId, title, documentType } }
+}
+
+function paragraph(id, content, children = []) {
+  return { id, type: 'paragraph', props: {}, content, children }
+}
+
+const text = (value) => ({ type: 'text', text: value, styles: {} })
+
+describe('getInlineLinks', () => {
+  it('finds links in text, styled links, tables and nested blocks, in document order', () => {
+    const blocks = [
+      paragraph('a', [text('See '), docLink(1)], [paragraph('a1', [docLink(2)])]),
+      paragraph('b', [{ type: 'link', href: 'https://example.com', content: [docLink(3)] }]),
+      {
+        id: 't',
+        type: 'table',
+        props: {},
+        content: { type: 'tableContent', rows: [{ cells: [[docLink(4)], { type: 'tableCell', content: [docLink(5)] }] }] },
+        children: [],
+      },
+    ]
+
+    expect(getInlineLinks(blocks).map(props => props.documentId)).toEqual([1, 2, 3, 4, 5])
+  })
+
+  it('copes with empty documents', () => {
+    expect(getInlineLinks(null)).toEqual([])
+    expect(getInlineLinks([paragraph('a', 'plain string')])).toEqual([])
+  })
+})
+
+describe('syncInlineLinks', () => {
+  const buttonLink = { id: 'b1', targetDocumentId: 9, targetDocumentNumber: 9, y: 40 }
+
+  it('mirrors each inline target once, next to the margin links', () => {
+    const blocks = [paragraph('a', [docLink(1), docLink(1), docLink(2, { documentType: 'drawing' })])]
+    const links = syncInlineLinks([buttonLink], blocks)
+
+    expect(links[0]).toBe(buttonLink)
+    expect(links.slice(1)).toEqual([
+      { id: 'inline-1', source: 'inline', targetDocumentId: 1, targetDocumentNumber: 1, targetProjectId: 'p1', type: 'document', title: 'Doc 1' },
+      { id: 'inline-2', source: 'inline', targetDocumentId: 2, targetDocumentNumber: 2, targetProjectId: 'p1', type: 'drawing', title: 'Doc 2' },
+    ])
+    expect(links.slice(1).every(isMirroredLink)).toBe(true)
+  })
+
+  it('returns the same array when the inline targets did not change', () => {
+    const blocks = [paragraph('a', [docLink(1)])]
+    const links = syncInlineLinks([buttonLink], blocks)
+    expect(syncInlineLinks(links, blocks)).toBe(links)
+  })
+
+  it('drops entries of removed inline links and keeps margin links', () => {
+    const links = syncInlineLinks([buttonLink], [paragraph('a', [docLink(1)])])
+    expect(syncInlineLinks(links, [paragraph('a', [text('gone')])])).toEqual([buttonLink])
+  })
+})
+
+describe('getInlineLinkTarget', () => {
+  it('loads targets requested in the same tick with one request', async () => {
+    vi.mocked(getDocumentSummaries).mockResolvedValue(new Map([[11, { id: 11, title: 'Renamed' }]]))
+
+    const [first, missing] = await Promise.all([getInlineLinkTarget(11), getInlineLinkTarget(12)])
+    expect(first).toEqual({ id: 11, title: 'Renamed' })
+    expect(missing).toBeNull()
+    expect(getDocumentSummaries).toHaveBeenCalledTimes(1)
+    expect(getDocumentSummaries).toHaveBeenCalledWith([11, 12])
+
+    await getInlineLinkTarget(11)
+    expect(getDocumentSummaries).toHaveBeenCalledTimes(1)
+  })
+})
@@ -1,14 +1,15 @@
 import { getUserLastVisited, setUserLastVisited as setUserLastVisitedDB } from './api'
-import { supabase } from './supabase'
+import { getIdentity } from './guest'
 
 const LAST_VISITED_KEY = 'thinkpost_last_visited'
 const LAST_VISITED_KEY_V2 = 'thinkpost_last_visited_v2'
+const MAX_RECENT_DOCUMENTS = 20
 
 // Get last visited project and document
 // For logged-in users: fetch from database
 // For guests: use localStorage
 export async function getLastVisited() {
-  const { data: { user } } = await supabase.auth.getUser()
+  const { user } = await getIdentity()
   
   if (user) {
     // For logged-in users, get from database
@@ -62,7 +63,7 @@ export function getLastDocumentForProject(projectId) {
 // For logged-in users: save to database
 // For guests: save to localStorage
 export async function setLastVisited(projectId, docId) {
-  const { data: { user } } = await supabase.auth.getUser()
+  const { user } = await getIdentity()
   
   if (user) {
     // For logged-in users, save to database
@@ -141,5 +142,25 @@ export function setLastVisitedDocumentNumber(projectId, documentNumber) {
   data.lastProjectId = projectId
   data.lastDocumentNumber = documentNumber
   
+  // Most recent first, one entry per document
+  const recent = Array.isArray(data.recent) ? data.recent : []
+  data.recent = [
+    { projectId, documentNumber, visitedAt: Date.now() },
+    ...recent.filter(r => r.projectId !== projectId || r.documentNumber !== documentNumber),
+  ].slice(0, MAX_RECENT_DOCUMENTS)
+  
   localStorage.setItem(LAST_VISITED_KEY_V2, JSON.stringify(data))
 }
+
+// Recently visited documents across all projects, most recent first (v2)
+// Returns [{ projectId, documentNumber, visitedAt }]
+export function getRecentDocuments() {
+  const stored = localStorage.getItem(LAST_VISITED_KEY_V2)
+  if (!stored) return []
+  try {
+    const data = JSON.parse(stored)
+    return Array.isArray(data.recent) ? data.recent : []
+  } catch {
+    return []
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Link graph for a project
+ *
+ * Builds nodes/edges from documents' document_links and lays them out with a
+ * simple force-directed simulation (Fruchterman-Reingold). The layout is
+ * deterministic: the same documents always produce the same picture.
+ */
+import { getDocumentType } from './documentType'
+
+/**
+ * Build the graph
+ * @param {Array} documents - Documents of the project (with document_links)
+ * @param {Array} external - Linked documents from other projects (with project_name)
+ * @returns {{ nodes: Array, edges: Array }}
+ *   node: { id, title, documentType, projectId, projectName, documentNumber, external, inDegree, outDegree, orphan }
+ *   edge: { id, source, target, count } - one per direction between two documents
+ */
+export function buildLinkGraph(documents = [], external = []) {
+  const nodes = new Map()
+  const addNode = (doc, isExternal) => {
+    nodes.set(doc.id, {
+      id: doc.id,
+      title: doc.title || 'Untitled',
+      documentType: getDocumentType(doc),
+      projectId: doc.project_id,
+      projectName: doc.project_name || null,
+      documentNumber: doc.document_number,
+      external: isExternal,
+      inDegree: 0,
+      outDegree: 0,
+      orphan: false,
+    })
+  }
+  documents.forEach(doc => addNode(doc, false))
+  external.forEach(doc => {
+    if (!nodes.has(doc.id)) addNode(doc, true)
+  })
+
+  const edges = new Map()
+  for (const doc of [...documents, ...external]) {
+    for (const link of doc.document_links || []) {
+      const target = link.targetDocumentId
+      // Links to documents we can't see (deleted, trashed, no access) are skipped
+      if (!nodes.has(doc.id) || !nodes.has(target) || target === doc.id) continue
+      // Only edges touching this project - external-to-external links are out of scope
+      if (nodes.get(doc.id).external && nodes.get(target).external) continue
+      const id = `${doc.id}->${target}`
+      const edge = edges.get(id)
+      if (edge) {
+        edge.count += 1
+      } else {
+        edges.set(id, { id, source: doc.id, target, count: 1 })
+      }
+    }
+  }
+
+  for (const edge of edges.values()) {
+    nodes.get(edge.source).outDegree += 1
+    nodes.get(edge.target).inDegree += 1
+  }
+  for (const node of nodes.values()) {
+    node.orphan = !node.external && node.inDegree === 0 && node.outDegree === 0
+  }
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] }
+}
+
+/**
+ * Compute node positions
+ * @param {Array} nodes - From buildLinkGraph()
+ * @param {Array} edges - From buildLinkGraph()
+ * @param {Object} options
+ * @param {number} options.width - Layout area width
+ * @param {number} options.height - Layout area height
+ * @param {number} options.iterations - Simulation steps
+ * @returns {Map<number, { x: number, y: number }>} - Node id -> position
+ */
+export function layoutLinkGraph(nodes, edges, { width = 1000, height = 700, iterations = 300 } = {}) {
+  const positions = new Map()
+  if (nodes.length === 0) return positions
+
+  // Start on a circle in a stable order so the result doesn't jump between renders
+  const ordered = [...nodes].sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }))
+  const radius = Math.min(width, height) * 0.4
+  ordered.forEach((node, index) => {
+    const angle = (2 * Math.PI * index) / ordered.length
+    positions.set(node.id, {
+      x: width / 2 + radius * Math.cos(angle),
+      y: height / 2 + radius * Math.sin(angle),
+    })
+  })
+  if (nodes.length === 1) {
+    positions.set(nodes[0].id, { x: width / 2, y: height / 2 })
+    return positions
+  }
+
+  const area = width * height
+  const k = Math.sqrt(area / nodes.length) * 0.8 // Ideal edge length
+  let temperature = width / 10
+
+  for (let step = 0; step < iterations; step++) {
+    const displacement = new Map(ordered.map(node => [node.id, { x: 0, y: 0 }]))
+
+    // Every pair repels
+    for (let i = 0; i < ordered.length; i++) {
+      const a = ordered[i]
+      const pa = positions.get(a.id)
+      for (let j = i + 1; j < ordered.length; j++) {
+        const b = ordered[j]
+        const pb = positions.get(b.id)
+        let dx = pa.x - pb.x
+        let dy = pa.y - pb.y
+        let distance = Math.sqrt(dx * dx + dy * dy)
+        if (distance < 0.01) {
+          // Nudge overlapping nodes apart deterministically
+          dx = 0.01 * (i - j)
+          dy = 0.01
+          distance = Math.sqrt(dx * dx + dy * dy)
+        }
+        const force = (k * k) / distance
+        const da = displacement.get(a.id)
+        const db = displacement.get(b.id)
+        da.x += (dx / distance) * force
+        da.y += (dy / distance) * force
+        db.x -= (dx / distance) * force
+        db.y -= (dy / distance) * force
+      }
+    }
+
+    // Linked nodes attract
+    for (const edge of edges) {
+      const ps = positions.get(edge.source)
+      const pt = positions.get(edge.target)
+      const dx = ps.x - pt.x
+      const dy = ps.y - pt.y
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01)
+      const force = (distance * distance) / k
+      const ds = displacement.get(edge.source)
+      const dt = displacement.get(edge.target)
+      ds.x -= (dx / distance) * force
+      ds.y -= (dy / distance) * force
+      dt.x += (dx / distance) * force
+      dt.y += (dy / distance) * force
+    }
+
+    // Weak pull to the center keeps disconnected parts (and orphans) on screen
+    for (const node of ordered) {
+      const p = positions.get(node.id)
+      const d = displacement.get(node.id)
+      d.x += (width / 2 - p.x) * 0.05
+      d.y += (height / 2 - p.y) * 0.05
+    }
+
+    for (const node of ordered) {
+      const p = positions.get(node.id)
+      const d = displacement.get(node.id)
+      const length = Math.sqrt(d.x * d.x + d.y * d.y)
+      if (length > 0) {
+        const limited = Math.min(length, temperature)
+        p.x += (d.x / length) * limited
+        p.y += (d.y / length) * limited
+      }
+      // Stay inside the layout area
+      p.x = Math.min(width, Math.max(0, p.x))
+      p.y = Math.min(height, Math.max(0, p.y))
+    }
+
+    temperature = Math.max(temperature * 0.97, 0.5)
+  }
+
+  return positions
+}
+
+/**
+ * Bounding box of laid out positions
+ * @param {Map<number, { x: number, y: number }>} positions
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }|null}
+ */
+export function getGraphBounds(positions) {
+  if (positions.size === 0) return null
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (const { x, y } of positions.values()) {
+    minX = Math.min(minX, x)
+    minY = Math.min(minY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+  return { minX, minY, maxX, maxY }
+}
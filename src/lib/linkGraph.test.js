@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import { buildLinkGraph, layoutLinkGraph, getGraphBounds } from './linkGraph'
+
+function doc(id, links = [], extra = {}) {
+  return {
+    id,
+    project_id: 'p1',
+    title: `Doc ${id}`,
+    document_type: 'text',
+    document_number: id,
+    document_links: links.map(targetDocumentId => ({ targetDocumentId })),
+    ...extra,
+  }
+}
+
+describe('buildLinkGraph', () => {
+  it('merges repeated links into one edge per direction and counts degrees', () => {
+    const { nodes, edges } = buildLinkGraph([doc(1, [2, 2]), doc(2, [1]), doc(3)])
+
+    expect(edges).toEqual([
+      { id: '1->2', source: 1, target: 2, count: 2 },
+      { id: '2->1', source: 2, target: 1, count: 1 },
+    ])
+    const byId = Object.fromEntries(nodes.map(node => [node.id, node]))
+    expect(byId[1]).toMatchObject({ inDegree: 1, outDegree: 1, orphan: false })
+    expect(byId[3]).toMatchObject({ inDegree: 0, outDegree: 0, orphan: true })
+  })
+
+  it('skips self links and links to documents it was not given', () => {
+    const { edges, nodes } = buildLinkGraph([doc(1, [1, 99])])
+    expect(edges).toEqual([])
+    expect(nodes[0].orphan).toBe(true)
+  })
+
+  it('adds linked documents of other projects, but not links between them', () => {
+    const external = [
+      doc(10, [11], { project_id: 'p2', project_name: 'Other' }),
+      doc(11, [], { project_id: 'p2', project_name: 'Other' }),
+    ]
+    const { nodes, edges } = buildLinkGraph([doc(1, [10])], external)
+
+    expect(edges.map(edge => edge.id)).toEqual(['1->10'])
+    expect(nodes.find(node => node.id === 10)).toMatchObject({ external: true, projectName: 'Other', orphan: false })
+    expect(nodes.find(node => node.id === 11)).toMatchObject({ external: true, orphan: false })
+  })
+
+  it('keeps a document of the project that also appears as external', () => {
+    const { nodes } = buildLinkGraph([doc(1)], [doc(1, [], { project_id: 'p2' })])
+    expect(nodes).toHaveLength(1)
+    expect(nodes[0].external).toBe(false)
+  })
+})
+
+describe('layoutLinkGraph', () => {
+  const { nodes, edges } = buildLinkGraph([doc(1, [2]), doc(2, [3]), doc(3), doc(4)])
+
+  it('places every node inside the layout area', () => {
+    const positions = layoutLinkGraph(nodes, edges, { width: 400, height: 300, iterations: 50 })
+    expect(positions.size).toBe(4)
+    const bounds = getGraphBounds(positions)
+    expect(bounds.minX).toBeGreaterThanOrEqual(0)
+    expect(bounds.minY).toBeGreaterThanOrEqual(0)
+    expect(bounds.maxX).toBeLessThanOrEqual(400)
+    expect(bounds.maxY).toBeLessThanOrEqual(300)
+  })
+
+  it('is deterministic, whatever the order of the nodes', () => {
+    const first = layoutLinkGraph(nodes, edges, { iterations: 50 })
+    const second = layoutLinkGraph([...nodes].reverse(), edges, { iterations: 50 })
+    expect([...second.entries()].sort((a, b) => a[0] - b[0])).toEqual([...first.entries()].sort((a, b) => a[0] - b[0]))
+  })
+
+  it('centers a single node', () => {
+    const positions = layoutLinkGraph([nodes[0]], [], { width: 200, height: 100 })
+    expect(positions.get(1)).toEqual({ x: 100, y: 50 })
+  })
+})
+
+describe('getGraphBounds', () => {
+  it('returns null for an empty layout', () => {
+    expect(getGraphBounds(new Map())).toBeNull()
+  })
+
+  it('spans every position', () => {
+    const positions = new Map([[1, { x: 5, y: 10 }], [2, { x: -3, y: 40 }]])
+    expect(getGraphBounds(positions)).toEqual({ minX: -3, minY: 10, maxX: 5, maxY: 40 })
+  })
+})
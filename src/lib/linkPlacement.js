@@ -0,0 +1,61 @@
+/**
+ * Placement of link buttons next to the BlockNote editor
+ *
+ * A link is attached to the block it was created next to (sourceBlockId) plus an offset
+ * from that block's top (sourceBlockOffset), so its button follows the block when text
+ * above it changes or the page reflows at another width. Links created before
+ * this, or whose block was deleted, fall back to the stored pixel y.
+ * All y values are relative to the top of the editor container.
+ */
+
+const BLOCK_SELECTOR = '.bn-block-outer[data-id]'
+
+function getBlockElement(container, blockId) {
+  return container.querySelector(`${BLOCK_SELECTOR}[data-id="${CSS.escape(blockId)}"]`)
+}
+
+// Height of the block itself, without nested children
+function getOwnHeight(element) {
+  const content = element.querySelector(':scope > .bn-block > .bn-block-content')
+  return (content || element).getBoundingClientRect().height
+}
+
+/**
+ * Block under a vertical position in the editor
+ * @param {HTMLElement} container - Editor container the y is relative to
+ * @param {number} y
+ * @returns {{ blockId: string, blockOffset: number }|null} - Block at y, else the nearest one
+ */
+export function getBlockAnchorAt(container, y) {
+  if (!container) return null
+  const containerTop = container.getBoundingClientRect().top
+  let best = null
+  let bestDistance = Infinity
+  for (const element of container.querySelectorAll(BLOCK_SELECTOR)) {
+    const top = element.getBoundingClientRect().top - containerTop
+    const height = getOwnHeight(element)
+    // Own heights exclude nested children, so at most one block contains y
+    const distance = y < top ? top - y : y > top + height ? y - top - height : 0
+    if (distance < bestDistance) {
+      // Outside every block, stick to the nearer edge of the closest one
+      best = { blockId: element.dataset.id, blockOffset: Math.min(Math.max(0, y - top), height) }
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+/**
+ * Current y of a link, following its block when it has one
+ * @param {Object} link - Entry of document_links
+ * @param {HTMLElement} container - Editor container
+ * @returns {number}
+ */
+export function resolveLinkY(link, container) {
+  if (!link.sourceBlockId || !container) return link.y
+  const element = getBlockElement(container, link.sourceBlockId)
+  if (!element) return link.y
+  const top = element.getBoundingClientRect().top - container.getBoundingClientRect().top
+  // Keep the button within the block if it got shorter
+  return top + Math.min(link.sourceBlockOffset || 0, getOwnHeight(element))
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import { getBlockAnchorAt, resolveLinkY } from './linkPlacement'
+
+// Just enough of the editor DOM: blocks with a top and an own height, laid out
+// in a container whose top is at containerTop
+function createEditor(blocks, containerTop = 100) {
+  const elements = blocks.map(({ id, top, height }) => ({
+    dataset: { id },
+    getBoundingClientRect: () => ({ top: containerTop + top, height: height + 50 }), // Includes children
+    querySelector: () => ({ getBoundingClientRect: () => ({ top: containerTop + top, height }) }),
+  }))
+  return {
+    getBoundingClientRect: () => ({ top: containerTop }),
+    querySelectorAll: () => elements,
+    querySelector: (selector) => elements.find(element => selector.includes(`[data-id="${element.dataset.id}"]`)) || null,
+  }
+}
+
+beforeAll(() => {
+  vi.stubGlobal('CSS', { escape: (value) => value })
+})
+
+afterAll(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('getBlockAnchorAt', () => {
+  const editor = createEditor([
+    { id: 'a', top: 0, height: 40 },
+    { id: 'b', top: 60, height: 20 },
+  ])
+
+  it('anchors to the block under the position, with the offset into it', () => {
+    expect(getBlockAnchorAt(editor, 10)).toEqual({ blockId: 'a', blockOffset: 10 })
+    expect(getBlockAnchorAt(editor, 75)).toEqual({ blockId: 'b', blockOffset: 15 })
+  })
+
+  it('sticks to the nearer edge of the closest block between and below blocks', () => {
+    expect(getBlockAnchorAt(editor, 45)).toEqual({ blockId: 'a', blockOffset: 40 })
+    expect(getBlockAnchorAt(editor, 57)).toEqual({ blockId: 'b', blockOffset: 0 })
+    expect(getBlockAnchorAt(editor, 500)).toEqual({ blockId: 'b', blockOffset: 20 })
+  })
+
+  it('returns null without a container or blocks', () => {
+    expect(getBlockAnchorAt(null, 10)).toBeNull()
+    expect(getBlockAnchorAt(createEditor([]), 10)).toBeNull()
+  })
+})
+
+describe('resolveLinkY', () => {
+  const editor = createEditor([{ id: 'b', top: 200, height: 30 }])
+
+  it('follows the block the link is attached to', () => {
+    expect(resolveLinkY({ y: 12, sourceBlockId: 'b', sourceBlockOffset: 10 }, editor)).toBe(210)
+  })
+
+  it('keeps the button within a block that got shorter', () => {
+    expect(resolveLinkY({ y: 12, sourceBlockId: 'b', sourceBlockOffset: 80 }, editor)).toBe(230)
+  })
+
+  it('falls back to the stored y for old links and deleted blocks', () => {
+    expect(resolveLinkY({ y: 12 }, editor)).toBe(12)
+    expect(resolveLinkY({ y: 12, sourceBlockId: 'gone', sourceBlockOffset: 5 }, editor)).toBe(12)
+    expect(resolveLinkY({ y: 12, sourceBlockId: 'b' }, null)).toBe(12)
+  })
+})
@@ -0,0 +1,85 @@
+/**
+ * Link preview data
+ *
+ * Hovering link buttons would otherwise load full documents over and over, so
+ * previews are cached for the session: one request per linked document, and the
+ * drawing thumbnail is rendered once. Failed loads are dropped from the cache so
+ * the next hover retries.
+ */
+import { exportToSvg } from '@excalidraw/excalidraw'
+import { getDocumentPreview } from './api'
+import { getBlockText } from './blockDiff'
+import { getDocumentType, isDrawing } from './documentType'
+import { resolveDrawingFiles } from './drawingFiles'
+
+export const PREVIEW_BLOCK_COUNT = 4
+
+// documentId -> Promise<preview|null>
+const previewCache = new Map()
+
+// First non-empty top-level blocks, as plain text
+function getPreviewBlocks(blocks = []) {
+  const result = []
+  for (const block of blocks || []) {
+    const text = getBlockText(block).trim()
+    if (!text) continue
+    result.push({ id: block.id, type: block.type, level: block.props?.level || null, text })
+    if (result.length >= PREVIEW_BLOCK_COUNT) break
+  }
+  return result
+}
+
+/**
+ * Render a stored drawing as SVG markup
+ * @param {Object} drawingContent - drawing_content ({ elements, files, appState })
+ * @param {Object} drawingFiles - drawing_files column, merged under drawing_content.files
+ * @param {string} projectId - Project whose stored images the files reference
+ * @returns {Promise<string|null>} - null for an empty drawing
+ */
+export async function renderDrawingSvg(drawingContent, drawingFiles, projectId) {
+  const elements = (drawingContent?.elements || []).filter(el => !el.isDeleted)
+  if (elements.length === 0) return null
+  const node = await exportToSvg({
+    elements,
+    appState: {
+      exportBackground: true,
+      viewBackgroundColor: drawingContent?.appState?.viewBackgroundColor || '#ffffff',
+    },
+    files: await resolveDrawingFiles(projectId, { ...(drawingFiles || {}), ...(drawingContent?.files || {}) }),
+  })
+  node.setAttribute('width', '100%')
+  node.removeAttribute('height')
+  return node.outerHTML
+}
+
+async function loadPreview(documentId) {
+  const doc = await getDocumentPreview(documentId)
+  if (!doc) return null
+  const drawing = isDrawing(doc)
+  return {
+    id: doc.id,
+    title: doc.title || 'Untitled',
+    documentType: getDocumentType(doc),
+    updatedAt: doc.updated_at,
+    trashed: !!doc.deleted_at,
+    blocks: drawing ? [] : getPreviewBlocks(doc.notes_content),
+    thumbnail: drawing ? await renderDrawingSvg(doc.drawing_content, doc.drawing_files, doc.project_id) : null,
+  }
+}
+
+/**
+ * Preview of a linked document, loaded at most once per session
+ * @param {number} documentId
+ * @returns {Promise<{ id, title, documentType, updatedAt, trashed, blocks: Array, thumbnail: string|null }|null>}
+ *   null when the document no longer exists or can't be accessed
+ */
+export function getLinkPreview(documentId) {
+  if (!previewCache.has(documentId)) {
+    const promise = loadPreview(documentId).catch((err) => {
+      previewCache.delete(documentId)
+      throw err
+    })
+    previewCache.set(documentId, promise)
+  }
+  return previewCache.get(documentId)
+}
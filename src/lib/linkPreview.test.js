@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { getDocumentPreview } from './api'
+import { getLinkPreview, PREVIEW_BLOCK_COUNT } from './linkPreview'
+
+vi.mock('./api', () => ({ getDocumentPreview: vi.fn() }))
+vi.mock('@excalidraw/excalidraw', () => ({ exportToSvg: vi.fn() }))
+vi.mock('./drawingFiles', () => ({ resolveDrawingFiles: vi.fn(async (projectId, files) => files) }))
+
+function paragraph(id, text) {
+  return { id, type: 'paragraph', props: {}, content: text ? [{ type: 'text', text, styles: {} }] : [], children: [] }
+}
+
+beforeEach(() => {
+  vi.mocked(getDocumentPreview).mockReset()
+})
+
+describe('getLinkPreview', () => {
+  it('summarizes a text document by its first non-empty blocks', async () => {
+    const blocks = [paragraph('empty', ''), ...Array.from({ length: 6 }, (_, i) => paragraph(`p${i}`, `Line ${i}`))]
+    vi.mocked(getDocumentPreview).mockResolvedValue({
+      id: 101, title: 'Notes', document_type: 'text', updated_at: '2026-10-19T10:00:00Z', deleted_at: null, notes_content: blocks,
+    })
+
+    const preview = await getLinkPreview(101)
+    expect(preview).toMatchObject({ id: 101, title: 'Notes', documentType: 'text', trashed: false, thumbnail: null })
+    expect(preview.blocks).toHaveLength(PREVIEW_BLOCK_COUNT)
+    expect(preview.blocks[0]).toEqual({ id: 'p0', type: 'paragraph', level: null, text: 'Line 0' })
+  })
+
+  it('loads each document once per session', async () => {
+    vi.mocked(getDocumentPreview).mockResolvedValue({ id: 102, title: '', document_type: 'text', notes_content: [] })
+
+    const first = await getLinkPreview(102)
+    const second = await getLinkPreview(102)
+    expect(second).toBe(first)
+    expect(first.title).toBe('Untitled')
+    expect(getDocumentPreview).toHaveBeenCalledTimes(1)
+  })
+
+  it('returns null for a document that is gone', async () => {
+    vi.mocked(getDocumentPreview).mockResolvedValue(null)
+    expect(await getLinkPreview(103)).toBeNull()
+  })
+
+  it('retries after a failed load', async () => {
+    vi.mocked(getDocumentPreview)
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValueOnce({ id: 104, title: 'Back', document_type: 'text', notes_content: [] })
+
+    await expect(getLinkPreview(104)).rejects.toThrow('offline')
+    expect(await getLinkPreview(104)).toMatchObject({ title: 'Back' })
+  })
+})
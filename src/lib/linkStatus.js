@@ -0,0 +1,53 @@
+/**
+ * Health of document_links entries
+ *
+ * A link stores its target by id and number. The target can later be moved to
+ * the trash, deleted for good, or become unreachable when the caller loses access
+ * to its project - RLS hides deleted and inaccessible documents the same way, so
+ * both are reported as missing.
+ */
+
+export const LINK_STATUS = {
+  OK: 'ok',
+  TRASHED: 'trashed', // Target (or its project) is in the trash - still opens, can be restored
+  MISSING: 'missing', // Deleted, or no longer accessible
+  INVALID: 'invalid', // Entry has no target at all
+}
+
+const STATUS_LABELS = {
+  [LINK_STATUS.TRASHED]: 'Target is in the trash',
+  [LINK_STATUS.MISSING]: 'Target was deleted or is no longer accessible',
+  [LINK_STATUS.INVALID]: 'Link has no target',
+}
+
+/**
+ * Whether a link needs repair
+ * @param {string} status - One of LINK_STATUS (undefined while not validated yet)
+ * @returns {boolean}
+ */
+export function isBrokenLink(status) {
+  return !!status && status !== LINK_STATUS.OK
+}
+
+/**
+ * Short explanation shown next to a broken link
+ * @param {string} status - One of LINK_STATUS
+ * @returns {string|null} - null for healthy links
+ */
+export function getLinkStatusLabel(status) {
+  return STATUS_LABELS[status] || null
+}
+
+/**
+ * Status of a single link given the targets that could be loaded
+ * @param {Object} link - Entry of document_links
+ * @param {Map<number, { deleted_at: string|null, project_deleted_at: string|null }>} targets - By document id
+ * @returns {string} - One of LINK_STATUS
+ */
+export function getLinkStatus(link, targets) {
+  if (!link.targetDocumentId || !link.targetDocumentNumber) return LINK_STATUS.INVALID
+  const target = targets.get(link.targetDocumentId)
+  if (!target) return LINK_STATUS.MISSING
+  if (target.deleted_at || target.project_deleted_at) return LINK_STATUS.TRASHED
+  return LINK_STATUS.OK
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { LINK_STATUS, getLinkStatus, isBrokenLink, getLinkStatusLabel } from './linkStatus'
+
+describe('getLinkStatus', () => {
+  const targets = new Map([
+    [1, { deleted_at: null, project_deleted_at: null }],
+    [2, { deleted_at: '2026-10-01T00:00:00Z', project_deleted_at: null }],
+    [3, { deleted_at: null, project_deleted_at: '2026-10-01T00:00:00Z' }],
+  ])
+
+  it('reports a link to a loaded, live target as ok', () => {
+    expect(getLinkStatus({ targetDocumentId: 1, targetDocumentNumber: 1 }, targets)).toBe(LINK_STATUS.OK)
+  })
+
+  it('reports a target in the trash, or in a trashed project, as trashed', () => {
+    expect(getLinkStatus({ targetDocumentId: 2, targetDocumentNumber: 2 }, targets)).toBe(LINK_STATUS.TRASHED)
+    expect(getLinkStatus({ targetDocumentId: 3, targetDocumentNumber: 3 }, targets)).toBe(LINK_STATUS.TRASHED)
+  })
+
+  it('reports a target that could not be loaded as missing', () => {
+    expect(getLinkStatus({ targetDocumentId: 4, targetDocumentNumber: 4 }, targets)).toBe(LINK_STATUS.MISSING)
+  })
+
+  it('reports an entry without a target as invalid', () => {
+    expect(getLinkStatus({ targetDocumentNumber: 1 }, targets)).toBe(LINK_STATUS.INVALID)
+    expect(getLinkStatus({ targetDocumentId: 1 }, targets)).toBe(LINK_STATUS.INVALID)
+  })
+})
+
+describe('isBrokenLink', () => {
+  it('treats every status but ok as broken, and unvalidated links as fine', () => {
+    expect(isBrokenLink(LINK_STATUS.OK)).toBe(false)
+    expect(isBrokenLink(undefined)).toBe(false)
+    expect(isBrokenLink(LINK_STATUS.TRASHED)).toBe(true)
+    expect(isBrokenLink(LINK_STATUS.MISSING)).toBe(true)
+    expect(isBrokenLink(LINK_STATUS.INVALID)).toBe(true)
+  })
+})
+
+describe('getLinkStatusLabel', () => {
+  it('explains broken links only', () => {
+    expect(getLinkStatusLabel(LINK_STATUS.OK)).toBeNull()
+    expect(getLinkStatusLabel(LINK_STATUS.MISSING)).toBe('Target was deleted or is no longer accessible')
+  })
+})
@@ -0,0 +1,66 @@
+/**
+ * Markdown syntax highlighting for the source editor
+ *
+ * A line-based highlighter, not a parser: it only has to colour what people
+ * type, and it must keep every character in place because the highlighted copy
+ * sits right under the textarea.
+ */
+
+const FENCE = /^\s*(```|~~~)/
+const HEADING = /^\s{0,3}#{1,6}(\s|$)/
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/
+const QUOTE = /^(\s{0,3}>+\s?)(.*)$/
+const LIST = /^(\s*)([-*+]|\d+[.)])(\s+)(\[[ xX]\]\s)?(.*)$/
+// Code spans first so their content isn't highlighted further
+const INLINE = /(`[^`\n]+`)|(!?\[[^\]\n]*\]\([^)\s]*\))|(\*\*[^*\n]+\*\*|__[^_\n]+__)|(~~[^~\n]+~~)|(\*[^*\s][^*\n]*\*|\b_[^_\s][^_\n]*_\b)/g
+const INLINE_CLASSES = ['md-code', 'md-link', 'md-bold', 'md-strike', 'md-italic']
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+function span(className, text) {
+  return text ? `<span class="${className}">${escapeHtml(text)}</span>` : ''
+}
+
+function highlightInline(text) {
+  let html = ''
+  let last = 0
+  INLINE.lastIndex = 0
+  let match
+  while ((match = INLINE.exec(text)) !== null) {
+    html += escapeHtml(text.slice(last, match.index))
+    const group = match.slice(1).findIndex(Boolean)
+    html += span(INLINE_CLASSES[group], match[0])
+    last = match.index + match[0].length
+  }
+  return html + escapeHtml(text.slice(last))
+}
+
+/**
+ * Markdown source as HTML with highlighting spans (md-* classes)
+ * @param {string} source
+ * @returns {string}
+ */
+export function highlightMarkdown(source = '') {
+  let inFence = false
+  return source.split('\n').map((line) => {
+    if (FENCE.test(line)) {
+      inFence = !inFence
+      return span('md-fence', line)
+    }
+    if (inFence) return span('md-code-block', line)
+    if (HEADING.test(line)) return span('md-heading', line)
+    if (RULE.test(line)) return span('md-rule', line)
+
+    const quote = line.match(QUOTE)
+    if (quote) return span('md-quote', quote[1]) + highlightInline(quote[2])
+
+    const list = line.match(LIST)
+    if (list) {
+      const [, indent, marker, space, checkbox = '', rest] = list
+      return escapeHtml(indent) + span('md-list', marker) + escapeHtml(space) + span('md-list', checkbox) + highlightInline(rest)
+    }
+    return highlightInline(line)
+  }).join('\n')
+}
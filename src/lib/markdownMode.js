@@ -0,0 +1,125 @@
+/**
+ * Markdown source mode of text documents
+ *
+ * notes_content stays the stored form in both modes. In Markdown mode the blocks
+ * are shown as Markdown (blocksToMarkdownLossy) and every edit is parsed back
+ * (tryParseMarkdownToBlocks). Only the blocks an edit changed are updated, in
+ * place, so blocks keep their ids (heading anchors, link positions, version
+ * diffs) and collaborators' edits elsewhere stay. Anything Markdown can't
+ * express is dropped from the blocks an edit touches; getMarkdownLosses() names
+ * what could go.
+ */
+import { DOC_LINK_TYPE } from './inlineLinks'
+
+export const TEXT_MODES = {
+  TEXT: 'text',
+  MARKDOWN: 'markdown',
+}
+
+const LOSSES = {
+  textColor: 'Text colors',
+  backgroundColor: 'Highlight colors',
+  underline: 'Underlines',
+  alignment: 'Text alignment',
+  toggle: 'Collapsible headings and toggle lists',
+  nested: 'Indented paragraphs',
+  mergedCells: 'Merged table cells',
+  docLink: 'Inline document links (they become plain links)',
+  drawingEmbed: 'Embedded drawings (they become plain links)',
+  media: 'Video, audio and file blocks (they become plain links)',
+}
+
+const LIST_TYPES = new Set(['bulletListItem', 'numberedListItem', 'checkListItem', 'toggleListItem'])
+
+// Block types Markdown round-trips, apart from their colors and alignment
+const MARKDOWN_TYPES = new Set([
+  'paragraph', 'heading', 'quote', 'codeBlock', 'divider', 'table', 'image',
+  'bulletListItem', 'numberedListItem', 'checkListItem',
+])
+
+function isColored(value) {
+  return !!value && value !== 'default'
+}
+
+function collectPropLosses(props = {}, found) {
+  if (isColored(props.textColor)) found.add('textColor')
+  if (isColored(props.backgroundColor)) found.add('backgroundColor')
+  if (props.textAlignment && props.textAlignment !== 'left') found.add('alignment')
+}
+
+function collectInlineLosses(content, found) {
+  if (!content || typeof content === 'string') return
+  if (Array.isArray(content)) {
+    content.forEach(item => collectInlineLosses(item, found))
+    return
+  }
+  if (content.type === 'tableContent') {
+    for (const row of content.rows || []) {
+      for (const cell of row.cells || []) {
+        if (cell?.props) {
+          collectPropLosses(cell.props, found)
+          if ((cell.props.colspan || 1) > 1 || (cell.props.rowspan || 1) > 1) found.add('mergedCells')
+        }
+        collectInlineLosses(cell?.content ?? cell, found)
+      }
+    }
+    return
+  }
+  if (content.type === DOC_LINK_TYPE) {
+    found.add('docLink')
+    return
+  }
+  const styles = content.styles || {}
+  if (styles.underline) found.add('underline')
+  if (styles.textColor) found.add('textColor')
+  if (styles.backgroundColor) found.add('backgroundColor')
+  if (content.content) collectInlineLosses(content.content, found)
+}
+
+function collectBlockLosses(blocks, found, parentType = null) {
+  for (const block of blocks || []) {
+    if (block.type === 'drawingEmbed') found.add('drawingEmbed')
+    else if (block.type === 'toggleListItem' || block.props?.isToggleable) found.add('toggle')
+    else if (!MARKDOWN_TYPES.has(block.type)) found.add('media')
+    if (parentType && !LIST_TYPES.has(parentType) && !LIST_TYPES.has(block.type)) found.add('nested')
+    collectPropLosses(block.props, found)
+    collectInlineLosses(block.content, found)
+    if (Array.isArray(block.children) && block.children.length > 0) {
+      collectBlockLosses(block.children, found, block.type)
+    }
+  }
+}
+
+/**
+ * Formatting that editing the document as Markdown would remove
+ * @param {Array} blocks - notes_content
+ * @returns {string[]} - Descriptions, empty when the document converts cleanly
+ */
+export function getMarkdownLosses(blocks = []) {
+  const found = new Set()
+  collectBlockLosses(blocks, found)
+  return Object.keys(LOSSES).filter(key => found.has(key)).map(key => LOSSES[key])
+}
+
+/**
+ * Which top-level blocks a Markdown edit changes
+ * Blocks are compared by their own Markdown. The edit is what differs between the
+ * source as last shown (baseKeys) and the edited source; when the document has
+ * gained or lost blocks since (a collaborator's edit), it's what differs between
+ * the document and the edited source.
+ * @param {string[]} currentKeys - Markdown of each block in the editor
+ * @param {string[]} newKeys - Markdown of each block parsed from the edited source
+ * @param {string[]|null} [baseKeys] - Markdown of each block when the source was last shown or applied
+ * @returns {{ from: number, to: number, newFrom: number, newTo: number }}
+ *   The blocks [from, to) of the editor become the parsed blocks [newFrom, newTo)
+ */
+export function getMarkdownEditRange(currentKeys, newKeys, baseKeys = null) {
+  const reference = baseKeys && baseKeys.length === currentKeys.length ? baseKeys : currentKeys
+  const shortest = Math.min(reference.length, newKeys.length)
+  let prefix = 0
+  while (prefix < shortest && reference[prefix] === newKeys[prefix]) prefix++
+  let suffix = 0
+  while (suffix < shortest - prefix &&
+    reference[reference.length - 1 - suffix] === newKeys[newKeys.length - 1 - suffix]) suffix++
+  return { from: prefix, to: currentKeys.length - suffix, newFrom: prefix, newTo: newKeys.length - suffix }
+}
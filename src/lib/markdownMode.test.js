@@ -0,0 +1,40 @@
+import { describe, it, expect, vi } from 'vitest'
+
+// markdownMode reaches the API through inlineLinks; no client is needed here
+vi.mock('./supabase', () => ({ supabase: {} }))
+
+const { getMarkdownEditRange } = await import('./markdownMode')
+
+describe('getMarkdownEditRange', () => {
+  it('covers only the block that was edited', () => {
+    const current = ['# Title', 'One', 'Two']
+    expect(getMarkdownEditRange(current, ['# Title', 'One!', 'Two'], current))
+      .toEqual({ from: 1, to: 2, newFrom: 1, newTo: 2 })
+  })
+
+  it('covers nothing of the document for an added block', () => {
+    const current = ['# Title', 'One']
+    expect(getMarkdownEditRange(current, ['# Title', 'New', 'One'], current))
+      .toEqual({ from: 1, to: 1, newFrom: 1, newTo: 2 })
+  })
+
+  it('leaves blocks a collaborator changed outside the edit alone', () => {
+    const base = ['# Title', 'One', 'Two']
+    const current = ['# Title', 'One', 'Two, edited by a collaborator']
+    // The source still shows the old "Two"; only the title was edited
+    expect(getMarkdownEditRange(current, ['# New title', 'One', 'Two'], base))
+      .toEqual({ from: 0, to: 1, newFrom: 0, newTo: 1 })
+  })
+
+  it('compares with the document once blocks were added or removed since', () => {
+    const base = ['# Title', 'One']
+    const current = ['# Title', 'Inserted by a collaborator', 'One']
+    expect(getMarkdownEditRange(current, ['# Title', 'Inserted by a collaborator', 'One', 'Two'], base))
+      .toEqual({ from: 3, to: 3, newFrom: 3, newTo: 4 })
+  })
+
+  it('never counts a block as both prefix and suffix', () => {
+    expect(getMarkdownEditRange(['A', 'A'], ['A', 'A', 'A']))
+      .toEqual({ from: 2, to: 2, newFrom: 2, newTo: 3 })
+  })
+})
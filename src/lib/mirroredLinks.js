@@ -0,0 +1,60 @@
+/**
+ * Links that live inside document content
+ *
+ * Inline [[links]] in text and element links in drawings are stored in the
+ * content itself. Each is mirrored into document_links as an entry with a
+ * `source`, so backlinks, the link graph and link checks find them the same way
+ * as margin links. Mirrored entries are rebuilt from the content on save and
+ * never edited directly.
+ */
+
+export const LINK_SOURCES = {
+  INLINE: 'inline', // docLink inline content in notes_content
+  DRAWING: 'drawing', // Excalidraw element link in drawing_content
+}
+
+const SOURCE_LABELS = {
+  [LINK_SOURCES.INLINE]: 'inline link',
+  [LINK_SOURCES.DRAWING]: 'drawing element',
+}
+
+/**
+ * Whether a document_links entry is mirrored from the content
+ * @param {Object} link - Entry of document_links
+ * @returns {boolean}
+ */
+export function isMirroredLink(link) {
+  return !!link?.source
+}
+
+/**
+ * Short description of where a mirrored link lives
+ * @param {Object} link - Entry of document_links
+ * @returns {string|null} - null for margin links
+ */
+export function getLinkSourceLabel(link) {
+  return SOURCE_LABELS[link?.source] || null
+}
+
+/**
+ * Replace the mirrored entries of one source
+ * @param {Array} links - Current document_links
+ * @param {string} source - One of LINK_SOURCES
+ * @param {Array} entries - Entries rebuilt from the content, each with a stable id
+ * @returns {Array} - The same array when nothing changed
+ */
+export function replaceMirroredLinks(links = [], source, entries) {
+  const current = links.filter(link => link.source === source)
+  const byId = new Map(entries.map(entry => [entry.id, entry]))
+  const unchanged = current.length === entries.length && current.every((link) => {
+    const entry = byId.get(link.id)
+    return entry
+      && entry.targetDocumentId === link.targetDocumentId
+      && entry.targetDocumentNumber === link.targetDocumentNumber
+      && entry.targetProjectId === link.targetProjectId
+      && (entry.targetBlockId || null) === (link.targetBlockId || null)
+  })
+  if (unchanged) return links
+
+  return [...links.filter(link => link.source !== source), ...entries]
+}
@@ -0,0 +1,32 @@
+/**
+ * Project roles and permission checks
+ */
+
+export const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+}
+
+/**
+ * Roles that can be granted to invited members (owner comes from projects.owner_id)
+ */
+export const MEMBER_ROLES = [ROLES.EDITOR, ROLES.VIEWER]
+
+/**
+ * Check if a role may change notes, drawings, titles and links
+ * @param {string|null} role - 'owner', 'editor', 'viewer' or null
+ * @returns {boolean}
+ */
+export function canEdit(role) {
+  return role === ROLES.OWNER || role === ROLES.EDITOR
+}
+
+/**
+ * Check if a role may invite/remove members and delete the project
+ * @param {string|null} role - 'owner', 'editor', 'viewer' or null
+ * @returns {boolean}
+ */
+export function canManage(role) {
+  return role === ROLES.OWNER
+}
@@ -0,0 +1,203 @@
+/**
+ * Whole-project export as a ZIP archive
+ *
+ * The archive holds, side by side:
+ *   manifest.json               - the project, its documents and their links
+ *   <number>-<title>.md         - text documents, as BlockNote's (lossy) Markdown
+ *   <number>-<title>.excalidraw - drawings with their images, openable in Excalidraw
+ *   files/<name>                - files uploaded to text documents
+ * Links between documents of the project become relative file links, in the
+ * Markdown, in drawing elements and in the manifest. Links into other projects
+ * keep their target's project and number.
+ */
+import { BlockNoteEditor } from '@blocknote/core'
+import { serializeAsJSON } from '@excalidraw/excalidraw'
+import { getDocuments } from './api'
+import { isDrawing, getDocumentType } from './documentType'
+import { resolveDrawingFiles } from './drawingFiles'
+import { parseDrawingLinkUrl } from './drawingLinks'
+import { DOC_LINK_TYPE } from './inlineLinks'
+import { downloadStoredFile, getStoredFilePath, isStoredFileUrl } from './fileStorage'
+
+export const EXPORT_FORMAT = 'thinkpost-project'
+export const EXPORT_VERSION = 1
+
+const FILES_FOLDER = 'files'
+
+// Headless editor for the Markdown conversion. It has the default schema only;
+// custom content is rewritten to plain blocks before converting.
+let markdownEditor = null
+
+function getMarkdownEditor() {
+  if (!markdownEditor) markdownEditor = BlockNoteEditor.create()
+  return markdownEditor
+}
+
+function slugify(text) {
+  const slug = (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+  return slug || 'untitled'
+}
+
+// document_number is unique per project, so names never collide
+function getDocumentFileName(doc) {
+  const number = String(doc.document_number || doc.id).padStart(3, '0')
+  return `${number}-${slugify(doc.title)}.${isDrawing(doc) ? 'excalidraw' : 'md'}`
+}
+
+function textNode(text) {
+  return { type: 'text', text, styles: {} }
+}
+
+function linkOrText(href, text) {
+  return href ? { type: 'link', href, content: [textNode(text)] } : textNode(text)
+}
+
+function rewriteInline(content, ctx) {
+  if (!content || typeof content === 'string') return content
+  if (Array.isArray(content)) return content.map(item => rewriteInline(item, ctx))
+  if (content.type === 'tableContent') {
+    return {
+      ...content,
+      rows: (content.rows || []).map(row => ({
+        ...row,
+        cells: (row.cells || []).map(cell => (cell?.content
+          ? { ...cell, content: rewriteInline(cell.content, ctx) }
+          : rewriteInline(cell, ctx))),
+      })),
+    }
+  }
+  if (content.type === DOC_LINK_TYPE) {
+    return linkOrText(ctx.linkHref(content.props?.documentId), content.props?.title || 'Untitled')
+  }
+  if (content.type === 'link') {
+    return { ...content, href: ctx.fileHref(content.href), content: rewriteInline(content.content, ctx) }
+  }
+  return content
+}
+
+// Default-schema copies of notes_content blocks
+function rewriteBlocks(blocks, ctx) {
+  return (blocks || []).map((block) => {
+    const children = rewriteBlocks(block.children, ctx)
+    if (block.type === 'drawingEmbed') {
+      const title = `Drawing: ${block.props?.title || 'Untitled'}`
+      return { type: 'paragraph', content: [linkOrText(ctx.linkHref(block.props?.documentId), title)], children }
+    }
+    const props = block.props?.url ? { ...block.props, url: ctx.fileHref(block.props.url) } : block.props
+    return { ...block, props, content: rewriteInline(block.content, ctx), children }
+  })
+}
+
+function exportText(doc, ctx) {
+  const blocks = rewriteBlocks(Array.isArray(doc.notes_content) ? doc.notes_content : [], ctx)
+  return getMarkdownEditor().blocksToMarkdownLossy(blocks)
+}
+
+async function exportDrawing(doc, ctx) {
+  const content = doc.drawing_content || {}
+  const files = await resolveDrawingFiles(doc.project_id, { ...(doc.drawing_files || {}), ...(content.files || {}) })
+  const elements = (content.elements || [])
+    .filter(element => !element.isDeleted)
+    .map((element) => {
+      const target = parseDrawingLinkUrl(element.link)
+      const href = target && ctx.linkHref(target.targetDocumentId)
+      return href ? { ...element, link: href } : element
+    })
+  const appState = { viewBackgroundColor: content.appState?.viewBackgroundColor || '#ffffff' }
+  return serializeAsJSON(elements, appState, files, 'local')
+}
+
+function exportLink(link, ctx) {
+  const href = ctx.linkHref(link.targetDocumentId)
+  return {
+    href,
+    title: link.title || null,
+    type: link.type || null,
+    source: link.source || 'margin',
+    heading: link.targetBlockLabel || null,
+    // Targets outside the archive
+    ...(!href && { project_id: link.targetProjectId || null, document_number: link.targetDocumentNumber || null }),
+  }
+}
+
+/**
+ * File name for a project's archive
+ * @param {Object} project - { name }
+ * @returns {string}
+ */
+export function getExportFileName(project) {
+  return `${slugify(project?.name)}-export.zip`
+}
+
+/**
+ * Build the export archive of a project
+ * Uploaded files that can't be downloaded are listed in the manifest's
+ * missing_files instead of failing the export.
+ * @param {Object} project - { id, name }
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with a fraction between 0 and 1
+ * @returns {Promise<Blob>} - The ZIP archive
+ */
+export async function exportProject(project, { onProgress } = {}) {
+  const { default: JSZip } = await import('jszip')
+  const documents = await getDocuments(project.id)
+  const fileNames = new Map(documents.map(doc => [doc.id, getDocumentFileName(doc)]))
+  const uploads = new Map() // thinkpost://file/ URL -> path in the archive
+  const ctx = {
+    linkHref: documentId => fileNames.get(Number(documentId)) || null,
+    fileHref: (url) => {
+      if (!isStoredFileUrl(url)) return url
+      if (!uploads.has(url)) uploads.set(url, `${FILES_FOLDER}/${getStoredFilePath(url).split('/').pop()}`)
+      return uploads.get(url)
+    },
+  }
+
+  const zip = new JSZip()
+  const manifestDocuments = []
+  for (const [index, doc] of documents.entries()) {
+    const fileName = fileNames.get(doc.id)
+    zip.file(fileName, isDrawing(doc) ? await exportDrawing(doc, ctx) : exportText(doc, ctx))
+    manifestDocuments.push({
+      document_number: doc.document_number,
+      title: doc.title || 'Untitled',
+      document_type: getDocumentType(doc),
+      sort_order: doc.sort_order ?? null,
+      file: fileName,
+      paired_document: fileNames.get(doc.paired_document_id) || null,
+      created_at: doc.created_at || null,
+      updated_at: doc.updated_at || null,
+      links: (Array.isArray(doc.document_links) ? doc.document_links : []).map(link => exportLink(link, ctx)),
+    })
+    onProgress?.((index + 1) / (documents.length + uploads.size + 1))
+  }
+
+  const missingFiles = []
+  let added = 0
+  for (const [url, path] of uploads) {
+    try {
+      zip.file(path, await downloadStoredFile(url))
+    } catch (err) {
+      console.error('exportProject: Failed to add uploaded file:', url, err)
+      missingFiles.push(path)
+    }
+    added += 1
+    onProgress?.((documents.length + added) / (documents.length + uploads.size + 1))
+  }
+
+  zip.file('manifest.json', JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    project: { id: project.id, name: project.name },
+    documents: manifestDocuments,
+    missing_files: missingFiles,
+  }, null, 2))
+
+  const archive = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' })
+  onProgress?.(1)
+  return archive
+}
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import JSZip from 'jszip'
+
+const storage = vi.hoisted(() => ({ standIn: null }))
+
+vi.mock('./supabase', async () => {
+  const { createStorageStandIn } = await import('../test/storageStandIn')
+  storage.standIn = createStorageStandIn()
+  return { supabase: { storage: storage.standIn } }
+})
+vi.mock('./api', () => ({ getDocuments: vi.fn(), getDocumentSummaries: vi.fn() }))
+vi.mock('./drawingFiles', () => ({ resolveDrawingFiles: vi.fn(async (projectId, files) => files) }))
+// Markdown conversion needs a browser; the rewritten blocks are what's checked
+vi.mock('@blocknote/core', () => ({
+  BlockNoteEditor: { create: () => ({ blocksToMarkdownLossy: blocks => JSON.stringify(blocks) }) },
+}))
+vi.mock('@excalidraw/excalidraw', () => ({
+  serializeAsJSON: (elements, appState, files) => JSON.stringify({ type: 'excalidraw', elements, appState, files }),
+}))
+
+const { getDocuments } = await import('./api')
+const { FILE_BUCKET } = await import('./fileStorage')
+const { buildDrawingLinkUrl } = await import('./drawingLinks')
+const { EXPORT_FORMAT, exportProject, getExportFileName } = await import('./projectExport')
+
+const project = { id: 'p1', name: 'Garden Plans' }
+
+const notes = {
+  id: 11,
+  project_id: 'p1',
+  document_number: 1,
+  title: 'Seeds & soil',
+  document_type: 'text',
+  sort_order: 0,
+  paired_document_id: 12,
+  notes_content: [
+    {
+      id: 'b1',
+      type: 'paragraph',
+      props: {},
+      content: [
+        { type: 'docLink', props: { documentId: 12, title: 'Beds' } },
+        { type: 'docLink', props: { documentId: 99, title: 'Elsewhere' } },
+      ],
+      children: [],
+    },
+    { id: 'b2', type: 'image', props: { url: 'thinkpost://file/p1/11/abc-photo.png' }, children: [] },
+    { id: 'b3', type: 'image', props: { url: 'thinkpost://file/p1/11/gone.png' }, children: [] },
+    { id: 'b4', type: 'drawingEmbed', props: { documentId: 12, title: 'Beds' }, children: [] },
+  ],
+  document_links: [
+    { id: 'l1', targetDocumentId: 12, title: 'Beds', type: 'drawing' },
+    { id: 'l2', targetDocumentId: 99, targetProjectId: 'p2', targetDocumentNumber: 4, title: 'Elsewhere' },
+  ],
+}
+
+const drawing = {
+  id: 12,
+  project_id: 'p1',
+  document_number: 2,
+  title: 'Beds',
+  document_type: 'drawing',
+  sort_order: 1,
+  drawing_content: {
+    elements: [
+      { id: 'e1', type: 'rectangle', link: buildDrawingLinkUrl({ id: 11, project_id: 'p1', document_number: 1 }) },
+      { id: 'e2', type: 'rectangle', link: 'https://example.com' },
+      { id: 'e3', type: 'rectangle', isDeleted: true },
+    ],
+    appState: { viewBackgroundColor: '#fafafa' },
+    files: {},
+  },
+  document_links: [],
+}
+
+async function readArchive(archive) {
+  const zip = await JSZip.loadAsync(await archive.arrayBuffer())
+  const read = async name => zip.file(name)?.async('string')
+  return { names: Object.keys(zip.files).sort(), read }
+}
+
+beforeEach(() => {
+  storage.standIn.objects.clear()
+  storage.standIn.objects.set(`${FILE_BUCKET}/p1/11/abc-photo.png`, { body: 'png bytes', contentType: 'image/png' })
+  vi.mocked(getDocuments).mockResolvedValue([notes, drawing])
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('getExportFileName', () => {
+  it('names the archive after the project', () => {
+    expect(getExportFileName(project)).toBe('garden-plans-export.zip')
+    expect(getExportFileName({ name: '' })).toBe('untitled-export.zip')
+  })
+})
+
+describe('exportProject', () => {
+  it('writes every document, the uploaded files and a manifest', async () => {
+    const { names } = await readArchive(await exportProject(project))
+    expect(names).toEqual(['001-seeds-soil.md', '002-beds.excalidraw', 'files/', 'files/abc-photo.png', 'manifest.json'])
+  })
+
+  it('turns links inside the project into relative file links', async () => {
+    const { read } = await readArchive(await exportProject(project))
+
+    const blocks = JSON.parse(await read('001-seeds-soil.md'))
+    expect(blocks[0].content).toEqual([
+      { type: 'link', href: '002-beds.excalidraw', content: [{ type: 'text', text: 'Beds', styles: {} }] },
+      { type: 'text', text: 'Elsewhere', styles: {} },
+    ])
+    expect(blocks[1].props.url).toBe('files/abc-photo.png')
+    expect(blocks[3]).toMatchObject({ type: 'paragraph', content: [{ type: 'link', href: '002-beds.excalidraw' }] })
+
+    const scene = JSON.parse(await read('002-beds.excalidraw'))
+    expect(scene.elements.map(element => element.link)).toEqual(['001-seeds-soil.md', 'https://example.com'])
+    expect(scene.appState).toEqual({ viewBackgroundColor: '#fafafa' })
+  })
+
+  it('describes the project in the manifest and lists files it could not add', async () => {
+    const { read } = await readArchive(await exportProject(project))
+    const manifest = JSON.parse(await read('manifest.json'))
+
+    expect(manifest).toMatchObject({ format: EXPORT_FORMAT, project, missing_files: ['files/gone.png'] })
+    expect(manifest.documents[0]).toMatchObject({
+      document_number: 1,
+      document_type: 'text',
+      file: '001-seeds-soil.md',
+      paired_document: '002-beds.excalidraw',
+      links: [
+        { href: '002-beds.excalidraw', title: 'Beds', type: 'drawing', source: 'margin' },
+        { href: null, title: 'Elsewhere', project_id: 'p2', document_number: 4 },
+      ],
+    })
+    expect(await read('files/abc-photo.png')).toBe('png bytes')
+  })
+
+  it('reports progress up to the end', async () => {
+    const onProgress = vi.fn()
+    await exportProject(project, { onProgress })
+    const fractions = onProgress.mock.calls.map(([fraction]) => fraction)
+    expect(fractions).toEqual([...fractions].sort((a, b) => a - b))
+    expect(fractions.at(-1)).toBe(1)
+  })
+})
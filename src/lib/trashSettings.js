@@ -0,0 +1,5 @@
+// Used when the project owner hasn't chosen one, and for guest projects
+export const DEFAULT_TRASH_RETENTION_DAYS = 30
+
+// Choices offered in Settings; the setting lives in user_profiles.trash_retention_days
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365]
@@ -11,6 +11,8 @@ import { SyncProvider } from './context/SyncContext.jsx'
 import { AuthProvider } from './context/AuthContext.jsx'
 import { EditorProvider } from './context/EditorContext.jsx'
 import { ShowLinksProvider } from './context/ShowLinksContext.jsx'
+import { VersionHistoryProvider } from './context/VersionHistoryContext.jsx'
+import { DocumentLayoutProvider } from './context/DocumentLayoutContext.jsx'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -21,7 +23,11 @@ ReactDOM.createRoot(document.getElementById('root')).render(
             <ProjectProvider>
               <EditorProvider>
                 <ShowLinksProvider>
-                  <App />
+                  <VersionHistoryProvider>
+                    <DocumentLayoutProvider>
+                      <App />
+                    </DocumentLayoutProvider>
+                  </VersionHistoryProvider>
                 </ShowLinksProvider>
               </EditorProvider>
             </ProjectProvider>
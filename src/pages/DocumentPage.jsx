@@ -2,18 +2,33 @@ import { useParams } from 'react-router-dom'
 import NotesPanel from '../components/NotesPanel'
 import DrawingPanel from '../components/DrawingPanel'
 import { useState, useEffect, useRef } from 'react'
-import { getDocumentByNumber } from '../lib/api'
+import { getDocumentByNumber, getProjectRole, restoreDocument } from '../lib/api'
 import { getDocumentType } from '../lib/documentType'
+import { getDocumentLayout } from '../lib/documentLayout'
+import { canEdit } from '../lib/permissions'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
 import { useAuth } from '../context/AuthContext'
 import { useProjectContext } from '../context/ProjectContext'
-import { Loader, Center, Text } from '@mantine/core'
+import { useVersionHistory } from '../context/VersionHistoryContext'
+import { useDocumentLayout } from '../context/DocumentLayoutContext'
+import VersionHistoryDrawer from '../components/VersionHistoryDrawer'
+import BacklinksPanel from '../components/BacklinksPanel'
+import SplitLayout from '../components/SplitLayout'
+import { Loader, Center, Text, Alert, Button, Group } from '@mantine/core'
+import { IconTrash, IconRestore } from '@tabler/icons-react'
 
 export default function DocumentPage() {
   const { projectId, docId } = useParams()
   const [document, setDocument] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [readOnly, setReadOnly] = useState(false)
+  // Bumped after restoring a drawing version so DrawingPanel reloads the scene
+  const [restoreCount, setRestoreCount] = useState(0)
+  const { historyOpened, setHistoryOpened } = useVersionHistory()
   const { user, loading: authLoading } = useAuth()
-  const { project, switchProject, loading: projectLoading } = useProjectContext()
+  const { project, documents, switchProject, refreshDocuments, loading: projectLoading } = useProjectContext()
+  const { layout, setLayout, updateLayout } = useDocumentLayout()
+  const [restoring, setRestoring] = useState(false)
   const navigatingRef = useRef(false)
   const lastProjectIdRef = useRef(projectId)
 
@@ -93,16 +108,48 @@ export default function DocumentPage() {
         setDocument(null)
         return
       }
-      const doc = await getDocumentByNumber(projectId, documentNumber)
+      const [doc, role] = await Promise.all([
+        getDocumentByNumber(projectId, documentNumber),
+        getProjectRole(projectId),
+      ])
+      // Viewers get the document without any editing affordances
+      setReadOnly(!canEdit(role))
       setDocument(doc)
+      if (doc && !doc.deleted_at) {
+        // Feeds the command palette's recent documents
+        setLastVisitedDocumentNumber(projectId, documentNumber)
+      }
     } catch (err) {
       console.error('[DocumentPage] Failed to load document:', err)
       setDocument(null)
+      setReadOnly(false)
     } finally {
       setLoading(false)
     }
   }
 
+  // Don't carry an open history drawer over to another document
+  useEffect(() => {
+    setHistoryOpened(false)
+  }, [docId, projectId, setHistoryOpened])
+
+  // Publish the document's stored layout for the Header's layout switch
+  useEffect(() => {
+    if (!document) {
+      setLayout(null)
+      return
+    }
+    setLayout({ ...getDocumentLayout(document), editable: !readOnly && !document.deleted_at })
+  }, [document?.id, setLayout])
+
+  // Layout changes of viewers and in the trash aren't saved
+  useEffect(() => {
+    const editable = !!document && !readOnly && !document.deleted_at
+    setLayout(current => current && { ...current, editable })
+  }, [document?.deleted_at, readOnly, setLayout])
+
+  useEffect(() => () => setLayout(null), [setLayout])
+
   // Update browser tab title when document changes
   useEffect(() => {
     if (document && document.title) {
@@ -137,6 +184,45 @@ export default function DocumentPage() {
 
   const documentType = getDocumentType(document)
 
+  function handleVersionRestored() {
+    if (documentType === 'drawing') {
+      setRestoreCount((count) => count + 1)
+    }
+  }
+
+  // Trashed documents stay viewable (e.g. from an old link) but can't be edited until restored
+  const trashed = !!document.deleted_at
+  const editingDisabled = readOnly || trashed
+
+  // Paired documents come from the project's list, so a trashed or deleted pair isn't shown
+  const pairedDocument = layout?.documentId === document.id && layout.pairedDocumentId && documents
+    ? documents.find(d => d.id === layout.pairedDocumentId) || null
+    : null
+
+  function renderPanel(doc, disabled) {
+    return getDocumentType(doc) === 'drawing' ? (
+      <DrawingPanel key={`${doc.id}-${doc.id === document.id ? restoreCount : 0}`} docId={doc.id} readOnly={disabled} />
+    ) : (
+      // Version history and editor commands act on the primary document only
+      <NotesPanel docId={doc.id} readOnly={disabled} registerEditor={doc.id === document.id} />
+    )
+  }
+
+  async function handleRestoreFromTrash() {
+    setRestoring(true)
+    try {
+      await restoreDocument(document.id)
+      setDocument({ ...document, deleted_at: null })
+      if (refreshDocuments) {
+        await refreshDocuments()
+      }
+    } catch (err) {
+      console.error('[DocumentPage] Failed to restore document:', err)
+    } finally {
+      setRestoring(false)
+    }
+  }
+
   return (
     <div style={{ 
       height: '100%', 
@@ -144,12 +230,49 @@ export default function DocumentPage() {
       maxWidth: '100%',
       overflow: 'hidden',
       boxSizing: 'border-box',
+      display: 'flex',
+      flexDirection: 'column',
     }}>
-      {documentType === 'drawing' ? (
-        <DrawingPanel docId={document.id} />
-      ) : (
-        <NotesPanel docId={document.id} />
+      {trashed && (
+        <Alert color="orange" icon={<IconTrash size={16} />} py="xs" radius={0} style={{ flexShrink: 0 }}>
+          <Group justify="space-between" wrap="nowrap">
+            <Text size="sm">This document is in the trash</Text>
+            {!readOnly && (
+              <Button
+                size="xs"
+                variant="light"
+                color="orange"
+                leftSection={<IconRestore size={14} />}
+                onClick={handleRestoreFromTrash}
+                loading={restoring}
+              >
+                Restore
+              </Button>
+            )}
+          </Group>
+        </Alert>
       )}
+      <div style={{ flex: 1, minHeight: 0 }}>
+        {pairedDocument ? (
+          <SplitLayout
+            mode={layout.mode}
+            ratio={layout.ratio}
+            onRatioChange={(ratio) => updateLayout({ ratio })}
+            first={renderPanel(document, editingDisabled)}
+            second={renderPanel(pairedDocument, readOnly)}
+          />
+        ) : (
+          renderPanel(document, editingDisabled)
+        )}
+      </div>
+      <BacklinksPanel document={document} />
+      <VersionHistoryDrawer
+        opened={historyOpened}
+        onClose={() => setHistoryOpened(false)}
+        document={document}
+        readOnly={editingDisabled}
+        onRestored={handleVersionRestored}
+      />
     </div>
   )
 }
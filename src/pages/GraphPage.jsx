@@ -0,0 +1,385 @@
+import { useParams, useNavigate } from 'react-router-dom'
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { Box, Group, Text, Loader, Center, Checkbox, ActionIcon, Badge, Tooltip } from '@mantine/core'
+import { IconZoomIn, IconZoomOut, IconFocus2, IconLinkOff } from '@tabler/icons-react'
+import { useProjectContext } from '../context/ProjectContext'
+import { useTheme } from '../context/ThemeContext'
+import { getProjectLinkGraph } from '../lib/api'
+import { buildLinkGraph, layoutLinkGraph, getGraphBounds } from '../lib/linkGraph'
+import { DOCUMENT_TYPE_STYLES } from '../lib/documentType'
+import { setLastVisitedDocumentNumber } from '../lib/lastVisited'
+import LinkReportModal from '../components/LinkReportModal'
+
+const LAYOUT_WIDTH = 1000
+const LAYOUT_HEIGHT = 700
+const MIN_ZOOM = 0.2
+const MAX_ZOOM = 4
+const NODE_RADIUS = 8
+const MAX_LABEL_LENGTH = 24
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text
+}
+
+function nodeRadius(node) {
+  return NODE_RADIUS + Math.min(node.inDegree + node.outDegree, 10)
+}
+
+// Pan and zoom that fit every node into a canvas of the given size, or null
+function getFitView(positions, size) {
+  const bounds = getGraphBounds(positions)
+  if (!bounds || !size.width || !size.height) return null
+  const padding = 60
+  const graphWidth = Math.max(bounds.maxX - bounds.minX, 1)
+  const graphHeight = Math.max(bounds.maxY - bounds.minY, 1)
+  const k = Math.min(
+    MAX_ZOOM,
+    Math.max(MIN_ZOOM, Math.min((size.width - padding * 2) / graphWidth, (size.height - padding * 2) / graphHeight))
+  )
+  return {
+    k,
+    x: size.width / 2 - ((bounds.minX + bounds.maxX) / 2) * k,
+    y: size.height / 2 - ((bounds.minY + bounds.maxY) / 2) * k,
+  }
+}
+
+export default function GraphPage() {
+  const { projectId } = useParams()
+  const navigate = useNavigate()
+  const { project, switchProject, loading: projectLoading } = useProjectContext()
+  const { colorScheme } = useTheme()
+  const [graph, setGraph] = useState({ nodes: [], edges: [] })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [filters, setFilters] = useState({ text: true, drawing: true, external: true, orphansOnly: false })
+  const [view, setView] = useState({ x: 0, y: 0, k: 1 })
+  const [hoveredId, setHoveredId] = useState(null)
+  const [size, setSize] = useState({ width: 0, height: 0 })
+  const [showLinkReport, setShowLinkReport] = useState(false)
+  const containerRef = useRef(null)
+  const dragRef = useRef(null)
+  const dark = colorScheme === 'dark'
+
+  // Keep the project context in step with the URL, like ProjectPage
+  useEffect(() => {
+    if (!projectId || projectLoading) return
+    if (project && project.id !== projectId) {
+      switchProject(projectId)
+    }
+  }, [projectId, project, projectLoading, switchProject])
+
+  useEffect(() => {
+    window.document.title = project?.name ? `Link graph - ${project.name} - ThinkPost` : 'Link graph - ThinkPost'
+    return () => {
+      window.document.title = 'ThinkPost'
+    }
+  }, [project?.name])
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError('')
+    getProjectLinkGraph(projectId)
+      .then(({ documents, external }) => {
+        if (!cancelled) setGraph(buildLinkGraph(documents, external))
+      })
+      .catch((err) => {
+        console.error('[GraphPage] Failed to load link graph:', err)
+        if (!cancelled) setError('Could not load the link graph')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [projectId])
+
+  useEffect(() => {
+    const element = containerRef.current
+    if (!element) return
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height })
+    })
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [loading])
+
+  const visible = useMemo(() => {
+    const nodes = graph.nodes.filter(node =>
+      filters[node.documentType] !== false &&
+      (filters.external || !node.external) &&
+      (!filters.orphansOnly || node.orphan)
+    )
+    const ids = new Set(nodes.map(node => node.id))
+    const edges = graph.edges.filter(edge => ids.has(edge.source) && ids.has(edge.target))
+    return { nodes, edges }
+  }, [graph, filters])
+
+  // Layout runs on the full graph so filtering doesn't reshuffle the picture
+  const positions = useMemo(() => layoutLinkGraph(graph.nodes, graph.edges, {
+    width: LAYOUT_WIDTH,
+    height: LAYOUT_HEIGHT,
+    iterations: graph.nodes.length > 300 ? 100 : 300,
+  }), [graph])
+
+  function fitToView() {
+    const fitted = getFitView(positions, size)
+    if (fitted) setView(fitted)
+  }
+
+  // Fit when the layout changes or the canvas first gets a size, not on every resize;
+  // the ref hands the effect the current size without making it a dependency
+  const hasSize = size.width > 0 && size.height > 0
+  const sizeRef = useRef(size)
+  useEffect(() => {
+    sizeRef.current = size
+  }, [size])
+  useEffect(() => {
+    if (!hasSize) return
+    const fitted = getFitView(positions, sizeRef.current)
+    if (fitted) setView(fitted)
+  }, [positions, hasSize])
+
+  function zoomAt(factor, cx = size.width / 2, cy = size.height / 2) {
+    setView((v) => {
+      const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, v.k * factor))
+      // Keep the point under the cursor in place
+      return {
+        k,
+        x: cx - ((cx - v.x) / v.k) * k,
+        y: cy - ((cy - v.y) / v.k) * k,
+      }
+    })
+  }
+
+  function handleWheel(e) {
+    const rect = containerRef.current.getBoundingClientRect()
+    zoomAt(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - rect.left, e.clientY - rect.top)
+  }
+
+  // Prevent the page from scrolling while zooming the graph
+  useEffect(() => {
+    const element = containerRef.current
+    if (!element) return
+    const preventScroll = (e) => e.preventDefault()
+    element.addEventListener('wheel', preventScroll, { passive: false })
+    return () => element.removeEventListener('wheel', preventScroll)
+  }, [loading])
+
+  function handlePointerDown(e) {
+    if (e.button !== 0) return
+    // Remember the node under the pointer now - once captured, events target the container
+    const nodeId = e.target.closest?.('[data-node-id]')?.getAttribute('data-node-id') || null
+    dragRef.current = { startX: e.clientX, startY: e.clientY, view, moved: false, nodeId }
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  function handlePointerMove(e) {
+    const drag = dragRef.current
+    if (!drag) return
+    const dx = e.clientX - drag.startX
+    const dy = e.clientY - drag.startY
+    if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true
+    setView({ ...drag.view, x: drag.view.x + dx, y: drag.view.y + dy })
+  }
+
+  function handlePointerUp(e) {
+    const drag = dragRef.current
+    dragRef.current = null
+    e.currentTarget.releasePointerCapture?.(e.pointerId)
+    // A click (not a drag) on a node opens it
+    if (drag && !drag.moved && drag.nodeId) {
+      const node = graph.nodes.find(n => String(n.id) === drag.nodeId)
+      if (node) openNode(node)
+    }
+  }
+
+  function openNode(node) {
+    if (!node.documentNumber) return
+    setLastVisitedDocumentNumber(node.projectId, node.documentNumber)
+    navigate(`/${node.projectId}/${node.documentNumber}`)
+  }
+
+  const neighbors = useMemo(() => {
+    if (hoveredId === null) return null
+    const ids = new Set([hoveredId])
+    visible.edges.forEach(edge => {
+      if (edge.source === hoveredId) ids.add(edge.target)
+      if (edge.target === hoveredId) ids.add(edge.source)
+    })
+    return ids
+  }, [hoveredId, visible.edges])
+
+  const orphanCount = graph.nodes.filter(node => node.orphan).length
+  const textColor = dark ? '#c1c2c5' : '#495057'
+  const edgeColor = dark ? '#5c5f66' : '#adb5bd'
+
+  if (loading) {
+    return (
+      <Center style={{ height: '100%', width: '100%' }}>
+        <Loader size="md" />
+      </Center>
+    )
+  }
+
+  if (error) {
+    return (
+      <Center style={{ height: '100%', width: '100%' }}>
+        <Text c="dimmed">{error}</Text>
+      </Center>
+    )
+  }
+
+  return (
+    <Box style={{ height: '100%', width: '100%', display: 'flex', flexDirection: 'column' }}>
+      <Group
+        justify="space-between"
+        px="md"
+        py="xs"
+        wrap="wrap"
+        gap="xs"
+        style={{ borderBottom: '1px solid var(--mantine-color-default-border)', flexShrink: 0 }}
+      >
+        <Group gap="md" wrap="wrap">
+          {Object.entries(DOCUMENT_TYPE_STYLES).map(([type, style]) => (
+            <Checkbox
+              key={type}
+              size="xs"
+              color={style.color}
+              label={`${style.label} documents`}
+              checked={filters[type]}
+              onChange={(e) => setFilters(f => ({ ...f, [type]: e.currentTarget.checked }))}
+            />
+          ))}
+          <Checkbox
+            size="xs"
+            label="Other projects"
+            checked={filters.external}
+            onChange={(e) => setFilters(f => ({ ...f, external: e.currentTarget.checked }))}
+          />
+          <Checkbox
+            size="xs"
+            color="orange"
+            label="Orphans only"
+            checked={filters.orphansOnly}
+            onChange={(e) => setFilters(f => ({ ...f, orphansOnly: e.currentTarget.checked }))}
+          />
+        </Group>
+        <Group gap="xs" wrap="nowrap">
+          <Badge size="sm" variant="light" color="gray">{graph.nodes.filter(n => !n.external).length} documents</Badge>
+          <Badge size="sm" variant="light" color="gray">{graph.edges.length} links</Badge>
+          <Badge size="sm" variant="light" color="orange">{orphanCount} orphans</Badge>
+          <Tooltip label="Check all links">
+            <ActionIcon variant="subtle" color="gray" onClick={() => setShowLinkReport(true)}>
+              <IconLinkOff size={16} />
+            </ActionIcon>
+          </Tooltip>
+          <Tooltip label="Zoom in">
+            <ActionIcon variant="subtle" color="gray" onClick={() => zoomAt(1.25)}>
+              <IconZoomIn size={16} />
+            </ActionIcon>
+          </Tooltip>
+          <Tooltip label="Zoom out">
+            <ActionIcon variant="subtle" color="gray" onClick={() => zoomAt(0.8)}>
+              <IconZoomOut size={16} />
+            </ActionIcon>
+          </Tooltip>
+          <Tooltip label="Fit to view">
+            <ActionIcon variant="subtle" color="gray" onClick={fitToView}>
+              <IconFocus2 size={16} />
+            </ActionIcon>
+          </Tooltip>
+        </Group>
+      </Group>
+
+      <Box
+        ref={containerRef}
+        style={{ flex: 1, minHeight: 0, position: 'relative', overflow: 'hidden', cursor: 'grab', touchAction: 'none' }}
+        onWheel={handleWheel}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => { dragRef.current = null }}
+      >
+        {visible.nodes.length === 0 ? (
+          <Center style={{ height: '100%' }}>
+            <Text c="dimmed" size="sm">No documents match the filters</Text>
+          </Center>
+        ) : (
+          <svg width="100%" height="100%" style={{ display: 'block' }}>
+            <defs>
+              <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill={edgeColor} />
+              </marker>
+            </defs>
+            <g transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+              {visible.edges.map((edge) => {
+                const source = positions.get(edge.source)
+                const target = positions.get(edge.target)
+                const targetNode = graph.nodes.find(n => n.id === edge.target)
+                const dx = target.x - source.x
+                const dy = target.y - source.y
+                const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1)
+                // Stop the line at the target's edge so the arrow stays visible
+                const offset = nodeRadius(targetNode) + 2
+                const dimmed = neighbors && !(neighbors.has(edge.source) && neighbors.has(edge.target))
+                return (
+                  <line
+                    key={edge.id}
+                    x1={source.x}
+                    y1={source.y}
+                    x2={target.x - (dx / distance) * offset}
+                    y2={target.y - (dy / distance) * offset}
+                    stroke={edgeColor}
+                    strokeWidth={Math.min(1 + edge.count * 0.5, 4) / view.k}
+                    strokeOpacity={dimmed ? 0.15 : 0.8}
+                    markerEnd="url(#graph-arrow)"
+                  />
+                )
+              })}
+              {visible.nodes.map((node) => {
+                const position = positions.get(node.id)
+                const style = DOCUMENT_TYPE_STYLES[node.documentType] || DOCUMENT_TYPE_STYLES.text
+                const dimmed = neighbors && !neighbors.has(node.id)
+                const radius = nodeRadius(node)
+                return (
+                  <g
+                    key={node.id}
+                    data-node-id={node.id}
+                    transform={`translate(${position.x} ${position.y})`}
+                    style={{ cursor: 'pointer', opacity: dimmed ? 0.25 : 1 }}
+                    onMouseEnter={() => setHoveredId(node.id)}
+                    onMouseLeave={() => setHoveredId(null)}
+                  >
+                    <title>
+                      {node.external ? `${node.title} (${node.projectName || 'other project'})` : node.title}
+                      {node.orphan ? ' - no links' : ` - ${node.outDegree} out, ${node.inDegree} in`}
+                    </title>
+                    <circle
+                      r={radius}
+                      fill={node.external ? 'transparent' : `var(--mantine-color-${style.color}-6)`}
+                      stroke={node.orphan ? 'var(--mantine-color-orange-6)' : `var(--mantine-color-${style.color}-6)`}
+                      strokeWidth={(node.orphan || node.external ? 3 : 1.5) / view.k}
+                      strokeDasharray={node.external ? `${4 / view.k} ${3 / view.k}` : undefined}
+                    />
+                    <text
+                      y={radius + 12 / view.k}
+                      textAnchor="middle"
+                      fontSize={12 / view.k}
+                      fill={node.orphan ? 'var(--mantine-color-orange-6)' : textColor}
+                      style={{ pointerEvents: 'none', userSelect: 'none' }}
+                    >
+                      {truncate(node.title, MAX_LABEL_LENGTH)}
+                    </text>
+                  </g>
+                )
+              })}
+            </g>
+          </svg>
+        )}
+      </Box>
+      <LinkReportModal opened={showLinkReport} onClose={() => setShowLinkReport(false)} />
+    </Box>
+  )
+}
@@ -6,6 +6,7 @@ import { getLastDocumentNumberForProject } from '../lib/lastVisited'
 import { useProjectContext } from '../context/ProjectContext'
 import { useAuth } from '../context/AuthContext'
 import { supabase } from '../lib/supabase'
+import { isAnonymousUser } from '../lib/guest'
 
 export default function HomePage() {
   const navigate = useNavigate()
@@ -38,7 +39,8 @@ export default function HomePage() {
       const { data: { session } } = await supabase.auth.getSession()
       if (cancelled || pathnameRef.current !== '/') return
 
-      const currentUser = session?.user
+      // Anonymous sessions are guests
+      const currentUser = isAnonymousUser(session?.user) ? null : session?.user
 
       if (currentUser) {
         // Logged-in user: get last visited FIRST, then navigate
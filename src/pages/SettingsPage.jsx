@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { Container, Paper, TextInput, PasswordInput, Button, Title, Stack, Alert, Group, Divider } from '@mantine/core'
+import { Container, Paper, TextInput, PasswordInput, Button, Title, Stack, Alert, Group, Divider, Select } from '@mantine/core'
 import { useAuth } from '../context/AuthContext'
-import { getUserProfile, updateUserDisplayName } from '../lib/api'
+import { getUserProfile, updateUserDisplayName, updateTrashRetentionDays } from '../lib/api'
+import { DEFAULT_TRASH_RETENTION_DAYS, TRASH_RETENTION_OPTIONS } from '../lib/trashSettings'
 
 export default function SettingsPage() {
   const { user, updateProfile, signOut } = useAuth()
@@ -15,6 +16,7 @@ export default function SettingsPage() {
   const [loadingProfile, setLoadingProfile] = useState(true)
   const [error, setError] = useState('')
   const [message, setMessage] = useState('')
+  const [retentionDays, setRetentionDays] = useState(String(DEFAULT_TRASH_RETENTION_DAYS))
 
   useEffect(() => {
     async function loadProfile() {
@@ -24,6 +26,9 @@ export default function SettingsPage() {
         if (profile?.display_name) {
           setDisplayName(profile.display_name)
         }
+        if (profile?.trash_retention_days) {
+          setRetentionDays(String(profile.trash_retention_days))
+        }
       } catch (err) {
         console.error('Failed to load profile:', err)
       } finally {
@@ -88,6 +93,20 @@ export default function SettingsPage() {
     }
   }
 
+  async function handleUpdateRetention(value) {
+    if (!value) return
+    const previous = retentionDays
+    setError('')
+    setMessage('')
+    setRetentionDays(value)
+    try {
+      await updateTrashRetentionDays(parseInt(value, 10))
+    } catch (err) {
+      setRetentionDays(previous)
+      setError(err.message)
+    }
+  }
+
   async function handleSignOut() {
     await signOut()
     navigate('/login')
@@ -162,6 +181,18 @@ export default function SettingsPage() {
             </Stack>
           </form>
 
+          <Divider my="sm" label="Trash" labelPosition="center" />
+
+          <Select
+            label="Keep deleted items for"
+            description="Trashed items in your projects are deleted permanently after this period, also for your collaborators"
+            data={TRASH_RETENTION_OPTIONS.map(days => ({ value: String(days), label: `${days} days` }))}
+            value={retentionDays}
+            onChange={handleUpdateRetention}
+            allowDeselect={false}
+            disabled={loadingProfile}
+          />
+
           <Divider my="sm" />
 
           <Group justify="space-between">
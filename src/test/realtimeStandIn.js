@@ -0,0 +1,98 @@
+/**
+ * In-memory stand-in for Supabase Realtime broadcast channels, for tests
+ *
+ * createClient() returns an object with the parts of the Supabase client the
+ * collaboration code uses (channel, removeChannel; broadcast and presence). Every client of one stand-in
+ * shares its channels, like browsers connected to the same project. Messages are
+ * delivered asynchronously; await settle() to let them arrive.
+ */
+
+export function createRealtimeStandIn() {
+  const topics = new Map() // topic -> Set of subscribed channels
+  const sent = [] // { topic, event, payload } of every broadcast, for assertions
+
+  function createChannel(topic, options = {}) {
+    const handlers = []
+    const receiveOwn = !!options.config?.broadcast?.self
+    const presenceKey = options.config?.presence?.key
+    let presence = null // Tracked state, null when untracked
+
+    const channel = {
+      topic,
+      options,
+      on(type, filter, callback) {
+        handlers.push({ type, event: filter?.event, callback })
+        return channel
+      },
+      subscribe(callback) {
+        if (!topics.has(topic)) topics.set(topic, new Set())
+        topics.get(topic).add(channel)
+        setTimeout(() => callback?.('SUBSCRIBED'), 0)
+        return channel
+      },
+      send({ type, event, payload }) {
+        sent.push({ topic, event, payload })
+        for (const peer of topics.get(topic) || []) {
+          if (peer === channel && !receiveOwn) continue
+          const copy = structuredClone(payload)
+          setTimeout(() => peer.deliver(type, event, copy), 0)
+        }
+        return Promise.resolve('ok')
+      },
+      track(meta) {
+        presence = meta
+        return Promise.resolve('ok')
+      },
+      untrack() {
+        presence = null
+        return Promise.resolve('ok')
+      },
+      presenceState() {
+        const state = {}
+        for (const peer of topics.get(topic) || []) {
+          if (peer.presence()) state[peer.presenceKey] = [peer.presence()]
+        }
+        return state
+      },
+      presenceKey,
+      presence: () => presence,
+      deliver(type, event, payload) {
+        // A channel that left in the meantime gets nothing
+        if (!topics.get(topic)?.has(channel)) return
+        // Presence callbacks get the fields directly, broadcast ones a message
+        const message = type === 'presence' ? { event, ...payload } : { type, event, payload }
+        handlers
+          .filter(handler => handler.type === type && handler.event === event)
+          .forEach(handler => handler.callback(message))
+      },
+    }
+    return channel
+  }
+
+  return {
+    sent,
+    createClient() {
+      return {
+        channel: createChannel,
+        removeChannel(channel) {
+          topics.get(channel.topic)?.delete(channel)
+          for (const peer of topics.get(channel.topic) || []) {
+            setTimeout(() => peer.deliver('presence', 'leave', { key: channel.presenceKey }), 0)
+          }
+          return Promise.resolve('ok')
+        },
+      }
+    },
+    // Channels currently subscribed to a topic
+    channels(topic) {
+      return [...(topics.get(topic) || [])]
+    },
+  }
+}
+
+// Let pending deliveries (and the replies they trigger) arrive
+export async function settle(rounds = 10) {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+}
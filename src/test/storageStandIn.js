@@ -0,0 +1,72 @@
+/**
+ * In-memory stand-in for Supabase Storage, for tests
+ *
+ * createStorageStandIn() returns an object with the parts of `supabase.storage` the
+ * file code uses (from(bucket) with upload, download, createSignedUrl, list and
+ * remove). Calls resolve to { data, error } like the real client. Every stored
+ * object is in `objects`, keyed by '<bucket>/<path>', for assertions; `calls`
+ * records each call as { bucket, method, path }.
+ */
+
+export function createStorageStandIn() {
+  const objects = new Map() // '<bucket>/<path>' -> { body, contentType }
+  const calls = []
+
+  function notFound(path) {
+    return { data: null, error: { message: 'Object not found', statusCode: '404', path } }
+  }
+
+  function from(bucket) {
+    const key = path => `${bucket}/${path}`
+    const record = (method, path) => calls.push({ bucket, method, path })
+
+    return {
+      async upload(path, body, options = {}) {
+        record('upload', path)
+        if (objects.has(key(path)) && !options.upsert) {
+          return { data: null, error: { message: 'The resource already exists', statusCode: '409' } }
+        }
+        objects.set(key(path), { body, contentType: options.contentType || body?.type || null })
+        return { data: { path }, error: null }
+      },
+
+      async download(path) {
+        record('download', path)
+        const object = objects.get(key(path))
+        if (!object) return notFound(path)
+        const { body, contentType } = object
+        return { data: body instanceof Blob ? body : new Blob([body], { type: contentType || '' }), error: null }
+      },
+
+      async createSignedUrl(path, expiresIn) {
+        record('createSignedUrl', path)
+        if (!objects.has(key(path))) return notFound(path)
+        return { data: { signedUrl: `https://storage.test/${bucket}/${path}?expiresIn=${expiresIn}` }, error: null }
+      },
+
+      // Direct children of a folder; subfolders come back without an id, like the real API
+      async list(prefix = '', { limit = 100, offset = 0 } = {}) {
+        record('list', prefix)
+        const start = prefix ? `${bucket}/${prefix}/` : `${bucket}/`
+        const entries = new Map()
+        for (const objectKey of objects.keys()) {
+          if (!objectKey.startsWith(start)) continue
+          const [name, ...rest] = objectKey.slice(start.length).split('/')
+          entries.set(name, rest.length > 0 ? { name, id: null } : { name, id: `${bucket}:${objectKey}` })
+        }
+        return { data: [...entries.values()].slice(offset, offset + limit), error: null }
+      },
+
+      async remove(paths) {
+        const removed = []
+        for (const path of paths) {
+          record('remove', path)
+          if (objects.delete(key(path))) removed.push({ name: path })
+        }
+        return { data: removed, error: null }
+      },
+    }
+  }
+
+  return { from, objects, calls }
+}
@@ -0,0 +1,36 @@
+-- Private Realtime channels for collaborative notes
+-- The client joins `notes:<document id>` as a private channel, so Realtime checks
+-- these policies on realtime.messages: SELECT when a client joins, INSERT for
+-- every broadcast it sends. Guests edit solo, so only signed-in users get a
+-- channel, and only for a document they can read.
+
+-- Project of the document a channel topic (`<kind>:<document id>`) names,
+-- NULL for other topics or documents the caller cannot read. It runs with the
+-- caller's rights, so the documents policies decide who may join.
+CREATE OR REPLACE FUNCTION channel_document_project(p_topic TEXT, p_kind TEXT)
+RETURNS TEXT AS $$
+  SELECT d.project_id
+  FROM documents d
+  WHERE split_part(p_topic, ':', 1) = p_kind
+    AND d.id = CASE
+      WHEN split_part(p_topic, ':', 2) ~ '^\d{1,9}$' THEN split_part(p_topic, ':', 2)::integer
+    END
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+DROP POLICY IF EXISTS "Signed-in users can join note channels" ON realtime.messages;
+CREATE POLICY "Signed-in users can join note channels" ON realtime.messages
+  FOR SELECT TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND channel_document_project(realtime.topic(), 'notes') IS NOT NULL
+  );
+
+DROP POLICY IF EXISTS "Signed-in users can send to note channels" ON realtime.messages;
+CREATE POLICY "Signed-in users can send to note channels" ON realtime.messages
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    realtime.messages.extension = 'broadcast'
+    AND channel_document_project(realtime.topic(), 'notes') IS NOT NULL
+  );
+
+NOTIFY pgrst, 'reload schema';
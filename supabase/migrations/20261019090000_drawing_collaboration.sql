@@ -0,0 +1,107 @@
+-- Live drawing sessions
+-- `drawing:<document id>` is joined as a private Realtime channel, like the note
+-- channels (20261019080000). The session also uses presence, to pick the client
+-- that answers a joining one. Signed-in users who can read the drawing may join,
+-- show up in presence and send.
+
+DROP POLICY IF EXISTS "Signed-in users can join drawing channels" ON realtime.messages;
+CREATE POLICY "Signed-in users can join drawing channels" ON realtime.messages
+  FOR SELECT TO authenticated
+  USING (
+    realtime.messages.extension IN ('broadcast', 'presence')
+    AND channel_document_project(realtime.topic(), 'drawing') IS NOT NULL
+  );
+
+DROP POLICY IF EXISTS "Signed-in users can send to drawing channels" ON realtime.messages;
+CREATE POLICY "Signed-in users can send to drawing channels" ON realtime.messages
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    realtime.messages.extension IN ('broadcast', 'presence')
+    AND channel_document_project(realtime.topic(), 'drawing') IS NOT NULL
+  );
+
+-- Atomic drawing saves
+-- Collaborators each save their own copy of the scene. Merging it with the
+-- stored scene on the client (read, merge, write) lets two saves that overlap
+-- drop each other's elements, so the merge happens here, under a row lock.
+-- Elements are merged the way lib/drawingCollaboration.js reconcileElements()
+-- does: per id the higher `version` wins, on a tie the lower `versionNonce`, and
+-- the stored copy if both are equal. The result is ordered by fractional `index`
+-- when every element has one, otherwise stored elements keep their order and new
+-- ones follow in the order they were sent.
+-- Files are merged by id (sent entries win) and copied to drawing_files for
+-- recovery. The sent appState keys replace the stored ones.
+-- Runs as the caller, so RLS decides who may save; others get "Document not found".
+-- Returns the saved drawing_content.
+CREATE OR REPLACE FUNCTION save_drawing_scene(
+  p_document_id INTEGER,
+  p_elements JSONB DEFAULT '[]'::jsonb,
+  p_files JSONB DEFAULT '{}'::jsonb,
+  p_app_state JSONB DEFAULT '{}'::jsonb
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_content JSONB;
+  v_elements JSONB;
+  v_saved JSONB;
+BEGIN
+  SELECT COALESCE(drawing_content, '{}'::jsonb)
+  INTO v_content
+  FROM documents
+  WHERE id = p_document_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Document not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  WITH candidates AS (
+    SELECT value AS element, ordinality AS position, 0 AS source
+    FROM jsonb_array_elements(COALESCE(v_content->'elements', '[]'::jsonb)) WITH ORDINALITY
+    UNION ALL
+    SELECT value, ordinality, 1
+    FROM jsonb_array_elements(COALESCE(p_elements, '[]'::jsonb)) WITH ORDINALITY
+  ),
+  ranked AS (
+    SELECT
+      element,
+      row_number() OVER (
+        PARTITION BY element->>'id'
+        ORDER BY (element->>'version')::numeric DESC NULLS LAST,
+          (element->>'versionNonce')::numeric ASC NULLS LAST,
+          source
+      ) AS rank,
+      -- Where the id first appeared, for scenes without fractional indices
+      first_value(source) OVER (PARTITION BY element->>'id' ORDER BY source, position) AS first_source,
+      first_value(position) OVER (PARTITION BY element->>'id' ORDER BY source, position) AS first_position
+    FROM candidates
+  ),
+  winners AS (
+    SELECT * FROM ranked WHERE rank = 1
+  )
+  SELECT COALESCE(
+    jsonb_agg(element ORDER BY
+      CASE WHEN (SELECT bool_and(jsonb_typeof(w.element->'index') = 'string') FROM winners w)
+        THEN element->>'index' END COLLATE "C",
+      first_source,
+      first_position),
+    '[]'::jsonb)
+  INTO v_elements
+  FROM winners;
+
+  v_saved := jsonb_build_object(
+    'elements', v_elements,
+    'files', COALESCE(v_content->'files', '{}'::jsonb) || COALESCE(p_files, '{}'::jsonb),
+    'appState', COALESCE(v_content->'appState', '{}'::jsonb) || COALESCE(p_app_state, '{}'::jsonb)
+  );
+
+  UPDATE documents
+  SET drawing_content = v_saved,
+      drawing_files = v_saved->'files'
+  WHERE id = p_document_id;
+
+  RETURN v_saved;
+END;
+$$ LANGUAGE plpgsql;
+
+NOTIFY pgrst, 'reload schema';
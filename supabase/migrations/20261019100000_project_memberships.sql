@@ -0,0 +1,31 @@
+-- Project memberships: share a project with other signed-in users
+-- The owner stays on projects.owner_id; this table holds invited collaborators
+-- with either the 'editor' or the 'viewer' role.
+
+CREATE TABLE IF NOT EXISTS project_memberships (
+  id SERIAL PRIMARY KEY,
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL, -- References auth.users.id (stored as TEXT, like projects.owner_id)
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('editor', 'viewer')),
+  invited_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT unique_project_membership UNIQUE (project_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_memberships_user_id ON project_memberships(user_id);
+CREATE INDEX IF NOT EXISTS idx_project_memberships_project_id ON project_memberships(project_id);
+
+-- Invites resolve an email to a user through user_profiles
+CREATE INDEX IF NOT EXISTS idx_user_profiles_email ON user_profiles(LOWER(email));
+
+CREATE TRIGGER project_memberships_updated_at BEFORE UPDATE ON project_memberships
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Enable RLS
+ALTER TABLE project_memberships ENABLE ROW LEVEL SECURITY;
+
+-- Permissive policy until role-based policies replace the Phase 1 ones
+CREATE POLICY "Allow all for now" ON project_memberships FOR ALL USING (true) WITH CHECK (true);
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,354 @@
+-- Replace the Phase 1 "Allow all for now" policies with real row-level security
+--
+-- Access rules:
+--   * A signed-in user owns a project when projects.owner_id = auth.uid()
+--   * Guests are Supabase anonymous users (auth.enable_anonymous_sign_ins). A guest
+--     owns an unclaimed project (owner_id IS NULL) when projects.guest_id holds its
+--     auth.uid(), which the JWT proves
+--   * Invited users get 'editor' or 'viewer' access through project_memberships
+-- Document content (notes, drawings, document_links) lives on the documents row,
+-- so the documents policies cover link writes as well.
+-- document_contents was dropped in 20241218000006_merge_document_contents.sql.
+
+-- ============================================
+-- HELPERS
+-- ============================================
+
+-- The caller's guest id: auth.uid() of an anonymous session, NULL for accounts
+CREATE OR REPLACE FUNCTION request_guest_id()
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN COALESCE((auth.jwt()->>'is_anonymous')::boolean, false) THEN auth.uid()::text
+  END
+$$ LANGUAGE sql STABLE;
+
+-- The caller's role in a project: 'owner', 'editor', 'viewer' or NULL
+-- SECURITY DEFINER so policies on projects/project_memberships don't recurse
+CREATE OR REPLACE FUNCTION project_role(p_project_id TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN p.owner_id IS NOT NULL AND p.owner_id = auth.uid()::text THEN 'owner'
+    WHEN p.owner_id IS NULL AND p.guest_id IS NOT NULL AND p.guest_id = request_guest_id() THEN 'owner'
+    ELSE (
+      SELECT m.role
+      FROM project_memberships m
+      WHERE m.project_id = p.id
+        AND m.user_id = auth.uid()::text
+    )
+  END
+  FROM projects p
+  WHERE p.id = p_project_id
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Check the caller has at least p_min_role ('viewer' < 'editor' < 'owner') in a project
+CREATE OR REPLACE FUNCTION has_project_access(p_project_id TEXT, p_min_role TEXT DEFAULT 'viewer')
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(
+    CASE p_min_role
+      WHEN 'owner' THEN r = 'owner'
+      WHEN 'editor' THEN r IN ('owner', 'editor')
+      ELSE r IS NOT NULL
+    END,
+    false
+  )
+  FROM (SELECT project_role(p_project_id) AS r) AS caller
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION is_project_member(p_project_id TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM project_memberships m
+    WHERE m.project_id = p_project_id
+      AND m.user_id = auth.uid()::text
+  )
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True when the caller and p_user_id are both owner/member of at least one project
+CREATE OR REPLACE FUNCTION shares_project_with(p_user_id TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM projects p
+    WHERE (
+      p.owner_id = p_user_id
+      OR EXISTS (SELECT 1 FROM project_memberships m WHERE m.project_id = p.id AND m.user_id = p_user_id)
+    )
+    AND (
+      p.owner_id = auth.uid()::text
+      OR EXISTS (SELECT 1 FROM project_memberships m WHERE m.project_id = p.id AND m.user_id = auth.uid()::text)
+    )
+  )
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Resolve an invite email to an account without exposing the whole user_profiles table
+-- Guests hold the `authenticated` role too, but only accounts can invite, so
+-- anonymous sessions are rejected instead of letting them probe which emails
+-- have an account.
+CREATE OR REPLACE FUNCTION find_user_by_email(p_email TEXT)
+RETURNS TABLE (user_id TEXT, email TEXT) AS $$
+BEGIN
+  IF auth.uid() IS NULL OR request_guest_id() IS NOT NULL THEN
+    RAISE EXCEPTION 'Sign in to invite members';
+  END IF;
+
+  RETURN QUERY
+  SELECT up.user_id, up.email
+  FROM user_profiles up
+  WHERE LOWER(up.email) = LOWER(TRIM(p_email))
+  LIMIT 1;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION find_user_by_email(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION find_user_by_email(TEXT) TO authenticated;
+
+-- ============================================
+-- DROP PERMISSIVE POLICIES
+-- ============================================
+
+DROP POLICY IF EXISTS "Allow all for now" ON projects;
+DROP POLICY IF EXISTS "Allow all for now" ON documents;
+DROP POLICY IF EXISTS "Allow all for now" ON user_profiles;
+DROP POLICY IF EXISTS "Allow all for now" ON project_memberships;
+
+-- ============================================
+-- PROJECTS
+-- ============================================
+
+-- Ownership is checked on the row itself (not via project_role) so INSERT ... RETURNING
+-- can see the row it just created
+CREATE POLICY "Owners, guests and members can read projects" ON projects
+  FOR SELECT USING (
+    (owner_id IS NOT NULL AND owner_id = auth.uid()::text)
+    OR (owner_id IS NULL AND guest_id IS NOT NULL AND guest_id = request_guest_id())
+    OR is_project_member(id)
+  );
+
+CREATE POLICY "Users and guests can create their own projects" ON projects
+  FOR INSERT WITH CHECK (
+    (auth.uid() IS NOT NULL AND owner_id = auth.uid()::text)
+    OR (owner_id IS NULL AND guest_id IS NOT NULL AND guest_id = request_guest_id())
+  );
+
+CREATE POLICY "Owners can update projects" ON projects
+  FOR UPDATE
+  USING (has_project_access(id, 'owner'))
+  WITH CHECK (
+    (owner_id IS NOT NULL AND owner_id = auth.uid()::text)
+    OR (owner_id IS NULL AND guest_id IS NOT NULL AND guest_id = request_guest_id())
+  );
+
+CREATE POLICY "Owners can delete projects" ON projects
+  FOR DELETE USING (has_project_access(id, 'owner'));
+
+-- ============================================
+-- DOCUMENTS (including notes_content, drawing_content and document_links)
+-- ============================================
+
+CREATE POLICY "Project members can read documents" ON documents
+  FOR SELECT USING (has_project_access(project_id, 'viewer'));
+
+CREATE POLICY "Editors can create documents" ON documents
+  FOR INSERT WITH CHECK (has_project_access(project_id, 'editor'));
+
+CREATE POLICY "Editors can update documents" ON documents
+  FOR UPDATE
+  USING (has_project_access(project_id, 'editor'))
+  WITH CHECK (has_project_access(project_id, 'editor'));
+
+CREATE POLICY "Editors can delete documents" ON documents
+  FOR DELETE USING (has_project_access(project_id, 'editor'));
+
+-- ============================================
+-- PROJECT MEMBERSHIPS
+-- ============================================
+
+CREATE POLICY "Members can see who else is in their projects" ON project_memberships
+  FOR SELECT USING (
+    user_id = auth.uid()::text
+    OR has_project_access(project_id, 'viewer')
+  );
+
+CREATE POLICY "Owners can invite members" ON project_memberships
+  FOR INSERT WITH CHECK (has_project_access(project_id, 'owner'));
+
+CREATE POLICY "Owners can change member roles" ON project_memberships
+  FOR UPDATE
+  USING (has_project_access(project_id, 'owner'))
+  WITH CHECK (has_project_access(project_id, 'owner'));
+
+-- Members may also leave a project themselves
+CREATE POLICY "Owners can remove members" ON project_memberships
+  FOR DELETE USING (
+    has_project_access(project_id, 'owner')
+    OR user_id = auth.uid()::text
+  );
+
+-- ============================================
+-- USER PROFILES
+-- ============================================
+
+CREATE POLICY "Users can read their own and co-members' profiles" ON user_profiles
+  FOR SELECT USING (
+    user_id = auth.uid()::text
+    OR shares_project_with(user_id)
+  );
+
+CREATE POLICY "Users can create their own profile" ON user_profiles
+  FOR INSERT WITH CHECK (user_id = auth.uid()::text);
+
+CREATE POLICY "Users can update their own profile" ON user_profiles
+  FOR UPDATE
+  USING (user_id = auth.uid()::text)
+  WITH CHECK (user_id = auth.uid()::text);
+
+CREATE POLICY "Users can delete their own profile" ON user_profiles
+  FOR DELETE USING (user_id = auth.uid()::text);
+
+-- ============================================
+-- GUEST CLAIMS
+-- ============================================
+
+-- Guest projects move to an account through a one-time token: the anonymous
+-- session requests it right before signing in, and the account redeems it
+CREATE TABLE IF NOT EXISTS guest_claims (
+  token UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  guest_id TEXT NOT NULL, -- auth.uid() of the anonymous user
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '7 days'
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_claims_guest_id ON guest_claims(guest_id);
+
+-- Only the functions below touch this table
+ALTER TABLE guest_claims ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION create_guest_claim()
+RETURNS UUID AS $$
+DECLARE
+  v_guest_id TEXT := request_guest_id();
+  v_token UUID;
+BEGIN
+  IF v_guest_id IS NULL THEN
+    RAISE EXCEPTION 'Only guest sessions can create a claim';
+  END IF;
+
+  -- Drop stale tokens while we are here
+  DELETE FROM guest_claims WHERE expires_at < NOW();
+
+  INSERT INTO guest_claims (guest_id)
+  VALUES (v_guest_id)
+  RETURNING token INTO v_token;
+
+  RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Moves every unclaimed project of the token's guest to the calling account
+-- Returns the number of projects claimed
+CREATE OR REPLACE FUNCTION claim_guest_projects(p_claim_token UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  v_guest_id TEXT;
+  v_count INTEGER;
+BEGIN
+  IF auth.uid() IS NULL OR request_guest_id() IS NOT NULL THEN
+    RAISE EXCEPTION 'Sign in to claim guest projects';
+  END IF;
+
+  DELETE FROM guest_claims
+  WHERE token = p_claim_token
+    AND expires_at >= NOW()
+  RETURNING guest_id INTO v_guest_id;
+
+  IF v_guest_id IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  UPDATE projects
+  SET owner_id = auth.uid()::text, guest_id = NULL
+  WHERE guest_id = v_guest_id
+    AND owner_id IS NULL;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION create_guest_claim() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION claim_guest_projects(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION create_guest_claim() TO authenticated;
+GRANT EXECUTE ON FUNCTION claim_guest_projects(UUID) TO authenticated;
+
+-- ============================================
+-- REALTIME CHANNELS
+-- ============================================
+
+-- Note (20261019080000) and drawing (20261019090000) channels follow project
+-- roles: members may listen, only editors send changes. Viewers may ask for the
+-- current state and share their cursor or pointer.
+
+-- Now SECURITY DEFINER, so the lookup doesn't depend on the documents policies;
+-- access is decided by has_project_access on the result
+CREATE OR REPLACE FUNCTION channel_document_project(p_topic TEXT, p_kind TEXT)
+RETURNS TEXT AS $$
+  SELECT d.project_id
+  FROM documents d
+  WHERE split_part(p_topic, ':', 1) = p_kind
+    AND d.id = CASE
+      WHEN split_part(p_topic, ':', 2) ~ '^\d{1,9}$' THEN split_part(p_topic, ':', 2)::integer
+    END
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+DROP POLICY IF EXISTS "Signed-in users can join note channels" ON realtime.messages;
+DROP POLICY IF EXISTS "Signed-in users can send to note channels" ON realtime.messages;
+DROP POLICY IF EXISTS "Signed-in users can join drawing channels" ON realtime.messages;
+DROP POLICY IF EXISTS "Signed-in users can send to drawing channels" ON realtime.messages;
+
+CREATE POLICY "Project members can join note channels" ON realtime.messages
+  FOR SELECT TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND has_project_access(channel_document_project(realtime.topic(), 'notes'), 'viewer')
+  );
+
+CREATE POLICY "Project members can send to note channels" ON realtime.messages
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    realtime.messages.extension = 'broadcast'
+    AND (
+      has_project_access(channel_document_project(realtime.topic(), 'notes'), 'editor')
+      OR (
+        realtime.messages.event IN ('sync-request', 'awareness')
+        AND has_project_access(channel_document_project(realtime.topic(), 'notes'), 'viewer')
+      )
+    )
+  );
+
+-- The drawing session also uses presence, to pick the editor that answers a
+-- joining client
+CREATE POLICY "Project members can join drawing channels" ON realtime.messages
+  FOR SELECT TO authenticated
+  USING (
+    realtime.messages.extension IN ('broadcast', 'presence')
+    AND has_project_access(channel_document_project(realtime.topic(), 'drawing'), 'viewer')
+  );
+
+CREATE POLICY "Project members can send to drawing channels" ON realtime.messages
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    (
+      realtime.messages.extension IN ('broadcast', 'presence')
+      AND has_project_access(channel_document_project(realtime.topic(), 'drawing'), 'editor')
+    )
+    OR (
+      (
+        realtime.messages.extension = 'presence'
+        OR (realtime.messages.extension = 'broadcast' AND realtime.messages.event IN ('sync-request', 'pointer'))
+      )
+      AND has_project_access(channel_document_project(realtime.topic(), 'drawing'), 'viewer')
+    )
+  );
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,129 @@
+-- Projects of legacy guests
+-- Before guests had anonymous sessions (20261019110000_row_level_security.sql), a
+-- guest was a 'guest_<uuid>' string kept in localStorage, and projects created back
+-- then still carry it in projects.guest_id. Knowing that string is the only proof
+-- of ownership there is, so handing those projects over is limited:
+--   * only until legacy_guest_adoption_deadline()
+--   * each legacy id is adopted once: the session that asks first gets a
+--     short-lived token bound to it, and once redeemed the id stops working
+--   * every adoption is logged in legacy_guest_adoptions
+
+CREATE OR REPLACE FUNCTION legacy_guest_adoption_deadline()
+RETURNS TIMESTAMPTZ AS $$
+  SELECT TIMESTAMPTZ '2027-01-01 00:00:00+00'
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE TABLE IF NOT EXISTS legacy_guest_claims (
+  legacy_guest_id TEXT PRIMARY KEY,
+  token UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+  claimed_by TEXT NOT NULL, -- auth.uid() of the session the token was issued to
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '10 minutes'
+);
+
+CREATE TABLE IF NOT EXISTS legacy_guest_adoptions (
+  legacy_guest_id TEXT PRIMARY KEY,
+  adopted_by TEXT NOT NULL, -- auth.uid() of the guest session or account
+  adopted_by_guest BOOLEAN NOT NULL,
+  project_count INTEGER NOT NULL,
+  adopted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Only the functions below touch these tables
+ALTER TABLE legacy_guest_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE legacy_guest_adoptions ENABLE ROW LEVEL SECURITY;
+
+-- Token for adopting the projects of a legacy guest id, or NULL when there is
+-- nothing to adopt: past the deadline, no unclaimed projects, already adopted, or
+-- claimed by another session that hasn't redeemed its token yet
+CREATE OR REPLACE FUNCTION create_legacy_guest_claim(p_legacy_guest_id TEXT)
+RETURNS UUID AS $$
+DECLARE
+  v_token UUID;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'A session is required to adopt guest projects';
+  END IF;
+
+  IF NOW() >= legacy_guest_adoption_deadline()
+    OR p_legacy_guest_id IS NULL
+    OR p_legacy_guest_id NOT LIKE 'guest\_%'
+    OR EXISTS (SELECT 1 FROM legacy_guest_adoptions WHERE legacy_guest_id = p_legacy_guest_id)
+    OR NOT EXISTS (SELECT 1 FROM projects WHERE guest_id = p_legacy_guest_id AND owner_id IS NULL)
+  THEN
+    RETURN NULL;
+  END IF;
+
+  DELETE FROM legacy_guest_claims WHERE expires_at < NOW();
+
+  SELECT token INTO v_token
+  FROM legacy_guest_claims
+  WHERE legacy_guest_id = p_legacy_guest_id
+    AND claimed_by = auth.uid()::text;
+  IF v_token IS NOT NULL THEN
+    RETURN v_token;
+  END IF;
+
+  INSERT INTO legacy_guest_claims (legacy_guest_id, claimed_by)
+  VALUES (p_legacy_guest_id, auth.uid()::text)
+  ON CONFLICT (legacy_guest_id) DO NOTHING
+  RETURNING token INTO v_token;
+
+  RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Redeems a token from create_legacy_guest_claim() in the session it was issued
+-- to. The projects then belong to the caller's guest session (or account).
+-- Returns the number of projects adopted
+CREATE OR REPLACE FUNCTION adopt_legacy_guest_projects(p_claim_token UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  v_legacy_guest_id TEXT;
+  v_count INTEGER;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'A session is required to adopt guest projects';
+  END IF;
+
+  IF NOW() >= legacy_guest_adoption_deadline() THEN
+    RETURN 0;
+  END IF;
+
+  DELETE FROM legacy_guest_claims
+  WHERE token = p_claim_token
+    AND claimed_by = auth.uid()::text
+    AND expires_at >= NOW()
+  RETURNING legacy_guest_id INTO v_legacy_guest_id;
+
+  IF v_legacy_guest_id IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  IF request_guest_id() IS NOT NULL THEN
+    UPDATE projects
+    SET guest_id = auth.uid()::text
+    WHERE guest_id = v_legacy_guest_id
+      AND owner_id IS NULL;
+  ELSE
+    UPDATE projects
+    SET owner_id = auth.uid()::text, guest_id = NULL
+    WHERE guest_id = v_legacy_guest_id
+      AND owner_id IS NULL;
+  END IF;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+
+  INSERT INTO legacy_guest_adoptions (legacy_guest_id, adopted_by, adopted_by_guest, project_count)
+  VALUES (v_legacy_guest_id, auth.uid()::text, request_guest_id() IS NOT NULL, v_count);
+
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION create_legacy_guest_claim(TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION adopt_legacy_guest_projects(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION create_legacy_guest_claim(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION adopt_legacy_guest_projects(UUID) TO authenticated;
+
+NOTIFY pgrst, 'reload schema';
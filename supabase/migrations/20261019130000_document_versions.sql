@@ -0,0 +1,68 @@
+-- Document version history
+-- Snapshots of a document's content, taken periodically while editing, on demand,
+-- and automatically before destructive operations (markdown replace-import, restore).
+-- Only the newest automatic snapshots of a document are kept; manual ones and the
+-- ones taken before an import or restore stay until the document goes.
+
+CREATE TABLE IF NOT EXISTS document_versions (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE, -- Denormalized for RLS
+  title TEXT,
+  notes_content JSONB,
+  drawing_content JSONB,
+  drawing_files JSONB,
+  reason TEXT NOT NULL DEFAULT 'manual' CHECK (reason IN ('auto', 'manual', 'before_import', 'before_restore')),
+  created_by TEXT, -- auth.users.id of the author; NULL for guests
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_versions_document_created
+ON document_versions(document_id, created_at DESC);
+
+-- Enable RLS
+ALTER TABLE document_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Project members can read document versions" ON document_versions
+  FOR SELECT USING (has_project_access(project_id, 'viewer'));
+
+CREATE POLICY "Editors can create document versions" ON document_versions
+  FOR INSERT WITH CHECK (has_project_access(project_id, 'editor'));
+
+-- Versions are immutable; they go away with their document
+
+-- ============================================
+-- AUTOMATIC SNAPSHOT RETENTION
+-- ============================================
+
+-- Newest automatic snapshots kept per document
+CREATE OR REPLACE FUNCTION auto_version_limit()
+RETURNS INTEGER AS $$
+  SELECT 50
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Versions have no DELETE policy, so this runs as the definer. It only ever
+-- removes automatic snapshots of the document that just got a new one.
+CREATE OR REPLACE FUNCTION prune_auto_versions()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM document_versions
+  WHERE document_id = NEW.document_id
+    AND reason = 'auto'
+    AND id NOT IN (
+      SELECT id
+      FROM document_versions
+      WHERE document_id = NEW.document_id
+        AND reason = 'auto'
+      ORDER BY created_at DESC, id DESC
+      LIMIT auto_version_limit()
+    );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS document_versions_prune_auto ON document_versions;
+CREATE TRIGGER document_versions_prune_auto AFTER INSERT ON document_versions
+  FOR EACH ROW WHEN (NEW.reason = 'auto') EXECUTE FUNCTION prune_auto_versions();
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,63 @@
+-- Trash bin: soft-delete projects and documents
+-- Deleting sets deleted_at instead of removing the row. Trashed documents keep
+-- their document_number (the unique constraint and get_next_document_number still
+-- see them), so links to a trashed document can be reported as such instead of
+-- silently pointing at a reused number.
+
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+ALTER TABLE documents
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Trash listings and purges only look at trashed rows
+CREATE INDEX IF NOT EXISTS idx_projects_deleted_at ON projects(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_documents_deleted_at ON documents(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- How long a project owner's trashed projects (and documents in them) are kept.
+-- It's the owner's setting, so it also applies to what their collaborators trash;
+-- guest projects use the default.
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER NOT NULL DEFAULT 30 CHECK (trash_retention_days > 0);
+
+-- Permanently delete trashed projects and documents older than their owner's
+-- retention period. Returns the number of rows removed.
+CREATE OR REPLACE FUNCTION purge_expired_trash()
+RETURNS INTEGER AS $$
+DECLARE
+  v_documents INTEGER;
+  v_projects INTEGER;
+BEGIN
+  -- Documents trashed on their own; those of a trashed project go with it
+  DELETE FROM documents d
+  USING projects p
+  LEFT JOIN user_profiles up ON up.user_id = p.owner_id
+  WHERE p.id = d.project_id
+    AND d.deleted_at IS NOT NULL
+    AND p.deleted_at IS NULL
+    AND d.deleted_at < NOW() - make_interval(days => COALESCE(up.trash_retention_days, 30));
+  GET DIAGNOSTICS v_documents = ROW_COUNT;
+
+  -- Documents of a purged project go with it (ON DELETE CASCADE)
+  DELETE FROM projects p
+  WHERE p.deleted_at IS NOT NULL
+    AND p.deleted_at < NOW() - make_interval(days => COALESCE(
+      (SELECT up.trash_retention_days FROM user_profiles up WHERE up.user_id = p.owner_id),
+      30
+    ));
+  GET DIAGNOSTICS v_projects = ROW_COUNT;
+
+  RETURN v_documents + v_projects;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the scheduled job runs it, so nothing is purged early by a client's
+-- setting and nothing waits for somebody to open the app
+REVOKE EXECUTE ON FUNCTION purge_expired_trash() FROM PUBLIC, anon, authenticated;
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+-- Daily, at a quiet hour; scheduling under the same name replaces the job
+SELECT cron.schedule('purge-expired-trash', '30 3 * * *', 'SELECT public.purge_expired_trash()');
+
+NOTIFY pgrst, 'reload schema';
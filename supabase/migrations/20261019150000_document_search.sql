@@ -0,0 +1,108 @@
+-- Full-text search over documents
+-- Indexes the title (weighted highest), the plain text of BlockNote notes and
+-- the text elements of Excalidraw drawings. The 'simple' configuration is used
+-- so prefix matching works the same for any language users write in.
+
+-- Plain text of a document's content, in document order
+-- Notes: every inline text item ({ type: 'text', text }) at any depth - covers
+-- nested blocks, links and table cells. Drawings: non-deleted text elements.
+CREATE OR REPLACE FUNCTION document_search_text(p_notes JSONB, p_drawing JSONB)
+RETURNS TEXT AS $$
+  SELECT concat_ws(' ',
+    (
+      SELECT string_agg(t #>> '{}', ' ')
+      FROM jsonb_path_query(
+        COALESCE(p_notes, '[]'::jsonb),
+        'lax $.** ? (@.type() == "object" && @.type == "text").text'
+      ) AS t
+    ),
+    (
+      SELECT string_agg(t #>> '{}', ' ')
+      FROM jsonb_path_query(
+        COALESCE(p_drawing, '{}'::jsonb),
+        'lax $.elements[*] ? (@.type == "text" && !(@.isDeleted == true)).text'
+      ) AS t
+    )
+  )
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE documents
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION update_document_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('simple', COALESCE(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(document_search_text(NEW.notes_content, NEW.drawing_content), '')), 'B');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_document_search_vector_trigger ON documents;
+CREATE TRIGGER update_document_search_vector_trigger
+BEFORE INSERT OR UPDATE OF title, notes_content, drawing_content ON documents
+FOR EACH ROW
+EXECUTE FUNCTION update_document_search_vector();
+
+-- Backfill existing documents
+UPDATE documents
+SET search_vector =
+  setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(document_search_text(notes_content, drawing_content), '')), 'B');
+
+CREATE INDEX IF NOT EXISTS idx_documents_search_vector ON documents USING GIN(search_vector);
+
+-- Search every project the caller can open
+-- Each word of the query is matched as a prefix, all words must match.
+-- Runs as the caller, so RLS decides which projects/documents are visible.
+-- Snippets mark matches with <mark></mark>; the client renders them as text.
+CREATE OR REPLACE FUNCTION search_documents(p_query TEXT, p_limit INTEGER DEFAULT 30)
+RETURNS TABLE (
+  id INTEGER,
+  project_id TEXT,
+  project_name TEXT,
+  document_number INTEGER,
+  title TEXT,
+  document_type TEXT,
+  snippet TEXT,
+  rank REAL
+) AS $$
+DECLARE
+  v_query TSQUERY;
+BEGIN
+  -- Normalize the input into lexemes first so punctuation can't break to_tsquery
+  SELECT to_tsquery('simple', string_agg(quote_literal(lexeme) || ':*', ' & '))
+  INTO v_query
+  FROM unnest(tsvector_to_array(to_tsvector('simple', COALESCE(p_query, '')))) AS lexeme;
+
+  IF v_query IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    d.id,
+    d.project_id,
+    p.name,
+    d.document_number,
+    d.title,
+    d.document_type,
+    ts_headline(
+      'simple',
+      COALESCE(document_search_text(d.notes_content, d.drawing_content), ''),
+      v_query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=24, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "'
+    ),
+    ts_rank(d.search_vector, v_query)
+  FROM documents d
+  JOIN projects p ON p.id = d.project_id
+  WHERE d.search_vector @@ v_query
+    AND d.deleted_at IS NULL
+    AND p.deleted_at IS NULL
+  ORDER BY ts_rank(d.search_vector, v_query) DESC, d.updated_at DESC
+  LIMIT LEAST(GREATEST(COALESCE(p_limit, 30), 1), 100);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+NOTIFY pgrst, 'reload schema';
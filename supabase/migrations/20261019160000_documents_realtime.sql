@@ -0,0 +1,16 @@
+-- Publish document updates over Supabase Realtime
+-- Drawing embeds in text documents listen for UPDATEs of the embedded drawing
+-- and refetch it. RLS still applies: clients only receive rows they can read.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'documents'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE documents;
+  END IF;
+END
+$$;
+
+NOTIFY pgrst, 'reload schema';
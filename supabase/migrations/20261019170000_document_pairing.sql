@@ -0,0 +1,19 @@
+-- Split layout: show a document side by side with a paired one
+-- The layout columns of the original document_contents table went away when it
+-- was merged into documents, so they're re-added here. A text document's
+-- attached canvas is simply a drawing document it's paired with.
+--   paired_document_id: document shown next to this one, in the same project
+--   layout_mode: 'document' (this one only), 'paired' (the pair only) or 'both'
+--   layout_ratio: width of this document's panel in 'both', in percent
+
+ALTER TABLE documents
+ADD COLUMN IF NOT EXISTS paired_document_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS layout_mode TEXT NOT NULL DEFAULT 'both' CHECK (layout_mode IN ('document', 'paired', 'both')),
+ADD COLUMN IF NOT EXISTS layout_ratio REAL NOT NULL DEFAULT 50 CHECK (layout_ratio > 0 AND layout_ratio < 100);
+
+ALTER TABLE documents
+DROP CONSTRAINT IF EXISTS documents_paired_document_not_self;
+ALTER TABLE documents
+ADD CONSTRAINT documents_paired_document_not_self CHECK (paired_document_id IS NULL OR paired_document_id <> id);
+
+NOTIFY pgrst, 'reload schema';
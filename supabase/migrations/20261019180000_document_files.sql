@@ -0,0 +1,168 @@
+-- Storage for files in text documents (image, video, audio and file blocks)
+-- Objects are stored as <project_id>/<document_id>/<unique name>, so access
+-- follows the project: members read, editors upload and delete. The bucket is
+-- private; the client shows files through short-lived signed URLs.
+-- Limits match src/lib/fileStorage.js.
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'document-files',
+  'document-files',
+  false,
+  52428800, -- 50 MB, the largest per-type limit (video)
+  ARRAY[
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml',
+    'video/mp4', 'video/webm', 'video/quicktime',
+    'audio/mpeg', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/mp4',
+    'application/pdf', 'text/plain', 'text/markdown', 'text/csv', 'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ]
+)
+ON CONFLICT (id) DO UPDATE SET
+  public = EXCLUDED.public,
+  file_size_limit = EXCLUDED.file_size_limit,
+  allowed_mime_types = EXCLUDED.allowed_mime_types;
+
+DROP POLICY IF EXISTS "Project members can read document files" ON storage.objects;
+CREATE POLICY "Project members can read document files" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'document-files'
+    AND has_project_access((storage.foldername(name))[1])
+  );
+
+DROP POLICY IF EXISTS "Editors can upload document files" ON storage.objects;
+CREATE POLICY "Editors can upload document files" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id = 'document-files'
+    AND has_project_access((storage.foldername(name))[1], 'editor')
+  );
+
+-- Deleting a document removes its folder (see removeDocumentFiles)
+DROP POLICY IF EXISTS "Editors can delete document files" ON storage.objects;
+CREATE POLICY "Editors can delete document files" ON storage.objects
+  FOR DELETE USING (
+    bucket_id = 'document-files'
+    AND has_project_access((storage.foldername(name))[1], 'editor')
+  );
+
+-- ============================================
+-- FILES OF PURGED TRASH
+-- ============================================
+-- Uploaded files can't be removed from SQL, so the trash purge
+-- (purge_expired_trash, 20261019140000_soft_delete.sql) queues the folder of
+-- everything it deletes for the project's owner, whose app removes the files
+-- (see cleanUpPurgedFiles in src/lib/api.js).
+
+-- Storage folders of purged projects (document_id NULL) and documents
+CREATE TABLE IF NOT EXISTS purged_file_folders (
+  id SERIAL PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  document_id INTEGER,
+  owner_id TEXT, -- The purged project's owner, or
+  guest_id TEXT, -- its guest for unclaimed projects
+  purged_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purged_file_folders_owner_id ON purged_file_folders(owner_id);
+CREATE INDEX IF NOT EXISTS idx_purged_file_folders_guest_id ON purged_file_folders(guest_id);
+
+ALTER TABLE purged_file_folders ENABLE ROW LEVEL SECURITY;
+
+-- Rows are only added by purge_expired_trash()
+DROP POLICY IF EXISTS "Owners can see their purged folders" ON purged_file_folders;
+CREATE POLICY "Owners can see their purged folders" ON purged_file_folders
+  FOR SELECT USING (
+    (owner_id IS NOT NULL AND owner_id = auth.uid()::text)
+    OR (guest_id IS NOT NULL AND guest_id = request_guest_id())
+  );
+
+DROP POLICY IF EXISTS "Owners can clear their purged folders" ON purged_file_folders;
+CREATE POLICY "Owners can clear their purged folders" ON purged_file_folders
+  FOR DELETE USING (
+    (owner_id IS NOT NULL AND owner_id = auth.uid()::text)
+    OR (guest_id IS NOT NULL AND guest_id = request_guest_id())
+  );
+
+-- Whether a storage object lies in a purged folder of the caller
+CREATE OR REPLACE FUNCTION is_purged_file_of_caller(p_name TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM purged_file_folders f
+    WHERE f.project_id = (storage.foldername(p_name))[1]
+      AND (f.document_id IS NULL OR f.document_id::text = (storage.foldername(p_name))[2])
+      AND (
+        (f.owner_id IS NOT NULL AND f.owner_id = auth.uid()::text)
+        OR (f.guest_id IS NOT NULL AND f.guest_id = request_guest_id())
+      )
+  )
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- The project is gone, so the policies above no longer let anyone in
+DROP POLICY IF EXISTS "Owners can list files of purged trash" ON storage.objects;
+CREATE POLICY "Owners can list files of purged trash" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'document-files'
+    AND is_purged_file_of_caller(name)
+  );
+
+DROP POLICY IF EXISTS "Owners can delete files of purged trash" ON storage.objects;
+CREATE POLICY "Owners can delete files of purged trash" ON storage.objects
+  FOR DELETE USING (
+    bucket_id = 'document-files'
+    AND is_purged_file_of_caller(name)
+  );
+
+-- The purge from 20261019140000_soft_delete.sql, now queueing what it deletes
+CREATE OR REPLACE FUNCTION purge_expired_trash()
+RETURNS INTEGER AS $$
+DECLARE
+  v_documents INTEGER;
+  v_projects INTEGER;
+BEGIN
+  -- Documents trashed on their own; those of a trashed project go with it
+  WITH expired AS (
+    SELECT d.id, d.project_id, p.owner_id, p.guest_id
+    FROM documents d
+    JOIN projects p ON p.id = d.project_id
+    LEFT JOIN user_profiles up ON up.user_id = p.owner_id
+    WHERE d.deleted_at IS NOT NULL
+      AND p.deleted_at IS NULL
+      AND d.deleted_at < NOW() - make_interval(days => COALESCE(up.trash_retention_days, 30))
+  ),
+  queued AS (
+    INSERT INTO purged_file_folders (project_id, document_id, owner_id, guest_id)
+    SELECT project_id, id, owner_id, guest_id FROM expired
+  )
+  DELETE FROM documents d
+  USING expired
+  WHERE d.id = expired.id;
+  GET DIAGNOSTICS v_documents = ROW_COUNT;
+
+  -- Documents of a purged project go with it (ON DELETE CASCADE)
+  WITH expired AS (
+    SELECT p.id, p.owner_id, p.guest_id
+    FROM projects p
+    LEFT JOIN user_profiles up ON up.user_id = p.owner_id
+    WHERE p.deleted_at IS NOT NULL
+      AND p.deleted_at < NOW() - make_interval(days => COALESCE(up.trash_retention_days, 30))
+  ),
+  queued AS (
+    INSERT INTO purged_file_folders (project_id, owner_id, guest_id)
+    SELECT id, owner_id, guest_id FROM expired
+  )
+  DELETE FROM projects p
+  USING expired
+  WHERE p.id = expired.id;
+  GET DIAGNOSTICS v_projects = ROW_COUNT;
+
+  RETURN v_documents + v_projects;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- CREATE OR REPLACE keeps the privileges, but say it again: only the job purges
+REVOKE EXECUTE ON FUNCTION purge_expired_trash() FROM PUBLIC, anon, authenticated;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,100 @@
+-- Storage for images in drawings
+-- Pasted images used to be stored as data URLs inside drawing_content.files and
+-- again in drawing_files, and were re-sent with every save. Each image is now an
+-- object in the private `drawing-files` bucket named <project_id>/<sha256>, the
+-- hex SHA-256 of its bytes, so it's stored once per project; a drawing's files
+-- only keep { id, mimeType, created, hash } and the client downloads the data on load.
+-- Storage can't check that an object's bytes match its name, so the client
+-- recomputes the hash of everything it downloads and drops mismatches. Objects
+-- can't be replaced, so a good image can't be swapped for another either.
+-- Limits match src/lib/drawingFiles.js. Scenes saved before this keep their data
+-- URLs inline until the next save, which uploads them.
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'drawing-files',
+  'drawing-files',
+  false,
+  4194304, -- 4 MB, the most Excalidraw lets you insert
+  ARRAY[
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml',
+    'image/bmp', 'image/x-icon', 'image/avif', 'image/jfif'
+  ]
+)
+ON CONFLICT (id) DO UPDATE SET
+  public = EXCLUDED.public,
+  file_size_limit = EXCLUDED.file_size_limit,
+  allowed_mime_types = EXCLUDED.allowed_mime_types;
+
+DROP POLICY IF EXISTS "Project members can read drawing files" ON storage.objects;
+CREATE POLICY "Project members can read drawing files" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'drawing-files'
+    AND has_project_access((storage.foldername(name))[1])
+  );
+
+DROP POLICY IF EXISTS "Editors can add drawing files" ON storage.objects;
+CREATE POLICY "Editors can add drawing files" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id = 'drawing-files'
+    AND name ~ '^[^/]+/[0-9a-f]{64}$'
+    AND has_project_access((storage.foldername(name))[1], 'editor')
+  );
+
+-- Images may be shared by several drawings and versions, so they only go with
+-- their project: the owner removes them when deleting it for good
+-- (see permanentlyDeleteProject), or after the purge took it
+DROP POLICY IF EXISTS "Owners can delete drawing files" ON storage.objects;
+CREATE POLICY "Owners can delete drawing files" ON storage.objects
+  FOR DELETE USING (
+    bucket_id = 'drawing-files'
+    AND has_project_access((storage.foldername(name))[1], 'owner')
+  );
+
+-- Objects have no document folder, so only purged projects match
+DROP POLICY IF EXISTS "Owners can list drawing files of purged trash" ON storage.objects;
+CREATE POLICY "Owners can list drawing files of purged trash" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'drawing-files'
+    AND is_purged_file_of_caller(name)
+  );
+
+DROP POLICY IF EXISTS "Owners can delete drawing files of purged trash" ON storage.objects;
+CREATE POLICY "Owners can delete drawing files of purged trash" ON storage.objects
+  FOR DELETE USING (
+    bucket_id = 'drawing-files'
+    AND is_purged_file_of_caller(name)
+  );
+
+-- ============================================
+-- INLINE IMAGES
+-- ============================================
+-- Legacy scenes and versions still hold data URLs, and editors write
+-- drawing_content directly. Cap each inline image at the bucket's limit
+-- (4 MB as base64, plus the data URL's header). NOT VALID: existing rows are
+-- left alone, every new write is checked.
+
+CREATE OR REPLACE FUNCTION inline_drawing_files_fit(p_files JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT CASE
+    WHEN jsonb_typeof(p_files) <> 'object' THEN true
+    ELSE NOT EXISTS (
+      SELECT 1
+      FROM jsonb_each(p_files) f
+      WHERE jsonb_typeof(f.value) = 'object'
+        AND length(f.value->>'dataURL') > 5592508 -- 4 MB in base64 is 5592408 characters
+    )
+  END
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_inline_drawing_files_fit;
+ALTER TABLE documents ADD CONSTRAINT documents_inline_drawing_files_fit
+  CHECK (inline_drawing_files_fit(drawing_content->'files') AND inline_drawing_files_fit(drawing_files))
+  NOT VALID;
+
+ALTER TABLE document_versions DROP CONSTRAINT IF EXISTS document_versions_inline_drawing_files_fit;
+ALTER TABLE document_versions ADD CONSTRAINT document_versions_inline_drawing_files_fit
+  CHECK (inline_drawing_files_fit(drawing_content->'files') AND inline_drawing_files_fit(drawing_files))
+  NOT VALID;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,124 @@
+-- Helpers for the access tests (run with `supabase test db`)
+-- Files run in alphabetical order, so this one goes first and, unlike the
+-- others, commits: it leaves a `tests` schema behind with
+--   * tests.create_fixtures(): one shared project with an owner, an editor and a
+--     viewer, a guest's project, and an outsider who belongs to neither
+--   * tests.authenticate_as(persona) / tests.clear_authentication(): act as one
+--     of them the way PostgREST does (role `authenticated` plus JWT claims)
+--   * tests.row_count(sql): rows an UPDATE or DELETE touched, since RLS filters
+--     rows out silently instead of raising
+-- Every other file runs inside a transaction that is rolled back.
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+CREATE SCHEMA IF NOT EXISTS tests;
+GRANT USAGE ON SCHEMA tests TO anon, authenticated;
+
+-- Fixed ids, so tests can name the personas and their rows
+CREATE OR REPLACE FUNCTION tests.persona_id(p_persona TEXT)
+RETURNS UUID AS $$
+  SELECT CASE p_persona
+    WHEN 'owner' THEN '00000000-0000-4000-8000-000000000001'
+    WHEN 'editor' THEN '00000000-0000-4000-8000-000000000002'
+    WHEN 'viewer' THEN '00000000-0000-4000-8000-000000000003'
+    WHEN 'guest' THEN '00000000-0000-4000-8000-000000000004'
+    WHEN 'outsider' THEN '00000000-0000-4000-8000-000000000005'
+  END::uuid
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Fixtures, created by each test file as the database owner:
+--   tests-shared  owned by 'owner'; 'editor' and 'viewer' are members
+--                 document 900001 (text, mentions "aubergine"), 900002 (drawing)
+--   tests-guest   unclaimed project of the anonymous 'guest'
+--                 document 900003 (text)
+--   tests-legacy  unclaimed project of a pre-anonymous-auth guest ('guest_legacy')
+-- 900001 and 900003 have a version each. The guest has no profile; everybody
+-- else has one.
+CREATE OR REPLACE FUNCTION tests.create_fixtures()
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO user_profiles (user_id, email, display_name)
+  VALUES
+    (tests.persona_id('owner')::text, 'owner@example.test', 'Owner'),
+    (tests.persona_id('editor')::text, 'editor@example.test', 'Editor'),
+    (tests.persona_id('viewer')::text, 'viewer@example.test', 'Viewer'),
+    (tests.persona_id('outsider')::text, 'outsider@example.test', 'Outsider');
+
+  INSERT INTO projects (id, name, owner_id, guest_id)
+  VALUES
+    ('tests-shared', 'Shared', tests.persona_id('owner')::text, NULL),
+    ('tests-guest', 'Guest', NULL, tests.persona_id('guest')::text),
+    ('tests-legacy', 'Legacy', NULL, 'guest_legacy');
+
+  INSERT INTO project_memberships (project_id, user_id, role, invited_by)
+  VALUES
+    ('tests-shared', tests.persona_id('editor')::text, 'editor', tests.persona_id('owner')::text),
+    ('tests-shared', tests.persona_id('viewer')::text, 'viewer', tests.persona_id('owner')::text);
+
+  INSERT INTO documents (id, project_id, title, document_type, notes_content, drawing_content)
+  VALUES
+    (
+      900001, 'tests-shared', 'Shared notes', 'text',
+      '[{"id": "b1", "type": "paragraph", "content": [{"type": "text", "text": "Grow an aubergine", "styles": {}}], "children": []}]',
+      '{}'
+    ),
+    (
+      900002, 'tests-shared', 'Shared drawing', 'drawing', '[]',
+      '{"elements": [{"id": "e1", "type": "rectangle", "version": 1, "versionNonce": 1, "index": "a0"}], "files": {}, "appState": {}}'
+    ),
+    (900003, 'tests-guest', 'Guest notes', 'text', '[]', '{}');
+
+  INSERT INTO document_versions (document_id, project_id, title, reason)
+  VALUES
+    (900001, 'tests-shared', 'Shared notes', 'manual'),
+    (900003, 'tests-guest', 'Guest notes', 'manual');
+END;
+$$ LANGUAGE plpgsql;
+
+-- Act as a persona: a signed-in user, or an anonymous user for 'guest'
+CREATE OR REPLACE FUNCTION tests.authenticate_as(p_persona TEXT)
+RETURNS VOID AS $$
+DECLARE
+  v_id UUID := tests.persona_id(p_persona);
+BEGIN
+  IF v_id IS NULL THEN
+    RAISE EXCEPTION 'Unknown persona: %', p_persona;
+  END IF;
+
+  PERFORM set_config('request.jwt.claims', json_build_object(
+    'sub', v_id,
+    'role', 'authenticated',
+    'is_anonymous', p_persona = 'guest'
+  )::text, true);
+  PERFORM set_config('request.jwt.claim.sub', v_id::text, true);
+  PERFORM set_config('role', 'authenticated', true);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Back to the database owner, with no JWT
+CREATE OR REPLACE FUNCTION tests.clear_authentication()
+RETURNS VOID AS $$
+BEGIN
+  PERFORM set_config('request.jwt.claims', '', true);
+  PERFORM set_config('request.jwt.claim.sub', '', true);
+  PERFORM set_config('role', 'none', true);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rows changed by an UPDATE or DELETE, run as the current role
+CREATE OR REPLACE FUNCTION tests.row_count(p_sql TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  EXECUTE p_sql;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA tests TO anon, authenticated;
+
+SELECT plan(1);
+SELECT has_function('tests', 'create_fixtures', 'the test helpers are installed');
+SELECT * FROM finish();
@@ -0,0 +1,67 @@
+-- The helpers the policies are built on: project_role(), has_project_access(),
+-- is_project_member(), shares_project_with() and request_guest_id(). Clients can
+-- call them too; they only ever describe the caller's own access.
+BEGIN;
+SELECT plan(15);
+SELECT tests.create_fixtures();
+
+-- role, then access as owner / editor / viewer, membership, and whether the
+-- caller shares a project with the owner
+CREATE TEMP VIEW shared_project_access AS
+SELECT
+  project_role('tests-shared') AS role,
+  has_project_access('tests-shared', 'owner') AS owner_access,
+  has_project_access('tests-shared', 'editor') AS editor_access,
+  has_project_access('tests-shared', 'viewer') AS viewer_access,
+  is_project_member('tests-shared') AS member,
+  shares_project_with(tests.persona_id('owner')::text) AS shares_with_owner;
+GRANT SELECT ON shared_project_access TO authenticated;
+
+SELECT tests.authenticate_as('owner');
+SELECT results_eq(
+  $$SELECT * FROM shared_project_access$$,
+  $$VALUES ('owner', true, true, true, false, true)$$,
+  'owner has every level of access'
+);
+SELECT is(project_role('tests-guest'), NULL, 'owner has no role in a guest''s project');
+SELECT is(request_guest_id(), NULL, 'owner is not a guest');
+
+SELECT tests.authenticate_as('editor');
+SELECT results_eq(
+  $$SELECT * FROM shared_project_access$$,
+  $$VALUES ('editor', false, true, true, true, true)$$,
+  'editor has editor and viewer access'
+);
+SELECT is(request_guest_id(), NULL, 'editor is not a guest');
+
+SELECT tests.authenticate_as('viewer');
+SELECT results_eq(
+  $$SELECT * FROM shared_project_access$$,
+  $$VALUES ('viewer', false, false, true, true, true)$$,
+  'viewer has viewer access only'
+);
+SELECT is(request_guest_id(), NULL, 'viewer is not a guest');
+
+SELECT tests.authenticate_as('guest');
+SELECT results_eq(
+  $$SELECT * FROM shared_project_access$$,
+  $$VALUES (NULL::text, false, false, false, false, false)$$,
+  'guest has no access to the project'
+);
+SELECT is(project_role('tests-guest'), 'owner', 'guest owns their own project');
+SELECT ok(has_project_access('tests-guest', 'owner'), 'guest has every level of access to their own project');
+SELECT is(request_guest_id(), tests.persona_id('guest')::text, 'guest is identified by their anonymous session');
+SELECT is(project_role('tests-legacy'), NULL, 'guest has no role in a legacy guest project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT results_eq(
+  $$SELECT * FROM shared_project_access$$,
+  $$VALUES (NULL::text, false, false, false, false, false)$$,
+  'outsider has no access to the project'
+);
+SELECT is(project_role('tests-guest'), NULL, 'outsider has no role in a guest''s project');
+SELECT is(request_guest_id(), NULL, 'outsider is not a guest');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
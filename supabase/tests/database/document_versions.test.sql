@@ -0,0 +1,88 @@
+-- Access to document versions: members read them, the owner and editors take
+-- them, and nobody changes or deletes them (they go with their document, or are
+-- pruned as old automatic snapshots)
+BEGIN;
+SELECT plan(20);
+SELECT tests.create_fixtures();
+
+-- ============================================
+-- READ
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT is((SELECT count(*)::int FROM document_versions WHERE document_id = 900001), 1, 'owner reads versions');
+
+SELECT tests.authenticate_as('editor');
+SELECT is((SELECT count(*)::int FROM document_versions WHERE document_id = 900001), 1, 'editor reads versions');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is((SELECT count(*)::int FROM document_versions WHERE document_id = 900001), 1, 'viewer reads versions');
+
+SELECT tests.authenticate_as('guest');
+SELECT is((SELECT count(*)::int FROM document_versions WHERE document_id = 900001), 0, 'guest does not read versions of the project');
+SELECT is((SELECT count(*)::int FROM document_versions WHERE document_id = 900003), 1, 'guest reads versions of their own project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is_empty($$SELECT * FROM document_versions$$, 'outsider reads no version');
+
+-- ============================================
+-- CREATE
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT lives_ok($$INSERT INTO document_versions (document_id, project_id, reason) VALUES (900001, 'tests-shared', 'manual')$$, 'owner takes versions');
+
+SELECT tests.authenticate_as('editor');
+SELECT lives_ok($$INSERT INTO document_versions (document_id, project_id, reason) VALUES (900001, 'tests-shared', 'auto')$$, 'editor takes versions');
+
+SELECT tests.authenticate_as('viewer');
+SELECT throws_ok($$INSERT INTO document_versions (document_id, project_id, reason) VALUES (900001, 'tests-shared', 'manual')$$, '42501', NULL, 'viewer can not take versions');
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok($$INSERT INTO document_versions (document_id, project_id, reason) VALUES (900001, 'tests-shared', 'manual')$$, '42501', NULL, 'guest can not take versions in the project');
+SELECT lives_ok($$INSERT INTO document_versions (document_id, project_id, reason) VALUES (900003, 'tests-guest', 'manual')$$, 'guest takes versions in their own project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok($$INSERT INTO document_versions (document_id, project_id, reason) VALUES (900001, 'tests-shared', 'manual')$$, '42501', NULL, 'outsider can not take versions');
+
+-- ============================================
+-- CHANGE AND DELETE
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$UPDATE document_versions SET title = 'Rewritten'$$), 0, 'owner can not rewrite versions');
+SELECT is(tests.row_count($$DELETE FROM document_versions$$), 0, 'owner can not delete versions');
+
+SELECT tests.authenticate_as('editor');
+SELECT is(tests.row_count($$DELETE FROM document_versions$$), 0, 'editor can not delete versions');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(tests.row_count($$DELETE FROM document_versions$$), 0, 'viewer can not delete versions');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM document_versions$$), 0, 'guest can not delete versions, not even their own');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(tests.row_count($$DELETE FROM document_versions$$), 0, 'outsider can not delete versions');
+
+-- ============================================
+-- RETENTION
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+INSERT INTO document_versions (document_id, project_id, reason)
+SELECT 900001, 'tests-shared', 'auto' FROM generate_series(1, auto_version_limit());
+SELECT is(
+  (SELECT count(*)::int FROM document_versions WHERE document_id = 900001 AND reason = 'auto'),
+  auto_version_limit(),
+  'only the newest automatic versions are kept'
+);
+SELECT is(
+  (SELECT count(*)::int FROM document_versions WHERE document_id = 900001 AND reason = 'manual'),
+  2,
+  'manual versions are never pruned'
+);
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,105 @@
+-- Access to documents (content and links included): members read them, the owner
+-- and editors write them, everybody else doesn't see them
+BEGIN;
+SELECT plan(27);
+SELECT tests.create_fixtures();
+
+-- ============================================
+-- READ
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT is((SELECT count(*)::int FROM documents WHERE project_id = 'tests-shared'), 2, 'owner reads the documents');
+
+SELECT tests.authenticate_as('editor');
+SELECT is((SELECT count(*)::int FROM documents WHERE project_id = 'tests-shared'), 2, 'editor reads the documents');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is((SELECT count(*)::int FROM documents WHERE project_id = 'tests-shared'), 2, 'viewer reads the documents');
+
+SELECT tests.authenticate_as('guest');
+SELECT is((SELECT count(*)::int FROM documents WHERE project_id = 'tests-shared'), 0, 'guest does not read the documents');
+SELECT is((SELECT count(*)::int FROM documents WHERE project_id = 'tests-guest'), 1, 'guest reads the documents of their own project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is((SELECT count(*)::int FROM documents WHERE id BETWEEN 900001 AND 900003), 0, 'outsider reads no document');
+
+-- ============================================
+-- get_next_document_number()
+-- ============================================
+
+-- Runs as the caller: the count of documents it reveals is only a reader's
+SELECT tests.authenticate_as('owner');
+SELECT is(get_next_document_number('tests-shared'), 3, 'owner gets the next document number');
+
+SELECT tests.authenticate_as('editor');
+SELECT is(get_next_document_number('tests-shared'), 3, 'editor gets the next document number');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(get_next_document_number('tests-shared'), 3, 'viewer gets the next document number');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(get_next_document_number('tests-shared'), 1, 'guest learns nothing about the project''s documents');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(get_next_document_number('tests-shared'), 1, 'outsider learns nothing about the project''s documents');
+
+-- ============================================
+-- CREATE
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT lives_ok($$INSERT INTO documents (project_id, title) VALUES ('tests-shared', 'By the owner')$$, 'owner creates documents');
+
+SELECT tests.authenticate_as('editor');
+SELECT lives_ok($$INSERT INTO documents (project_id, title) VALUES ('tests-shared', 'By the editor')$$, 'editor creates documents');
+
+SELECT tests.authenticate_as('viewer');
+SELECT throws_ok($$INSERT INTO documents (project_id, title) VALUES ('tests-shared', 'By the viewer')$$, '42501', NULL, 'viewer can not create documents');
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok($$INSERT INTO documents (project_id, title) VALUES ('tests-shared', 'By the guest')$$, '42501', NULL, 'guest can not create documents in the project');
+SELECT lives_ok($$INSERT INTO documents (project_id, title) VALUES ('tests-guest', 'By the guest')$$, 'guest creates documents in their own project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok($$INSERT INTO documents (project_id, title) VALUES ('tests-shared', 'By the outsider')$$, '42501', NULL, 'outsider can not create documents');
+
+-- ============================================
+-- UPDATE
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$UPDATE documents SET title = 'Edited' WHERE id = 900001$$), 1, 'owner edits documents');
+
+SELECT tests.authenticate_as('editor');
+SELECT is(tests.row_count($$UPDATE documents SET notes_content = '[]' WHERE id = 900001$$), 1, 'editor edits documents');
+SELECT throws_ok($$UPDATE documents SET project_id = 'tests-guest' WHERE id = 900001$$, '42501', NULL, 'editor can not move a document to a project they can''t edit');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(tests.row_count($$UPDATE documents SET title = 'Edited' WHERE id = 900001$$), 0, 'viewer can not edit documents');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$UPDATE documents SET title = 'Edited' WHERE id = 900001$$), 0, 'guest can not edit documents of the project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(tests.row_count($$UPDATE documents SET deleted_at = NOW() WHERE id = 900001$$), 0, 'outsider can not edit or trash documents');
+
+-- ============================================
+-- DELETE
+-- ============================================
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(tests.row_count($$DELETE FROM documents WHERE id = 900001$$), 0, 'viewer can not delete documents');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM documents WHERE id = 900001$$), 0, 'guest can not delete documents of the project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(tests.row_count($$DELETE FROM documents WHERE id = 900001$$), 0, 'outsider can not delete documents');
+
+SELECT tests.authenticate_as('editor');
+SELECT is(tests.row_count($$DELETE FROM documents WHERE id = 900001$$), 1, 'editor deletes documents');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
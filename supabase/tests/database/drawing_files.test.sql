@@ -0,0 +1,124 @@
+-- Access to drawing images (storage bucket `drawing-files`, objects named
+-- <project id>/<sha256>) and the cap on images kept inline: members read them,
+-- the owner and editors add them, only the owner removes them, and nobody
+-- replaces them
+BEGIN;
+SELECT plan(23);
+SELECT tests.create_fixtures();
+
+-- Recent Storage versions refuse DELETEs that don't come through the Storage API
+SELECT set_config('storage.allow_delete_query', 'true', true);
+
+CREATE FUNCTION pg_temp.image_name(p_project TEXT, p_seed TEXT)
+RETURNS TEXT AS $$
+  SELECT p_project || '/' || encode(sha256(convert_to(p_seed, 'UTF8')), 'hex')
+$$ LANGUAGE sql IMMUTABLE;
+
+INSERT INTO storage.objects (bucket_id, name)
+VALUES
+  ('drawing-files', pg_temp.image_name('tests-shared', 'shared')),
+  ('drawing-files', pg_temp.image_name('tests-guest', 'guest')),
+  ('drawing-files', pg_temp.image_name('tests-gone', 'gone'));
+
+INSERT INTO purged_file_folders (project_id, owner_id)
+VALUES ('tests-gone', tests.persona_id('owner')::text);
+
+-- ============================================
+-- READ
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT results_eq(
+  $$SELECT name FROM storage.objects WHERE bucket_id = 'drawing-files' AND name LIKE 'tests-%' ORDER BY name$$,
+  ARRAY[pg_temp.image_name('tests-gone', 'gone'), pg_temp.image_name('tests-shared', 'shared')],
+  'owner reads the project''s images and those of their purged trash'
+);
+
+SELECT tests.authenticate_as('editor');
+SELECT results_eq(
+  $$SELECT name FROM storage.objects WHERE bucket_id = 'drawing-files' AND name LIKE 'tests-%'$$,
+  ARRAY[pg_temp.image_name('tests-shared', 'shared')],
+  'editor reads the project''s images'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT results_eq(
+  $$SELECT name FROM storage.objects WHERE bucket_id = 'drawing-files' AND name LIKE 'tests-%'$$,
+  ARRAY[pg_temp.image_name('tests-shared', 'shared')],
+  'viewer reads the project''s images'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT results_eq(
+  $$SELECT name FROM storage.objects WHERE bucket_id = 'drawing-files' AND name LIKE 'tests-%'$$,
+  ARRAY[pg_temp.image_name('tests-guest', 'guest')],
+  'guest reads only the images of their own project'
+);
+
+SELECT tests.authenticate_as('outsider');
+SELECT is_empty($$SELECT * FROM storage.objects WHERE bucket_id = 'drawing-files' AND name LIKE 'tests-%'$$, 'outsider reads no image');
+
+-- ============================================
+-- ADD
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT lives_ok(format($$INSERT INTO storage.objects (bucket_id, name) VALUES ('drawing-files', %L)$$, pg_temp.image_name('tests-shared', 'by-owner')), 'owner adds images');
+
+SELECT tests.authenticate_as('editor');
+SELECT lives_ok(format($$INSERT INTO storage.objects (bucket_id, name) VALUES ('drawing-files', %L)$$, pg_temp.image_name('tests-shared', 'by-editor')), 'editor adds images');
+SELECT throws_ok($$INSERT INTO storage.objects (bucket_id, name) VALUES ('drawing-files', 'tests-shared/photo.png')$$, '42501', NULL, 'editor can not add images named other than by their hash');
+SELECT throws_ok(format($$INSERT INTO storage.objects (bucket_id, name) VALUES ('drawing-files', %L)$$, 'tests-shared/900002/' || encode(sha256('x'), 'hex')), '42501', NULL, 'editor can not add images in subfolders');
+
+SELECT tests.authenticate_as('viewer');
+SELECT throws_ok(format($$INSERT INTO storage.objects (bucket_id, name) VALUES ('drawing-files', %L)$$, pg_temp.image_name('tests-shared', 'by-viewer')), '42501', NULL, 'viewer can not add images');
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok(format($$INSERT INTO storage.objects (bucket_id, name) VALUES ('drawing-files', %L)$$, pg_temp.image_name('tests-shared', 'by-guest')), '42501', NULL, 'guest can not add images to the project');
+SELECT lives_ok(format($$INSERT INTO storage.objects (bucket_id, name) VALUES ('drawing-files', %L)$$, pg_temp.image_name('tests-guest', 'by-guest')), 'guest adds images to their own project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok(format($$INSERT INTO storage.objects (bucket_id, name) VALUES ('drawing-files', %L)$$, pg_temp.image_name('tests-shared', 'by-outsider')), '42501', NULL, 'outsider can not add images');
+
+-- ============================================
+-- REPLACE AND DELETE
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+SELECT is(tests.row_count($$UPDATE storage.objects SET metadata = '{}' WHERE bucket_id = 'drawing-files'$$), 0, 'editor can not replace images');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE bucket_id = 'drawing-files'$$), 0, 'editor can not delete images');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE bucket_id = 'drawing-files'$$), 0, 'viewer can not delete images');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE bucket_id = 'drawing-files'$$), 0, 'outsider can not delete images');
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$UPDATE storage.objects SET metadata = '{}' WHERE bucket_id = 'drawing-files'$$), 0, 'owner can not replace images');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE bucket_id = 'drawing-files' AND name LIKE 'tests-%'$$), 4, 'owner deletes the project''s images and those of their purged trash');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE bucket_id = 'drawing-files' AND name LIKE 'tests-guest/%'$$), 2, 'guest deletes the images of their own project');
+
+-- ============================================
+-- INLINE IMAGES
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+SELECT lives_ok(
+  $$UPDATE documents SET drawing_content = drawing_content || jsonb_build_object('files', jsonb_build_object('f1', jsonb_build_object('dataURL', 'data:image/png;base64,' || repeat('A', 1000)))) WHERE id = 900002$$,
+  'editor saves small inline images'
+);
+SELECT throws_ok(
+  $$UPDATE documents SET drawing_content = drawing_content || jsonb_build_object('files', jsonb_build_object('f1', jsonb_build_object('dataURL', 'data:image/png;base64,' || repeat('A', 5600000)))) WHERE id = 900002$$,
+  '23514', NULL, 'editor can not save inline images over the limit'
+);
+SELECT throws_ok(
+  $$INSERT INTO document_versions (document_id, project_id, drawing_files, reason) VALUES (900002, 'tests-shared', jsonb_build_object('f1', jsonb_build_object('dataURL', 'data:image/png;base64,' || repeat('A', 5600000))), 'manual')$$,
+  '23514', NULL, 'editor can not keep inline images over the limit in versions'
+);
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
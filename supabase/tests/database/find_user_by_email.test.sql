@@ -0,0 +1,53 @@
+-- find_user_by_email(): accounts look up whom to invite; guests and signed-out
+-- visitors can't probe which emails have an account
+BEGIN;
+SELECT plan(7);
+SELECT tests.create_fixtures();
+
+SELECT tests.authenticate_as('owner');
+SELECT results_eq(
+  $$SELECT user_id FROM find_user_by_email(' Outsider@Example.test ')$$,
+  ARRAY[tests.persona_id('outsider')::text],
+  'owner looks up accounts by email, ignoring case and spaces'
+);
+SELECT is_empty($$SELECT * FROM find_user_by_email('nobody@example.test')$$, 'an unknown email finds nobody');
+
+SELECT tests.authenticate_as('editor');
+SELECT results_eq(
+  $$SELECT user_id FROM find_user_by_email('outsider@example.test')$$,
+  ARRAY[tests.persona_id('outsider')::text],
+  'editor looks up accounts'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT results_eq(
+  $$SELECT user_id FROM find_user_by_email('outsider@example.test')$$,
+  ARRAY[tests.persona_id('outsider')::text],
+  'viewer looks up accounts'
+);
+
+SELECT tests.authenticate_as('outsider');
+SELECT results_eq(
+  $$SELECT user_id FROM find_user_by_email('owner@example.test')$$,
+  ARRAY[tests.persona_id('owner')::text],
+  'outsider looks up accounts'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok(
+  $$SELECT * FROM find_user_by_email('owner@example.test')$$,
+  'P0001', 'Sign in to invite members',
+  'guest can not look up accounts'
+);
+
+SELECT tests.clear_authentication();
+SET LOCAL ROLE anon;
+SELECT throws_ok(
+  $$SELECT * FROM find_user_by_email('owner@example.test')$$,
+  '42501', NULL,
+  'signed-out visitors can not look up accounts'
+);
+RESET ROLE;
+
+SELECT * FROM finish();
+ROLLBACK;
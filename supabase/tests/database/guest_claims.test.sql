@@ -0,0 +1,83 @@
+-- Guest claims: only a guest session issues a claim, only a signed-in account
+-- redeems it, and nobody touches the claims table
+BEGIN;
+SELECT plan(18);
+SELECT tests.create_fixtures();
+
+-- ============================================
+-- create_guest_claim()
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT throws_ok($$SELECT create_guest_claim()$$, 'P0001', 'Only guest sessions can create a claim', 'owner can not create a claim');
+
+SELECT tests.authenticate_as('editor');
+SELECT throws_ok($$SELECT create_guest_claim()$$, 'P0001', 'Only guest sessions can create a claim', 'editor can not create a claim');
+
+SELECT tests.authenticate_as('viewer');
+SELECT throws_ok($$SELECT create_guest_claim()$$, 'P0001', 'Only guest sessions can create a claim', 'viewer can not create a claim');
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok($$SELECT create_guest_claim()$$, 'P0001', 'Only guest sessions can create a claim', 'outsider can not create a claim');
+
+SELECT tests.authenticate_as('guest');
+SELECT lives_ok(
+  $$SELECT set_config('tests.claim_token', create_guest_claim()::text, true)$$,
+  'guest creates a claim'
+);
+
+-- ============================================
+-- THE TABLE
+-- ============================================
+
+SELECT is_empty($$SELECT * FROM guest_claims$$, 'guest does not read claims');
+SELECT throws_ok(
+  format($$INSERT INTO guest_claims (guest_id) VALUES (%L)$$, tests.persona_id('guest')),
+  '42501', NULL,
+  'guest can not write claims directly'
+);
+
+SELECT tests.authenticate_as('owner');
+SELECT is_empty($$SELECT * FROM guest_claims$$, 'owner does not read claims');
+
+SELECT tests.authenticate_as('editor');
+SELECT is_empty($$SELECT * FROM guest_claims$$, 'editor does not read claims');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is_empty($$SELECT * FROM guest_claims$$, 'viewer does not read claims');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is_empty($$SELECT * FROM guest_claims$$, 'outsider does not read claims');
+SELECT is(tests.row_count($$DELETE FROM guest_claims$$), 0, 'outsider can not delete claims');
+
+-- ============================================
+-- claim_guest_projects()
+-- ============================================
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok(
+  format($$SELECT claim_guest_projects(%L)$$, current_setting('tests.claim_token')),
+  'P0001', 'Sign in to claim guest projects',
+  'guest can not redeem a claim'
+);
+
+SELECT tests.authenticate_as('editor');
+SELECT is(claim_guest_projects(gen_random_uuid()), 0, 'an unknown claim moves nothing');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(claim_guest_projects(current_setting('tests.claim_token')::uuid), 1, 'a signed-in user redeems the guest''s claim');
+SELECT is(
+  (SELECT owner_id FROM projects WHERE id = 'tests-guest'),
+  tests.persona_id('outsider')::text,
+  'the guest''s project now belongs to that user'
+);
+
+SELECT tests.authenticate_as('owner');
+SELECT is(claim_guest_projects(current_setting('tests.claim_token')::uuid), 0, 'a claim is redeemed only once');
+
+SELECT tests.authenticate_as('guest');
+SELECT is_empty($$SELECT * FROM projects WHERE id = 'tests-guest'$$, 'the guest no longer reads the claimed project');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
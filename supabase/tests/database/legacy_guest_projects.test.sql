@@ -0,0 +1,82 @@
+-- Projects of legacy guests: a 'guest_<uuid>' id is handed over once, to the
+-- session that claimed it, and every adoption is logged
+BEGIN;
+SELECT plan(17);
+SELECT tests.create_fixtures();
+
+INSERT INTO projects (id, name, guest_id) VALUES ('tests-legacy-2', 'Legacy', 'guest_legacy_2');
+
+-- ============================================
+-- create_legacy_guest_claim()
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT is(create_legacy_guest_claim(tests.persona_id('guest')::text), NULL, 'only legacy guest ids can be claimed');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(create_legacy_guest_claim('guest_unknown'), NULL, 'a legacy id without projects can not be claimed');
+
+SELECT tests.authenticate_as('guest');
+SELECT lives_ok(
+  $$SELECT set_config('tests.legacy_token', create_legacy_guest_claim('guest_legacy')::text, true)$$,
+  'guest claims a legacy id'
+);
+SELECT isnt(current_setting('tests.legacy_token'), '', 'the claim returns a token');
+SELECT is(
+  create_legacy_guest_claim('guest_legacy')::text,
+  current_setting('tests.legacy_token'),
+  'claiming again returns the same token'
+);
+
+SELECT tests.authenticate_as('editor');
+SELECT is(create_legacy_guest_claim('guest_legacy'), NULL, 'another session can not claim the same legacy id');
+
+-- ============================================
+-- adopt_legacy_guest_projects()
+-- ============================================
+
+SELECT is(
+  adopt_legacy_guest_projects(current_setting('tests.legacy_token')::uuid),
+  0,
+  'a token only works in the session it was issued to'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT is(adopt_legacy_guest_projects(current_setting('tests.legacy_token')::uuid), 1, 'guest adopts legacy projects');
+SELECT isnt_empty($$SELECT * FROM projects WHERE id = 'tests-legacy'$$, 'guest reads the adopted project');
+SELECT is(adopt_legacy_guest_projects(current_setting('tests.legacy_token')::uuid), 0, 'a token is redeemed only once');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(create_legacy_guest_claim('guest_legacy'), NULL, 'an adopted legacy id stops working');
+
+SELECT is(
+  adopt_legacy_guest_projects(create_legacy_guest_claim('guest_legacy_2')),
+  1,
+  'a signed-in user adopts legacy projects'
+);
+SELECT is(
+  (SELECT owner_id FROM projects WHERE id = 'tests-legacy-2'),
+  tests.persona_id('outsider')::text,
+  'the adopted project belongs to that user'
+);
+
+-- ============================================
+-- THE TABLES
+-- ============================================
+
+SELECT is_empty($$SELECT * FROM legacy_guest_claims$$, 'outsider does not read claims');
+SELECT is_empty($$SELECT * FROM legacy_guest_adoptions$$, 'outsider does not read the adoption log');
+SELECT is(tests.row_count($$DELETE FROM legacy_guest_adoptions$$), 0, 'outsider can not delete the adoption log');
+
+SELECT tests.clear_authentication();
+SELECT results_eq(
+  $$SELECT legacy_guest_id, adopted_by, adopted_by_guest, project_count FROM legacy_guest_adoptions ORDER BY legacy_guest_id$$,
+  format(
+    $$VALUES ('guest_legacy', %L, true, 1), ('guest_legacy_2', %L, false, 1)$$,
+    tests.persona_id('guest'), tests.persona_id('outsider')
+  ),
+  'every adoption is logged'
+);
+
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,132 @@
+-- Access to project memberships: members see who else is in the project, only the
+-- owner invites, changes roles and removes members, and members may leave
+BEGIN;
+SELECT plan(20);
+SELECT tests.create_fixtures();
+
+-- ============================================
+-- READ
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT is((SELECT count(*)::int FROM project_memberships WHERE project_id = 'tests-shared'), 2, 'owner sees the members');
+
+SELECT tests.authenticate_as('editor');
+SELECT is((SELECT count(*)::int FROM project_memberships WHERE project_id = 'tests-shared'), 2, 'editor sees the members');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is((SELECT count(*)::int FROM project_memberships WHERE project_id = 'tests-shared'), 2, 'viewer sees the members');
+
+SELECT tests.authenticate_as('guest');
+SELECT is((SELECT count(*)::int FROM project_memberships), 0, 'guest sees no members');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is((SELECT count(*)::int FROM project_memberships), 0, 'outsider sees no members');
+
+-- ============================================
+-- INVITE
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+SELECT throws_ok(
+  format($$INSERT INTO project_memberships (project_id, user_id, role) VALUES ('tests-shared', %L, 'editor')$$, tests.persona_id('outsider')),
+  '42501', NULL,
+  'editor can not invite members'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT throws_ok(
+  format($$INSERT INTO project_memberships (project_id, user_id, role) VALUES ('tests-shared', %L, 'editor')$$, tests.persona_id('outsider')),
+  '42501', NULL,
+  'viewer can not invite members'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok(
+  format($$INSERT INTO project_memberships (project_id, user_id, role) VALUES ('tests-shared', %L, 'editor')$$, tests.persona_id('guest')),
+  '42501', NULL,
+  'guest can not join the project'
+);
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok(
+  format($$INSERT INTO project_memberships (project_id, user_id, role) VALUES ('tests-shared', %L, 'editor')$$, tests.persona_id('outsider')),
+  '42501', NULL,
+  'outsider can not join the project'
+);
+
+SELECT tests.authenticate_as('owner');
+SELECT lives_ok(
+  format($$INSERT INTO project_memberships (project_id, user_id, role) VALUES ('tests-shared', %L, 'viewer')$$, tests.persona_id('outsider')),
+  'owner invites members'
+);
+SELECT tests.clear_authentication();
+DELETE FROM project_memberships WHERE user_id = tests.persona_id('outsider')::text;
+
+-- ============================================
+-- CHANGE ROLES
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+SELECT is(
+  tests.row_count(format($$UPDATE project_memberships SET role = 'editor' WHERE user_id = %L$$, tests.persona_id('viewer'))),
+  0,
+  'editor can not change roles'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(
+  tests.row_count(format($$UPDATE project_memberships SET role = 'editor' WHERE user_id = %L$$, tests.persona_id('viewer'))),
+  0,
+  'viewer can not promote themselves'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$UPDATE project_memberships SET role = 'viewer'$$), 0, 'guest can not change roles');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(tests.row_count($$UPDATE project_memberships SET role = 'viewer'$$), 0, 'outsider can not change roles');
+
+SELECT tests.authenticate_as('owner');
+SELECT is(
+  tests.row_count(format($$UPDATE project_memberships SET role = 'editor' WHERE user_id = %L$$, tests.persona_id('viewer'))),
+  1,
+  'owner changes roles'
+);
+SELECT tests.clear_authentication();
+UPDATE project_memberships SET role = 'viewer' WHERE user_id = tests.persona_id('viewer')::text;
+
+-- ============================================
+-- REMOVE AND LEAVE
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+SELECT is(
+  tests.row_count(format($$DELETE FROM project_memberships WHERE user_id = %L$$, tests.persona_id('viewer'))),
+  0,
+  'editor can not remove other members'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM project_memberships$$), 0, 'guest can not remove members');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(tests.row_count($$DELETE FROM project_memberships$$), 0, 'outsider can not remove members');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(
+  tests.row_count(format($$DELETE FROM project_memberships WHERE user_id = %L$$, tests.persona_id('viewer'))),
+  1,
+  'viewer leaves the project'
+);
+
+SELECT tests.authenticate_as('owner');
+SELECT is(
+  tests.row_count(format($$DELETE FROM project_memberships WHERE user_id = %L$$, tests.persona_id('editor'))),
+  1,
+  'owner removes members'
+);
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,103 @@
+-- Access to projects: owners (and guests, for their own projects) manage them,
+-- members only read them, everybody else doesn't see them
+BEGIN;
+SELECT plan(24);
+SELECT tests.create_fixtures();
+
+-- ============================================
+-- READ
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT is((SELECT count(*)::int FROM projects WHERE id = 'tests-shared'), 1, 'owner reads their project');
+SELECT is((SELECT count(*)::int FROM projects WHERE id = 'tests-guest'), 0, 'owner does not read a guest''s project');
+
+SELECT tests.authenticate_as('editor');
+SELECT is((SELECT count(*)::int FROM projects WHERE id = 'tests-shared'), 1, 'editor reads the project');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is((SELECT count(*)::int FROM projects WHERE id = 'tests-shared'), 1, 'viewer reads the project');
+
+SELECT tests.authenticate_as('guest');
+SELECT is((SELECT count(*)::int FROM projects WHERE id = 'tests-shared'), 0, 'guest does not read the project');
+SELECT is((SELECT count(*)::int FROM projects WHERE id = 'tests-guest'), 1, 'guest reads their own project');
+SELECT is((SELECT count(*)::int FROM projects WHERE id = 'tests-legacy'), 0, 'guest does not read a legacy guest project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is((SELECT count(*)::int FROM projects), 0, 'outsider reads no project');
+
+-- ============================================
+-- CREATE
+-- ============================================
+
+SELECT tests.authenticate_as('outsider');
+SELECT lives_ok(
+  format($$INSERT INTO projects (id, name, owner_id) VALUES ('tests-new', 'New', %L)$$, tests.persona_id('outsider')),
+  'a user creates a project they own'
+);
+SELECT throws_ok(
+  format($$INSERT INTO projects (id, name, owner_id) VALUES ('tests-planted', 'Planted', %L)$$, tests.persona_id('owner')),
+  '42501', NULL,
+  'a user can not create a project for somebody else'
+);
+SELECT throws_ok(
+  format($$INSERT INTO projects (id, name, guest_id) VALUES ('tests-planted', 'Planted', %L)$$, tests.persona_id('guest')),
+  '42501', NULL,
+  'a user can not create a project for a guest'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT lives_ok(
+  format($$INSERT INTO projects (id, name, guest_id) VALUES ('tests-new-guest', 'New', %L)$$, tests.persona_id('guest')),
+  'guest creates a project of their own'
+);
+SELECT throws_ok(
+  format($$INSERT INTO projects (id, name, owner_id) VALUES ('tests-planted', 'Planted', %L)$$, tests.persona_id('owner')),
+  '42501', NULL,
+  'guest can not create a project for a user'
+);
+
+-- ============================================
+-- UPDATE
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+SELECT is(tests.row_count($$UPDATE projects SET name = 'Renamed' WHERE id = 'tests-shared'$$), 0, 'editor can not rename the project');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(tests.row_count($$UPDATE projects SET name = 'Renamed' WHERE id = 'tests-shared'$$), 0, 'viewer can not rename the project');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$UPDATE projects SET name = 'Renamed' WHERE id = 'tests-shared'$$), 0, 'guest can not rename the project');
+SELECT is(tests.row_count($$UPDATE projects SET name = 'Renamed' WHERE id = 'tests-guest'$$), 1, 'guest renames their own project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(tests.row_count($$UPDATE projects SET name = 'Renamed' WHERE id = 'tests-shared'$$), 0, 'outsider can not rename the project');
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$UPDATE projects SET name = 'Renamed' WHERE id = 'tests-shared'$$), 1, 'owner renames their project');
+SELECT throws_ok(
+  format($$UPDATE projects SET owner_id = %L WHERE id = 'tests-shared'$$, tests.persona_id('outsider')),
+  '42501', NULL,
+  'owner can not hand the project to somebody else directly'
+);
+
+-- ============================================
+-- DELETE
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+SELECT is(tests.row_count($$DELETE FROM projects WHERE id = 'tests-shared'$$), 0, 'editor can not delete the project');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(tests.row_count($$DELETE FROM projects WHERE id = 'tests-shared'$$), 0, 'viewer can not delete the project');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM projects WHERE id IN ('tests-shared', 'tests-legacy')$$), 0, 'guest can not delete projects of others');
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$DELETE FROM projects WHERE id = 'tests-shared'$$), 1, 'owner deletes their project');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,94 @@
+-- The file cleanup queue of the trash purge: only the purged project's owner (or
+-- guest) sees and clears what it left behind
+BEGIN;
+SELECT plan(21);
+SELECT tests.create_fixtures();
+
+INSERT INTO purged_file_folders (project_id, document_id, owner_id, guest_id)
+VALUES
+  ('tests-gone', NULL, tests.persona_id('owner')::text, NULL),
+  ('tests-guest-gone', NULL, NULL, tests.persona_id('guest')::text);
+
+-- ============================================
+-- READ
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT results_eq($$SELECT project_id FROM purged_file_folders$$, ARRAY['tests-gone'], 'owner sees their purged folders');
+
+SELECT tests.authenticate_as('editor');
+SELECT is_empty($$SELECT * FROM purged_file_folders$$, 'editor sees no purged folder');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is_empty($$SELECT * FROM purged_file_folders$$, 'viewer sees no purged folder');
+
+SELECT tests.authenticate_as('guest');
+SELECT results_eq($$SELECT project_id FROM purged_file_folders$$, ARRAY['tests-guest-gone'], 'guest sees their purged folders');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is_empty($$SELECT * FROM purged_file_folders$$, 'outsider sees no purged folder');
+
+-- ============================================
+-- is_purged_file_of_caller()
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT ok(is_purged_file_of_caller('tests-gone/900009/a.png'), 'owner may remove files of their purged project');
+SELECT ok(NOT is_purged_file_of_caller('tests-shared/900001/a.png'), 'a live project''s files are not purged');
+
+SELECT tests.authenticate_as('editor');
+SELECT ok(NOT is_purged_file_of_caller('tests-gone/900009/a.png'), 'editor may not remove files of a purged project');
+
+SELECT tests.authenticate_as('viewer');
+SELECT ok(NOT is_purged_file_of_caller('tests-gone/900009/a.png'), 'viewer may not remove files of a purged project');
+
+SELECT tests.authenticate_as('guest');
+SELECT ok(NOT is_purged_file_of_caller('tests-gone/900009/a.png'), 'guest may not remove files of somebody else''s purged project');
+SELECT ok(is_purged_file_of_caller('tests-guest-gone/900010/a.png'), 'guest may remove files of their purged project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT ok(NOT is_purged_file_of_caller('tests-gone/900009/a.png'), 'outsider may not remove files of a purged project');
+
+-- ============================================
+-- WRITE
+-- ============================================
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok(
+  format($$INSERT INTO purged_file_folders (project_id, owner_id) VALUES ('tests-shared', %L)$$, tests.persona_id('outsider')),
+  '42501', NULL,
+  'nobody queues folders directly'
+);
+SELECT is(tests.row_count($$DELETE FROM purged_file_folders$$), 0, 'outsider clears no purged folder');
+
+SELECT tests.authenticate_as('editor');
+SELECT is(tests.row_count($$DELETE FROM purged_file_folders$$), 0, 'editor clears no purged folder');
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(tests.row_count($$DELETE FROM purged_file_folders$$), 0, 'viewer clears no purged folder');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM purged_file_folders$$), 1, 'guest clears their purged folders');
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$DELETE FROM purged_file_folders$$), 1, 'owner clears their purged folders');
+
+-- ============================================
+-- QUEUED BY THE PURGE
+-- ============================================
+
+-- The scheduled job runs as the database owner
+SELECT tests.clear_authentication();
+UPDATE documents SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = 900002;
+SELECT is(purge_expired_trash(), 1, 'the job purges the expired document');
+SELECT isnt_empty(
+  format($$SELECT * FROM purged_file_folders WHERE project_id = 'tests-shared' AND document_id = 900002 AND owner_id = %L$$, tests.persona_id('owner')),
+  'the purge queues the document''s folder for the project owner'
+);
+
+SELECT tests.authenticate_as('owner');
+SELECT ok(is_purged_file_of_caller('tests-shared/900002/a.png'), 'the owner may then remove the purged document''s files');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,104 @@
+-- Access to the private Realtime channels `notes:<document id>` and
+-- `drawing:<document id>`. Realtime checks realtime.messages with the channel in
+-- the `realtime.topic` setting: SELECT to join, INSERT for each message sent.
+-- Members join; the owner and editors send anything; viewers only ask for the
+-- current state and share their cursor (notes), pointer and presence (drawings).
+BEGIN;
+SELECT plan(32);
+SELECT tests.create_fixtures();
+
+INSERT INTO realtime.messages (topic, extension, event, payload, private)
+VALUES
+  ('notes:900001', 'broadcast', 'update', '{}', true),
+  ('notes:900003', 'broadcast', 'update', '{}', true),
+  ('drawing:900002', 'broadcast', 'elements', '{}', true),
+  ('drawing:900002', 'presence', 'presence', '{}', true);
+
+-- ============================================
+-- channel_document_project()
+-- ============================================
+
+SELECT is(channel_document_project('notes:900001', 'notes'), 'tests-shared', 'a note channel names its document''s project');
+SELECT is(channel_document_project('drawing:900002', 'drawing'), 'tests-shared', 'a drawing channel names its document''s project');
+SELECT is(channel_document_project('notes:900001', 'drawing'), NULL, 'a channel of another kind names no project');
+SELECT is(channel_document_project('notes:abc', 'notes'), NULL, 'a malformed channel names no project');
+SELECT is(channel_document_project('notes:99999999999', 'notes'), NULL, 'an out-of-range document id names no project');
+
+-- ============================================
+-- NOTE CHANNELS
+-- ============================================
+
+SELECT set_config('realtime.topic', 'notes:900001', true);
+
+SELECT tests.authenticate_as('owner');
+SELECT isnt_empty($$SELECT 1 FROM realtime.messages WHERE topic = 'notes:900001'$$, 'owner joins the note channel');
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('notes:900001', 'broadcast', 'update', true)$$, 'owner sends edits');
+
+SELECT tests.authenticate_as('editor');
+SELECT isnt_empty($$SELECT 1 FROM realtime.messages WHERE topic = 'notes:900001'$$, 'editor joins the note channel');
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('notes:900001', 'broadcast', 'update', true)$$, 'editor sends edits');
+
+SELECT tests.authenticate_as('viewer');
+SELECT isnt_empty($$SELECT 1 FROM realtime.messages WHERE topic = 'notes:900001'$$, 'viewer joins the note channel');
+SELECT throws_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('notes:900001', 'broadcast', 'update', true)$$, '42501', NULL, 'viewer can not send edits');
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('notes:900001', 'broadcast', 'sync-request', true)$$, 'viewer asks for the current state');
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('notes:900001', 'broadcast', 'awareness', true)$$, 'viewer shares their cursor');
+
+SELECT tests.authenticate_as('guest');
+SELECT is_empty($$SELECT 1 FROM realtime.messages WHERE topic = 'notes:900001'$$, 'guest can not join the note channel');
+SELECT throws_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('notes:900001', 'broadcast', 'sync-request', true)$$, '42501', NULL, 'guest can not send to the note channel');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is_empty($$SELECT 1 FROM realtime.messages WHERE topic = 'notes:900001'$$, 'outsider can not join the note channel');
+SELECT throws_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('notes:900001', 'broadcast', 'awareness', true)$$, '42501', NULL, 'outsider can not send to the note channel');
+SELECT ok(NOT has_project_access(channel_document_project('notes:900001', 'notes')), 'knowing the channel''s project gives the outsider no access');
+
+SELECT set_config('realtime.topic', 'notes:900003', true);
+
+SELECT tests.authenticate_as('guest');
+SELECT isnt_empty($$SELECT 1 FROM realtime.messages WHERE topic = 'notes:900003'$$, 'guest joins the note channels of their own project');
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('notes:900003', 'broadcast', 'update', true)$$, 'guest sends edits in their own project');
+
+-- ============================================
+-- DRAWING CHANNELS
+-- ============================================
+
+SELECT set_config('realtime.topic', 'drawing:900002', true);
+
+SELECT tests.authenticate_as('owner');
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('drawing:900002', 'broadcast', 'elements', true)$$, 'owner sends elements');
+
+SELECT tests.authenticate_as('editor');
+SELECT results_eq(
+  $$SELECT DISTINCT extension FROM realtime.messages WHERE topic = 'drawing:900002' ORDER BY extension$$,
+  ARRAY['broadcast', 'presence'],
+  'editor joins the drawing channel and its presence'
+);
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('drawing:900002', 'broadcast', 'scene', true)$$, 'editor sends scenes');
+
+SELECT tests.authenticate_as('viewer');
+SELECT results_eq(
+  $$SELECT DISTINCT extension FROM realtime.messages WHERE topic = 'drawing:900002' ORDER BY extension$$,
+  ARRAY['broadcast', 'presence'],
+  'viewer joins the drawing channel and its presence'
+);
+SELECT throws_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('drawing:900002', 'broadcast', 'elements', true)$$, '42501', NULL, 'viewer can not send elements');
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('drawing:900002', 'broadcast', 'pointer', true)$$, 'viewer shares their pointer');
+SELECT lives_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('drawing:900002', 'presence', 'presence', true)$$, 'viewer shows up in presence');
+
+SELECT tests.authenticate_as('guest');
+SELECT is_empty($$SELECT 1 FROM realtime.messages WHERE topic = 'drawing:900002'$$, 'guest can not join the drawing channel');
+SELECT throws_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('drawing:900002', 'presence', 'presence', true)$$, '42501', NULL, 'guest can not show up in the drawing''s presence');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is_empty($$SELECT 1 FROM realtime.messages WHERE topic = 'drawing:900002'$$, 'outsider can not join the drawing channel');
+SELECT throws_ok($$INSERT INTO realtime.messages (topic, extension, event, private) VALUES ('drawing:900002', 'broadcast', 'sync-request', true)$$, '42501', NULL, 'outsider can not ask for the scene');
+
+-- Topics that name no document open nothing, not even to an owner
+SELECT set_config('realtime.topic', 'notes:abc', true);
+SELECT tests.authenticate_as('owner');
+SELECT is_empty($$SELECT 1 FROM realtime.messages$$, 'a malformed channel can not be joined');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,62 @@
+-- save_drawing_scene(): runs as the caller and locks the row for update, so
+-- only the owner and editors save; everybody else gets "Document not found"
+BEGIN;
+SELECT plan(9);
+SELECT tests.create_fixtures();
+
+SELECT tests.authenticate_as('owner');
+SELECT is(
+  jsonb_array_length(save_drawing_scene(900002, '[{"id": "e2", "type": "ellipse", "version": 1, "versionNonce": 1, "index": "a1"}]')->'elements'),
+  2,
+  'owner saves the drawing'
+);
+
+SELECT tests.authenticate_as('editor');
+SELECT is(
+  jsonb_array_length(save_drawing_scene(900002, '[{"id": "e3", "type": "ellipse", "version": 1, "versionNonce": 1, "index": "a2"}]')->'elements'),
+  3,
+  'editor saves the drawing'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT throws_ok(
+  $$SELECT save_drawing_scene(900002, '[{"id": "e1", "isDeleted": true, "version": 9, "versionNonce": 1, "index": "a0"}]')$$,
+  'P0002', 'Document not found',
+  'viewer can not save the drawing'
+);
+SELECT throws_ok($$SELECT save_drawing_scene(900002, '[]', '{}', '{"scrollX": 10}')$$, 'P0002', 'Document not found', 'viewer can not save the viewport either');
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok(
+  $$SELECT save_drawing_scene(900002, '[{"id": "e1", "isDeleted": true, "version": 9, "versionNonce": 1, "index": "a0"}]')$$,
+  'P0002', 'Document not found',
+  'guest can not save the drawing'
+);
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok(
+  $$SELECT save_drawing_scene(900002, '[{"id": "e1", "isDeleted": true, "version": 9, "versionNonce": 1, "index": "a0"}]')$$,
+  'P0002', 'Document not found',
+  'outsider can not save the drawing'
+);
+
+SELECT tests.clear_authentication();
+SELECT results_eq(
+  $$SELECT e->>'id', COALESCE((e->>'isDeleted')::boolean, false) FROM documents, jsonb_array_elements(drawing_content->'elements') e WHERE id = 900002$$,
+  $$VALUES ('e1', false), ('e2', false), ('e3', false)$$,
+  'only the owner''s and editor''s saves reached the drawing'
+);
+
+-- The guest saves drawings of their own project
+INSERT INTO documents (id, project_id, title, document_type) VALUES (900004, 'tests-guest', 'Guest drawing', 'drawing');
+SELECT tests.authenticate_as('guest');
+SELECT lives_ok($$SELECT save_drawing_scene(900004, '[{"id": "g1", "version": 1, "versionNonce": 1}]')$$, 'guest saves drawings of their own project');
+SELECT is(
+  (SELECT drawing_content->'elements'->0->>'id' FROM documents WHERE id = 900004),
+  'g1',
+  'the guest''s save reached their drawing'
+);
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,25 @@
+-- search_documents(): runs as the caller, so it finds only what they can read
+BEGIN;
+SELECT plan(7);
+SELECT tests.create_fixtures();
+
+SELECT tests.authenticate_as('owner');
+SELECT results_eq($$SELECT id FROM search_documents('auberg')$$, ARRAY[900001], 'owner finds the project''s documents');
+SELECT is_empty($$SELECT * FROM search_documents('guest notes')$$, 'owner does not find a guest''s documents');
+
+SELECT tests.authenticate_as('editor');
+SELECT results_eq($$SELECT id FROM search_documents('auberg')$$, ARRAY[900001], 'editor finds the project''s documents');
+
+SELECT tests.authenticate_as('viewer');
+SELECT results_eq($$SELECT id FROM search_documents('auberg')$$, ARRAY[900001], 'viewer finds the project''s documents');
+
+SELECT tests.authenticate_as('guest');
+SELECT is_empty($$SELECT * FROM search_documents('auberg')$$, 'guest does not find the project''s documents');
+SELECT results_eq($$SELECT id FROM search_documents('guest notes')$$, ARRAY[900003], 'guest finds the documents of their own project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is_empty($$SELECT * FROM search_documents('auberg')$$, 'outsider finds nothing');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,102 @@
+-- Access to uploaded document files (storage bucket `document-files`, objects
+-- named <project id>/<document id>/<file>): members read them, the owner and
+-- editors upload and delete them, and the owner removes what a purge left behind
+BEGIN;
+SELECT plan(20);
+SELECT tests.create_fixtures();
+
+-- Recent Storage versions refuse DELETEs that don't come through the Storage API
+SELECT set_config('storage.allow_delete_query', 'true', true);
+
+INSERT INTO storage.objects (bucket_id, name)
+VALUES
+  ('document-files', 'tests-shared/900001/photo.png'),
+  ('document-files', 'tests-guest/900003/photo.png'),
+  ('document-files', 'tests-gone/900009/old.png');
+
+INSERT INTO purged_file_folders (project_id, owner_id)
+VALUES ('tests-gone', tests.persona_id('owner')::text);
+
+-- ============================================
+-- READ
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT results_eq(
+  $$SELECT name FROM storage.objects WHERE name LIKE 'tests-%' ORDER BY name$$,
+  ARRAY['tests-gone/900009/old.png', 'tests-shared/900001/photo.png'],
+  'owner reads the project''s files and those of their purged trash'
+);
+
+SELECT tests.authenticate_as('editor');
+SELECT results_eq(
+  $$SELECT name FROM storage.objects WHERE name LIKE 'tests-%'$$,
+  ARRAY['tests-shared/900001/photo.png'],
+  'editor reads the project''s files'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT results_eq(
+  $$SELECT name FROM storage.objects WHERE name LIKE 'tests-%'$$,
+  ARRAY['tests-shared/900001/photo.png'],
+  'viewer reads the project''s files'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT results_eq(
+  $$SELECT name FROM storage.objects WHERE name LIKE 'tests-%'$$,
+  ARRAY['tests-guest/900003/photo.png'],
+  'guest reads only the files of their own project'
+);
+
+SELECT tests.authenticate_as('outsider');
+SELECT is_empty($$SELECT * FROM storage.objects WHERE name LIKE 'tests-%'$$, 'outsider reads no file');
+
+-- ============================================
+-- UPLOAD
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT lives_ok($$INSERT INTO storage.objects (bucket_id, name) VALUES ('document-files', 'tests-shared/900001/by-owner.png')$$, 'owner uploads files');
+
+SELECT tests.authenticate_as('editor');
+SELECT lives_ok($$INSERT INTO storage.objects (bucket_id, name) VALUES ('document-files', 'tests-shared/900001/by-editor.png')$$, 'editor uploads files');
+
+SELECT tests.authenticate_as('viewer');
+SELECT throws_ok($$INSERT INTO storage.objects (bucket_id, name) VALUES ('document-files', 'tests-shared/900001/by-viewer.png')$$, '42501', NULL, 'viewer can not upload files');
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok($$INSERT INTO storage.objects (bucket_id, name) VALUES ('document-files', 'tests-shared/900001/by-guest.png')$$, '42501', NULL, 'guest can not upload files to the project');
+SELECT lives_ok($$INSERT INTO storage.objects (bucket_id, name) VALUES ('document-files', 'tests-guest/900003/by-guest.png')$$, 'guest uploads files to their own project');
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok($$INSERT INTO storage.objects (bucket_id, name) VALUES ('document-files', 'tests-shared/900001/by-outsider.png')$$, '42501', NULL, 'outsider can not upload files');
+SELECT throws_ok($$INSERT INTO storage.objects (bucket_id, name) VALUES ('document-files', 'tests-gone/900009/by-outsider.png')$$, '42501', NULL, 'outsider can not upload files to a purged project');
+
+-- ============================================
+-- DELETE
+-- ============================================
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE name LIKE 'tests-%'$$), 0, 'viewer can not delete files');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE name LIKE 'tests-shared/%' OR name LIKE 'tests-gone/%'$$), 0, 'guest can not delete files of others');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE name LIKE 'tests-%'$$), 0, 'outsider can not delete files');
+
+SELECT tests.authenticate_as('editor');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE name LIKE 'tests-gone/%'$$), 0, 'editor can not delete files of the owner''s purged trash');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE name = 'tests-shared/900001/photo.png'$$), 1, 'editor deletes files');
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE name = 'tests-guest/900003/photo.png'$$), 1, 'guest deletes files of their own project');
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE name = 'tests-shared/900001/by-owner.png'$$), 1, 'owner deletes files');
+SELECT is(tests.row_count($$DELETE FROM storage.objects WHERE name = 'tests-gone/900009/old.png'$$), 1, 'owner deletes files of their purged trash');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;
@@ -0,0 +1,47 @@
+-- The trash purge: only the scheduled job runs it, and it keeps trashed items for
+-- the retention period of the project's owner
+BEGIN;
+SELECT plan(11);
+SELECT tests.create_fixtures();
+
+-- ============================================
+-- WHO MAY PURGE
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT throws_ok($$SELECT purge_expired_trash()$$, '42501', NULL, 'owner can not run the purge');
+
+SELECT tests.authenticate_as('editor');
+SELECT throws_ok($$SELECT purge_expired_trash()$$, '42501', NULL, 'editor can not run the purge');
+
+SELECT tests.authenticate_as('viewer');
+SELECT throws_ok($$SELECT purge_expired_trash()$$, '42501', NULL, 'viewer can not run the purge');
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok($$SELECT purge_expired_trash()$$, '42501', NULL, 'guest can not run the purge');
+
+SELECT tests.authenticate_as('outsider');
+SELECT throws_ok($$SELECT purge_expired_trash()$$, '42501', NULL, 'outsider can not run the purge');
+
+-- ============================================
+-- WHAT IS PURGED
+-- ============================================
+
+-- The scheduled job runs as the database owner
+SELECT tests.clear_authentication();
+UPDATE user_profiles SET trash_retention_days = 7 WHERE user_id = tests.persona_id('owner')::text;
+UPDATE documents SET deleted_at = NOW() - INTERVAL '8 days' WHERE id = 900002;
+UPDATE documents SET deleted_at = NOW() - INTERVAL '6 days' WHERE id = 900001;
+UPDATE projects SET deleted_at = NOW() - INTERVAL '29 days' WHERE id = 'tests-guest';
+
+SELECT lives_ok($$SELECT purge_expired_trash()$$, 'the job runs the purge');
+SELECT is_empty($$SELECT * FROM documents WHERE id = 900002$$, 'a document trashed longer than the owner''s retention is gone');
+SELECT isnt_empty($$SELECT * FROM documents WHERE id = 900001$$, 'a document trashed more recently stays');
+SELECT isnt_empty($$SELECT * FROM projects WHERE id = 'tests-guest'$$, 'a guest project is kept for the default 30 days');
+
+UPDATE projects SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = 'tests-guest';
+SELECT is(purge_expired_trash(), 1, 'the job purges the expired guest project');
+SELECT is_empty($$SELECT * FROM projects WHERE id = 'tests-guest'$$, 'the expired guest project is gone');
+
+SELECT * FROM finish();
+ROLLBACK;
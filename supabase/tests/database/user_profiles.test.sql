@@ -0,0 +1,126 @@
+-- Access to user profiles: everybody manages their own; people who share a
+-- project see each other's, nobody else's
+BEGIN;
+SELECT plan(17);
+SELECT tests.create_fixtures();
+
+-- ============================================
+-- READ
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT results_eq(
+  $$SELECT email FROM user_profiles ORDER BY email$$,
+  ARRAY['editor@example.test', 'owner@example.test', 'viewer@example.test'],
+  'owner reads their own and their members'' profiles'
+);
+
+SELECT tests.authenticate_as('editor');
+SELECT results_eq(
+  $$SELECT email FROM user_profiles ORDER BY email$$,
+  ARRAY['editor@example.test', 'owner@example.test', 'viewer@example.test'],
+  'editor reads the profiles of the project''s people'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT results_eq(
+  $$SELECT email FROM user_profiles ORDER BY email$$,
+  ARRAY['editor@example.test', 'owner@example.test', 'viewer@example.test'],
+  'viewer reads the profiles of the project''s people'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT is_empty($$SELECT * FROM user_profiles$$, 'guest reads no profile');
+
+SELECT tests.authenticate_as('outsider');
+SELECT results_eq(
+  $$SELECT email FROM user_profiles$$,
+  ARRAY['outsider@example.test'],
+  'outsider reads only their own profile'
+);
+
+-- ============================================
+-- CREATE
+-- ============================================
+
+SELECT tests.authenticate_as('guest');
+SELECT throws_ok(
+  format($$INSERT INTO user_profiles (user_id, email) VALUES (%L, 'planted@example.test')$$, gen_random_uuid()),
+  '42501', NULL,
+  'guest can not create a profile for somebody else'
+);
+
+SELECT tests.clear_authentication();
+DELETE FROM user_profiles WHERE user_id = tests.persona_id('outsider')::text;
+
+SELECT tests.authenticate_as('owner');
+SELECT throws_ok(
+  format($$INSERT INTO user_profiles (user_id, email) VALUES (%L, 'planted@example.test')$$, tests.persona_id('outsider')),
+  '42501', NULL,
+  'a user can not create a profile for somebody else'
+);
+
+SELECT tests.authenticate_as('outsider');
+SELECT lives_ok(
+  format($$INSERT INTO user_profiles (user_id, email) VALUES (%L, 'outsider@example.test')$$, tests.persona_id('outsider')),
+  'a user creates their own profile'
+);
+
+-- ============================================
+-- UPDATE
+-- ============================================
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$UPDATE user_profiles SET display_name = 'Renamed'$$), 1, 'owner updates only their own profile');
+
+SELECT tests.authenticate_as('editor');
+SELECT is(
+  tests.row_count(format($$UPDATE user_profiles SET display_name = 'Renamed' WHERE user_id <> %L$$, tests.persona_id('editor'))),
+  0,
+  'editor can not update the profiles of others'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(
+  tests.row_count(format($$UPDATE user_profiles SET trash_retention_days = 1 WHERE user_id = %L$$, tests.persona_id('owner'))),
+  0,
+  'viewer can not change the owner''s trash retention'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$UPDATE user_profiles SET display_name = 'Renamed'$$), 0, 'guest can not update profiles');
+
+SELECT tests.authenticate_as('outsider');
+SELECT is(
+  tests.row_count(format($$UPDATE user_profiles SET display_name = 'Renamed' WHERE user_id <> %L$$, tests.persona_id('outsider'))),
+  0,
+  'outsider can not update the profiles of others'
+);
+
+-- ============================================
+-- DELETE
+-- ============================================
+
+SELECT tests.authenticate_as('editor');
+SELECT is(
+  tests.row_count(format($$DELETE FROM user_profiles WHERE user_id <> %L$$, tests.persona_id('editor'))),
+  0,
+  'editor can not delete the profiles of others'
+);
+
+SELECT tests.authenticate_as('viewer');
+SELECT is(
+  tests.row_count(format($$DELETE FROM user_profiles WHERE user_id <> %L$$, tests.persona_id('viewer'))),
+  0,
+  'viewer can not delete the profiles of others'
+);
+
+SELECT tests.authenticate_as('guest');
+SELECT is(tests.row_count($$DELETE FROM user_profiles$$), 0, 'guest can not delete profiles');
+
+SELECT tests.authenticate_as('owner');
+SELECT is(tests.row_count($$DELETE FROM user_profiles$$), 1, 'owner deletes only their own profile');
+
+SELECT tests.clear_authentication();
+SELECT * FROM finish();
+ROLLBACK;